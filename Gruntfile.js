@@ -5,8 +5,8 @@ module.exports = function (grunt) {
         lintAll: {
             sources: {
                 md:    [ "./*.md", "./docs/*.md"],
-                js:    ["./src/**/*.js", "./*.js"],
-                json:  ["./*.json", "!./package-lock.json"],
+                js:    ["./src/**/*.js", "./tests/**/*.js", "./*.js"],
+                json:  ["./*.json", "./src/**/*.json", "./tests/**/*.json", "!./package-lock.json"],
                 json5: [],
                 other: ["./.*", "!./package-lock.json"]
             }
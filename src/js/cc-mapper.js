@@ -0,0 +1,213 @@
+/*
+
+    Map MIDI control change ("CC") messages to instrument parameters, such as the master volume or the level of an
+    effect.  Each parameter is described in the `parameters` option, for example:
+
+    parameters: {
+        masterVolume: { label: "Master volume", min: 0, max: 1 }
+    }
+
+    When a mapped control changes, its value (0-127) is scaled to the parameter's range, and the `onParameterChanged`
+    event is fired with the parameter's name, the scaled value, and the parameter definition.  Mapped control changes
+    are "consumed", i.e. `handleControlMessage` returns `true`, so that they can be kept from the instrument.
+
+    The mappings themselves are stored as a map of CC numbers to parameter names, i.e. `{ 7: "masterVolume" }`.  They
+    can be changed using "MIDI learn": call `learn` with the name of a parameter, then move a control on your MIDI
+    device, and that control will be mapped to the parameter.  If a `storageKey` is set, the mappings are saved to the
+    browser's local storage, and restored when the mapper is next created.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.ccMapper", {
+        gradeNames: ["fluid.component"],
+        parameters: {},
+        mappings: {},
+        storageKey: false,
+        members: {
+            mappings: "@expand:guitarompler.ccMapper.loadMappings({that}.options.storageKey, {that}.options.mappings)",
+            learning: false // The name of the parameter we are waiting to map, if any.
+        },
+        events: {
+            onLearnStarted: null,
+            onLearnCancelled: null,
+            onMappingsChanged: null,
+            onParameterChanged: null
+        },
+        invokers: {
+            handleControlMessage: {
+                funcName: "guitarompler.ccMapper.handleControlMessage",
+                args: ["{that}", "{arguments}.0"] // midiMessage
+            },
+            learn: {
+                funcName: "guitarompler.ccMapper.learn",
+                args: ["{that}", "{arguments}.0"] // parameterName
+            },
+            cancelLearn: {
+                funcName: "guitarompler.ccMapper.cancelLearn",
+                args: ["{that}"]
+            },
+            map: {
+                funcName: "guitarompler.ccMapper.map",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // ccNumber, parameterName
+            },
+            unmap: {
+                funcName: "guitarompler.ccMapper.unmap",
+                args: ["{that}", "{arguments}.0"] // parameterName
+            },
+            controlsFor: {
+                funcName: "guitarompler.ccMapper.controlsFor",
+                args: ["{that}", "{arguments}.0"] // parameterName
+            },
+            exportMappings: {
+                funcName: "guitarompler.ccMapper.exportMappings",
+                args: ["{that}"]
+            },
+            importMappings: {
+                funcName: "guitarompler.ccMapper.importMappings",
+                args: ["{that}", "{arguments}.0"] // json
+            },
+            setMappings: {
+                funcName: "guitarompler.ccMapper.setMappings",
+                args: ["{that}", "{arguments}.0"] // mappings
+            }
+        },
+        listeners: {
+            "onMappingsChanged.saveMappings": {
+                funcName: "guitarompler.ccMapper.saveMappings",
+                args: ["{that}.options.storageKey", "{arguments}.0"] // mappings
+            }
+        }
+    });
+
+    guitarompler.ccMapper.loadMappings = function (storageKey, defaultMappings) {
+        var storage = storageKey && guitarompler.getStorage();
+        var savedMappings = storage && storage.getItem(storageKey);
+        if (savedMappings) {
+            try {
+                return guitarompler.ccMapper.parseMappings(savedMappings);
+            }
+            catch (error) {
+                fluid.log("Ignoring invalid saved CC mappings: ", error.message);
+            }
+        }
+        return fluid.copy(defaultMappings);
+    };
+
+    guitarompler.ccMapper.saveMappings = function (storageKey, mappings) {
+        var storage = storageKey && guitarompler.getStorage();
+        if (storage) {
+            storage.setItem(storageKey, JSON.stringify({ mappings: mappings }));
+        }
+    };
+
+    // Returns `true` if the message was used to learn a mapping or change a parameter.
+    guitarompler.ccMapper.handleControlMessage = function (that, midiMessage) {
+        if (fluid.get(midiMessage, "type") !== "control") {
+            return false;
+        }
+
+        if (that.learning) {
+            that.map(midiMessage.number, that.learning);
+            return true;
+        }
+
+        var parameterName = that.mappings[midiMessage.number];
+        var parameter = parameterName && that.options.parameters[parameterName];
+        if (parameter) {
+            var value = parameter.min + ((midiMessage.value / 127) * (parameter.max - parameter.min));
+            that.events.onParameterChanged.fire(parameterName, value, parameter);
+            return true;
+        }
+
+        return false;
+    };
+
+    guitarompler.ccMapper.learn = function (that, parameterName) {
+        if (!that.options.parameters[parameterName]) {
+            fluid.log("Can't learn a mapping for unknown parameter: ", parameterName);
+            return;
+        }
+        that.learning = parameterName;
+        that.events.onLearnStarted.fire(parameterName);
+    };
+
+    guitarompler.ccMapper.cancelLearn = function (that) {
+        if (that.learning) {
+            var parameterName = that.learning;
+            that.learning = false;
+            that.events.onLearnCancelled.fire(parameterName);
+        }
+    };
+
+    // Map a control to a parameter, replacing any other controls mapped to the same parameter.
+    guitarompler.ccMapper.map = function (that, ccNumber, parameterName) {
+        fluid.each(that.controlsFor(parameterName), function (existingNumber) {
+            delete that.mappings[existingNumber];
+        });
+        that.mappings[ccNumber] = parameterName;
+        that.learning = false;
+        that.events.onMappingsChanged.fire(that.mappings, ccNumber, parameterName);
+    };
+
+    guitarompler.ccMapper.unmap = function (that, parameterName) {
+        fluid.each(that.controlsFor(parameterName), function (ccNumber) {
+            delete that.mappings[ccNumber];
+        });
+        that.events.onMappingsChanged.fire(that.mappings);
+    };
+
+    // The CC numbers mapped to a parameter.
+    guitarompler.ccMapper.controlsFor = function (that, parameterName) {
+        var ccNumbers = [];
+        fluid.each(that.mappings, function (mappedName, ccNumber) {
+            if (mappedName === parameterName) {
+                ccNumbers.push(Number(ccNumber));
+            }
+        });
+        return ccNumbers;
+    };
+
+    guitarompler.ccMapper.exportMappings = function (that) {
+        return JSON.stringify({ mappings: that.mappings }, null, 4);
+    };
+
+    // Parse and validate exported mappings, i.e. `{ "mappings": { "7": "masterVolume" } }`.  Throws an error if the
+    // JSON is invalid.
+    guitarompler.ccMapper.parseMappings = function (json) {
+        var parsed = JSON.parse(json);
+        if (!fluid.isPlainObject(parsed) || !fluid.isPlainObject(parsed.mappings)) {
+            throw new Error("Expected an object with a \"mappings\" property.");
+        }
+
+        fluid.each(parsed.mappings, function (parameterName, ccNumber) {
+            var number = Number(ccNumber);
+            if (!(number >= 0 && number <= 127 && Math.floor(number) === number) || typeof parameterName !== "string") {
+                throw new Error("Invalid mapping from '" + ccNumber + "' to '" + parameterName + "'.");
+            }
+        });
+
+        return parsed.mappings;
+    };
+
+    // Replace the current mappings with imported ones.
+    guitarompler.ccMapper.importMappings = function (that, json) {
+        that.setMappings(guitarompler.ccMapper.parseMappings(json));
+    };
+
+    // Replace the current mappings.  Mappings for parameters we don't know about are ignored.
+    guitarompler.ccMapper.setMappings = function (that, mappings) {
+        that.mappings = {};
+        fluid.each(mappings, function (parameterName, ccNumber) {
+            if (that.options.parameters[parameterName]) {
+                that.mappings[ccNumber] = parameterName;
+            }
+            else {
+                fluid.log("Ignoring mapping for unknown parameter: ", parameterName);
+            }
+        });
+        that.events.onMappingsChanged.fire(that.mappings);
+    };
+})(fluid);
@@ -70,6 +70,10 @@ fluid.defaults("guitarompler.generator", {
         "./node_modules/infusion/dist/infusion-all.js",
         "./node_modules/infusion/dist/infusion-all.js.map",
 
+        "./node_modules/codemirror/lib/codemirror.js",
+        "./node_modules/codemirror/lib/codemirror.css",
+        "./node_modules/codemirror-infusion/src/codemirror-infusion.js",
+
         "./node_modules/flocking-midi/src/core.js",
         "./node_modules/flocking-midi/src/receiver.js",
         "./node_modules/flocking-midi/src/connection.js",
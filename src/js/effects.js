@@ -0,0 +1,475 @@
+/*
+
+    A chain of audio effects that shape the tone of the instrument, which sits between the input of the output bus and
+    its master volume (see `guitarompler.outputBus`).  The chain contains the following effects, in order:
+
+    1. `body`: A convolution with the impulse response of a guitar body, which adds the resonance of a wooden body.
+    2. `eq`: A parametric equalizer, made up of one or more filters ("bands").
+    3. `chorus`: A stereo chorus, which mixes in two copies of the signal delayed by slowly changing amounts.
+    4. `room`: A convolution with the impulse response of a room, i.e. a reverb.
+    5. `widener`: A "mid/side" stereo widener, which exaggerates the differences between the left and right channels.
+
+    Each effect has a `bypass` option, which passes the signal through unchanged, and a `wet` option, which controls
+    how much of the processed ("wet") signal is heard, from 0 (none) to 1 (only the processed signal).  The rest of the
+    output is the unprocessed ("dry") signal.
+
+    The options for each effect are set using the `effects` option of `guitarompler.loom`, for example:
+
+    guitarompler.loom({
+        effects: {
+            room: { wet: 0.4, impulseUrl: "./my-hall.wav" },
+            chorus: { bypass: false }
+        }
+    });
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.effect", {
+        gradeNames: ["fluid.component"],
+        bypass: false,
+        wet: 1,
+        rampTime: 0.01, // The time constant used when changing the wet/dry mix, to avoid "zipper" noise.
+        members: {
+            context: "{guitarompler.loom}.context",
+            bypass: "{that}.options.bypass",
+            wet: "{that}.options.wet",
+            input: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            output: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            dryGain: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            wetGain: "@expand:guitarompler.outputBus.createGain({that}.context, 0)",
+            // Resolved once the effect is ready to use, i.e. once any external resources have loaded.
+            ready: "@expand:fluid.promise()"
+            // Each effect must also supply an `effectInput` and `effectOutput` node.
+        },
+        invokers: {
+            setBypass: {
+                funcName: "guitarompler.effect.setBypass",
+                args: ["{that}", "{arguments}.0"] // bypass
+            },
+            setWet: {
+                funcName: "guitarompler.effect.setWet",
+                args: ["{that}", "{arguments}.0"] // wet
+            }
+        },
+        listeners: {
+            "onCreate.connect": {
+                funcName: "guitarompler.effect.connect",
+                args: ["{that}"]
+            },
+            "onCreate.updateMix": {
+                funcName: "guitarompler.effect.updateMix",
+                args: ["{that}", true],
+                priority: "after:connect"
+            },
+            "onCreate.resolveReady": {
+                funcName: "guitarompler.effect.resolveReady",
+                args: ["{that}"],
+                priority: "last"
+            },
+            "onDestroy.disconnect": {
+                funcName: "guitarompler.effect.disconnect",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    guitarompler.effect.connect = function (that) {
+        that.input.connect(that.dryGain);
+        that.dryGain.connect(that.output);
+        that.input.connect(that.effectInput);
+        that.effectOutput.connect(that.wetGain);
+        that.wetGain.connect(that.output);
+    };
+
+    guitarompler.effect.disconnect = function (that) {
+        that.output.disconnect();
+    };
+
+    // Most effects are ready as soon as they are created.  Those that load resources should override this.
+    guitarompler.effect.resolveReady = function (that) {
+        that.ready.resolve();
+    };
+
+    // The gain of the dry and wet signals for a given bypass and wet setting.
+    guitarompler.effect.mixLevels = function (bypass, wet) {
+        var wetLevel = bypass ? 0 : Math.min(1, Math.max(0, wet));
+        return { dry: 1 - wetLevel, wet: wetLevel };
+    };
+
+    guitarompler.effect.updateMix = function (that, immediate) {
+        var levels = guitarompler.effect.mixLevels(that.bypass, that.wet);
+        if (immediate) {
+            that.dryGain.gain.value = levels.dry;
+            that.wetGain.gain.value = levels.wet;
+        }
+        else {
+            that.dryGain.gain.setTargetAtTime(levels.dry, that.context.currentTime, that.options.rampTime);
+            that.wetGain.gain.setTargetAtTime(levels.wet, that.context.currentTime, that.options.rampTime);
+        }
+    };
+
+    guitarompler.effect.setBypass = function (that, bypass) {
+        that.bypass = !!bypass;
+        guitarompler.effect.updateMix(that);
+    };
+
+    guitarompler.effect.setWet = function (that, wet) {
+        that.wet = wet;
+        guitarompler.effect.updateMix(that);
+    };
+
+    /*
+
+        A convolution effect, which uses an "impulse response" (a recording of how a space or object responds to a
+        single click) loaded from `impulseUrl`.  Until the impulse response has loaded, the effect produces no wet
+        signal.
+
+    */
+    fluid.defaults("guitarompler.effect.convolver", {
+        gradeNames: ["guitarompler.effect"],
+        impulseUrl: false,
+        impulseFormats: ["wav"], // The formats the impulse response is available in, see `guitarompler.sampleCache`.
+        members: {
+            sampleCache: "{guitarompler.loom}.sampleCache",
+            convolver: "@expand:guitarompler.effect.convolver.createConvolver({that}.context)",
+            effectInput: "{that}.convolver",
+            effectOutput: "{that}.convolver"
+        },
+        events: {
+            onLoadError: "{guitarompler.loom}.events.onLoadError"
+        },
+        listeners: {
+            "onCreate.resolveReady": {
+                funcName: "guitarompler.effect.convolver.loadImpulse",
+                args: ["{that}"],
+                priority: "last"
+            }
+        }
+    });
+
+    guitarompler.effect.convolver.createConvolver = function (context) {
+        var convolver = context.createConvolver();
+        convolver.normalize = false;
+        return convolver;
+    };
+
+    // A missing impulse response is reported, but the effect is still marked as ready, so that the instrument can be
+    // played without it.
+    guitarompler.effect.convolver.loadImpulse = function (that) {
+        if (!that.options.impulseUrl) {
+            that.ready.resolve();
+            return;
+        }
+
+        that.sampleCache.load(that.options.impulseUrl, that.options.impulseFormats).then(function (impulseBuffer) {
+            that.convolver.buffer = impulseBuffer;
+            that.ready.resolve();
+        }, function (error) {
+            that.events.onLoadError.fire(fluid.extend({ url: that.options.impulseUrl }, error));
+            that.ready.resolve();
+        });
+    };
+
+    fluid.defaults("guitarompler.effect.body", {
+        gradeNames: ["guitarompler.effect.convolver"],
+        impulseUrl: "./src/impulses/body.wav",
+        wet: 0.5
+    });
+
+    fluid.defaults("guitarompler.effect.room", {
+        gradeNames: ["guitarompler.effect.convolver"],
+        impulseUrl: "./src/impulses/room.wav",
+        wet: 0.15
+    });
+
+    /*
+
+        A parametric equalizer, made up of a series of BiquadFilterNodes, one for each entry in `bands`.  Each band has a
+        `type` (see https://webaudio.github.io/web-audio-api/#enumdef-biquadfiltertype), a `frequency` (in Hz), a
+        `gain` (in dB), and a `Q`.  By default, all bands are "flat", i.e. have a gain of zero.
+
+    */
+    fluid.defaults("guitarompler.effect.eq", {
+        gradeNames: ["guitarompler.effect"],
+        bands: [
+            { type: "lowshelf", frequency: 120, gain: 0, Q: 1 },
+            { type: "peaking", frequency: 400, gain: 0, Q: 1 },
+            { type: "peaking", frequency: 2500, gain: 0, Q: 1 },
+            { type: "highshelf", frequency: 8000, gain: 0, Q: 1 }
+        ],
+        members: {
+            filters: "@expand:guitarompler.effect.eq.createFilters({that}.context, {that}.options.bands)",
+            effectInput: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            effectOutput: "@expand:guitarompler.effect.eq.connectFilters({that}.effectInput, {that}.filters)"
+        },
+        invokers: {
+            setBand: {
+                funcName: "guitarompler.effect.eq.setBand",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // bandIndex, bandSettings
+            }
+        }
+    });
+
+    guitarompler.effect.eq.createFilters = function (context, bands) {
+        return fluid.transform(fluid.makeArray(bands), function (band) {
+            var filter = context.createBiquadFilter();
+            filter.type = band.type;
+            fluid.each(["frequency", "gain", "Q"], function (paramName) {
+                if (fluid.isValue(band[paramName])) {
+                    filter[paramName].value = band[paramName];
+                }
+            });
+            return filter;
+        });
+    };
+
+    // Connect the filters in series, and return the last node in the chain.
+    guitarompler.effect.eq.connectFilters = function (effectInput, filters) {
+        var lastNode = effectInput;
+        fluid.each(filters, function (filter) {
+            lastNode.connect(filter);
+            lastNode = filter;
+        });
+        return lastNode;
+    };
+
+    guitarompler.effect.eq.setBand = function (that, bandIndex, bandSettings) {
+        var filter = that.filters[bandIndex];
+        if (!filter) {
+            fluid.log("Ignoring settings for non-existent EQ band: ", bandIndex);
+            return;
+        }
+
+        if (bandSettings.type) {
+            filter.type = bandSettings.type;
+        }
+        fluid.each(["frequency", "gain", "Q"], function (paramName) {
+            if (fluid.isValue(bandSettings[paramName])) {
+                filter[paramName].setTargetAtTime(bandSettings[paramName], that.context.currentTime, that.options.rampTime);
+            }
+        });
+    };
+
+    /*
+
+        A stereo chorus.  The signal is sent to two delay lines, whose delay times are varied in opposite directions by
+        a shared low-frequency oscillator, and which are heard in the left and right channels respectively.
+
+    */
+    fluid.defaults("guitarompler.effect.chorus", {
+        gradeNames: ["guitarompler.effect"],
+        bypass: true,
+        wet: 0.4,
+        rate: 0.8, // The speed of the oscillator, in Hz.
+        delay: 0.015, // The average delay, in seconds.
+        depth: 0.003, // How far (in seconds) the delay varies above and below the average.
+        members: {
+            effectInput: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            leftDelay: "@expand:guitarompler.effect.chorus.createDelay({that}.context, {that}.options.delay)",
+            rightDelay: "@expand:guitarompler.effect.chorus.createDelay({that}.context, {that}.options.delay)",
+            oscillator: "@expand:guitarompler.vibrato.createOscillator({that}.context, {that}.options.rate)",
+            leftDepth: "@expand:guitarompler.outputBus.createGain({that}.context, {that}.options.depth)",
+            rightDepth: "@expand:guitarompler.effect.chorus.createInvertedGain({that}.context, {that}.options.depth)",
+            effectOutput: "@expand:guitarompler.effect.createMerger({that}.context)"
+        },
+        listeners: {
+            "onCreate.connectChorus": {
+                funcName: "guitarompler.effect.chorus.connectChorus",
+                args: ["{that}"],
+                priority: "before:connect"
+            },
+            "onDestroy.stopOscillator": {
+                "this": "{that}.oscillator",
+                method: "stop"
+            }
+        }
+    });
+
+    guitarompler.effect.createMerger = function (context) {
+        return context.createChannelMerger(2);
+    };
+
+    guitarompler.effect.chorus.createDelay = function (context, delay) {
+        var delayNode = context.createDelay(1);
+        delayNode.delayTime.value = delay;
+        return delayNode;
+    };
+
+    // The right channel's delay moves in the opposite direction to the left channel's.
+    guitarompler.effect.chorus.createInvertedGain = function (context, gain) {
+        return guitarompler.outputBus.createGain(context, -gain);
+    };
+
+    guitarompler.effect.chorus.connectChorus = function (that) {
+        that.effectInput.connect(that.leftDelay);
+        that.effectInput.connect(that.rightDelay);
+        that.leftDelay.connect(that.effectOutput, 0, 0);
+        that.rightDelay.connect(that.effectOutput, 0, 1);
+
+        that.oscillator.connect(that.leftDepth);
+        that.oscillator.connect(that.rightDepth);
+        that.leftDepth.connect(that.leftDelay.delayTime);
+        that.rightDepth.connect(that.rightDelay.delayTime);
+        that.oscillator.start();
+    };
+
+    /*
+
+        A "mid/side" stereo widener.  The "mid" (what the left and right channels have in common) is left alone, and the
+        "side" (the difference between them) is multiplied by `width`.  A `width` of 1 leaves the signal unchanged,
+        higher values make it sound wider, and 0 makes it mono.  As each note is mono, this only affects the parts of
+        the signal that are already stereo, such as the chorus and the room.
+
+        For each output channel, this works out as:
+
+        left = (left * (1 + width) / 2) + (right * (1 - width) / 2)
+        right = (right * (1 + width) / 2) + (left * (1 - width) / 2)
+
+    */
+    fluid.defaults("guitarompler.effect.widener", {
+        gradeNames: ["guitarompler.effect"],
+        bypass: true,
+        width: 1.5,
+        members: {
+            effectInput: "@expand:guitarompler.effect.widener.createStereoGain({that}.context)",
+            splitter: "@expand:guitarompler.effect.widener.createSplitter({that}.context)",
+            sameSideGains: "@expand:guitarompler.effect.widener.createGainPair({that}.context)",
+            oppositeSideGains: "@expand:guitarompler.effect.widener.createGainPair({that}.context)",
+            effectOutput: "@expand:guitarompler.effect.createMerger({that}.context)"
+        },
+        invokers: {
+            setWidth: {
+                funcName: "guitarompler.effect.widener.setWidth",
+                args: ["{that}", "{arguments}.0", "{that}.options.rampTime"] // width
+            }
+        },
+        listeners: {
+            "onCreate.connectWidener": {
+                funcName: "guitarompler.effect.widener.connectWidener",
+                args: ["{that}"],
+                priority: "before:connect"
+            },
+            "onCreate.setWidth": {
+                funcName: "guitarompler.effect.widener.setWidth",
+                args: ["{that}", "{that}.options.width"],
+                priority: "after:connectWidener"
+            }
+        }
+    });
+
+    // Mono signals are "up-mixed" to stereo, so that they appear in both channels of the splitter.
+    guitarompler.effect.widener.createStereoGain = function (context) {
+        var gainNode = context.createGain();
+        gainNode.channelCount = 2;
+        gainNode.channelCountMode = "explicit";
+        return gainNode;
+    };
+
+    guitarompler.effect.widener.createSplitter = function (context) {
+        return context.createChannelSplitter(2);
+    };
+
+    guitarompler.effect.widener.createGainPair = function (context) {
+        return [guitarompler.outputBus.createGain(context, 1), guitarompler.outputBus.createGain(context, 0)];
+    };
+
+    guitarompler.effect.widener.connectWidener = function (that) {
+        that.effectInput.connect(that.splitter);
+        for (var channel = 0; channel < 2; channel++) {
+            var otherChannel = 1 - channel;
+            that.splitter.connect(that.sameSideGains[channel], channel);
+            that.sameSideGains[channel].connect(that.effectOutput, 0, channel);
+            that.splitter.connect(that.oppositeSideGains[channel], channel);
+            that.oppositeSideGains[channel].connect(that.effectOutput, 0, otherChannel);
+        }
+    };
+
+    guitarompler.effect.widener.setWidth = function (that, width, rampTime) {
+        var sameSideLevel = (1 + width) / 2;
+        var oppositeSideLevel = (1 - width) / 2;
+        fluid.each([0, 1], function (channel) {
+            if (rampTime) {
+                that.sameSideGains[channel].gain.setTargetAtTime(sameSideLevel, that.context.currentTime, rampTime);
+                that.oppositeSideGains[channel].gain.setTargetAtTime(oppositeSideLevel, that.context.currentTime, rampTime);
+            }
+            else {
+                that.sameSideGains[channel].gain.value = sameSideLevel;
+                that.oppositeSideGains[channel].gain.value = oppositeSideLevel;
+            }
+        });
+    };
+
+    /*
+
+        The chain of effects, whose `input` and `output` are connected by the output bus.  The order of the effects is
+        controlled by the `order` option.
+
+    */
+    fluid.defaults("guitarompler.effectsChain", {
+        gradeNames: ["fluid.component"],
+        order: ["body", "eq", "chorus", "room", "widener"],
+        members: {
+            context: "{guitarompler.loom}.context",
+            input: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            output: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            // Resolved once every effect is ready.
+            ready: "@expand:fluid.promise()"
+        },
+        components: {
+            body: {
+                type: "guitarompler.effect.body",
+                options: "{guitarompler.loom}.options.effects.body"
+            },
+            eq: {
+                type: "guitarompler.effect.eq",
+                options: "{guitarompler.loom}.options.effects.eq"
+            },
+            chorus: {
+                type: "guitarompler.effect.chorus",
+                options: "{guitarompler.loom}.options.effects.chorus"
+            },
+            room: {
+                type: "guitarompler.effect.room",
+                options: "{guitarompler.loom}.options.effects.room"
+            },
+            widener: {
+                type: "guitarompler.effect.widener",
+                options: "{guitarompler.loom}.options.effects.widener"
+            }
+        },
+        listeners: {
+            "onCreate.connect": {
+                funcName: "guitarompler.effectsChain.connect",
+                args: ["{that}"]
+            },
+            "onCreate.waitForEffects": {
+                funcName: "guitarompler.effectsChain.waitForEffects",
+                args: ["{that}"]
+            },
+            "onDestroy.disconnect": {
+                "this": "{that}.output",
+                method: "disconnect"
+            }
+        }
+    });
+
+    guitarompler.effectsChain.connect = function (that) {
+        var lastNode = that.input;
+        fluid.each(that.options.order, function (effectName) {
+            var effect = that[effectName];
+            lastNode.connect(effect.input);
+            lastNode = effect.output;
+        });
+        lastNode.connect(that.output);
+    };
+
+    guitarompler.effectsChain.waitForEffects = function (that) {
+        var effectPromises = fluid.transform(that.options.order, function (effectName) {
+            return that[effectName].ready;
+        });
+        fluid.promise.sequence(effectPromises).then(that.ready.resolve, that.ready.reject);
+    };
+})(fluid);
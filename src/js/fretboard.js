@@ -0,0 +1,174 @@
+/*
+
+    An on-screen fretboard that can be played with a mouse, pen or touch screen.  The fretboard has one row per string,
+    with the highest string at the top (as in guitar tablature), and one button for each fret, starting with the open
+    string.  Pressing a button sends a "note on" message using the `onMessage` event, and releasing it sends a "note off"
+    message, in the same format as a MIDI device.
+
+    Pointer events are used so that each finger on a touch screen can play its own note.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.fretboard", {
+        gradeNames: ["fluid.viewComponent"],
+        tuning: [40, 45, 50, 55, 59, 64], // The open pitch of each string, lowest first, i.e. E2 A2 D3 G3 B3 E4.
+        frets: 12,
+        channel: 0,
+        velocity: 96,
+        markup: {
+            string: "<div class='fretboard-string'></div>",
+            fret: "<button type='button' class='fretboard-fret'></button>"
+        },
+        noteNames: ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"],
+        selectors: {
+            fret: ".fretboard-fret"
+        },
+        styles: {
+            pressed: "fretboard-fret-pressed"
+        },
+        members: {
+            tuning: "{that}.options.tuning",
+            velocity: "{that}.options.velocity",
+            // The note (and fret button) played by each active pointer, by pointer ID.
+            activePointers: {},
+            releaseHandler: "@expand:guitarompler.fretboard.createReleaseHandler({that})"
+        },
+        events: {
+            onMessage: null
+        },
+        invokers: {
+            render: {
+                funcName: "guitarompler.fretboard.render",
+                args: ["{that}"]
+            },
+            setTuning: {
+                funcName: "guitarompler.fretboard.setTuning",
+                args: ["{that}", "{arguments}.0"] // tuning
+            },
+            setVelocity: {
+                funcName: "guitarompler.fretboard.setVelocity",
+                args: ["{that}", "{arguments}.0"] // velocity
+            },
+            press: {
+                funcName: "guitarompler.fretboard.press",
+                args: ["{that}", "{arguments}.0", "{arguments}.1", "{arguments}.2"] // pointerId, note, fretElement
+            },
+            release: {
+                funcName: "guitarompler.fretboard.release",
+                args: ["{that}", "{arguments}.0"] // pointerId
+            }
+        },
+        listeners: {
+            "onCreate.render": {
+                func: "{that}.render"
+            },
+            "onCreate.bindPointerEvents": {
+                funcName: "guitarompler.fretboard.bindPointerEvents",
+                args: ["{that}"]
+            },
+            "onDestroy.unbindPointerEvents": {
+                funcName: "guitarompler.fretboard.unbindPointerEvents",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    guitarompler.fretboard.noteName = function (that, note) {
+        return that.options.noteNames[note % 12] + (Math.floor(note / 12) - 1);
+    };
+
+    guitarompler.fretboard.render = function (that) {
+        guitarompler.fretboard.releaseAll(that);
+        that.container.empty();
+
+        // Display the highest string first, as in tablature.
+        for (var stringIndex = that.tuning.length - 1; stringIndex >= 0; stringIndex--) {
+            var stringElement = fluid.jQuery(that.options.markup.string);
+            for (var fret = 0; fret <= that.options.frets; fret++) {
+                var note = that.tuning[stringIndex] + fret;
+                if (note > 127) {
+                    break;
+                }
+                var fretElement = fluid.jQuery(that.options.markup.fret);
+                fretElement.attr("data-note", note).text(guitarompler.fretboard.noteName(that, note));
+                stringElement.append(fretElement);
+            }
+            that.container.append(stringElement);
+        }
+    };
+
+    // Pointers can be released anywhere on the page, so we listen for that on the document.
+    guitarompler.fretboard.createReleaseHandler = function (that) {
+        return function (event) {
+            that.release(event.originalEvent.pointerId);
+        };
+    };
+
+    guitarompler.fretboard.bindPointerEvents = function (that) {
+        that.container.on("pointerdown", that.options.selectors.fret, function (event) {
+            event.preventDefault();
+            // Touches are "captured" by the element they start on, which would stop us from seeing the finger slide
+            // onto another fret.
+            if (event.target.releasePointerCapture) {
+                event.target.releasePointerCapture(event.originalEvent.pointerId);
+            }
+            var fretElement = fluid.jQuery(event.currentTarget);
+            that.press(event.originalEvent.pointerId, Number(fretElement.attr("data-note")), fretElement);
+        });
+
+        // Sliding onto another fret plays that fret instead, as when sliding a finger along a string.
+        that.container.on("pointerenter", that.options.selectors.fret, function (event) {
+            var pointerId = event.originalEvent.pointerId;
+            if (that.activePointers[pointerId]) {
+                var fretElement = fluid.jQuery(event.currentTarget);
+                that.press(pointerId, Number(fretElement.attr("data-note")), fretElement);
+            }
+        });
+
+        fluid.jQuery(document).on("pointerup pointercancel", that.releaseHandler);
+    };
+
+    guitarompler.fretboard.unbindPointerEvents = function (that) {
+        guitarompler.fretboard.releaseAll(that);
+        fluid.jQuery(document).off("pointerup pointercancel", that.releaseHandler);
+    };
+
+    // Play a note.  Each pointer can only play one note at a time, so any note the pointer was already playing stops.
+    guitarompler.fretboard.press = function (that, pointerId, note, fretElement) {
+        that.release(pointerId);
+        that.activePointers[pointerId] = { note: note, fretElement: fretElement };
+        if (fretElement) {
+            fretElement.addClass(that.options.styles.pressed);
+        }
+        that.events.onMessage.fire({ type: "noteOn", channel: that.options.channel, note: note, velocity: that.velocity });
+    };
+
+    guitarompler.fretboard.release = function (that, pointerId) {
+        var activePointer = that.activePointers[pointerId];
+        if (activePointer) {
+            delete that.activePointers[pointerId];
+            if (activePointer.fretElement) {
+                activePointer.fretElement.removeClass(that.options.styles.pressed);
+            }
+            that.events.onMessage.fire({ type: "noteOff", channel: that.options.channel, note: activePointer.note, velocity: 0 });
+        }
+    };
+
+    guitarompler.fretboard.releaseAll = function (that) {
+        fluid.each(that.activePointers, function (activePointer, pointerId) {
+            that.release(pointerId);
+        });
+    };
+
+    guitarompler.fretboard.setTuning = function (that, tuning) {
+        that.tuning = fluid.makeArray(tuning);
+        that.render();
+    };
+
+    guitarompler.fretboard.setVelocity = function (that, velocity) {
+        that.velocity = Math.min(127, Math.max(1, velocity));
+    };
+})(fluid);
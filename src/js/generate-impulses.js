@@ -0,0 +1,153 @@
+/*
+
+    Generate the impulse responses used by the `body` and `room` effects (see `effects.js`), and save them to
+    `src/impulses`.  The impulse responses are synthesized rather than recorded, so that they can be regenerated (and
+    tweaked) at any time using:
+
+    npm run generate-impulses
+
+    The "body" impulse response is a click followed by a set of decaying sine waves at the main resonant frequencies of
+    a small acoustic guitar body.  The "room" impulse response is a few early reflections followed by decaying noise, with
+    different noise in each channel so that the reverb sounds spacious.  Noise is generated using a "seeded" random
+    number generator, so that the same files are generated each time.
+
+*/
+/* eslint-env node */
+/* global Float32Array */
+"use strict";
+var fluid = require("infusion");
+fluid.setLogging(true);
+
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+var fs = require("fs");
+var path = require("path");
+
+require("./wav.js");
+
+fluid.registerNamespace("guitarompler.impulseGenerator");
+
+// A simple "linear congruential" random number generator, which returns numbers between -1 and 1.
+guitarompler.impulseGenerator.createRandom = function (seed) {
+    var state = seed;
+    return function () {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return (state / 2147483648) - 1;
+    };
+};
+
+// Scale each channel so that its total energy is 1, so that the wet signal is roughly as loud as the dry signal.
+guitarompler.impulseGenerator.normalize = function (channels) {
+    fluid.each(channels, function (channel) {
+        var energy = 0;
+        for (var a = 0; a < channel.length; a++) {
+            energy += channel[a] * channel[a];
+        }
+        var scale = energy > 0 ? 1 / Math.sqrt(energy) : 1;
+        for (var b = 0; b < channel.length; b++) {
+            channel[b] *= scale;
+        }
+    });
+    return channels;
+};
+
+guitarompler.impulseGenerator.generateBody = function (options) {
+    var frameCount = Math.round(options.duration * options.sampleRate);
+    var channel = new Float32Array(frameCount);
+    channel[0] = 1;
+    fluid.each(options.modes, function (mode) {
+        for (var frame = 0; frame < frameCount; frame++) {
+            var time = frame / options.sampleRate;
+            channel[frame] += mode.level * Math.exp(-time / mode.decay) * Math.sin(2 * Math.PI * mode.frequency * time);
+        }
+    });
+    return guitarompler.impulseGenerator.normalize([channel]);
+};
+
+guitarompler.impulseGenerator.generateRoom = function (options) {
+    var frameCount = Math.round(options.duration * options.sampleRate);
+    var random = guitarompler.impulseGenerator.createRandom(options.seed);
+    // The level of a reverb falls by 60dB (a factor of 1000) over its "RT60" time.
+    var decayRate = Math.log(1000) / options.rt60;
+    var preDelayFrames = Math.round(options.preDelay * options.sampleRate);
+
+    var channels = fluid.generate(2, function () {
+        return new Float32Array(frameCount);
+    }, true);
+
+    fluid.each(channels, function (channel, channelIndex) {
+        for (var frame = preDelayFrames; frame < frameCount; frame++) {
+            var time = (frame - preDelayFrames) / options.sampleRate;
+            channel[frame] = random() * Math.exp(-decayRate * time) * options.tailLevel;
+        }
+        fluid.each(options.earlyReflections, function (reflection) {
+            var reflectionFrame = Math.round(reflection.times[channelIndex] * options.sampleRate);
+            if (reflectionFrame < frameCount) {
+                channel[reflectionFrame] += reflection.level;
+            }
+        });
+    });
+
+    return guitarompler.impulseGenerator.normalize(channels);
+};
+
+guitarompler.impulseGenerator.generate = function (that) {
+    var outputDir = path.resolve(fluid.module.resolvePath(that.options.baseDir), that.options.outputDir);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    var impulses = {
+        "body.wav": guitarompler.impulseGenerator.generateBody(that.options.body),
+        "room.wav": guitarompler.impulseGenerator.generateRoom(that.options.room)
+    };
+
+    fluid.each(impulses, function (channels, fileName) {
+        var outputPath = path.resolve(outputDir, fileName);
+        fs.writeFileSync(outputPath, Buffer.from(guitarompler.wav.encode(channels, that.options.sampleRate)));
+        fluid.log("Saved impulse response to '", outputPath, "'...");
+    });
+};
+
+fluid.defaults("guitarompler.impulseGenerator", {
+    gradeNames: ["fluid.component"],
+    baseDir: "%guitarompler",
+    outputDir: "./src/impulses",
+    sampleRate: 44100,
+    body: {
+        sampleRate: "{that}.options.sampleRate",
+        duration: 0.2,
+        // The main resonances ("modes") of the body, with their relative level, and how quickly (in seconds) they decay.
+        modes: [
+            { frequency: 98, level: 0.5, decay: 0.04 },
+            { frequency: 196, level: 0.35, decay: 0.03 },
+            { frequency: 245, level: 0.25, decay: 0.025 },
+            { frequency: 410, level: 0.15, decay: 0.02 },
+            { frequency: 720, level: 0.08, decay: 0.012 },
+            { frequency: 1250, level: 0.04, decay: 0.008 }
+        ]
+    },
+    room: {
+        sampleRate: "{that}.options.sampleRate",
+        seed: 20201015,
+        duration: 1.5,
+        rt60: 1.2,
+        preDelay: 0.012,
+        tailLevel: 0.3,
+        // The time (in seconds) at which each reflection reaches the left and right ear.
+        earlyReflections: [
+            { times: [0.007, 0.009], level: 0.6 },
+            { times: [0.013, 0.011], level: 0.45 },
+            { times: [0.019, 0.023], level: 0.35 },
+            { times: [0.029, 0.026], level: 0.25 }
+        ]
+    },
+    listeners: {
+        "onCreate.generate": {
+            funcName: "guitarompler.impulseGenerator.generate",
+            args: ["{that}"]
+        }
+    }
+});
+
+guitarompler.impulseGenerator();
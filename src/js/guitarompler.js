@@ -1,10 +1,12 @@
 /*
 
     A sample-based synthesizer based on multiple recordings of an acoustic guitarlele.  Note-handling is divided into
-    "families" around a particular sample, with scaling hints for each note ("family member").  Each family contains at
-    least 12 notes: six steps below the unscaled recording, the unscaled recording itself, and five steps above.  The
-    relative scaling is based on the fact that the frequency doubles as it rises an octave.  The shifted frequency can
-    be derived using the following pseudocode formula:
+    "families" around a particular sample, with scaling hints for each note ("family member").  The samples, the note
+    each was recorded at, and the range of notes each family covers are read from an instrument definition (see
+    `src/instruments/guitarlele.json`).  In the default instrument, most families contain 12 notes: six steps below the
+    unscaled recording, the unscaled recording itself, and five steps above.  The relative scaling is based on the fact
+    that the frequency doubles as it rises an octave.  The shifted frequency can be derived using the following
+    pseudocode formula:
 
     shiftedFrequency = baseFrequency * (Math.pow(2, ( desiredPitch - basePitch) / 12))
 
@@ -23,6 +25,16 @@
     See https://en.wikipedia.org/wiki/MIDI_tuning_standard and https://www.inspiredacoustics.com/en/MIDI_note_numbers_and_center_frequencies
     for the formulas and frequency values used to refine this approach.
 
+    The formula above assumes 12-tone equal temperament with A4 at 440 Hz.  The frequency each note is actually played
+    at comes from the loom's tuning table (see `tuning.js`), which supports other reference frequencies, historical
+    temperaments and Scala scales.  The playback rate is the ratio between that frequency and the frequency the sample
+    was recorded at.
+
+    All notes share a single AudioContext, which is owned by the `guitarompler.loom`.  Rather than connecting directly
+    to the context's destination, each note is routed through a master output bus (see `guitarompler.outputBus` below),
+    which provides a chain of effects to shape the tone (see `effects.js`), a single master volume control, and a
+    compressor and limiter to avoid clipping when playing chords.
+
     The basic approach to sound loading and decoding was adapted from the blog post here:  https://www.html5rocks.com/en/tutorials/webaudio/intro/
 
     The MIDI message format is based on flocking-midi: https://github.com/continuing-creativity/flocking-midi
@@ -31,18 +43,31 @@
 (function (fluid) {
     "use strict";
     // Crude "poly-fill" for prefixing differences between browsers.
-    window.AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (typeof window !== "undefined") {
+        window.AudioContext = window.AudioContext || window.webkitAudioContext;
+    }
 
     var guitarompler = fluid.registerNamespace("guitarompler");
 
+    /*
+
+        Loads and decodes each of the samples for a single zone, and then fires `onSoundReady` with the list of
+        "layers", i.e. each sample definition with its decoded `buffer` added.  Also reports the loading of each sample,
+        and any errors, to the loom.  Samples are loaded using the loom's `sampleCache` (see `sample-cache.js`), which
+        chooses the format of each sample.  A sample definition can list the `formats` (extensions) it is available in,
+        so that the cache does not try to fetch the others.
+
+    */
     fluid.defaults("guitarompler.soundLoader", {
         gradeNames: ["fluid.component"],
+        samples: [],
         members: {
-            context: false,
-            buffer: false
+            layers: false
         },
         events: {
-            onSoundReady: null
+            onSoundReady: null,
+            onSampleLoaded: "{guitarompler.loom}.events.onSampleLoaded",
+            onLoadError: "{guitarompler.loom}.events.onLoadError"
         },
         listeners: {
             "onCreate.init": {
@@ -51,95 +76,124 @@
             }
         },
         invokers: {
-            "decodeSound": {
-                funcName: "guitarompler.soundLoader.decodeSound",
-                args: ["{that}", "{arguments}.0"] // arraybuffer
+            "loadSound": {
+                func: "{guitarompler.loom}.sampleCache.load",
+                args: ["{arguments}.0", "{arguments}.1"] // soundUrl, availableFormats
             }
         }
     });
 
     guitarompler.soundLoader.init = function (that) {
-        try {
-            that.context = new AudioContext();
-        }
-        catch (e) {
-            fluid.fail("Web Audio API is not supported in this browser");
-        }
-
-        guitarompler.soundLoader.loadSound(that);
-    };
-
-    guitarompler.soundLoader.loadSound = function (that) {
-        if (that.context) {
-            var request = new XMLHttpRequest();
-            request.open("GET", that.options.soundUrl, true);
-            request.responseType = "arraybuffer";
-            request.onload = that.decodeSound;
-            request.send();
-        }
-    };
-
-    guitarompler.soundLoader.decodeSound = function (that, progressEvent) {
-        var arraybuffer = fluid.get(progressEvent, "target.response");
-        if (arraybuffer) {
-            that.context.decodeAudioData(arraybuffer, function (decodedBuffer) {
-                that.buffer = decodedBuffer;
-                that.events.onSoundReady.fire(decodedBuffer);
+        var layerPromises = fluid.transform(that.options.samples, function (sampleDef) {
+            var layerPromise = fluid.promise();
+            that.loadSound(sampleDef.url, sampleDef.formats).then(function (decodedBuffer) {
+                that.events.onSampleLoaded.fire(sampleDef);
+                layerPromise.resolve(fluid.extend({}, sampleDef, { buffer: decodedBuffer }));
+            }, function (error) {
+                that.events.onLoadError.fire({ url: sampleDef.url, message: error.message });
+                layerPromise.reject(error);
             });
-        }
+            return layerPromise;
+        });
+
+        // Errors are reported as each sample fails, so there is nothing more to do if any sample fails.
+        fluid.promise.sequence(layerPromises).then(function (layers) {
+            that.layers = layers;
+            that.events.onSoundReady.fire(layers);
+        }, fluid.identity);
     };
 
     fluid.defaults("guitarompler.note", {
         gradeNames: ["fluid.component"],
         basePitch: 69,
-        baseFreq: 440,
         offset: 0,
         pitch: "@expand:fluid.add({that}.options.basePitch, {that}.options.offset)",
-        speed: 1,
-        buffer: false,
+        layers: [],
+        bendSmoothing: "{guitarompler.loom}.options.bendSmoothing",
         members: {
+            // Whether the current voice has started (or is due to start), and has not been released right away.  Use
+            // `guitarompler.note.isSounding` to find out whether a voice that is due to be released later still is.
             isPlaying: false,
-            context: false,
-            gainNode: false,
-            source: false
+            releaseStart: false, // The time at which the current voice is (or was) released, or `false` if it hasn't been.
+            roundRobinPositions: {},
+            context: "{guitarompler.loom}.context",
+            destination: "{guitarompler.player}.input",
+            envelope: "{guitarompler.loom}.envelope",
+            velocityCurve: "{guitarompler.loom}.velocityCurve",
+            articulations: "{guitarompler.loom}.options.articulations",
+            controllers: "{guitarompler.player}.controllers",
+            vibratoOutput: "{guitarompler.player}.vibrato.output",
+            tuning: "{guitarompler.loom}.tuning",
+            isKeyDown: false, // Whether the key for this note is currently held down.
+            isHeld: false, // Whether the key has been released, but the note is being held by a pedal.
+            isSostenutoLatched: false, // Whether the key was down when the sostenuto pedal was pressed.
+            gainNode: false, // The gain of the current voice, which is set by the velocity (and aftertouch).
+            envelopeNode: false,
+            source: false, // The source of the current voice, which plays a sample from this note's zone.
+            sources: [], // All of the sources of the current voice, including any from a neighbouring zone.
+            // The layers, `basePitch` and `weight` of a neighbouring zone to blend with, see `guitarompler.loom.blendZones`.
+            zoneBlend: false,
+            voiceStart: 0, // The time at which the current voice started (or will start).
+            envelopeChanges: {} // The changes the current voice's articulation makes to the loom's envelope.
         },
         invokers: {
             handleNoteMessage: {
                 funcName: "guitarompler.note.handleMessage",
-                args: ["{that}", "{arguments}.0"] // midiMessage
+                args: ["{that}", "{arguments}.0", "{arguments}.1", "{arguments}.2"] // midiMessage, when, legatoFrom
             },
             startPlaying: {
                 funcName: "guitarompler.note.startPlaying",
-                args: ["{that}", "{arguments}.0"] // midiMessage
+                args: ["{that}", "{arguments}.0", "{arguments}.1", "{arguments}.2"] // midiMessage, when, legatoFrom
 
             },
             stopPlaying: {
                 funcName: "guitarompler.note.stopPlaying",
-                args: ["{that}", "{arguments}.0"] // midiMessage
-
+                args: ["{that}", "{arguments}.0"] // when
+            },
+            applyBend: {
+                funcName: "guitarompler.note.applyBend",
+                args: ["{that}", "{arguments}.0"] // when
+            },
+            choke: {
+                funcName: "guitarompler.note.choke",
+                args: ["{that}", "{arguments}.0"] // when
             }
         }
     });
 
-    guitarompler.note.init = function (that) {
-        try {
-            that.context = new AudioContext();
+    /*
 
-            // Create a gain node to manage the volume
-            that.gainNode = that.context.createGain();
-        }
-        catch (e) {
-            fluid.fail("WebAudio API is not available.");
-        }
-    };
+        Handle a MIDI message for this note.  By default, the message takes effect immediately.  If `when` (a time
+        in seconds, using the same clock as the AudioContext's `currentTime`) is in the future, the note is started or
+        stopped at that time instead.
+
+        If the current articulation is played legato (i.e. a slide or a hammer-on), `legatoFrom` is the pitch of the
+        note that this note moves on from.  See `guitarompler.loom.legatoSource`.
 
-    guitarompler.note.handleMessage = function (that, midiMessage) {
+        Each note belongs to a player, i.e. the loom itself, or one of its multitimbral parts (see
+        `guitarompler.player`).  The note uses the articulation, pedals and pitch bend of its player, and is routed to
+        the player's `input`.
+
+    */
+    guitarompler.note.handleMessage = function (that, midiMessage, when, legatoFrom) {
         if (midiMessage.note === that.options.pitch) {
-            if ((midiMessage.type === "noteOff" || midiMessage.velocity === 0) && that.isPlaying) {
-                that.stopPlaying();
+            if ((midiMessage.type === "noteOff" || midiMessage.velocity === 0) && guitarompler.note.isSounding(that)) {
+                that.isKeyDown = false;
+
+                // If a pedal is holding this note, keep playing until the pedal is released.
+                if (that.controllers.sustain || that.isSostenutoLatched) {
+                    that.isHeld = true;
+                }
+                else {
+                    that.stopPlaying(when);
+                }
             }
-            else if (midiMessage.type === "aftertouch" | (midiMessage.type === "noteOn" && midiMessage.velocity > 0)) {
-                that.startPlaying(midiMessage);
+            else if (midiMessage.type === "aftertouch" || (midiMessage.type === "noteOn" && midiMessage.velocity > 0)) {
+                if (midiMessage.type === "noteOn") {
+                    that.isKeyDown = true;
+                    that.isHeld = false;
+                }
+                that.startPlaying(midiMessage, when, legatoFrom);
             }
         }
         else {
@@ -147,119 +201,355 @@
         }
     };
 
-    guitarompler.note.gainFromVelocity = function (velocity) {
-        return velocity / 128;
+    // The gain of a note played at `velocity`, shaped by a velocity curve (see the `velocityCurve` option of the loom).
+    guitarompler.note.gainFromVelocity = function (velocity, velocityCurve) {
+        var exponent = fluid.get(velocityCurve, "exponent");
+        var floor = fluid.get(velocityCurve, "floor") || 0;
+        return floor + ((1 - floor) * Math.pow(velocity / 128, fluid.isValue(exponent) ? exponent : 1));
     };
 
-    guitarompler.note.startPlaying = function (that, midiMessage) {
-        if (!that.context || !that.gainNode) {
-            guitarompler.note.init(that);
-        }
+    /*
+
+        Start a new voice for this note, or change the volume of the current voice in response to aftertouch.
+
+        New voices are played using the player's current articulation (see the `articulations` option of the loom).  If
+        the note has layers recorded with that articulation, one of those is played as it is.  Otherwise, an ordinary
+        layer is played using the articulation's `emulation` settings, which can change the envelope, `transpose` the
+        note (in semitones), and add a `filter`.  Legato articulations only apply when `legatoFrom` is set: the sample
+        is started `sampleOffset` seconds in, to skip the pluck, and fades in over the crossfade time.  If the
+        articulation has a `glideTime`, the pitch also glides from `legatoFrom` to this note.
 
-        var velocity = midiMessage.velocity | midiMessage.pressure;
+    */
+    guitarompler.note.startPlaying = function (that, midiMessage, when, legatoFrom) {
+        var velocity = midiMessage.velocity || midiMessage.pressure;
+        var now = guitarompler.note.startTime(that.context, when);
 
-        // Vary the volume of playing notes so that we can support aftertouch.  Only stop the note if this isn't aftertouch.`
-        if (that.isPlaying && velocity > 0) {
-            that.gainNode.gain.value = guitarompler.note.gainFromVelocity(velocity);
+        // Vary the volume of playing notes so that we can support aftertouch.
+        if (guitarompler.note.isSounding(that) && midiMessage.type === "aftertouch") {
+            that.gainNode.gain.setTargetAtTime(guitarompler.note.gainFromVelocity(velocity, that.velocityCurve), now, 0.01);
         }
         else {
-            if (that.isPlaying) {
-                that.stopPlaying();
+            // The playback rate needed to play this note in the current tuning, based on the pitch of the sample.
+            var speed = that.tuning.speedFor(that.options.pitch, that.options.basePitch);
+            if (speed === null) {
+                fluid.log("Ignoring note ", that.options.pitch, ", which is not mapped in the current tuning.");
+                return;
+            }
+
+            var articulationName = that.controllers.articulation;
+            var articulation = that.articulations[articulationName] || {};
+            var layer = guitarompler.note.selectLayer(that, velocity, guitarompler.note.layersForArticulation(that.options.layers, articulationName));
+            var emulation = (layer.articulation || "normal") === articulationName ? {} : articulation.emulation || {};
+            var isLegato = !!articulation.legato && fluid.isValue(legatoFrom);
+            var transposition = Math.pow(2, (emulation.transpose || 0) / 12);
+
+            var envelopeChanges = fluid.extend({}, emulation.envelope, isLegato ? { attack: that.envelope.crossfade } : {});
+
+            // If we are retriggering a note, fade out the previous "voice" while the new one begins.
+            if (guitarompler.note.isSounding(that)) {
+                guitarompler.note.releaseCurrentVoice(that, that.envelope.crossfade, now);
             }
 
-            that.gainNode.gain.value = guitarompler.note.gainFromVelocity(velocity);
+            // Each "voice" has its own gain and envelope, so that a retriggered note can crossfade with the previous voice.
+            var gainNode = that.context.createGain();
+            gainNode.gain.setValueAtTime(guitarompler.note.gainFromVelocity(velocity, that.velocityCurve), now);
+            gainNode.connect(that.destination);
+            var envelopeNode = that.context.createGain();
+            var filterNode = emulation.filter ? guitarompler.note.createFilter(that.context, emulation.filter) : false;
+            if (filterNode) {
+                filterNode.connect(envelopeNode);
+            }
+            envelopeNode.connect(gainNode);
+            guitarompler.note.startEnvelope(envelopeNode, fluid.extend({}, that.envelope, envelopeChanges), now);
+
+            // Near the edge of a zone, we also play the sample from the neighbouring zone (see `guitarompler.loom.blendZones`).
+            var zoneSources = [{ buffer: layer.buffer, basePitch: that.options.basePitch, gain: 1 }];
+            if (that.zoneBlend) {
+                var blendLayer = guitarompler.note.selectLayer(that.zoneBlend, velocity, guitarompler.note.layersForArticulation(that.zoneBlend.layers, articulationName));
+                var blendGains = guitarompler.note.blendGains(that.zoneBlend.weight);
+                zoneSources[0].gain = blendGains[0];
+                zoneSources.push({ buffer: blendLayer.buffer, basePitch: that.zoneBlend.basePitch, gain: blendGains[1] });
+            }
+
+            var sourcesPlaying = zoneSources.length;
+            var sources = fluid.transform(zoneSources, function (zoneSource) {
+                var source = that.context.createBufferSource();
+                source.buffer = zoneSource.buffer;
 
-            that.source = that.context.createBufferSource();
-            that.source.buffer = that.options.buffer;
+                var blendGainNode = false;
+                if (zoneSource.gain !== 1) {
+                    blendGainNode = that.context.createGain();
+                    blendGainNode.gain.value = zoneSource.gain;
+                    source.connect(blendGainNode);
+                    blendGainNode.connect(filterNode || envelopeNode);
+                }
+                else {
+                    source.connect(filterNode || envelopeNode);
+                }
+
+                // Clean up when the voice finishes, either because it has been released or the recording has ended.
+                source.onended = function () {
+                    that.vibratoOutput.disconnect(source.detune);
+                    if (blendGainNode) {
+                        blendGainNode.disconnect();
+                    }
+                    sourcesPlaying--;
+                    if (!sourcesPlaying) {
+                        gainNode.disconnect();
+                        envelopeNode.disconnect();
+                        if (filterNode) {
+                            filterNode.disconnect();
+                        }
+                        if (that.envelopeNode === envelopeNode) {
+                            that.isPlaying = false;
+                        }
+                    }
+                };
 
-            // Connect the gain node to the destination.
-            that.gainNode.connect(that.context.destination);
+                var sourceSpeed = speed * transposition;
+                if (zoneSource.basePitch !== that.options.basePitch) {
+                    sourceSpeed = that.tuning.speedFor(that.options.pitch, zoneSource.basePitch) * transposition;
+                }
+                source.playbackRate.value = sourceSpeed;
 
-            // Connect the source to the gain node.
-            that.source.connect(that.gainNode);
+                // Slide from the pitch of the previous note.  The glide is exponential, so that each semitone takes as long.
+                var glideFromSpeed = isLegato && articulation.glideTime ? that.tuning.speedFor(legatoFrom, zoneSource.basePitch) : null;
+                if (glideFromSpeed !== null) {
+                    source.playbackRate.setValueAtTime(glideFromSpeed * transposition, now);
+                    source.playbackRate.exponentialRampToValueAtTime(sourceSpeed, now + articulation.glideTime);
+                }
 
-            // If we wanted to change the behaviour of repeated "on" notes, this will update `isPlaying` when the sound file finishes playing.
-            // that.source.onended = function () {
-            //     that.isPlaying = false;
-            // };
+                // Apply the current pitch bend, and any vibrato.  Both adjust the detune (in cents) rather than the speed.
+                source.detune.value = that.controllers.bend;
+                that.vibratoOutput.connect(source.detune);
+                source.start(now, isLegato ? articulation.sampleOffset || 0 : 0);
+                return source;
+            });
 
-            // Scale the pitch/speed based on that.options.speed.
-            that.source.playbackRate.value = that.options.speed;
-            that.source.start(0);
+            that.source = sources[0];
+            that.sources = sources;
+            that.gainNode = gainNode;
+            that.envelopeNode = envelopeNode;
+            that.voiceStart = now;
+            that.envelopeChanges = envelopeChanges;
             that.isPlaying = true;
+            that.releaseStart = false;
+        }
+    };
+
+    /*
+
+        Schedule the attack and decay portions of an envelope, starting at `when`.  The gain ramps from silence to full
+        volume over `envelope.attack` seconds, and then to `envelope.sustain` over `envelope.decay` seconds.
+
+    */
+    guitarompler.note.startEnvelope = function (envelopeNode, envelope, when) {
+        var gain = envelopeNode.gain;
+        gain.cancelScheduledValues(when);
+        gain.setValueAtTime(0, when);
+        gain.linearRampToValueAtTime(1, when + envelope.attack);
+        gain.linearRampToValueAtTime(envelope.sustain, when + envelope.attack + envelope.decay);
+    };
+
+    // The envelope of the current voice, i.e. the loom's envelope (which may have changed since the voice started), with
+    // any changes made by the voice's articulation.
+    guitarompler.note.voiceEnvelope = function (that) {
+        return fluid.extend({}, that.envelope, that.envelopeChanges);
+    };
+
+    /*
+
+        The gains of the two samples played by a note near the edge of a zone, where `weight` is the share (from 0 to
+        1) of the neighbouring zone.  The gains follow an "equal power" curve, so that the blend is as loud as either
+        sample on its own.
+
+    */
+    guitarompler.note.blendGains = function (weight) {
+        return [Math.cos(weight * Math.PI / 2), Math.sin(weight * Math.PI / 2)];
+    };
+
+    // A filter for a single voice, using the `type`, `frequency` and `Q` from an articulation's `emulation` settings.
+    guitarompler.note.createFilter = function (context, filterSettings) {
+        var filterNode = context.createBiquadFilter();
+        filterNode.type = filterSettings.type || "lowpass";
+        filterNode.frequency.value = filterSettings.frequency;
+        if (fluid.isValue(filterSettings.Q)) {
+            filterNode.Q.value = filterSettings.Q;
+        }
+        return filterNode;
+    };
+
+    // The level of an envelope started at `startTime`, at a later `time`, before the envelope is released.
+    guitarompler.note.envelopeLevel = function (envelope, startTime, time) {
+        var elapsed = time - startTime;
+        if (elapsed < 0) {
+            return 0;
+        }
+        if (elapsed < envelope.attack) {
+            return elapsed / envelope.attack;
+        }
+
+        var decayElapsed = elapsed - envelope.attack;
+        if (decayElapsed < envelope.decay) {
+            return 1 - ((1 - envelope.sustain) * (decayElapsed / envelope.decay));
         }
+
+        return envelope.sustain;
+    };
+
+    // The time at which to act on a message, i.e. `when` if it is in the future, and otherwise right away.
+    guitarompler.note.startTime = function (context, when) {
+        return Math.max(when || 0, context.currentTime);
     };
 
-    guitarompler.note.speedFromOffset = function (offset) {
-        return Math.pow(2, (offset / 12));
+    // Ramp a voice down to silence from `level` (its level at `when`), and stop its sources once it is silent.
+    guitarompler.note.releaseVoice = function (sources, envelopeNode, releaseTime, when, level) {
+        var gain = envelopeNode.gain;
+        gain.cancelScheduledValues(when);
+        gain.setValueAtTime(level, when);
+        gain.linearRampToValueAtTime(0, when + releaseTime);
+        fluid.each(fluid.makeArray(sources), function (source) {
+            source.stop(when + releaseTime);
+        });
     };
 
-    guitarompler.note.stopPlaying = function (that) {
-        if (that.source) {
-            that.source.stop();
+    /*
+
+        Release the note's current voice at `when` (or right away).  A voice released right away fades out from its
+        current level.  A voice released in the future fades out from the level its envelope will have reached by then.
+        A voice is never released before it starts, which can happen when a scheduled voice is released right away.  If
+        the voice is already due to be released before `when` (for example, by a "note off" sent ahead of time), the
+        earlier release is kept.
+
+    */
+    guitarompler.note.releaseCurrentVoice = function (that, releaseTime, when) {
+        var now = that.context.currentTime;
+        var releaseStart = Math.max(guitarompler.note.startTime(that.context, when), that.voiceStart);
+        if (that.releaseStart !== false && that.releaseStart <= releaseStart) {
+            return;
+        }
+
+        var level = releaseStart > now ? guitarompler.note.envelopeLevel(guitarompler.note.voiceEnvelope(that), that.voiceStart, releaseStart) : that.envelopeNode.gain.value;
+        guitarompler.note.releaseVoice(that.sources, that.envelopeNode, releaseTime, releaseStart, level);
+        that.releaseStart = releaseStart;
+        // A voice released in the future is still playing until then, see `guitarompler.note.isSounding`.
+        if (releaseStart <= now) {
             that.isPlaying = false;
         }
     };
 
-    fluid.defaults("guitarompler.220Note", {
-        gradeNames: ["guitarompler.note"],
-        basePitch: 57
-    });
+    // Whether the note's current voice is playing, and has not been released.  A voice that is due to be released
+    // later is still sounding until then.
+    guitarompler.note.isSounding = function (that) {
+        return that.isPlaying && (that.releaseStart === false || that.releaseStart > that.context.currentTime);
+    };
 
-    fluid.defaults("guitarompler.440Note", {
-        gradeNames: ["guitarompler.note"],
-        basePitch: 69
-    });
+    /*
 
-    fluid.defaults("guitarompler.880Note", {
-        gradeNames: ["guitarompler.note"],
-        basePitch: 81
-    });
+        Select the layer (sample) to play for a given velocity, from `layers` if it is set, and otherwise from all of the
+        note's layers.  Layers whose velocity range includes `velocity` are candidates.  If more than one candidate
+        shares the same round-robin `group`, we rotate through the members of the group each time the note is played.
+        Layers without velocity ranges or groups match any velocity, and form a single group.
 
-    fluid.defaults("guitarompler.1760Note", {
-        gradeNames: ["guitarompler.note"],
-        basePitch: 93
-    });
+    */
+    guitarompler.note.selectLayer = function (that, velocity, layers) {
+        layers = layers || that.options.layers;
+        var candidates = guitarompler.note.layersForVelocity(layers, velocity);
 
-    fluid.defaults("guitarompler.3520Note", {
-        gradeNames: ["guitarompler.note"],
-        basePitch: 105
-    });
+        // If no layers match, fall back to the layer whose velocity range is closest to the requested velocity.
+        if (!candidates.length) {
+            candidates = [guitarompler.note.closestLayer(layers, velocity)];
+        }
 
-    fluid.defaults("guitarompler.7040Note", {
-        gradeNames: ["guitarompler.note"],
-        basePitch: 117
-    });
+        var group = fluid.get(candidates, "0.group") || "default";
+        var alternates = candidates.filter(function (layer) {
+            return (layer.group || "default") === group;
+        });
+
+        var position = that.roundRobinPositions[group] || 0;
+        that.roundRobinPositions[group] = (position + 1) % alternates.length;
+        return alternates[position % alternates.length];
+    };
+
+    /*
+
+        The layers to play for an articulation.  Layers with an `articulation` property were recorded with that
+        articulation (for example, `"harmonic"`), and layers without one are ordinary plucked notes.  If there are no
+        layers for the articulation, the ordinary layers are used instead.
+
+    */
+    guitarompler.note.layersForArticulation = function (layers, articulation) {
+        var layersWith = function (wanted) {
+            return layers.filter(function (layer) {
+                return (layer.articulation || "normal") === wanted;
+            });
+        };
+        var matchingLayers = layersWith(articulation);
+        if (!matchingLayers.length) {
+            matchingLayers = layersWith("normal");
+        }
+        return matchingLayers.length ? matchingLayers : layers;
+    };
 
+    guitarompler.note.velocityRange = function (layer) {
+        return {
+            min: fluid.isValue(layer.minVelocity) ? layer.minVelocity : 0,
+            max: fluid.isValue(layer.maxVelocity) ? layer.maxVelocity : 127
+        };
+    };
+
+    guitarompler.note.layersForVelocity = function (layers, velocity) {
+        return layers.filter(function (layer) {
+            var range = guitarompler.note.velocityRange(layer);
+            return velocity >= range.min && velocity <= range.max;
+        });
+    };
+
+    guitarompler.note.closestLayer = function (layers, velocity) {
+        var distanceFromVelocity = function (layer) {
+            var range = guitarompler.note.velocityRange(layer);
+            return Math.min(Math.abs(velocity - range.min), Math.abs(velocity - range.max));
+        };
+
+        return fluid.makeArray(layers).sort(function (a, b) {
+            return distanceFromVelocity(a) - distanceFromVelocity(b);
+        })[0];
+    };
+
+    // Smoothly move the pitch of the playing note to match the current pitch bend, starting at `when` (or right away).
+    guitarompler.note.applyBend = function (that, when) {
+        if (that.source && guitarompler.note.isSounding(that)) {
+            var bendStart = guitarompler.note.startTime(that.context, when);
+            fluid.each(that.sources, function (source) {
+                source.detune.setTargetAtTime(that.controllers.bend, bendStart, that.options.bendSmoothing);
+            });
+        }
+    };
+
+    // Quickly silence a note at `when` (or right away), ignoring the release time and any pedals, for example to make
+    // room for another note.
+    guitarompler.note.choke = function (that, when) {
+        if (that.source && guitarompler.note.isSounding(that)) {
+            guitarompler.note.releaseCurrentVoice(that, that.envelope.crossfade, when);
+            that.isHeld = false;
+        }
+    };
+
+    guitarompler.note.stopPlaying = function (that, when) {
+        if (that.source && guitarompler.note.isSounding(that)) {
+            guitarompler.note.releaseCurrentVoice(that, guitarompler.note.voiceEnvelope(that).release, when);
+            that.isHeld = false;
+        }
+    };
 
     fluid.defaults("guitarompler.noteHolder", {
         gradeNames: ["fluid.component"],
         noteGrade: "guitarompler.note",
         basePitch: 0,
-        minOffset: -6,
-        maxOffset: 5,
-        noteSources: [
-            { offset: -6},
-            { offset: -5},
-            { offset: -4},
-            { offset: -3},
-            { offset: -2},
-            { offset: -1},
-            { offset: 0},
-            { offset: 1},
-            { offset: 2},
-            { offset: 3},
-            { offset: 4},
-            { offset: 5},
-            { offset: 6},
-            { offset: 7},
-            { offset: 8},
-            { offset: 9},
-            { offset: 10}
-        ],
-        // TODO: Figure out a way to generate the sources more cleanly, this fails.
-        // noteSources: "expand:guitarompler.noteHolder.generateNoteSources({that}.options.minOffset, {that}.options.maxOffset)",
-        buffer: false,
+        minPitch: 0,
+        maxPitch: 0,
+        noteSources: "@expand:guitarompler.noteHolder.generateNoteSources({that}.options.basePitch, {that}.options.minPitch, {that}.options.maxPitch)",
+        layers: [],
         dynamicComponents: {
             "note": {
                 type: "{guitarompler.noteHolder}.options.noteGrade",
@@ -267,33 +557,42 @@
                 options: {
                     basePitch: "{guitarompler.noteHolder}.options.basePitch",
                     offset: "{source}.offset",
-                    speed: "@expand:guitarompler.note.speedFromOffset({source}.offset)",
-                    buffer: "{guitarompler.noteHolder}.options.buffer"
+                    layers: "{guitarompler.noteHolder}.options.layers"
                 }
             }
         }
     });
 
-    guitarompler.noteHolder.generateNoteSources = function (minOffset, maxOffset) {
+    guitarompler.noteHolder.generateNoteSources = function (basePitch, minPitch, maxPitch) {
         var noteSources = [];
-        for (var a = minOffset; a <= maxOffset; a++) {
-            noteSources.push({ offset: a});
+        for (var pitch = minPitch; pitch <= maxPitch; pitch++) {
+            noteSources.push({ offset: pitch - basePitch});
         }
         return noteSources;
     };
 
+    /*
+
+        A single "zone" of an instrument definition, i.e. one or more recordings of the same note, and the range of notes
+        they should be used for.
+
+    */
     fluid.defaults("guitarompler.noteFamily", {
         gradeNames: ["fluid.component"],
         noteGrade: "guitarompler.note",
+        samples: [],
         basePitch: 0,
+        minPitch: 0,
+        maxPitch: 0,
         events: {
-            createNotes: null
+            createNotes: null,
+            onNotesCreated: null
         },
         components: {
             soundLoader: {
                 type: "guitarompler.soundLoader",
                 options: {
-                    soundUrl: "{guitarompler.noteFamily}.options.noteUrl",
+                    samples: "{guitarompler.noteFamily}.options.samples",
                     listeners: {
                         "onSoundReady.notifyParent": {
                             func: "{guitarompler.noteFamily}.events.createNotes.fire",
@@ -308,269 +607,1462 @@
                 options: {
                     noteGrade: "{guitarompler.noteFamily}.options.noteGrade",
                     basePitch: "{guitarompler.noteFamily}.options.basePitch",
-                    buffer: "{arguments}.0"
+                    minPitch: "{guitarompler.noteFamily}.options.minPitch",
+                    maxPitch: "{guitarompler.noteFamily}.options.maxPitch",
+                    layers: "{arguments}.0",
+                    listeners: {
+                        // Our dynamic "note" components are all created before this fires.
+                        "onCreate.notifyFamily": {
+                            func: "{guitarompler.noteFamily}.events.onNotesCreated.fire"
+                        }
+                    }
                 }
             }
         }
     });
 
-    fluid.defaults("guitarompler.220NoteFamily", {
-        gradeNames: ["guitarompler.noteFamily"],
-        noteUrl: "./src/sounds/220.wav",
-        noteGrade: "guitarompler.220Note",
-        basePitch: 57,
-        components: {
-            noteHolder: {
-                options: {
-                    minOffset: -21,
-                    maxOffset:  5,
-                    noteSources: [
-                        { offset: -21},
-                        { offset: -20},
-                        { offset: -19},
-                        { offset: -18},
-                        { offset: -17},
-                        { offset: -16},
-                        { offset: -15},
-                        { offset: -14},
-                        { offset: -13},
-                        { offset: -12},
-                        { offset: -11},
-                        { offset: -10},
-                        { offset: -9},
-                        { offset: -8},
-                        { offset: -7},
-                        { offset: -6},
-                        { offset: -5},
-                        { offset: -4},
-                        { offset: -3},
-                        { offset: -2},
-                        { offset: -1},
-                        { offset: 0},
-                        { offset: 1},
-                        { offset: 2},
-                        { offset: 3},
-                        { offset: 4},
-                        { offset: 5}
+    /*
+
+        An instrument built from a declarative definition (see `src/instruments/guitarlele.json` for an example), which
+        lists "zones", i.e. the MIDI note at which a set of samples was recorded, and the range of notes they should be
+        used for.  Each sample may optionally have a velocity range, and a round-robin group (see
+        `guitarompler.note.selectLayer` above):
+
+        {
+            "name": "My Instrument",
+            "zones": [
+                {
+                    "rootPitch": 57, "minPitch": 36, "maxPitch": 62,
+                    "samples": [
+                        { "url": "./soft.wav", "maxVelocity": 63 },
+                        { "url": "./loud-1.wav", "minVelocity": 64, "group": "loud" },
+                        { "url": "./loud-2.wav", "minVelocity": 64, "group": "loud" }
                     ]
                 }
-            }
+            ]
         }
-    });
-
-    fluid.defaults("guitarompler.440NoteFamily", {
-        gradeNames: ["guitarompler.noteFamily"],
-        noteUrl: "./src/sounds/440.wav",
-        noteGrade: "guitarompler.440Note",
-        basePitch: 69
-    });
-
-    fluid.defaults("guitarompler.880NoteFamily", {
-        gradeNames: ["guitarompler.noteFamily"],
-        noteUrl: "./src/sounds/880.wav",
-        noteGrade: "guitarompler.880Note",
-        basePitch: 81
-    });
 
-    fluid.defaults("guitarompler.1760NoteFamily", {
-        gradeNames: ["guitarompler.noteFamily"],
-        noteUrl: "./src/sounds/1760.wav",
-        noteGrade: "guitarompler.1760Note",
-        basePitch: 93
+        A `guitarompler.noteFamily` is created for each zone.
 
-    });
-
-    fluid.defaults("guitarompler.3520NoteFamily", {
-        gradeNames: ["guitarompler.noteFamily"],
-        noteUrl: "./src/sounds/3520.wav",
-        noteGrade: "guitarompler.3520Note",
-        basePitch: 105
-    });
-
-    fluid.defaults("guitarompler.7040NoteFamily", {
-        gradeNames: ["guitarompler.noteFamily"],
-        noteUrl: "./src/sounds/7040.wav",
-        noteGrade: "guitarompler.7040Note",
-        basePitch: 117,
-        components: {
-            noteHolder: {
+    */
+    fluid.defaults("guitarompler.instrument", {
+        gradeNames: ["fluid.component"],
+        definition: {
+            zones: []
+        },
+        dynamicComponents: {
+            family: {
+                type: "guitarompler.noteFamily",
+                sources: "{guitarompler.instrument}.options.definition.zones",
                 options: {
-                    minOffset: -6,
-                    maxOffset: 10,
-                    noteSources: [
-                        { offset: -6},
-                        { offset: -5},
-                        { offset: -4},
-                        { offset: -3},
-                        { offset: -2},
-                        { offset: -1},
-                        { offset: 0},
-                        { offset: 1},
-                        { offset: 2},
-                        { offset: 3},
-                        { offset: 4},
-                        { offset: 5},
-                        { offset: 6},
-                        { offset: 7},
-                        { offset: 8},
-                        { offset: 9},
-                        { offset: 10}
-                    ]
+                    samples: "{source}.samples",
+                    basePitch: "{source}.rootPitch",
+                    minPitch: "{source}.minPitch",
+                    maxPitch: "{source}.maxPitch",
+                    listeners: {
+                        "onNotesCreated.notifyLoom": {
+                            func: "{guitarompler.loom}.events.onFamilyNotesCreated.fire"
+                        }
+                    }
                 }
             }
         }
     });
 
-    fluid.defaults("guitarompler.loom", {
-        gradeNames: ["fluid.component"], // TODO: Make into a note receiver.
+    /*
+
+        The master output bus shared by all notes.  Notes connect to `input`, which is routed through a master gain, a
+        compressor that tames the peaks when chords are played, and a limiter that keeps the output from clipping.
+
+    */
+    fluid.defaults("guitarompler.outputBus", {
+        gradeNames: ["fluid.component"],
+        volume: 0.8,
+        pan: 0, // From -1 (all the way left) to 1 (all the way right).
+        compressor: {
+            threshold: -18,
+            knee: 12,
+            ratio: 4,
+            attack: 0.005,
+            release: 0.25
+        },
+        limiter: {
+            threshold: -1,
+            knee: 0,
+            ratio: 20,
+            attack: 0.001,
+            release: 0.05
+        },
         members: {
-            destinationByNote: "@expand:fluid.generate(128, false)"
+            context: "{guitarompler.loom}.context",
+            input: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            masterGain: "@expand:guitarompler.outputBus.createGain({that}.context, {that}.options.volume)",
+            panner: "@expand:guitarompler.outputBus.createPanner({that}.context, {that}.options.pan)",
+            compressor: "@expand:guitarompler.outputBus.createCompressor({that}.context, {that}.options.compressor)",
+            limiter: "@expand:guitarompler.outputBus.createCompressor({that}.context, {that}.options.limiter)"
         },
-        events: {
-            "220NotesCreated": null,
-            "440NotesCreated": null,
-            "880NotesCreated": null,
-            "1760NotesCreated": null,
-            "3520NotesCreated": null,
-            "7040NotesCreated": null,
-            allFamilyNotesCreated: {
-                events: {
-                    "220NotesCreated": "220NotesCreated",
-                    "440NotesCreated": "440NotesCreated",
-                    "880NotesCreated": "880NotesCreated",
-                    "1760NotesCreated": "1760NotesCreated",
-                    "3520NotesCreated": "3520NotesCreated",
-                    "7040NotesCreated": "7040NotesCreated"
-                }
+        components: {
+            effects: {
+                type: "guitarompler.effectsChain"
             }
         },
-        components: {
-            "220Family": {
-                type: "guitarompler.220NoteFamily",
-                options: {
-                    listeners: {
-                        "createNotes.notifyParent": {
-                            func: "{guitarompler.loom}.events.220NotesCreated.fire"
-                        }
-                    }
-                }
+        listeners: {
+            "onCreate.connect": {
+                funcName: "guitarompler.outputBus.connect",
+                args: ["{that}"]
             },
-            "440Family": {
-                type: "guitarompler.440NoteFamily",
-                options: {
-                    listeners: {
-                        "createNotes.notifyParent": {
-                            func: "{guitarompler.loom}.events.440NotesCreated.fire"
-                        }
-                    }
-                }
+            "onDestroy.disconnect": {
+                funcName: "guitarompler.outputBus.disconnect",
+                args: ["{that}"]
+            }
+        },
+        invokers: {
+            setVolume: {
+                funcName: "guitarompler.outputBus.setVolume",
+                args: ["{that}", "{arguments}.0"] // volume
             },
-            "880Family": {
-                type: "guitarompler.880NoteFamily",
-                options: {
-                    listeners: {
-                        "createNotes.notifyParent": {
-                            func: "{guitarompler.loom}.events.880NotesCreated.fire"
-                        }
-                    }
-                }
+            setPan: {
+                funcName: "guitarompler.outputBus.setPan",
+                args: ["{that}", "{arguments}.0"] // pan
+            }
+        }
+    });
 
-            },
-            "1760Family": {
-                type: "guitarompler.1760NoteFamily",
-                options: {
-                    listeners: {
-                        "createNotes.notifyParent": {
-                            func: "{guitarompler.loom}.events.1760NotesCreated.fire"
-                        }
-                    }
-                }
+    guitarompler.outputBus.createGain = function (context, gain) {
+        var gainNode = context.createGain();
+        gainNode.gain.value = gain;
+        return gainNode;
+    };
 
-            },
-            "3520Family": {
-                type: "guitarompler.3520NoteFamily",
-                options: {
-                    listeners: {
-                        "createNotes.notifyParent": {
-                            func: "{guitarompler.loom}.events.3520NotesCreated.fire"
-                        }
-                    }
-                }
-            },
-            "7040Family": {
-                type: "guitarompler.7040NoteFamily",
-                options: {
-                    listeners: {
-                        "createNotes.notifyParent": {
-                            func: "{guitarompler.loom}.events.7040NotesCreated.fire"
-                        }
-                    }
-                }
-            }
+    guitarompler.outputBus.createPanner = function (context, pan) {
+        var panner = context.createStereoPanner();
+        panner.pan.value = pan;
+        return panner;
+    };
+
+    guitarompler.outputBus.createCompressor = function (context, settings) {
+        var compressor = context.createDynamicsCompressor();
+        fluid.each(settings, function (value, paramName) {
+            compressor[paramName].value = value;
+        });
+        return compressor;
+    };
+
+    guitarompler.outputBus.connect = function (that) {
+        that.input.connect(that.effects.input);
+        that.effects.output.connect(that.masterGain);
+        that.masterGain.connect(that.panner);
+        that.panner.connect(that.compressor);
+        that.compressor.connect(that.limiter);
+        that.limiter.connect(that.context.destination);
+    };
+
+    guitarompler.outputBus.disconnect = function (that) {
+        that.limiter.disconnect();
+    };
+
+    guitarompler.outputBus.setVolume = function (that, volume) {
+        // Ramp rather than jumping to the new value to avoid "zipper" noise.
+        that.masterGain.gain.setTargetAtTime(volume, that.context.currentTime, 0.01);
+    };
+
+    guitarompler.outputBus.setPan = function (that, pan) {
+        that.panner.pan.setTargetAtTime(Math.min(1, Math.max(-1, pan)), that.context.currentTime, 0.01);
+    };
+
+    /*
+
+        A low-frequency oscillator shared by all notes, whose output is connected to the detune of each playing note.
+        The depth of the vibrato (in cents) is controlled by the modulation wheel.
+
+    */
+    fluid.defaults("guitarompler.vibrato", {
+        gradeNames: ["fluid.component"],
+        rate: 5.5,
+        members: {
+            context: "{guitarompler.loom}.context",
+            oscillator: "@expand:guitarompler.vibrato.createOscillator({that}.context, {that}.options.rate)",
+            output: "@expand:guitarompler.outputBus.createGain({that}.context, 0)"
         },
         listeners: {
-            "allFamilyNotesCreated.wireDestinations": {
-                funcName: "guitarompler.loom.wireDestinations",
+            "onCreate.start": {
+                funcName: "guitarompler.vibrato.start",
+                args: ["{that}"]
+            },
+            "onDestroy.stop": {
+                funcName: "guitarompler.vibrato.stop",
                 args: ["{that}"]
             }
         },
         invokers: {
-            handleNoteMessage: {
-                funcName: "guitarompler.loom.sendToDestination",
-                args: ["{that}", "{arguments}.0"] // midiMessage
+            setDepth: {
+                funcName: "guitarompler.vibrato.setDepth",
+                args: ["{that}", "{arguments}.0"] // depth, in cents
             }
         }
     });
 
-    guitarompler.loom.sendToDestination = function (that, midiMessage) {
-        var messageType = fluid.get(midiMessage, "type");
-        if (messageType && ["noteOn", "noteOff", "aftertouch"].indexOf(messageType) !== -1) {
-            var noteDestination = fluid.get(that, ["destinationByNote", midiMessage.note]);
-            if (noteDestination) {
-                noteDestination.handleNoteMessage(midiMessage);
-            }
-        }
+    guitarompler.vibrato.createOscillator = function (context, rate) {
+        var oscillator = context.createOscillator();
+        oscillator.frequency.value = rate;
+        return oscillator;
     };
 
-    guitarompler.loom.wireDestinations = function (that) {
-        // Awful hack to force the query to wait until all notes are finished constructing.
-        setTimeout(function () {
-            var allNotes = fluid.queryIoCSelector(that, "guitarompler.note");
-            fluid.each(allNotes, function (noteComponent) {
-                var pitch = noteComponent.options.basePitch + noteComponent.options.offset;
-                that.destinationByNote[pitch] = noteComponent;
-            });
-        }, 500);
+    guitarompler.vibrato.start = function (that) {
+        that.oscillator.connect(that.output);
+        that.oscillator.start();
     };
 
-    fluid.defaults("guitarompler.launcher", {
-        gradeNames: ["fluid.viewComponent"],
-        selectors: {
-            noteInput: ".note-input",
-            startButton: ".start-button"
-        },
-        events: {
-            actionTaken: null,
-            note: null,
-            aftertouch: null
+    guitarompler.vibrato.stop = function (that) {
+        that.oscillator.stop();
+        that.oscillator.disconnect();
+    };
+
+    guitarompler.vibrato.setDepth = function (that, depth) {
+        that.output.gain.setTargetAtTime(depth, that.context.currentTime, 0.05);
+    };
+
+    /*
+
+        Keeps track of the notes that are sounding in a player (i.e. the loom, or one of its parts, see
+        `guitarompler.player`), and decides which notes to stop (if any) to make room for a new note.  There are two
+        limits:
+
+        1. When `guitarMode` is enabled, each note is assigned to a "string" based on the `tuning` (the open pitch of
+           each string, lowest first) and the number of `frets`.  Each string can only play one note at a time, so a new
+           note on a string "chokes" the note that was playing there.
+        2. No more than `maxPolyphony` notes can sound at once.  When the limit is reached, a note is "stolen", either the
+           note that started first (`stealingMode: "oldest"`), or the quietest note (`stealingMode: "quietest"`).
+
+    */
+    fluid.defaults("guitarompler.voiceAllocator", {
+        gradeNames: ["fluid.component"],
+        maxPolyphony: 32,
+        stealingMode: "oldest",
+        guitarMode: false,
+        tuning: [40, 45, 50, 55, 59, 64], // E2, A2, D3, G3, B3, E4
+        frets: 24,
+        members: {
+            voices: [], // Each voice is an object with the `pitch` and `string` being played, and its `order`.
+            voiceCount: 0
         },
-        components: {
-            noteInput: {
-                type: "flock.midi.connectorView",
-                container: "{that}.dom.noteInput",
-                options: {
-                    portType: "input",
-                    listeners: {
-                        "aftertouch.notifyParent": {
-                            func: "{guitarompler.launcher}.events.aftertouch.fire"
-                        },
-                        "note.notifyParent": {
-                            func: "{guitarompler.launcher}.events.note.fire"
-                        }
-                    },
-                    components: {
-                        midiPortSelector: {
-                            options: {
+        invokers: {
+            allocate: {
+                funcName: "guitarompler.voiceAllocator.allocate",
+                args: ["{that}", "{arguments}.0"] // pitch
+            },
+            isSounding: "guitarompler.player.isSounding({guitarompler.player}, {arguments}.0)", // pitch
+            gainOf: "guitarompler.player.gainOf({guitarompler.player}, {arguments}.0)", // pitch
+            choke: "guitarompler.player.chokeNote({guitarompler.player}, {arguments}.0)" // pitch
+        }
+    });
+
+    guitarompler.voiceAllocator.allocate = function (that, pitch) {
+        // Forget about any voices that have finished, and about the previous voice for this pitch, if any.
+        that.voices = that.voices.filter(function (voice) {
+            return voice.pitch !== pitch && that.isSounding(voice.pitch);
+        });
+
+        var newVoice = { pitch: pitch, order: that.voiceCount++ };
+
+        if (that.options.guitarMode) {
+            newVoice.string = guitarompler.voiceAllocator.chooseString(that, pitch);
+            fluid.each(that.voices, function (voice) {
+                if (voice.string === newVoice.string) {
+                    guitarompler.voiceAllocator.stopVoice(that, voice);
+                }
+            });
+        }
+
+        while (that.voices.length >= that.options.maxPolyphony) {
+            guitarompler.voiceAllocator.stopVoice(that, guitarompler.voiceAllocator.chooseVoiceToSteal(that));
+        }
+
+        that.voices.push(newVoice);
+        return newVoice;
+    };
+
+    guitarompler.voiceAllocator.stopVoice = function (that, voiceToStop) {
+        that.choke(voiceToStop.pitch);
+        that.voices = that.voices.filter(function (voice) {
+            return voice !== voiceToStop;
+        });
+    };
+
+    guitarompler.voiceAllocator.chooseVoiceToSteal = function (that) {
+        var sortFn = that.options.stealingMode === "quietest" ?
+            function (a, b) { return that.gainOf(a.pitch) - that.gainOf(b.pitch); } :
+            function (a, b) { return a.order - b.order; };
+        return fluid.makeArray(that.voices).sort(sortFn)[0];
+    };
+
+    /*
+
+        Choose the string on which to play a note.  We prefer strings that are not already playing a note, and on which
+        the note can be played closest to the nut (i.e. the string with the highest open pitch that can play the note).
+        If every string that can play the note is in use, we use the one whose note started first.  Notes that are
+        outside the range of every string are played on the nearest string.
+
+    */
+    guitarompler.voiceAllocator.chooseString = function (that, pitch) {
+        var tuning = that.options.tuning;
+        var candidates = [];
+        fluid.each(tuning, function (openPitch, string) {
+            if (pitch >= openPitch && pitch <= openPitch + that.options.frets) {
+                candidates.push(string);
+            }
+        });
+
+        if (!candidates.length) {
+            return pitch < tuning[0] ? 0 : tuning.length - 1;
+        }
+
+        var voiceOrderByString = {};
+        fluid.each(that.voices, function (voice) {
+            voiceOrderByString[voice.string] = voice.order;
+        });
+
+        var freeCandidates = candidates.filter(function (string) {
+            return !fluid.isValue(voiceOrderByString[string]);
+        });
+
+        if (freeCandidates.length) {
+            return freeCandidates.sort(function (a, b) { return tuning[b] - tuning[a]; })[0];
+        }
+        // If every possible string is in use, use the string whose note started first.
+        else {
+            return candidates.sort(function (a, b) { return voiceOrderByString[a] - voiceOrderByString[b]; })[0];
+        }
+    };
+
+    /*
+
+        A set of notes that are played together, along with the state of the MIDI controllers that affect them.  The
+        loom is a player, and so is each of its multitimbral parts (see `guitarompler.part`), so that each part has its
+        own note components, voices, pedals, pitch bend and modulation.  Each note component uses the controllers and
+        vibrato of the player it belongs to.
+
+    */
+    fluid.defaults("guitarompler.player", {
+        gradeNames: ["fluid.component"],
+        members: {
+            input: false, // The node that the player's notes are connected to.
+            destinationByNote: "@expand:fluid.generate(128, false)",
+            // The state of the MIDI controllers that affect all of the player's notes, such as the sustain and
+            // sostenuto pedals, and of the articulation keyswitches.
+            controllers: {
+                sustain: false,
+                sostenuto: false,
+                bend: 0, // The current pitch bend, in cents.
+                modulation: 0,
+                articulation: "{guitarompler.loom}.options.articulation"
+            },
+            lastNote: false // The most recently started note, which a slide or hammer-on moves on from.
+        },
+        components: {
+            vibrato: {
+                type: "guitarompler.vibrato"
+            },
+            voiceAllocator: {
+                type: "guitarompler.voiceAllocator"
+            }
+        }
+    });
+
+    guitarompler.player.isSounding = function (that, pitch) {
+        var noteComponent = that.destinationByNote[pitch];
+        return !!noteComponent && guitarompler.note.isSounding(noteComponent);
+    };
+
+    guitarompler.player.gainOf = function (that, pitch) {
+        var noteComponent = that.destinationByNote[pitch];
+        return guitarompler.player.isSounding(that, pitch) ? noteComponent.gainNode.gain.value * noteComponent.envelopeNode.gain.value : 0;
+    };
+
+    guitarompler.player.chokeNote = function (that, pitch) {
+        var noteComponent = that.destinationByNote[pitch];
+        if (noteComponent) {
+            noteComponent.choke();
+        }
+    };
+
+    guitarompler.player.eachNote = function (that, noteFn) {
+        fluid.each(that.destinationByNote, function (noteComponent) {
+            if (noteComponent) {
+                noteFn(noteComponent);
+            }
+        });
+    };
+
+    // Find the pitch of each of `noteComponents`, so that messages can be routed to them.
+    guitarompler.player.wireNotes = function (that, noteComponents) {
+        fluid.each(noteComponents, function (noteComponent) {
+            that.destinationByNote[noteComponent.options.pitch] = noteComponent;
+        });
+    };
+
+    // The sustain pedal holds all notes that are released while it is down.
+    guitarompler.player.setSustain = function (that, isPedalDown, when) {
+        that.controllers.sustain = isPedalDown;
+        if (!isPedalDown) {
+            guitarompler.player.releaseHeldNotes(that, when);
+        }
+    };
+
+    // The sostenuto pedal only holds the notes whose keys were already down when it was pressed.
+    guitarompler.player.setSostenuto = function (that, isPedalDown, when) {
+        if (isPedalDown && !that.controllers.sostenuto) {
+            guitarompler.player.eachNote(that, function (noteComponent) {
+                noteComponent.isSostenutoLatched = noteComponent.isKeyDown && guitarompler.note.isSounding(noteComponent);
+            });
+        }
+        else if (!isPedalDown) {
+            guitarompler.player.eachNote(that, function (noteComponent) {
+                noteComponent.isSostenutoLatched = false;
+            });
+        }
+
+        that.controllers.sostenuto = isPedalDown;
+
+        if (!isPedalDown) {
+            guitarompler.player.releaseHeldNotes(that, when);
+        }
+    };
+
+    // Stop any notes that were being held by a pedal, and which are no longer held by either pedal.
+    guitarompler.player.releaseHeldNotes = function (that, when) {
+        guitarompler.player.eachNote(that, function (noteComponent) {
+            if (noteComponent.isHeld && !that.controllers.sustain && !noteComponent.isSostenutoLatched) {
+                noteComponent.stopPlaying(when);
+            }
+        });
+    };
+
+    // Release every note right away, including notes held by the pedals.
+    guitarompler.player.allNotesOff = function (that) {
+        guitarompler.player.eachNote(that, function (noteComponent) {
+            noteComponent.isKeyDown = false;
+            noteComponent.isSostenutoLatched = false;
+            noteComponent.stopPlaying();
+        });
+    };
+
+    /*
+
+        The instrument itself, which owns the AudioContext and creates a note component for each playable note.
+
+        The loom is a `flock.midi.receiver`, so it can be driven by a MIDI connection by relaying the connection's
+        `note`, `control`, `aftertouch` and `pitchbend` events to the loom's events of the same name.  It can also be
+        played from code, without a MIDI device or any DOM, using the `noteOn`, `noteOff`, `playChord` and
+        `allNotesOff` invokers (see the README for details), or by passing messages to `handleNoteMessage`.
+
+        The loom only responds to messages on its `channels`.  When it is `multitimbral`, each channel is played as a
+        separate part, with its own notes, controllers, volume, pan, transposition and articulation (see
+        `guitarompler.loom.partFor`).
+
+    */
+    fluid.defaults("guitarompler.loom", {
+        gradeNames: ["flock.midi.receiver", "guitarompler.player"],
+        instrumentUrl: "./src/instruments/guitarlele.json",
+        instrument: false, // An inline instrument definition, which is used instead of loading `instrumentUrl`.
+        // The amplitude envelope used by all notes.  All times are in seconds, `sustain` is a gain between 0 and 1.
+        // `crossfade` is how long a playing note takes to fade out when the same note is played again.
+        envelope: {
+            attack: 0.002,
+            decay: 0.5,
+            sustain: 1,
+            release: 0.25,
+            crossfade: 0.03
+        },
+        // How the velocity of each note sets its volume.  With an `exponent` above 1, soft notes are quieter (and the
+        // instrument sounds more dynamic), below 1 they are louder (and it sounds more compressed).  `floor` is the
+        // gain of the softest possible note, as a fraction of the loudest.
+        velocityCurve: {
+            exponent: 1,
+            floor: 0
+        },
+        bendRange: 2, // How far (in semitones) the pitch bend wheel can move notes up or down.
+        bendSmoothing: 0.01, // The time constant used when moving playing notes to a new pitch bend.
+        maxVibratoDepth: 50, // The depth of the vibrato (in cents) when the modulation wheel is all the way up.
+        defaultVelocity: 100, // The velocity used by `noteOn` and `playChord` when none is specified.
+        // How far ahead (in seconds) to schedule messages that have a timestamp, see `guitarompler.loom.scheduleMessage`.
+        lookAhead: 0.02,
+        // The width (in semitones) of the region around each boundary between zones where notes blend the samples from
+        // both zones, see `guitarompler.loom.blendZones`.  0 turns blending off.
+        zoneOverlap: 0,
+        // Options for each of the effects on the output bus, see `guitarompler.effectsChain` in `effects.js`.
+        effects: {
+            body: {},
+            eq: {},
+            chorus: {},
+            room: {},
+            widener: {}
+        },
+        // The tuning used to calculate the pitch of each note, see `guitarompler.tuning` in `tuning.js`.
+        tuning: {
+            referenceFrequency: 440,
+            temperament: "equal"
+        },
+        // The ways a note can be played, see `guitarompler.note.startPlaying`.  Each articulation is selected by playing
+        // one of the `keyswitches`, which are below the range of the default instrument.
+        articulations: {
+            normal: {},
+            palmMute: {
+                emulation: {
+                    envelope: { decay: 0.15, sustain: 0, release: 0.05 },
+                    filter: { type: "lowpass", frequency: 900, Q: 0.7 }
+                }
+            },
+            harmonic: {
+                emulation: {
+                    transpose: 12,
+                    envelope: { attack: 0.015, decay: 1.5, sustain: 0.3 },
+                    filter: { type: "highpass", frequency: 700, Q: 0.7 }
+                }
+            },
+            slide: { legato: true, sampleOffset: 0.05, glideTime: 0.08 },
+            legato: { legato: true, sampleOffset: 0.05 }
+        },
+        keyswitches: {
+            24: "normal", // C1
+            25: "palmMute", // C#1
+            26: "harmonic", // D1
+            27: "slide", // D#1
+            28: "legato" // E1, i.e. hammer-ons and pull-offs.
+        },
+        articulation: "normal", // The articulation to start with.
+        channels: "omni", // The MIDI channels (from 0 to 15) to respond to, or "omni" to respond to every channel.
+        multitimbral: false, // Whether to play each channel as a separate part, see `guitarompler.loom.partFor`.
+        // The settings for each part, keyed by MIDI channel, i.e. `{ 1: { volume: 0.5, transpose: -12 } }`.  Channels
+        // without settings use the `partDefaults`, and start with the loom's `articulation`.
+        parts: {},
+        partDefaults: {
+            volume: 1,
+            pan: 0, // From -1 (all the way left) to 1 (all the way right).
+            transpose: 0 // In semitones.
+        },
+        members: {
+            envelope: "@expand:fluid.copy({that}.options.envelope)",
+            velocityCurve: "@expand:fluid.copy({that}.options.velocityCurve)",
+            context: "@expand:{that}.createContext()",
+            input: "{that}.outputBus.input",
+            zoneOverlap: "{that}.options.zoneOverlap",
+            channels: "{that}.options.channels",
+            multitimbral: "{that}.options.multitimbral",
+            partSettings: "@expand:fluid.copy({that}.options.parts)",
+            parts: {}, // The parts that have been created so far, keyed by MIDI channel.
+            familiesCreated: 0,
+            hasNotes: false, // Whether the note components have been created, see `guitarompler.loom.wireDestinations`.
+            samplesLoaded: 0,
+            totalSamples: 0,
+            isReady: false
+        },
+        events: {
+            onInstrumentLoaded: null,
+            onFamilyNotesCreated: null,
+            allFamilyNotesCreated: null,
+            onSampleLoaded: null,
+            onLoadProgress: null, // Fired with an object with the number of samples `loaded`, the `total`, and the `url`.
+            onLoadError: null, // Fired with an object with the `url` that could not be loaded, and a `message`.
+            onArticulationChanged: null, // Fired with the name of the new articulation, and the channel of its part (if any).
+            onCreatePart: null, // Fired with a MIDI channel to create its part, see `guitarompler.loom.partFor`.
+            onReady: null // Fired once all notes are ready to play.
+        },
+        components: {
+            sampleCache: {
+                type: "guitarompler.sampleCache"
+            },
+            outputBus: {
+                type: "guitarompler.outputBus"
+            },
+            tuning: {
+                type: "guitarompler.tuning",
+                options: "{guitarompler.loom}.options.tuning"
+            },
+            instrument: {
+                type: "guitarompler.instrument",
+                createOnEvent: "{that}.events.onInstrumentLoaded",
+                options: {
+                    definition: "{arguments}.0"
+                }
+            }
+        },
+        dynamicComponents: {
+            part: {
+                type: "guitarompler.part",
+                createOnEvent: "onCreatePart",
+                options: {
+                    channel: "{arguments}.0"
+                }
+            }
+        },
+        listeners: {
+            "onCreate.resume": {
+                func: "{that}.resume"
+            },
+            "onCreate.loadInstrument": {
+                funcName: "guitarompler.loom.loadInstrument",
+                args: ["{that}"]
+            },
+            "onInstrumentLoaded.startProgress": {
+                funcName: "guitarompler.loom.startProgress",
+                args: ["{that}", "{arguments}.0"] // instrument definition
+            },
+            "onSampleLoaded.updateProgress": {
+                funcName: "guitarompler.loom.updateProgress",
+                args: ["{that}", "{arguments}.0"] // sample definition
+            },
+            "onFamilyNotesCreated.countFamilies": {
+                funcName: "guitarompler.loom.countFamilies",
+                args: ["{that}"]
+            },
+            "onDestroy.closeContext": {
+                funcName: "guitarompler.loom.closeContext",
+                args: ["{that}"]
+            },
+            "allFamilyNotesCreated.wireDestinations": {
+                funcName: "guitarompler.loom.wireDestinations",
+                args: ["{that}"]
+            },
+            // The events of the `flock.midi.receiver` grade.  A connection fires `note` for both "note on" and "note
+            // off" messages, so we don't also listen to the `noteOn` and `noteOff` events.  Each event is fired with
+            // the message and the original Web MIDI event, whose timestamp is used to schedule the message.
+            "note.handleMessage": {
+                func: "{that}.scheduleMessage",
+                args: ["{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
+            },
+            "control.handleMessage": {
+                func: "{that}.scheduleMessage",
+                args: ["{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
+            },
+            "aftertouch.handleMessage": {
+                func: "{that}.scheduleMessage",
+                args: ["{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
+            },
+            "pitchbend.handleMessage": {
+                func: "{that}.scheduleMessage",
+                args: ["{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
+            }
+        },
+        invokers: {
+            // Grades that need a different kind of context (for example, an `OfflineAudioContext`) can replace this.
+            createContext: "guitarompler.loom.createContext()",
+            handleNoteMessage: {
+                funcName: "guitarompler.loom.sendToDestination",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiMessage, when
+            },
+            scheduleMessage: {
+                funcName: "guitarompler.loom.scheduleMessage",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+            },
+            contextTimeFor: {
+                funcName: "guitarompler.loom.contextTimeFor",
+                args: ["{that}", "{arguments}.0"] // timeStamp
+            },
+            timeStampNow: "guitarompler.timeStampNow()",
+            noteOn: {
+                funcName: "guitarompler.loom.noteOn",
+                args: ["{that}", "{arguments}.0", "{arguments}.1", "{arguments}.2"] // note, velocity, when
+            },
+            noteOff: {
+                funcName: "guitarompler.loom.noteOff",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // note, when
+            },
+            playChord: {
+                funcName: "guitarompler.loom.playChord",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // notes, options
+            },
+            allNotesOff: {
+                funcName: "guitarompler.loom.allNotesOff",
+                args: ["{that}"]
+            },
+            resume: {
+                funcName: "guitarompler.loom.resume",
+                args: ["{that}"]
+            },
+            setMasterVolume: {
+                func: "{that}.outputBus.setVolume",
+                args: ["{arguments}.0"] // volume
+            },
+            setPan: {
+                func: "{that}.outputBus.setPan",
+                args: ["{arguments}.0"] // pan
+            },
+            setEnvelope: {
+                funcName: "guitarompler.loom.setEnvelope",
+                args: ["{that}", "{arguments}.0"] // envelope
+            },
+            setVelocityCurve: {
+                funcName: "guitarompler.loom.setVelocityCurve",
+                args: ["{that}", "{arguments}.0"] // velocityCurve
+            },
+            setArticulation: {
+                funcName: "guitarompler.loom.setArticulation",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // articulation, channel
+            },
+            setChannels: {
+                funcName: "guitarompler.loom.setChannels",
+                args: ["{that}", "{arguments}.0"] // channels
+            },
+            setMultitimbral: {
+                funcName: "guitarompler.loom.setMultitimbral",
+                args: ["{that}", "{arguments}.0"] // isMultitimbral
+            },
+            setPart: {
+                funcName: "guitarompler.loom.setPart",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // channel, settings
+            },
+            setZoneOverlap: {
+                funcName: "guitarompler.loom.setZoneOverlap",
+                args: ["{that}", "{arguments}.0"] // zoneOverlap
+            },
+            setTuning: {
+                func: "{that}.tuning.setTuning",
+                args: ["{arguments}.0"] // tuning settings
+            },
+            loadScala: {
+                func: "{that}.tuning.loadScala",
+                args: ["{arguments}.0", "{arguments}.1"] // scalaText, keyboardMappingText
+            },
+            isSounding: {
+                funcName: "guitarompler.loom.isSounding",
+                args: ["{that}", "{arguments}.0"] // pitch
+            },
+            gainOf: {
+                funcName: "guitarompler.loom.gainOf",
+                args: ["{that}", "{arguments}.0"] // pitch
+            }
+        }
+    });
+
+    // The current time in milliseconds, using the same clock as the timestamps of Web MIDI messages.
+    guitarompler.timeStampNow = function () {
+        return typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
+    };
+
+    guitarompler.loom.createContext = function () {
+        try {
+            return new AudioContext();
+        }
+        catch (e) {
+            fluid.fail("Web Audio API is not supported in this browser");
+        }
+    };
+
+    // Browsers start (or leave) an AudioContext suspended until there has been a user gesture.
+    guitarompler.loom.resume = function (that) {
+        if (that.context.state === "suspended") {
+            that.context.resume();
+        }
+    };
+
+    guitarompler.loom.closeContext = function (that) {
+        if (that.context.state !== "closed") {
+            that.context.close();
+        }
+    };
+
+    // Update one or more envelope settings.  The changes apply to all notes played from now on.
+    guitarompler.loom.setEnvelope = function (that, envelope) {
+        fluid.extend(that.envelope, envelope);
+    };
+
+    // Update the `exponent` and/or `floor` of the velocity curve.  The changes apply to all notes played from now on.
+    guitarompler.loom.setVelocityCurve = function (that, velocityCurve) {
+        fluid.extend(that.velocityCurve, velocityCurve);
+    };
+
+    guitarompler.loom.loadInstrument = function (that) {
+        if (that.options.instrument) {
+            that.events.onInstrumentLoaded.fire(that.options.instrument);
+        }
+        else {
+            var request = new XMLHttpRequest();
+            request.open("GET", that.options.instrumentUrl, true);
+            request.responseType = "json";
+            request.onload = function () {
+                if (request.status >= 400 || !request.response) {
+                    that.events.onLoadError.fire({ url: that.options.instrumentUrl, message: "The instrument definition could not be loaded." });
+                }
+                else {
+                    that.events.onInstrumentLoaded.fire(request.response);
+                }
+            };
+            request.onerror = function () {
+                that.events.onLoadError.fire({ url: that.options.instrumentUrl, message: "The request failed." });
+            };
+            request.send();
+        }
+    };
+
+    guitarompler.loom.startProgress = function (that, definition) {
+        that.samplesLoaded = 0;
+        that.totalSamples = 0;
+        fluid.each(definition.zones, function (zone) {
+            that.totalSamples += fluid.makeArray(zone.samples).length;
+        });
+        that.events.onLoadProgress.fire({ loaded: 0, total: that.totalSamples });
+    };
+
+    guitarompler.loom.updateProgress = function (that, sampleDef) {
+        that.samplesLoaded++;
+        that.events.onLoadProgress.fire({ loaded: that.samplesLoaded, total: that.totalSamples, url: sampleDef.url });
+    };
+
+    /*
+
+        Prepare the notes near each boundary between two adjoining zones to blend the samples from both zones, so that
+        the timbre changes gradually instead of jumping from one recording to the next.  The blend covers `zoneOverlap`
+        semitones, centred on the boundary.  The further a note in that region is from its own zone's root pitch (and
+        so the closer to the neighbouring zone's), the more of the neighbouring zone's sample it plays, from none at the
+        edge of the region to half at the boundary itself.
+
+    */
+    guitarompler.loom.blendZones = function (that) {
+        fluid.each(guitarompler.loom.players(that), function (player) {
+            guitarompler.loom.blendPlayerZones(that, player);
+        });
+    };
+
+    // Blend the zones of the notes of a single player, i.e. the loom itself or one of its parts.
+    guitarompler.loom.blendPlayerZones = function (that, player) {
+        guitarompler.player.eachNote(player, function (noteComponent) {
+            noteComponent.zoneBlend = false;
+        });
+
+        var width = that.zoneOverlap;
+        if (!(width > 0)) {
+            return;
+        }
+
+        var zones = fluid.makeArray(fluid.get(that, "instrument.options.definition.zones")).sort(function (a, b) {
+            return a.minPitch - b.minPitch;
+        });
+        for (var i = 0; i < zones.length - 1; i++) {
+            var lowerZone = zones[i];
+            var upperZone = zones[i + 1];
+            var lowerNote = player.destinationByNote[lowerZone.maxPitch];
+            var upperNote = player.destinationByNote[upperZone.minPitch];
+            if (upperZone.minPitch !== lowerZone.maxPitch + 1 || !lowerNote || !upperNote) {
+                continue;
+            }
+
+            var regionStart = lowerZone.maxPitch + 0.5 - (width / 2);
+            var firstPitch = Math.max(lowerZone.minPitch, Math.ceil(regionStart));
+            var lastPitch = Math.min(upperZone.maxPitch, regionStart + width);
+            for (var pitch = firstPitch; pitch < lastPitch; pitch++) {
+                var upperShare = (pitch - regionStart) / width;
+                var isInLowerZone = pitch <= lowerZone.maxPitch;
+                var neighbour = isInLowerZone ? upperNote : lowerNote;
+                player.destinationByNote[pitch].zoneBlend = {
+                    layers: neighbour.options.layers,
+                    basePitch: neighbour.options.basePitch,
+                    weight: isInLowerZone ? upperShare : 1 - upperShare,
+                    roundRobinPositions: {}
+                };
+            }
+        }
+    };
+
+    // Change the width of the blended regions between zones.  The change applies to all notes played from now on.
+    guitarompler.loom.setZoneOverlap = function (that, zoneOverlap) {
+        that.zoneOverlap = zoneOverlap;
+        guitarompler.loom.blendZones(that);
+    };
+
+    guitarompler.loom.countFamilies = function (that) {
+        that.familiesCreated++;
+        if (that.familiesCreated === that.instrument.options.definition.zones.length) {
+            that.events.allFamilyNotesCreated.fire();
+        }
+    };
+
+    /*
+
+        Route a message to the right note, or handle it here if it affects all notes.  See
+        `guitarompler.note.handleMessage` for the meaning of `when`, which applies to note messages, pitch bends, and
+        the release of the pedals.  Notes that are `keyswitches` select an articulation instead of playing.  When a note
+        is played legato, the note it moves on from is silenced as it starts.  Messages on channels the loom doesn't
+        respond to are ignored.  When the loom is multitimbral, messages are handled by the part for their channel,
+        whose notes are transposed by the part's `transpose` setting.
+
+    */
+    guitarompler.loom.sendToDestination = function (that, midiMessage, when) {
+        var messageType = fluid.get(midiMessage, "type");
+        if (!guitarompler.loom.respondsToChannel(that, fluid.get(midiMessage, "channel"))) {
+            return;
+        }
+
+        var part = guitarompler.loom.partFor(that, midiMessage.channel);
+        var player = part || that;
+        if (messageType === "control") {
+            guitarompler.loom.handleControlMessage(that, midiMessage, when, part);
+        }
+        else if (messageType === "pitchbend") {
+            guitarompler.loom.setPitchBend(that, player, midiMessage.value, when);
+        }
+        else if (messageType && ["noteOn", "noteOff", "aftertouch"].indexOf(messageType) !== -1) {
+            var isNoteStart = messageType === "noteOn" && midiMessage.velocity > 0;
+            var keyswitch = that.options.keyswitches[midiMessage.note];
+            if (keyswitch) {
+                if (isNoteStart) {
+                    that.setArticulation(keyswitch, part ? part.channel : undefined);
+                }
+                return;
+            }
+
+            var noteMessage = part ? guitarompler.loom.transposeForPart(part, midiMessage, isNoteStart) : midiMessage;
+            var noteDestination = fluid.get(player, ["destinationByNote", noteMessage.note]);
+            if (noteDestination && isNoteStart) {
+                var legatoFrom = guitarompler.loom.legatoSource(that, player, noteMessage.note);
+                player.voiceAllocator.allocate(noteMessage.note);
+                noteDestination.handleNoteMessage(noteMessage, when, legatoFrom);
+                if (fluid.isValue(legatoFrom)) {
+                    player.destinationByNote[legatoFrom].choke(when);
+                }
+                player.lastNote = noteMessage.note;
+            }
+            else if (noteDestination) {
+                noteDestination.handleNoteMessage(noteMessage, when);
+            }
+        }
+    };
+
+    // The note that a new note moves on from, if the current articulation of the `player` (the loom, or one of its
+    // parts) is played legato, and the last note the player started is still sounding.  Otherwise `undefined`, and the
+    // new note is plucked as usual.
+    guitarompler.loom.legatoSource = function (that, player, note) {
+        var articulation = that.options.articulations[player.controllers.articulation];
+        var lastNote = player.lastNote;
+        return fluid.get(articulation, "legato") && lastNote !== false && lastNote !== note && guitarompler.player.isSounding(player, lastNote) ? lastNote : undefined;
+    };
+
+    // Change the articulation of the loom, or (when the loom is multitimbral) of the part for `channel`.
+    guitarompler.loom.setArticulation = function (that, articulation, channel) {
+        if (!that.options.articulations[articulation]) {
+            fluid.log("Ignoring unknown articulation: ", articulation);
+            return;
+        }
+
+        var part = guitarompler.loom.partFor(that, channel);
+        if (part) {
+            that.partSettings[channel] = fluid.extend({}, that.partSettings[channel], { articulation: articulation });
+        }
+        (part || that).controllers.articulation = articulation;
+        that.events.onArticulationChanged.fire(articulation, part ? channel : undefined);
+    };
+
+    // Messages without a channel (for example, those sent by the `noteOn` invoker) are played on any channel.
+    guitarompler.loom.respondsToChannel = function (that, channel) {
+        return that.channels === "omni" || !fluid.isValue(channel) || fluid.makeArray(that.channels).indexOf(channel) !== -1;
+    };
+
+    // Change the channels the loom responds to, either "omni" or a list of MIDI channels (from 0 to 15).
+    guitarompler.loom.setChannels = function (that, channels) {
+        that.channels = channels === "omni" ? channels : fluid.makeArray(channels);
+    };
+
+    // Turn multitimbral mode on or off.  As the loom and each of its parts play their own notes, any notes that are
+    // playing when the mode changes are released, so that none are left waiting for a "note off" that will never
+    // reach them.
+    guitarompler.loom.setMultitimbral = function (that, isMultitimbral) {
+        if (!!isMultitimbral !== that.multitimbral) {
+            guitarompler.loom.allNotesOff(that);
+        }
+        that.multitimbral = !!isMultitimbral;
+    };
+
+    /*
+
+        When the loom is multitimbral, the part that plays the messages for a MIDI `channel`, which is created the first
+        time it is needed.  Otherwise `false`, and every channel is played using the loom's own settings.
+
+        Each part has its own `volume`, `pan`, `transpose` and `articulation` settings (see the `parts` option), and
+        plays its own notes (see `guitarompler.part`), so that a pitch played by two parts at once is doubled, and the
+        pedals, pitch bend and modulation on one channel don't affect the other parts.
+
+    */
+    guitarompler.loom.partFor = function (that, channel) {
+        if (!that.multitimbral || !fluid.isValue(channel)) {
+            return false;
+        }
+        if (!that.parts[channel]) {
+            that.events.onCreatePart.fire(channel);
+            var part = that.parts[channel];
+            guitarompler.loom.updatePart(that, part, fluid.extend({}, that.options.partDefaults, that.partSettings[channel]));
+            if (that.hasNotes) {
+                guitarompler.loom.createPartNotes(that, part);
+                guitarompler.loom.blendPlayerZones(that, part);
+            }
+        }
+        return that.parts[channel];
+    };
+
+    // Create a note holder for the part to match each of the loom's own, using the samples the loom has loaded.
+    guitarompler.loom.createPartNotes = function (that, part) {
+        fluid.each(fluid.queryIoCSelector(that.instrument, "guitarompler.noteHolder"), function (noteHolder) {
+            part.events.onCreateNoteHolder.fire(fluid.filterKeys(noteHolder.options, ["noteGrade", "basePitch", "minPitch", "maxPitch", "layers"]));
+        });
+        guitarompler.player.wireNotes(part, fluid.queryIoCSelector(part, "guitarompler.note"));
+    };
+
+    guitarompler.loom.updatePart = function (that, part, settings) {
+        var now = that.context.currentTime;
+        if (fluid.isValue(settings.volume)) {
+            part.volume = settings.volume;
+            part.gainNode.gain.setTargetAtTime(settings.volume, now, 0.01);
+        }
+        if (fluid.isValue(settings.pan)) {
+            part.pan = Math.min(1, Math.max(-1, settings.pan));
+            part.panner.pan.setTargetAtTime(part.pan, now, 0.01);
+        }
+        if (fluid.isValue(settings.transpose)) {
+            part.transpose = settings.transpose;
+        }
+        if (settings.articulation && that.options.articulations[settings.articulation]) {
+            part.controllers.articulation = settings.articulation;
+        }
+    };
+
+    // Change one or more of the settings of the part for `channel`, which apply when the loom is multitimbral.
+    guitarompler.loom.setPart = function (that, channel, settings) {
+        that.partSettings[channel] = fluid.extend({}, that.partSettings[channel], settings);
+        var part = that.parts[channel];
+        if (part) {
+            var previousArticulation = part.controllers.articulation;
+            guitarompler.loom.updatePart(that, part, settings);
+            if (part.controllers.articulation !== previousArticulation) {
+                that.events.onArticulationChanged.fire(part.controllers.articulation, channel);
+            }
+        }
+    };
+
+    // The message for the note a part should play, i.e. the original note moved by the part's transposition.
+    guitarompler.loom.transposeForPart = function (part, midiMessage, isNoteStart) {
+        var pitch = isNoteStart || !fluid.isValue(part.pitchesByNote[midiMessage.note]) ? midiMessage.note + part.transpose : part.pitchesByNote[midiMessage.note];
+        if (isNoteStart) {
+            part.pitchesByNote[midiMessage.note] = pitch;
+        }
+        else if (midiMessage.type !== "aftertouch") {
+            delete part.pitchesByNote[midiMessage.note];
+        }
+        return pitch === midiMessage.note ? midiMessage : fluid.extend({}, midiMessage, { note: pitch });
+    };
+
+    /*
+
+        One of the parts of a multitimbral loom, which plays the messages for a single MIDI channel (see
+        `guitarompler.loom.partFor`).  Each part is a player (see `guitarompler.player`) with its own note components,
+        which are created from the loom's once its samples have loaded (see `guitarompler.loom.createPartNotes`).  Each
+        part's voices are limited by its own voice allocator, which uses the same settings as the loom's.  The notes are
+        routed through the part's gain and stereo panner, which feed the loom's output bus (and so the shared effects).
+
+    */
+    fluid.defaults("guitarompler.part", {
+        gradeNames: ["guitarompler.player"],
+        channel: 0,
+        members: {
+            channel: "{that}.options.channel",
+            context: "{guitarompler.loom}.context",
+            gainNode: "@expand:guitarompler.outputBus.createGain({that}.context, 1)",
+            panner: "@expand:guitarompler.outputBus.createPanner({that}.context, 0)",
+            input: "{that}.gainNode",
+            volume: 1,
+            pan: 0,
+            transpose: 0,
+            // The pitch each note is playing, so that a change to the transposition doesn't leave notes hanging.
+            pitchesByNote: {}
+        },
+        events: {
+            onCreateNoteHolder: null // Fired with the options for each note holder.
+        },
+        components: {
+            voiceAllocator: {
+                options: {
+                    maxPolyphony: "{guitarompler.loom}.voiceAllocator.options.maxPolyphony",
+                    stealingMode: "{guitarompler.loom}.voiceAllocator.options.stealingMode",
+                    guitarMode: "{guitarompler.loom}.voiceAllocator.options.guitarMode",
+                    tuning: "{guitarompler.loom}.voiceAllocator.options.tuning",
+                    frets: "{guitarompler.loom}.voiceAllocator.options.frets"
+                }
+            }
+        },
+        dynamicComponents: {
+            noteHolder: {
+                type: "guitarompler.noteHolder",
+                createOnEvent: "onCreateNoteHolder",
+                options: "{arguments}.0"
+            }
+        },
+        listeners: {
+            "onCreate.connect": {
+                funcName: "guitarompler.part.connect",
+                args: ["{that}", "{guitarompler.loom}.outputBus.input"]
+            },
+            "onCreate.register": {
+                funcName: "guitarompler.part.register",
+                args: ["{that}", "{guitarompler.loom}.parts"]
+            },
+            "onDestroy.disconnect": {
+                funcName: "guitarompler.part.disconnect",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    guitarompler.part.connect = function (that, destination) {
+        that.gainNode.connect(that.panner);
+        that.panner.connect(destination);
+    };
+
+    guitarompler.part.disconnect = function (that) {
+        that.panner.disconnect();
+    };
+
+    // Add the part to the loom's `parts`, so that it can be found by its channel.
+    guitarompler.part.register = function (that, parts) {
+        parts[that.channel] = that;
+    };
+
+    /*
+
+        Handle a message that has a `timeStamp`, i.e. a time in milliseconds using the same clock as `performance.now()`,
+        as Web MIDI does.  The message is scheduled for the matching AudioContext time, plus the `lookAhead`, so that
+        messages play at exactly the same distance apart as they were sent, however long each takes to reach us.  A
+        message that would be scheduled in the past (i.e. one that arrived more than `lookAhead` seconds late) is
+        handled right away, as is a message with no timestamp.
+
+    */
+    guitarompler.loom.scheduleMessage = function (that, midiMessage, timeStamp) {
+        if (typeof timeStamp === "number" && timeStamp > 0) {
+            that.handleNoteMessage(midiMessage, that.contextTimeFor(timeStamp) + that.options.lookAhead);
+        }
+        else {
+            that.handleNoteMessage(midiMessage);
+        }
+    };
+
+    // Convert a timestamp (in milliseconds, see `scheduleMessage`) to a time on the AudioContext's clock (in seconds).
+    guitarompler.loom.contextTimeFor = function (that, timeStamp) {
+        return that.context.currentTime + ((timeStamp - that.timeStampNow()) / 1000);
+    };
+
+    // The pedals, modulation and "all notes off" apply to the part for the message's channel if the loom is
+    // multitimbral, and otherwise to the loom itself.  Channel volume and pan only apply to parts.
+    guitarompler.loom.handleControlMessage = function (that, midiMessage, when, part) {
+        var player = part || that;
+        var isPedalDown = midiMessage.value >= 64;
+        switch (midiMessage.number) {
+        case 1:
+            guitarompler.loom.setModulation(that, player, midiMessage.value);
+            break;
+        case 7:
+        case 10:
+            if (part) {
+                that.setPart(part.channel, midiMessage.number === 7 ? { volume: midiMessage.value / 127 } : { pan: ((midiMessage.value - 64) / 63) });
+            }
+            else {
+                fluid.log("Ignoring control change " + midiMessage.number + ", which only applies to multitimbral parts.");
+            }
+            break;
+        case 64:
+            guitarompler.player.setSustain(player, isPedalDown, when);
+            break;
+        case 66:
+            guitarompler.player.setSostenuto(player, isPedalDown, when);
+            break;
+        case 123:
+            guitarompler.player.allNotesOff(player);
+            break;
+        default:
+            fluid.log("Ignoring unsupported control change " + midiMessage.number + ".");
+        }
+    };
+
+    // Bend the notes of a `player` (the loom, or one of its parts).  Pitch bend messages have a 14-bit value, where
+    // 8192 represents "no bend".
+    guitarompler.loom.setPitchBend = function (that, player, value, when) {
+        player.controllers.bend = ((value - 8192) / 8192) * that.options.bendRange * 100;
+        guitarompler.player.eachNote(player, function (noteComponent) {
+            noteComponent.applyBend(when);
+        });
+    };
+
+    guitarompler.loom.setModulation = function (that, player, value) {
+        player.controllers.modulation = value;
+        player.vibrato.setDepth((value / 127) * that.options.maxVibratoDepth);
+    };
+
+    // Whether `pitch` is sounding, whether it is played by the loom itself or by one of its parts.
+    guitarompler.loom.isSounding = function (that, pitch) {
+        return guitarompler.loom.players(that).some(function (player) {
+            return guitarompler.player.isSounding(player, pitch);
+        });
+    };
+
+    // The gain of `pitch`, or of the loudest part playing it, if more than one part is.
+    guitarompler.loom.gainOf = function (that, pitch) {
+        return Math.max.apply(null, fluid.transform(guitarompler.loom.players(that), function (player) {
+            return guitarompler.player.gainOf(player, pitch);
+        }));
+    };
+
+    // The loom itself, followed by each of the parts that have been created so far.
+    guitarompler.loom.players = function (that) {
+        return [that].concat(fluid.values(that.parts));
+    };
+
+    guitarompler.loom.noteOn = function (that, note, velocity, when) {
+        var midiMessage = { type: "noteOn", channel: guitarompler.loom.defaultChannel(that), note: note, velocity: fluid.isValue(velocity) ? velocity : that.options.defaultVelocity };
+        guitarompler.loom.sendToDestination(that, midiMessage, when);
+    };
+
+    guitarompler.loom.noteOff = function (that, note, when) {
+        guitarompler.loom.sendToDestination(that, { type: "noteOff", channel: guitarompler.loom.defaultChannel(that), note: note, velocity: 0 }, when);
+    };
+
+    // The channel used by the `noteOn`, `noteOff` and `playChord` invokers, i.e. the first channel the loom responds to.
+    guitarompler.loom.defaultChannel = function (that) {
+        return that.channels === "omni" ? 0 : fluid.makeArray(that.channels).concat([0])[0];
+    };
+
+    /*
+
+        Play several notes together.  The `options` are all optional:
+
+        - `velocity`: the velocity of every note, defaults to the `defaultVelocity` option.
+        - `when`: the time at which to start the chord (see `guitarompler.note.handleMessage`), defaults to right away.
+        - `duration`: how long (in seconds) to hold each note.  By default, notes are held until `noteOff` or
+          `allNotesOff` is called.
+        - `spread`: the time (in seconds) between each note, to imitate a strum.  Defaults to 0.
+        - `direction`: `"down"` plays the lowest note first (like a downstroke), `"up"` plays the highest note first.
+
+    */
+    guitarompler.loom.playChord = function (that, notes, options) {
+        options = fluid.extend({ spread: 0, direction: "down" }, options);
+        var sortedNotes = fluid.makeArray(notes).sort(function (a, b) {
+            return options.direction === "up" ? b - a : a - b;
+        });
+        var chordStart = guitarompler.note.startTime(that.context, options.when);
+
+        fluid.each(sortedNotes, function (note, index) {
+            var noteStart = chordStart + (index * options.spread);
+            that.noteOn(note, options.velocity, noteStart);
+            if (fluid.isValue(options.duration)) {
+                that.noteOff(note, noteStart + options.duration);
+            }
+        });
+    };
+
+    // Release every note right away, including notes held by the pedals, whichever part is playing them.
+    guitarompler.loom.allNotesOff = function (that) {
+        fluid.each(guitarompler.loom.players(that), guitarompler.player.allNotesOff);
+    };
+
+    guitarompler.loom.wireDestinations = function (that) {
+        guitarompler.player.wireNotes(that, fluid.queryIoCSelector(that.instrument, "guitarompler.note"));
+        that.hasNotes = true;
+        // Parts that were created before the notes were ready (for example, by a keyswitch) need notes of their own.
+        fluid.each(that.parts, function (part) {
+            guitarompler.loom.createPartNotes(that, part);
+        });
+        guitarompler.loom.blendZones(that);
+        // Wait for any effects that are still loading (such as impulse responses) before we announce that we're ready.
+        that.outputBus.effects.ready.then(function () {
+            that.isReady = true;
+            that.events.onReady.fire(that);
+        });
+    };
+
+    // Read a File (for example, from an `<input type="file">` element).  Returns a promise that will be resolved with
+    // the contents of the file as an ArrayBuffer, or as a string if `asText` is true.
+    guitarompler.readFile = function (file, asText) {
+        var promise = fluid.promise();
+        var reader = new FileReader();
+        reader.onload = function () {
+            promise.resolve(reader.result);
+        };
+        reader.onerror = function () {
+            promise.reject({ url: file.name, message: "The file could not be read." });
+        };
+        if (asText) {
+            reader.readAsText(file);
+        }
+        else {
+            reader.readAsArrayBuffer(file);
+        }
+        return promise;
+    };
+
+    // The browser's local storage, or `false` if it is not available (for example, in Node).
+    guitarompler.getStorage = function () {
+        try {
+            return typeof window !== "undefined" && window.localStorage;
+        }
+        // Some browsers throw an error if local storage is disabled.
+        catch (error) {
+            return false;
+        }
+    };
+
+    // Offer data to the user as a file download.
+    guitarompler.saveFile = function (data, fileName, mimeType) {
+        var blob = new Blob([data], { type: mimeType });
+        var url = URL.createObjectURL(blob);
+        var link = document.createElement("a");
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    };
+
+    fluid.defaults("guitarompler.launcher", {
+        gradeNames: ["fluid.viewComponent"],
+        selectors: {
+            noteInput: ".note-input",
+            startButton: ".start-button",
+            renderInput: ".render-input",
+            playerInput: ".player-input",
+            playButton: ".play-button",
+            pauseButton: ".pause-button",
+            stopButton: ".stop-button",
+            tempoInput: ".tempo-input",
+            loopInput: ".loop-input",
+            trackList: ".track-list",
+            channelList: ".channel-list",
+            strumInput: ".strum-input",
+            strumSpeedInput: ".strum-speed-input",
+            keyboardToggle: ".keyboard-toggle",
+            keyboardStatus: ".keyboard-status",
+            fretboard: ".fretboard",
+            ccMappings: ".cc-mappings",
+            exportMappingsButton: ".export-mappings",
+            importMappingsInput: ".import-mappings",
+            referenceFrequencyInput: ".reference-frequency-input",
+            temperamentSelect: ".temperament-select",
+            temperamentRootSelect: ".temperament-root-select",
+            scalaInput: ".scala-input",
+            clearScalaButton: ".clear-scala",
+            articulationSelect: ".articulation-select",
+            zoneOverlapInput: ".zone-overlap-input",
+            channelFilterList: ".channel-filter-list",
+            multitimbralInput: ".multitimbral-input",
+            recordButton: ".record-button",
+            stopRecordingButton: ".stop-recording-button",
+            saveMidiButton: ".save-midi-button",
+            saveAudioButton: ".save-audio-button",
+            visualiser: ".visualiser",
+            velocityCurveInput: ".velocity-curve-input",
+            presetSelect: ".preset-select",
+            presetNameInput: ".preset-name-input",
+            savePresetButton: ".save-preset-button",
+            deletePresetButton: ".delete-preset-button",
+            exportPresetButton: ".export-preset-button",
+            importPresetInput: ".import-preset-input",
+            sharePresetButton: ".share-preset-button",
+            presetLink: ".preset-link",
+            status: ".status"
+        },
+        articulationLabels: {
+            normal: "Plucked",
+            palmMute: "Palm mute",
+            harmonic: "Harmonics",
+            slide: "Slides",
+            legato: "Hammer-ons and pull-offs"
+        },
+        temperamentLabels: {
+            equal: "Equal temperament",
+            pythagorean: "Pythagorean",
+            quarterCommaMeantone: "Quarter-comma meantone",
+            werckmeisterIII: "Werckmeister III",
+            kirnbergerIII: "Kirnberger III",
+            vallotti: "Vallotti",
+            just: "Just intonation"
+        },
+        noteNames: ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"],
+        zoneOverlap: 4, // The width (in semitones) of the blend between zones, see `guitarompler.loom.blendZones`.
+        strings: {
+            loadingInstrument: "Loading instrument...",
+            loading: "Loading samples (%loaded of %total)...",
+            ready: "Ready to play.",
+            error: "Could not load '%url': %message",
+            rendering: "Rendering '%fileName'...",
+            rendered: "Finished rendering '%fileName'.",
+            renderError: "Could not render '%fileName': %message",
+            playerLoaded: "Loaded '%fileName' (%duration seconds).",
+            playerError: "Could not load '%fileName': %message",
+            keyboardStatus: "Octave shift: %octaveShift, velocity: %velocity (Z/X to change octave, C/V to change velocity)",
+            learnButton: "Learn",
+            clearButton: "Clear",
+            unmapped: "Not mapped",
+            mappedControls: "CC %ccNumbers",
+            learning: "Move a control on your MIDI device to map it to '%label'...",
+            learned: "Mapped CC %ccNumber to '%label'.",
+            mappingsImported: "Imported CC mappings from '%fileName'.",
+            mappingsError: "Could not import '%fileName': %message",
+            trackLabel: "%name",
+            channelLabel: "Channel %channel",
+            scalaLoaded: "Loaded the scale '%description' from '%fileName'.",
+            scalaCleared: "Returned to the '%temperament' temperament.",
+            noScalaFile: "Please choose a Scala scale (.scl) file, and optionally a keyboard mapping (.kbm) file.",
+            tuningError: "Could not change the tuning: %message",
+            recording: "Recording...",
+            recorded: "Recorded %duration seconds.",
+            nothingRecorded: "There is nothing to save yet.  Press \"Record\" and play something first.",
+            choosePreset: "Choose a preset...",
+            savedPresetLabel: "%name (saved)",
+            presetLoaded: "Loaded the preset '%name'.",
+            presetSaved: "Saved the preset '%name'.",
+            presetDeleted: "Deleted the preset '%name'.",
+            noPresetName: "Please enter a name for the preset.",
+            presetImported: "Imported the preset '%name' from '%fileName'.",
+            presetImportError: "Could not import '%fileName': %message",
+            presetError: "Could not use the preset '%name': %message",
+            presetLinkCreated: "Copy the link below to share the current settings.",
+            sharedPreset: "Shared settings"
+        },
+        members: {
+            // The settings chosen by the user (see `guitarompler.presets`), which are passed to each loom when it is
+            // created.  The strum and CC mapping settings are kept by the strummer and the CC mapper instead, see
+            // `guitarompler.launcher.currentPreset`.
+            preset: "@expand:{that}.presets.expand()",
+            // The channels the instrument responds to, and whether each is played as a separate part.
+            channels: "omni",
+            multitimbral: false
+        },
+        events: {
+            actionTaken: null,
+            onAudioStart: null,
+            note: null,
+            aftertouch: null,
+            control: null,
+            pitchbend: null
+        },
+        components: {
+            noteInput: {
+                type: "flock.midi.connectorView",
+                container: "{that}.dom.noteInput",
+                options: {
+                    portType: "input",
+                    listeners: {
+                        "aftertouch.notifyParent": {
+                            func: "{guitarompler.launcher}.events.aftertouch.fire"
+                        },
+                        "note.notifyParent": {
+                            func: "{guitarompler.launcher}.events.note.fire"
+                        },
+                        "control.notifyParent": {
+                            func: "{guitarompler.launcher}.events.control.fire"
+                        },
+                        "pitchbend.notifyParent": {
+                            func: "{guitarompler.launcher}.events.pitchbend.fire"
+                        }
+                    },
+                    components: {
+                        midiPortSelector: {
+                            options: {
                                 strings: {
                                     selectBoxLabel: "Note Input"
                                 }
@@ -579,9 +2071,243 @@
                     }
                 }
             },
-            loom: {
-                type: "guitarompler.loom",
-                createOnEvent: "{that}.events.actionTaken"
+            loom: {
+                type: "guitarompler.loom",
+                createOnEvent: "{that}.events.onAudioStart",
+                options: {
+                    envelope: "{guitarompler.launcher}.preset.envelope",
+                    velocityCurve: "{guitarompler.launcher}.preset.velocityCurve",
+                    effects: "{guitarompler.launcher}.preset.effects",
+                    tuning: "{guitarompler.launcher}.preset.tuning",
+                    articulation: "{guitarompler.launcher}.preset.articulation",
+                    zoneOverlap: "{guitarompler.launcher}.preset.zoneOverlap",
+                    channels: "{guitarompler.launcher}.channels",
+                    multitimbral: "{guitarompler.launcher}.multitimbral",
+                    components: {
+                        outputBus: {
+                            options: {
+                                volume: "{guitarompler.launcher}.preset.volume",
+                                pan: "{guitarompler.launcher}.preset.pan"
+                            }
+                        }
+                    },
+                    listeners: {
+                        "onCreate.attachVisualiser": {
+                            func: "{guitarompler.launcher}.visualiser.attach",
+                            args: ["{that}"]
+                        },
+                        "onArticulationChanged.showArticulation": {
+                            funcName: "guitarompler.launcher.showArticulation",
+                            args: ["{guitarompler.launcher}", "{arguments}.0", "{arguments}.1"] // articulation, channel
+                        },
+                        "onLoadProgress.showStatus": {
+                            func: "{guitarompler.launcher}.showStatus",
+                            args: ["loading", "{arguments}.0"] // progress
+                        },
+                        "onReady.showStatus": {
+                            func: "{guitarompler.launcher}.showStatus",
+                            args: ["ready"]
+                        },
+                        "onLoadError.showStatus": {
+                            func: "{guitarompler.launcher}.showStatus",
+                            args: ["error", "{arguments}.0"] // error
+                        }
+                    }
+                }
+            },
+            offlineRenderer: {
+                type: "guitarompler.offlineRenderer",
+                options: {
+                    components: {
+                        loom: {
+                            options: {
+                                envelope: "{guitarompler.launcher}.preset.envelope",
+                                velocityCurve: "{guitarompler.launcher}.preset.velocityCurve",
+                                effects: "{guitarompler.launcher}.preset.effects",
+                                tuning: "{guitarompler.launcher}.preset.tuning",
+                                zoneOverlap: "{guitarompler.launcher}.preset.zoneOverlap",
+                                channels: "{guitarompler.launcher}.channels",
+                                multitimbral: "{guitarompler.launcher}.multitimbral",
+                                components: {
+                                    outputBus: {
+                                        options: {
+                                            volume: "{guitarompler.launcher}.preset.volume",
+                                            pan: "{guitarompler.launcher}.preset.pan"
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            ccMapper: {
+                type: "guitarompler.ccMapper",
+                options: {
+                    storageKey: "guitarompler-cc-mappings",
+                    // The parameters that can be controlled, and the function used to update each.  The default
+                    // mappings use the General MIDI numbers for volume, pan, release time, reverb and chorus.
+                    parameters: {
+                        masterVolume: { label: "Master volume", min: 0, max: 1, funcName: "guitarompler.launcher.setMasterVolume" },
+                        pan: { label: "Pan", min: -1, max: 1, funcName: "guitarompler.launcher.setPan" },
+                        release: { label: "Envelope release", min: 0.01, max: 3, funcName: "guitarompler.launcher.setRelease" },
+                        bodyWet: { label: "Body resonance", min: 0, max: 1, effect: "body", funcName: "guitarompler.launcher.setEffectWet" },
+                        eqWet: { label: "EQ", min: 0, max: 1, effect: "eq", funcName: "guitarompler.launcher.setEffectWet" },
+                        chorusWet: { label: "Chorus", min: 0, max: 1, effect: "chorus", funcName: "guitarompler.launcher.setEffectWet" },
+                        roomWet: { label: "Reverb", min: 0, max: 1, effect: "room", funcName: "guitarompler.launcher.setEffectWet" },
+                        widenerWet: { label: "Stereo widener", min: 0, max: 1, effect: "widener", funcName: "guitarompler.launcher.setEffectWet" },
+                        strumSpeed: { label: "Strum speed", min: 0, max: 50, funcName: "guitarompler.launcher.setStrumSpeed" }
+                    },
+                    mappings: {
+                        7: "masterVolume",
+                        10: "pan",
+                        72: "release",
+                        91: "roomWet",
+                        93: "chorusWet"
+                    },
+                    listeners: {
+                        "onParameterChanged.setParameter": {
+                            funcName: "guitarompler.launcher.setParameter",
+                            args: ["{guitarompler.launcher}", "{arguments}.1", "{arguments}.2"] // value, parameter
+                        },
+                        "onMappingsChanged.renderMappings": {
+                            funcName: "guitarompler.launcher.renderMappings",
+                            args: ["{guitarompler.launcher}"]
+                        },
+                        "onMappingsChanged.showStatus": {
+                            funcName: "guitarompler.launcher.showMappingLearned",
+                            args: ["{guitarompler.launcher}", "{arguments}.1", "{arguments}.2"] // ccNumber, parameterName
+                        },
+                        "onLearnStarted.renderMappings": {
+                            funcName: "guitarompler.launcher.renderMappings",
+                            args: ["{guitarompler.launcher}"]
+                        },
+                        "onLearnStarted.showStatus": {
+                            funcName: "guitarompler.launcher.showMappingLearning",
+                            args: ["{guitarompler.launcher}", "{arguments}.0"] // parameterName
+                        }
+                    }
+                }
+            },
+            presets: {
+                type: "guitarompler.presets",
+                options: {
+                    storageKey: "guitarompler-presets",
+                    defaultSettings: {
+                        zoneOverlap: "{guitarompler.launcher}.options.zoneOverlap"
+                    },
+                    listeners: {
+                        "onPresetsChanged.renderPresets": {
+                            funcName: "guitarompler.launcher.renderPresets",
+                            args: ["{guitarompler.launcher}", "{arguments}.1"] // name
+                        }
+                    }
+                }
+            },
+            recorder: {
+                type: "guitarompler.recorder",
+                options: {
+                    listeners: {
+                        "onRecordingStarted.showStatus": {
+                            func: "{guitarompler.launcher}.showStatus",
+                            args: ["recording"]
+                        },
+                        "onRecordingStopped.showStatus": {
+                            funcName: "guitarompler.launcher.showRecorded",
+                            args: ["{guitarompler.launcher}", "{arguments}.0"] // duration
+                        }
+                    }
+                }
+            },
+            visualiser: {
+                type: "guitarompler.visualiser",
+                container: "{that}.dom.visualiser",
+                options: {
+                    listeners: {
+                        "onMessageLogShown.refreshMessageLog": {
+                            funcName: "guitarompler.launcher.refreshMessageLog",
+                            args: ["{guitarompler.launcher}.midiMessageView"]
+                        }
+                    }
+                }
+            },
+            // The log of incoming MIDI messages.  This must be a child of the launcher (and have this name) so that
+            // `flock.midi.messageMonitorView` can find it from the note input's MIDI connection.
+            midiMessageView: {
+                type: "flock.midi.messageMonitorView",
+                container: "{visualiser}.dom.messageLog"
+            },
+            strummer: {
+                type: "guitarompler.strummer",
+                options: {
+                    listeners: {
+                        "onMessage.sendToLoom": {
+                            funcName: "guitarompler.launcher.sendToLoom",
+                            args: ["{guitarompler.launcher}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+                        }
+                    }
+                }
+            },
+            keyboardInput: {
+                type: "guitarompler.keyboardInput",
+                options: {
+                    listeners: {
+                        // Key presses count as a "user gesture", so they can start the audio, as clicks do.
+                        "onMessage.startAudio": {
+                            func: "{guitarompler.launcher}.events.actionTaken.fire",
+                            priority: "before:sendMessage"
+                        },
+                        "onMessage.sendMessage": {
+                            funcName: "guitarompler.launcher.handleNoteMessage",
+                            args: ["{guitarompler.launcher}", "{arguments}.0"] // midiMessage
+                        },
+                        "onSettingsChanged.showSettings": {
+                            funcName: "guitarompler.launcher.showKeyboardSettings",
+                            args: ["{guitarompler.launcher}", "{arguments}.0"] // settings
+                        }
+                    }
+                }
+            },
+            fretboard: {
+                type: "guitarompler.fretboard",
+                container: "{that}.dom.fretboard",
+                options: {
+                    listeners: {
+                        "onMessage.sendMessage": {
+                            funcName: "guitarompler.launcher.handleNoteMessage",
+                            args: ["{guitarompler.launcher}", "{arguments}.0"] // midiMessage
+                        }
+                    }
+                }
+            },
+            player: {
+                type: "guitarompler.midiPlayer",
+                options: {
+                    listeners: {
+                        "onMessage.sendMessage": {
+                            funcName: "guitarompler.launcher.handlePlayerMessage",
+                            args: ["{guitarompler.launcher}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+                        },
+                        "onFileLoaded.showSelections": {
+                            funcName: "guitarompler.launcher.showPlayerSelections",
+                            args: ["{guitarompler.launcher}", "{arguments}.1"] // description
+                        }
+                    }
+                }
+            }
+        },
+        invokers: {
+            showStatus: {
+                funcName: "guitarompler.launcher.showStatus",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // stringKey, values
+            },
+            renderFile: {
+                funcName: "guitarompler.launcher.renderFile",
+                args: ["{that}", "{arguments}.0"] // File
+            },
+            loadPlayerFile: {
+                funcName: "guitarompler.launcher.loadPlayerFile",
+                args: ["{that}", "{arguments}.0"] // File
             }
         },
         listeners: {
@@ -590,20 +2316,747 @@
                 "method": "click",
                 "args": ["{that}.events.actionTaken.fire"]
             },
+            "onCreate.bindRenderInput": {
+                funcName: "guitarompler.launcher.bindRenderInput",
+                args: ["{that}"]
+            },
+            "onCreate.bindPlayerControls": {
+                funcName: "guitarompler.launcher.bindPlayerControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindStrumControls": {
+                funcName: "guitarompler.launcher.bindStrumControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindKeyboardControls": {
+                funcName: "guitarompler.launcher.bindKeyboardControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindMappingControls": {
+                funcName: "guitarompler.launcher.bindMappingControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindTuningControls": {
+                funcName: "guitarompler.launcher.bindTuningControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindArticulationControls": {
+                funcName: "guitarompler.launcher.bindArticulationControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindZoneOverlapControls": {
+                funcName: "guitarompler.launcher.bindZoneOverlapControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindChannelControls": {
+                funcName: "guitarompler.launcher.bindChannelControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindRecorderControls": {
+                funcName: "guitarompler.launcher.bindRecorderControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindVelocityCurveControls": {
+                funcName: "guitarompler.launcher.bindVelocityCurveControls",
+                args: ["{that}"]
+            },
+            "onCreate.bindPresetControls": {
+                funcName: "guitarompler.launcher.bindPresetControls",
+                args: ["{that}"]
+            },
+            // A preset in the page's URL (see `guitarompler.presets.toUrl`) is applied once all of the controls exist.
+            "onCreate.applyPresetFromUrl": {
+                funcName: "guitarompler.launcher.applyPresetFromUrl",
+                args: ["{that}"],
+                priority: "last"
+            },
+            "actionTaken.startAudio": {
+                funcName: "guitarompler.launcher.startAudio",
+                args: ["{that}"]
+            },
+            "onAudioStart.showStatus": {
+                func: "{that}.showStatus",
+                args: ["loadingInstrument"],
+                priority: "first"
+            },
             "note.sendMessage": {
                 funcName: "guitarompler.launcher.handleNoteMessage",
-                args: ["{that}", "{arguments}.0"] // midiMessage
+                args: ["{that}", "{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
             },
             "aftertouch.sendMessage": {
                 funcName: "guitarompler.launcher.handleNoteMessage",
-                args: ["{that}", "{arguments}.0"] // midiMessage
+                args: ["{that}", "{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
+            },
+            "control.sendMessage": {
+                funcName: "guitarompler.launcher.handleNoteMessage",
+                args: ["{that}", "{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
+            },
+            "pitchbend.sendMessage": {
+                funcName: "guitarompler.launcher.handleNoteMessage",
+                args: ["{that}", "{arguments}.0", "{arguments}.1.timeStamp"] // midiMessage, the MIDI event's timestamp
             }
         }
     });
 
-    guitarompler.launcher.handleNoteMessage = function (that, midiMessage) {
+    // The first gesture creates the loom (and its audio context), later gestures resume the context if needed.
+    guitarompler.launcher.startAudio = function (that) {
+        if (that.loom) {
+            that.loom.resume();
+        }
+        else {
+            that.events.onAudioStart.fire();
+        }
+    };
+
+    guitarompler.launcher.showStatus = function (that, stringKey, values) {
+        var statusText = fluid.stringTemplate(that.options.strings[stringKey], values || {});
+        that.locate("status").text(statusText);
+    };
+
+    guitarompler.launcher.bindRenderInput = function (that) {
+        that.locate("renderInput").change(function (event) {
+            var file = event.target.files[0];
+            if (file) {
+                that.renderFile(file);
+            }
+            // Clear the input so that choosing the same file again will render it again.
+            event.target.value = "";
+        });
+    };
+
+    // Render a MIDI file chosen by the user, and offer the result as a WAV file with the same name.
+    guitarompler.launcher.renderFile = function (that, file) {
+        var values = { fileName: file.name };
+        that.showStatus("rendering", values);
+
+        var renderPromise = fluid.promise();
+        guitarompler.readFile(file).then(function (midiFileData) {
+            fluid.promise.follow(that.offlineRenderer.render(midiFileData), renderPromise);
+        }, renderPromise.reject);
+
+        renderPromise.then(function (wavData) {
+            var wavFileName = file.name.replace(/\.midi?$/i, "") + ".wav";
+            guitarompler.saveFile(wavData, wavFileName, "audio/wav");
+            that.showStatus("rendered", values);
+        }, function (error) {
+            that.showStatus("renderError", fluid.extend({}, values, error));
+        });
+    };
+
+    guitarompler.launcher.bindPlayerControls = function (that) {
+        that.locate("playerInput").change(function (event) {
+            var file = event.target.files[0];
+            if (file) {
+                that.loadPlayerFile(file);
+            }
+        });
+        that.locate("playButton").click(that.player.play);
+        that.locate("pauseButton").click(that.player.pause);
+        that.locate("stopButton").click(that.player.stop);
+        that.locate("tempoInput").change(function (event) {
+            that.player.setTempoScale(Number(event.target.value));
+        });
+        that.locate("loopInput").change(function (event) {
+            that.player.setLoop(event.target.checked);
+        });
+    };
+
+    guitarompler.launcher.bindRecorderControls = function (that) {
+        that.locate("recordButton").click(function () {
+            // Make sure the loom exists, so that its audio can be recorded from the start.
+            that.events.actionTaken.fire();
+            that.recorder.start(that.loom);
+        });
+        that.locate("stopRecordingButton").click(that.recorder.stop);
+        that.locate("saveMidiButton").click(function () {
+            if (that.recorder.messages.length) {
+                guitarompler.saveFile(that.recorder.exportMidi(), "guitarompler-take.mid", "audio/midi");
+            }
+            else {
+                that.showStatus("nothingRecorded");
+            }
+        });
+        that.locate("saveAudioButton").click(function () {
+            var wavData = that.recorder.exportAudio();
+            if (wavData) {
+                guitarompler.saveFile(wavData, "guitarompler-take.wav", "audio/wav");
+            }
+            else {
+                that.showStatus("nothingRecorded");
+            }
+        });
+    };
+
+    guitarompler.launcher.showRecorded = function (that, duration) {
+        that.showStatus("recorded", { duration: duration.toFixed(1) });
+    };
+
+    guitarompler.launcher.bindKeyboardControls = function (that) {
+        that.locate("keyboardToggle").prop("checked", that.keyboardInput.enabled).change(function (event) {
+            that.keyboardInput.setEnabled(event.target.checked);
+        });
+        guitarompler.launcher.showKeyboardSettings(that, { octaveShift: that.keyboardInput.octaveShift, velocity: that.keyboardInput.velocity });
+    };
+
+    guitarompler.launcher.showKeyboardSettings = function (that, settings) {
+        that.locate("keyboardStatus").text(fluid.stringTemplate(that.options.strings.keyboardStatus, settings));
+        that.fretboard.setVelocity(settings.velocity);
+    };
+
+    guitarompler.launcher.bindStrumControls = function (that) {
+        that.locate("strumInput").prop("checked", that.strummer.enabled).change(function (event) {
+            that.strummer.setEnabled(event.target.checked);
+        });
+        that.locate("strumSpeedInput").val(that.strummer.strumSpeed).change(function (event) {
+            that.strummer.setStrumSpeed(Number(event.target.value));
+        });
+    };
+
+    guitarompler.launcher.loadPlayerFile = function (that, file) {
+        var values = { fileName: file.name };
+        guitarompler.readFile(file).then(function (midiFileData) {
+            try {
+                that.player.load(midiFileData);
+            }
+            catch (error) {
+                that.showStatus("playerError", fluid.extend({}, values, { message: error.message }));
+                return;
+            }
+
+            values.duration = that.player.duration().toFixed(1);
+            that.showStatus("playerLoaded", values);
+        }, function (error) {
+            that.showStatus("playerError", fluid.extend({}, values, error));
+        });
+    };
+
+    // Display a checkbox for each track and channel in the loaded file, so that the user can choose which to play.
+    guitarompler.launcher.showPlayerSelections = function (that, description) {
+        var trackCheckboxes = guitarompler.launcher.renderCheckboxes(that.locate("trackList"), fluid.transform(description.tracks, function (track) {
+            return { value: track.index, label: fluid.stringTemplate(that.options.strings.trackLabel, track) };
+        }));
+        trackCheckboxes.change(function () {
+            that.player.selectTracks(guitarompler.launcher.checkedValues(trackCheckboxes));
+        });
+
+        var channelCheckboxes = guitarompler.launcher.renderCheckboxes(that.locate("channelList"), fluid.transform(description.channels, function (channel) {
+            // Channels are numbered from 1 in most software, and from 0 in MIDI messages.
+            return { value: channel, label: fluid.stringTemplate(that.options.strings.channelLabel, { channel: channel + 1 }) };
+        }));
+        channelCheckboxes.change(function () {
+            that.player.selectChannels(guitarompler.launcher.checkedValues(channelCheckboxes));
+        });
+    };
+
+    guitarompler.launcher.renderCheckboxes = function (container, options) {
+        container.empty();
+        fluid.each(options, function (option) {
+            var checkbox = fluid.jQuery("<input type=\"checkbox\" checked>").val(option.value);
+            var label = fluid.jQuery("<label></label>").append(checkbox, " ", document.createTextNode(option.label));
+            container.append(label);
+        });
+        return container.find("input");
+    };
+
+    guitarompler.launcher.checkedValues = function (checkboxes) {
+        return fluid.transform(checkboxes.filter(":checked").toArray(), function (checkbox) {
+            return Number(checkbox.value);
+        });
+    };
+
+    // Messages played live, whether from a MIDI device, the computer keyboard or the fretboard, pass through the CC
+    // mapper and the strummer on their way to the loom.  `timeStamp` is the time (in milliseconds, see
+    // `guitarompler.loom.scheduleMessage`) at which to play the message, if it has one.
+    guitarompler.launcher.handleNoteMessage = function (that, midiMessage, timeStamp) {
+        if (!guitarompler.launcher.handleMappedControl(that, midiMessage, timeStamp)) {
+            that.strummer.handleNoteMessage(midiMessage, timeStamp);
+        }
+    };
+
+    // Messages from the MIDI file player pass through the CC mapper, but not the strummer, as the file's chords have
+    // already been arranged (and its notes are already timed), and should be played as they were written.
+    guitarompler.launcher.handlePlayerMessage = function (that, midiMessage, timeStamp) {
+        if (!guitarompler.launcher.handleMappedControl(that, midiMessage, timeStamp)) {
+            guitarompler.launcher.sendToLoom(that, midiMessage, timeStamp);
+        }
+    };
+
+    // Control changes that are mapped to a parameter (or used to learn a mapping) go no further than the CC mapper, but
+    // are still recorded.  The exception is channel volume and pan, which go on to the loom when it is multitimbral
+    // (see `guitarompler.launcher.isPartControl`).  Returns `true` if the CC mapper has handled the message.
+    guitarompler.launcher.handleMappedControl = function (that, midiMessage, timeStamp) {
+        if (!guitarompler.launcher.isPartControl(that, midiMessage) && that.ccMapper.handleControlMessage(midiMessage)) {
+            that.recorder.record(midiMessage, timeStamp);
+            return true;
+        }
+        return false;
+    };
+
+    // Whether a message is a channel volume or pan message (control change 7 or 10) for one of the parts of a
+    // multitimbral loom.  These are passed on to the loom even though they are mapped to the master volume and pan by
+    // default, so that a sequencer can mix its parts.  Any control can still be used to learn a mapping.
+    guitarompler.launcher.isPartControl = function (that, midiMessage) {
+        return that.multitimbral && !that.ccMapper.learning && fluid.get(midiMessage, "type") === "control" && [7, 10].indexOf(midiMessage.number) !== -1;
+    };
+
+    guitarompler.launcher.setParameter = function (that, value, parameter) {
+        fluid.invokeGlobalFunction(parameter.funcName, [that, value, parameter]);
+    };
+
+    guitarompler.launcher.setMasterVolume = function (that, value) {
+        that.preset.volume = value;
+        if (that.loom) {
+            that.loom.setMasterVolume(value);
+        }
+    };
+
+    guitarompler.launcher.setPan = function (that, value) {
+        that.preset.pan = value;
+        if (that.loom) {
+            that.loom.setPan(value);
+        }
+    };
+
+    guitarompler.launcher.setRelease = function (that, value) {
+        that.preset.envelope.release = value;
+        if (that.loom) {
+            that.loom.setEnvelope({ release: value });
+        }
+    };
+
+    guitarompler.launcher.setEffectWet = function (that, value, parameter) {
+        that.preset.effects[parameter.effect].wet = value;
+        var effect = fluid.get(that, ["loom", "outputBus", "effects", parameter.effect]);
+        if (effect) {
+            effect.setWet(value);
+        }
+    };
+
+    guitarompler.launcher.setStrumSpeed = function (that, value) {
+        that.strummer.setStrumSpeed(value);
+        that.locate("strumSpeedInput").val(value);
+    };
+
+    guitarompler.launcher.bindTuningControls = function (that) {
+        that.locate("referenceFrequencyInput").change(function (event) {
+            var referenceFrequency = Number(event.target.value);
+            if (referenceFrequency > 0) {
+                guitarompler.launcher.setTuning(that, { referenceFrequency: referenceFrequency });
+            }
+        });
+
+        var temperamentSelect = that.locate("temperamentSelect").empty();
+        fluid.each(that.options.temperamentLabels, function (label, temperament) {
+            temperamentSelect.append(fluid.jQuery("<option></option>").val(temperament).text(label));
+        });
+        temperamentSelect.change(function (event) {
+            guitarompler.launcher.setTuning(that, { temperament: event.target.value });
+        });
+
+        var rootSelect = that.locate("temperamentRootSelect").empty();
+        fluid.each(that.options.noteNames, function (noteName, pitchClass) {
+            rootSelect.append(fluid.jQuery("<option></option>").val(pitchClass).text(noteName));
+        });
+        rootSelect.change(function (event) {
+            guitarompler.launcher.setTuning(that, { temperamentRoot: Number(event.target.value) });
+        });
+
+        that.locate("scalaInput").change(function (event) {
+            guitarompler.launcher.loadScalaFiles(that, event.target.files);
+            event.target.value = "";
+        });
+        that.locate("clearScalaButton").click(function () {
+            if (guitarompler.launcher.setTuning(that, { scale: false, keyboardMapping: false })) {
+                var temperament = that.locate("temperamentSelect").val();
+                that.showStatus("scalaCleared", { temperament: that.options.temperamentLabels[temperament] });
+            }
+        });
+
+        guitarompler.launcher.showTuning(that);
+    };
+
+    guitarompler.launcher.showTuning = function (that) {
+        var tuning = that.preset.tuning;
+        that.locate("referenceFrequencyInput").val(tuning.referenceFrequency);
+        that.locate("temperamentSelect").val(tuning.temperament);
+        that.locate("temperamentRootSelect").val(tuning.temperamentRoot);
+    };
+
+    guitarompler.launcher.bindArticulationControls = function (that) {
+        var articulationSelect = that.locate("articulationSelect").empty();
+        fluid.each(that.options.articulationLabels, function (label, articulation) {
+            articulationSelect.append(fluid.jQuery("<option></option>").val(articulation).text(label));
+        });
+        articulationSelect.val(that.preset.articulation).change(function (event) {
+            that.preset.articulation = event.target.value;
+            if (that.loom) {
+                that.loom.setArticulation(event.target.value);
+            }
+        });
+    };
+
+    guitarompler.launcher.bindZoneOverlapControls = function (that) {
+        that.locate("zoneOverlapInput").val(that.preset.zoneOverlap).change(function (event) {
+            that.preset.zoneOverlap = Number(event.target.value);
+            if (that.loom) {
+                that.loom.setZoneOverlap(that.preset.zoneOverlap);
+            }
+        });
+    };
+
+    // Display a checkbox for each MIDI channel.  Checking every channel is the same as "omni".
+    guitarompler.launcher.bindChannelControls = function (that) {
+        var channelCheckboxes = guitarompler.launcher.renderCheckboxes(that.locate("channelFilterList"), fluid.generate(16, function (channel) {
+            return { value: channel, label: fluid.stringTemplate(that.options.strings.channelLabel, { channel: channel + 1 }) };
+        }, true));
+        channelCheckboxes.change(function () {
+            var channels = guitarompler.launcher.checkedValues(channelCheckboxes);
+            that.channels = channels.length === channelCheckboxes.length ? "omni" : channels;
+            if (that.loom) {
+                that.loom.setChannels(that.channels);
+            }
+        });
+
+        that.locate("multitimbralInput").prop("checked", that.multitimbral).change(function (event) {
+            that.multitimbral = event.target.checked;
+            if (that.loom) {
+                that.loom.setMultitimbral(that.multitimbral);
+            }
+        });
+    };
+
+    // Keep the controls in step with the loom, whose articulation can also be changed using a keyswitch.  The controls
+    // only show the loom's own articulation, and not those of any multitimbral parts.
+    guitarompler.launcher.showArticulation = function (that, articulation, channel) {
+        if (fluid.isValue(channel)) {
+            return;
+        }
+        that.preset.articulation = articulation;
+        that.locate("articulationSelect").val(articulation);
+    };
+
+    // Change the tuning of the current loom, and of any loom created later.  Returns `false` if the settings are invalid.
+    guitarompler.launcher.setTuning = function (that, settings) {
+        var tuningSettings = fluid.extend({}, that.preset.tuning, settings);
+        try {
+            // Check that the settings produce a valid tuning table before keeping them.
+            guitarompler.tuning.buildTable(fluid.extend({}, fluid.defaults("guitarompler.loom").tuning, tuningSettings));
+        }
+        catch (error) {
+            that.showStatus("tuningError", { message: error.message });
+            return false;
+        }
+
+        that.preset.tuning = tuningSettings;
+        if (that.loom) {
+            that.loom.setTuning(settings);
+        }
+        return true;
+    };
+
+    // Load a Scala scale (`.scl`) file, and an optional keyboard mapping (`.kbm`) file, from a list of chosen files.
+    guitarompler.launcher.loadScalaFiles = function (that, files) {
+        var findFile = function (extension) {
+            return fluid.find(files, function (file) {
+                return file.name.toLowerCase().slice(-extension.length) === extension ? file : undefined;
+            });
+        };
+        var scalaFile = findFile(".scl");
+        var keyboardMappingFile = findFile(".kbm");
+        if (!scalaFile) {
+            that.showStatus("noScalaFile");
+            return;
+        }
+
+        var showError = function (error) {
+            that.showStatus("tuningError", error);
+        };
+        guitarompler.readFile(scalaFile, true).then(function (scalaText) {
+            var keyboardMappingPromise = keyboardMappingFile ? guitarompler.readFile(keyboardMappingFile, true) : fluid.toPromise(false);
+            keyboardMappingPromise.then(function (keyboardMappingText) {
+                var settings;
+                try {
+                    settings = {
+                        scale: guitarompler.tuning.parseScala(scalaText),
+                        keyboardMapping: keyboardMappingText ? guitarompler.tuning.parseKeyboardMapping(keyboardMappingText) : false
+                    };
+                }
+                catch (error) {
+                    showError({ message: error.message });
+                    return;
+                }
+
+                if (guitarompler.launcher.setTuning(that, settings)) {
+                    that.showStatus("scalaLoaded", { description: settings.scale.description || scalaFile.name, fileName: scalaFile.name });
+                }
+            }, showError);
+        }, showError);
+    };
+
+    guitarompler.launcher.bindMappingControls = function (that) {
+        var mappingContainer = that.locate("ccMappings");
+        mappingContainer.on("click", ".cc-mapping-learn", function (event) {
+            var parameterName = fluid.jQuery(event.currentTarget).attr("data-parameter");
+            if (that.ccMapper.learning === parameterName) {
+                that.ccMapper.cancelLearn();
+                guitarompler.launcher.renderMappings(that);
+            }
+            else {
+                that.ccMapper.learn(parameterName);
+            }
+        });
+        mappingContainer.on("click", ".cc-mapping-clear", function (event) {
+            that.ccMapper.unmap(fluid.jQuery(event.currentTarget).attr("data-parameter"));
+        });
+
+        that.locate("exportMappingsButton").click(function () {
+            guitarompler.saveFile(that.ccMapper.exportMappings(), "guitarompler-cc-mappings.json", "application/json");
+        });
+        that.locate("importMappingsInput").change(function (event) {
+            var file = event.target.files[0];
+            if (file) {
+                guitarompler.launcher.importMappings(that, file);
+            }
+            event.target.value = "";
+        });
+
+        guitarompler.launcher.renderMappings(that);
+    };
+
+    guitarompler.launcher.importMappings = function (that, file) {
+        var values = { fileName: file.name };
+        guitarompler.readFile(file, true).then(function (json) {
+            try {
+                that.ccMapper.importMappings(json);
+                that.showStatus("mappingsImported", values);
+            }
+            catch (error) {
+                that.showStatus("mappingsError", fluid.extend({}, values, { message: error.message }));
+            }
+        }, function (error) {
+            that.showStatus("mappingsError", fluid.extend({}, values, error));
+        });
+    };
+
+    // Display each parameter, the controls mapped to it, and buttons to learn or clear its mapping.
+    guitarompler.launcher.renderMappings = function (that) {
+        var mappingContainer = that.locate("ccMappings");
+        var strings = that.options.strings;
+        mappingContainer.empty();
+        fluid.each(that.ccMapper.options.parameters, function (parameter, parameterName) {
+            var ccNumbers = that.ccMapper.controlsFor(parameterName);
+            var controlText = ccNumbers.length ? fluid.stringTemplate(strings.mappedControls, { ccNumbers: ccNumbers.join(", ") }) : strings.unmapped;
+            var row = fluid.jQuery("<div class='cc-mapping'></div>");
+            row.toggleClass("cc-mapping-learning", that.ccMapper.learning === parameterName);
+            row.append(
+                fluid.jQuery("<span class='cc-mapping-label'></span>").text(parameter.label),
+                " ",
+                fluid.jQuery("<span class='cc-mapping-control'></span>").text(controlText),
+                " ",
+                fluid.jQuery("<button type='button' class='cc-mapping-learn'></button>").attr("data-parameter", parameterName).text(strings.learnButton),
+                " ",
+                fluid.jQuery("<button type='button' class='cc-mapping-clear'></button>").attr("data-parameter", parameterName).text(strings.clearButton)
+            );
+            mappingContainer.append(row);
+        });
+    };
+
+    guitarompler.launcher.showMappingLearning = function (that, parameterName) {
+        that.showStatus("learning", that.ccMapper.options.parameters[parameterName]);
+    };
+
+    // Only mappings made using "MIDI learn" are announced.
+    guitarompler.launcher.showMappingLearned = function (that, ccNumber, parameterName) {
+        if (fluid.isValue(ccNumber)) {
+            that.showStatus("learned", { ccNumber: ccNumber, label: that.ccMapper.options.parameters[parameterName].label });
+        }
+    };
+
+    guitarompler.launcher.bindVelocityCurveControls = function (that) {
+        that.locate("velocityCurveInput").val(that.preset.velocityCurve.exponent).change(function (event) {
+            that.preset.velocityCurve.exponent = Number(event.target.value);
+            if (that.loom) {
+                that.loom.setVelocityCurve(that.preset.velocityCurve);
+            }
+        });
+    };
+
+    guitarompler.launcher.bindPresetControls = function (that) {
+        var presetNameInput = that.locate("presetNameInput");
+        that.locate("presetSelect").change(function (event) {
+            var name = event.target.value;
+            if (name && guitarompler.launcher.applyPreset(that, name, that.presets.get(name))) {
+                presetNameInput.val(name);
+            }
+        });
+        that.locate("savePresetButton").click(function () {
+            var name = presetNameInput.val().trim();
+            if (name) {
+                that.presets.save(name, guitarompler.launcher.currentPreset(that));
+                that.showStatus("presetSaved", { name: name });
+            }
+            else {
+                that.showStatus("noPresetName");
+            }
+        });
+        that.locate("deletePresetButton").click(function () {
+            var name = that.locate("presetSelect").val();
+            if (name && that.presets.userPresets[name]) {
+                that.presets.remove(name);
+                that.showStatus("presetDeleted", { name: name });
+            }
+        });
+
+        that.locate("exportPresetButton").click(function () {
+            var presetJson = that.presets.exportPreset(presetNameInput.val().trim(), guitarompler.launcher.currentPreset(that));
+            guitarompler.saveFile(presetJson, "guitarompler-preset.json", "application/json");
+        });
+        that.locate("importPresetInput").change(function (event) {
+            var file = event.target.files[0];
+            if (file) {
+                guitarompler.launcher.importPreset(that, file);
+            }
+            event.target.value = "";
+        });
+
+        // Put the current settings in the page's URL, so that they can be shared (or bookmarked).
+        that.locate("sharePresetButton").click(function () {
+            var url = that.presets.toUrl(window.location.href, presetNameInput.val().trim(), guitarompler.launcher.currentPreset(that));
+            window.history.replaceState(null, "", url);
+            that.locate("presetLink").val(url).select();
+            that.showStatus("presetLinkCreated");
+        });
+
+        guitarompler.launcher.renderPresets(that);
+    };
+
+    // List the factory and saved presets, and select `selectedName` if there is a preset with that name.
+    guitarompler.launcher.renderPresets = function (that, selectedName) {
+        var strings = that.options.strings;
+        var presetSelect = that.locate("presetSelect").empty();
+        presetSelect.append(fluid.jQuery("<option></option>").val("").text(strings.choosePreset));
+        fluid.each(that.presets.list(), function (preset) {
+            var label = preset.isSaved ? fluid.stringTemplate(strings.savedPresetLabel, preset) : preset.name;
+            presetSelect.append(fluid.jQuery("<option></option>").val(preset.name).text(label));
+        });
+        presetSelect.val(selectedName || "");
+        if (presetSelect.val() === null) {
+            presetSelect.val("");
+        }
+    };
+
+    // The current settings, in the format used by `guitarompler.presets`.
+    guitarompler.launcher.currentPreset = function (that) {
+        var preset = fluid.copy(that.preset);
+        preset.strum = { enabled: that.strummer.enabled, strumSpeed: that.strummer.strumSpeed };
+        preset.ccMappings = fluid.copy(that.ccMapper.mappings);
+        return preset;
+    };
+
+    // Use the settings of a preset, filling in any it leaves out with their defaults.  Returns `false` if the preset
+    // can't be used.
+    guitarompler.launcher.applyPreset = function (that, name, settings) {
+        var preset = that.presets.expand(settings);
+        try {
+            guitarompler.tuning.buildTable(preset.tuning);
+        }
+        catch (error) {
+            that.showStatus("presetError", { name: name, message: error.message });
+            return false;
+        }
+
+        guitarompler.launcher.applyPresetSettings(that, preset);
+
+        that.locate("strumInput").prop("checked", that.strummer.enabled);
+        that.locate("strumSpeedInput").val(that.strummer.strumSpeed);
+        that.locate("articulationSelect").val(preset.articulation);
+        that.locate("zoneOverlapInput").val(preset.zoneOverlap);
+        that.locate("velocityCurveInput").val(preset.velocityCurve.exponent);
+        guitarompler.launcher.showTuning(that);
+        that.showStatus("presetLoaded", { name: name });
+        return true;
+    };
+
+    // Change the settings of the launcher's components (and of its loom, if it has been created) to those of a
+    // (complete) preset.  The CC mappings are only changed if the preset includes them, see `guitarompler.presets`.
+    guitarompler.launcher.applyPresetSettings = function (that, preset) {
+        that.preset = preset;
+        that.strummer.setEnabled(preset.strum.enabled);
+        that.strummer.setStrumSpeed(preset.strum.strumSpeed);
+        if (preset.ccMappings) {
+            that.ccMapper.setMappings(preset.ccMappings);
+        }
+        if (that.loom) {
+            guitarompler.launcher.applyPresetToLoom(that.loom, preset);
+        }
+    };
+
+    // Change the settings of a loom that already exists to those of a (complete) preset.
+    guitarompler.launcher.applyPresetToLoom = function (loom, preset) {
+        loom.setEnvelope(preset.envelope);
+        loom.setVelocityCurve(preset.velocityCurve);
+        loom.setMasterVolume(preset.volume);
+        loom.setPan(preset.pan);
+        fluid.each(preset.effects, function (effectSettings, effectName) {
+            var effect = loom.outputBus.effects[effectName];
+            if (!effect) {
+                fluid.log("Ignoring the settings of an unknown effect: ", effectName);
+                return;
+            }
+            effect.setBypass(effectSettings.bypass);
+            effect.setWet(effectSettings.wet);
+            fluid.each(effectSettings.bands, function (band, bandIndex) {
+                effect.setBand(bandIndex, band);
+            });
+        });
+        loom.setTuning(preset.tuning);
+        loom.setArticulation(preset.articulation);
+        loom.setZoneOverlap(preset.zoneOverlap);
+    };
+
+    guitarompler.launcher.importPreset = function (that, file) {
+        var values = { fileName: file.name };
+        guitarompler.readFile(file, true).then(function (json) {
+            var imported;
+            try {
+                imported = that.presets.importPreset(json);
+            }
+            catch (error) {
+                that.showStatus("presetImportError", fluid.extend({}, values, { message: error.message }));
+                return;
+            }
+
+            var name = imported.name || file.name.replace(/\.json$/i, "");
+            if (guitarompler.launcher.applyPreset(that, name, imported.settings)) {
+                that.locate("presetNameInput").val(name);
+                that.showStatus("presetImported", fluid.extend({}, values, { name: name }));
+            }
+        }, function (error) {
+            that.showStatus("presetImportError", fluid.extend({}, values, error));
+        });
+    };
+
+    guitarompler.launcher.applyPresetFromUrl = function (that) {
+        var preset = that.presets.fromUrl(window.location.href);
+        var name = preset && (preset.name || that.options.strings.sharedPreset);
+        if (preset && guitarompler.launcher.applyPreset(that, name, preset.settings)) {
+            that.locate("presetNameInput").val(name);
+        }
+    };
+
+    // Messages are recorded as they are sent to the loom, i.e. with the timing of any strum.
+    guitarompler.launcher.sendToLoom = function (that, midiMessage, timeStamp) {
+        that.recorder.record(midiMessage, timeStamp);
+        that.visualiser.showMessage(midiMessage);
         if (that.loom) {
-            that.loom.handleNoteMessage(midiMessage);
+            that.loom.scheduleMessage(midiMessage, timeStamp);
+        }
+    };
+
+    // CodeMirror can't measure itself while it is hidden, so the log has to be refreshed once it can be seen.
+    guitarompler.launcher.refreshMessageLog = function (midiMessageView) {
+        if (midiMessageView && midiMessageView.editor) {
+            midiMessageView.editor.refresh();
         }
     };
 })(fluid);
@@ -0,0 +1,192 @@
+/*
+
+    Play the instrument using a computer keyboard, without a MIDI device.  The keys are laid out like a piano keyboard,
+    with the "white" notes on the middle row of letters (starting with "A" for C), and the "black" notes on the row
+    above:
+
+     W E   T Y U   O P
+    A S D F G H J K L ;
+
+    "Z" and "X" shift the keyboard down and up an octave, and "C" and "V" make notes quieter and louder.  Keys are
+    identified by their physical position (see https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code),
+    so that the layout is the same for other keyboard layouts, such as AZERTY.
+
+    Each key sends the same "note on" and "note off" messages as a MIDI device, using the `onMessage` event.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.keyboardInput", {
+        gradeNames: ["fluid.component"],
+        enabled: true,
+        channel: 0,
+        baseNote: 48, // The note played by the "A" key when the octave shift is zero, i.e. C3.
+        minOctaveShift: -2,
+        maxOctaveShift: 5,
+        velocity: 96,
+        velocityStep: 16,
+        keyMap: {
+            KeyA: 0,
+            KeyW: 1,
+            KeyS: 2,
+            KeyE: 3,
+            KeyD: 4,
+            KeyF: 5,
+            KeyT: 6,
+            KeyG: 7,
+            KeyY: 8,
+            KeyH: 9,
+            KeyU: 10,
+            KeyJ: 11,
+            KeyK: 12,
+            KeyO: 13,
+            KeyL: 14,
+            KeyP: 15,
+            Semicolon: 16
+        },
+        controlKeys: {
+            octaveDown: "KeyZ",
+            octaveUp: "KeyX",
+            velocityDown: "KeyC",
+            velocityUp: "KeyV"
+        },
+        members: {
+            enabled: "{that}.options.enabled",
+            octaveShift: 0,
+            velocity: "{that}.options.velocity",
+            // The note played by each key that is held down, so that we release the same note even if the octave changes.
+            heldKeys: {},
+            keyHandlers: "@expand:guitarompler.keyboardInput.createKeyHandlers({that})"
+        },
+        events: {
+            onMessage: null,
+            onSettingsChanged: null
+        },
+        invokers: {
+            handleKeyDown: {
+                funcName: "guitarompler.keyboardInput.handleKeyDown",
+                args: ["{that}", "{arguments}.0"] // KeyboardEvent
+            },
+            handleKeyUp: {
+                funcName: "guitarompler.keyboardInput.handleKeyUp",
+                args: ["{that}", "{arguments}.0"] // KeyboardEvent
+            },
+            setEnabled: {
+                funcName: "guitarompler.keyboardInput.setEnabled",
+                args: ["{that}", "{arguments}.0"] // enabled
+            },
+            shiftOctave: {
+                funcName: "guitarompler.keyboardInput.shiftOctave",
+                args: ["{that}", "{arguments}.0"] // octaves
+            },
+            changeVelocity: {
+                funcName: "guitarompler.keyboardInput.changeVelocity",
+                args: ["{that}", "{arguments}.0"] // amount
+            }
+        },
+        listeners: {
+            "onCreate.bindKeys": {
+                funcName: "guitarompler.keyboardInput.bindKeys",
+                args: ["{that}"]
+            },
+            "onDestroy.unbindKeys": {
+                funcName: "guitarompler.keyboardInput.unbindKeys",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    // Keep a reference to each handler, so that we only unbind our own handlers when the component is destroyed.  The
+    // handlers are passed the browser's own KeyboardEvent rather than jQuery's wrapper, which may not include `code`.
+    guitarompler.keyboardInput.createKeyHandlers = function (that) {
+        return {
+            keydown: function (event) { that.handleKeyDown(event.originalEvent || event); },
+            keyup: function (event) { that.handleKeyUp(event.originalEvent || event); }
+        };
+    };
+
+    guitarompler.keyboardInput.bindKeys = function (that) {
+        if (typeof document !== "undefined") {
+            fluid.jQuery(document).on(that.keyHandlers);
+        }
+    };
+
+    guitarompler.keyboardInput.unbindKeys = function (that) {
+        guitarompler.keyboardInput.releaseAll(that);
+        if (typeof document !== "undefined") {
+            fluid.jQuery(document).off(that.keyHandlers);
+        }
+    };
+
+    // Leave keys alone when the user is typing in a form field, or using a shortcut such as Ctrl+S.
+    guitarompler.keyboardInput.shouldIgnore = function (event) {
+        var tagName = fluid.get(event, "target.tagName");
+        return event.ctrlKey || event.metaKey || event.altKey || tagName === "INPUT" || tagName === "SELECT" || tagName === "TEXTAREA";
+    };
+
+    guitarompler.keyboardInput.handleKeyDown = function (that, event) {
+        if (!that.enabled || guitarompler.keyboardInput.shouldIgnore(event)) {
+            return;
+        }
+
+        var code = event.code;
+        var controlKeys = that.options.controlKeys;
+        var offset = that.options.keyMap[code];
+        if (offset !== undefined) {
+            event.preventDefault();
+            // Ignore the repeated "key down" events sent while a key is held down.
+            if (that.heldKeys[code] === undefined) {
+                var note = that.options.baseNote + (that.octaveShift * 12) + offset;
+                if (note >= 0 && note <= 127) {
+                    that.heldKeys[code] = note;
+                    that.events.onMessage.fire({ type: "noteOn", channel: that.options.channel, note: note, velocity: that.velocity });
+                }
+            }
+        }
+        else if (code === controlKeys.octaveDown) {
+            that.shiftOctave(-1);
+        }
+        else if (code === controlKeys.octaveUp) {
+            that.shiftOctave(1);
+        }
+        else if (code === controlKeys.velocityDown) {
+            that.changeVelocity(-that.options.velocityStep);
+        }
+        else if (code === controlKeys.velocityUp) {
+            that.changeVelocity(that.options.velocityStep);
+        }
+    };
+
+    guitarompler.keyboardInput.handleKeyUp = function (that, event) {
+        var note = that.heldKeys[event.code];
+        if (note !== undefined) {
+            delete that.heldKeys[event.code];
+            that.events.onMessage.fire({ type: "noteOff", channel: that.options.channel, note: note, velocity: 0 });
+        }
+    };
+
+    guitarompler.keyboardInput.releaseAll = function (that) {
+        fluid.each(that.heldKeys, function (note, code) {
+            guitarompler.keyboardInput.handleKeyUp(that, { code: code });
+        });
+    };
+
+    guitarompler.keyboardInput.setEnabled = function (that, enabled) {
+        that.enabled = !!enabled;
+        if (!that.enabled) {
+            guitarompler.keyboardInput.releaseAll(that);
+        }
+    };
+
+    guitarompler.keyboardInput.shiftOctave = function (that, octaves) {
+        that.octaveShift = Math.min(that.options.maxOctaveShift, Math.max(that.options.minOctaveShift, that.octaveShift + octaves));
+        that.events.onSettingsChanged.fire({ octaveShift: that.octaveShift, velocity: that.velocity });
+    };
+
+    guitarompler.keyboardInput.changeVelocity = function (that, amount) {
+        that.velocity = Math.min(127, Math.max(1, that.velocity + amount));
+        that.events.onSettingsChanged.fire({ octaveShift: that.octaveShift, velocity: that.velocity });
+    };
+})(fluid);
@@ -0,0 +1,412 @@
+/*
+
+    A reader (and writer) for Standard MIDI Files, which works both in the browser and in Node.  See
+    https://www.midi.org/specifications-old/item/standard-midi-files-smf for the file format.
+
+    `guitarompler.midiFile.parse` converts the raw bytes of a file into an object like the following:
+
+    {
+        format: 1,
+        division: 480, // The number of "ticks" per quarter note.
+        tracks: [
+            {
+                name: "Guitar",
+                events: [
+                    { tick: 0, type: "tempo", microsecondsPerQuarter: 500000 },
+                    { tick: 480, type: "noteOn", channel: 0, note: 60, velocity: 100 }
+                ]
+            }
+        ]
+    }
+
+    Channel messages use the same format as flocking-midi, so that they can be passed directly to
+    `guitarompler.loom.handleNoteMessage`.  `guitarompler.midiFile.toTimeline` converts a parsed file into a single
+    list of channel messages, each with the time (in seconds) at which it should be played.
+
+    Going the other way, `guitarompler.midiFile.fromTimeline` converts a list of timed channel messages into the same
+    format, and `guitarompler.midiFile.encode` converts that format back into the bytes of a file.
+
+*/
+/* global Uint8Array */
+
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.registerNamespace("guitarompler.midiFile");
+
+    // The tempo to use until a file tells us otherwise, i.e. 120 beats per minute.
+    guitarompler.midiFile.defaultMicrosecondsPerQuarter = 500000;
+
+    // Parse the raw bytes of a file (an ArrayBuffer or Uint8Array).  Throws an error if it is not a Standard MIDI File.
+    guitarompler.midiFile.parse = function (data) {
+        var bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        var reader = { bytes: bytes, position: 0 };
+
+        if (guitarompler.midiFile.readChunkType(reader) !== "MThd") {
+            throw new Error("Not a Standard MIDI File.");
+        }
+
+        var headerLength = guitarompler.midiFile.readUint(reader, 4);
+        var headerEnd = reader.position + headerLength;
+        var midiFile = {
+            format: guitarompler.midiFile.readUint(reader, 2),
+            trackCount: guitarompler.midiFile.readUint(reader, 2),
+            division: guitarompler.midiFile.readUint(reader, 2),
+            tracks: []
+        };
+        reader.position = headerEnd;
+
+        while (reader.position < bytes.length && midiFile.tracks.length < midiFile.trackCount) {
+            var chunkType = guitarompler.midiFile.readChunkType(reader);
+            var chunkLength = guitarompler.midiFile.readUint(reader, 4);
+            var chunkEnd = reader.position + chunkLength;
+            // Skip any "alien" chunks, as recommended by the specification.
+            if (chunkType === "MTrk") {
+                midiFile.tracks.push(guitarompler.midiFile.readTrack(reader, chunkEnd));
+            }
+            reader.position = chunkEnd;
+        }
+
+        return midiFile;
+    };
+
+    guitarompler.midiFile.readChunkType = function (reader) {
+        var chunkType = String.fromCharCode.apply(null, reader.bytes.subarray(reader.position, reader.position + 4));
+        reader.position += 4;
+        return chunkType;
+    };
+
+    guitarompler.midiFile.readUint = function (reader, byteCount) {
+        var value = 0;
+        for (var a = 0; a < byteCount; a++) {
+            value = (value * 256) + reader.bytes[reader.position++];
+        }
+        return value;
+    };
+
+    // A "variable-length quantity", where each byte contributes 7 bits, and all but the last byte have the top bit set.
+    guitarompler.midiFile.readVariableLength = function (reader) {
+        var value = 0;
+        var byte;
+        do {
+            byte = reader.bytes[reader.position++];
+            value = (value * 128) + (byte & 0x7f);
+        } while (byte & 0x80);
+        return value;
+    };
+
+    guitarompler.midiFile.readTrack = function (reader, trackEnd) {
+        var track = { name: "", events: [] };
+        var tick = 0;
+        var runningStatus = 0;
+
+        while (reader.position < trackEnd) {
+            tick += guitarompler.midiFile.readVariableLength(reader);
+
+            var status = reader.bytes[reader.position];
+            // Channel messages may omit the status byte if it's the same as the previous message's ("running status").
+            if (status & 0x80) {
+                reader.position++;
+            }
+            else {
+                status = runningStatus;
+            }
+
+            var event;
+            if (status === 0xff) {
+                event = guitarompler.midiFile.readMetaEvent(reader);
+                if (event.type === "trackName") {
+                    track.name = event.text;
+                }
+            }
+            else if (status === 0xf0 || status === 0xf7) {
+                var sysexLength = guitarompler.midiFile.readVariableLength(reader);
+                event = { type: "sysex", data: reader.bytes.slice(reader.position, reader.position + sysexLength) };
+                reader.position += sysexLength;
+            }
+            else {
+                runningStatus = status;
+                event = guitarompler.midiFile.readChannelMessage(reader, status);
+            }
+
+            event.tick = tick;
+            track.events.push(event);
+        }
+
+        return track;
+    };
+
+    guitarompler.midiFile.readMetaEvent = function (reader) {
+        var metaType = reader.bytes[reader.position++];
+        var length = guitarompler.midiFile.readVariableLength(reader);
+        var data = reader.bytes.subarray(reader.position, reader.position + length);
+        reader.position += length;
+
+        switch (metaType) {
+        case 0x03:
+            return { type: "trackName", text: String.fromCharCode.apply(null, data) };
+        case 0x2f:
+            return { type: "endOfTrack" };
+        case 0x51:
+            return { type: "tempo", microsecondsPerQuarter: (data[0] * 65536) + (data[1] * 256) + data[2] };
+        default:
+            return { type: "meta", metaType: metaType, data: data.slice() };
+        }
+    };
+
+    guitarompler.midiFile.readChannelMessage = function (reader, status) {
+        var bytes = reader.bytes;
+        var messageType = status >> 4;
+        var channel = status & 0xf;
+        var first = bytes[reader.position++];
+
+        // Program changes and channel aftertouch are the only channel messages with a single data byte.
+        if (messageType === 0xc) {
+            return { type: "program", channel: channel, program: first };
+        }
+        else if (messageType === 0xd) {
+            return { type: "aftertouch", channel: channel, pressure: first };
+        }
+
+        var second = bytes[reader.position++];
+        switch (messageType) {
+        case 0x8:
+            return { type: "noteOff", channel: channel, note: first, velocity: second };
+        case 0x9:
+            // As in flocking-midi, a "note on" with a velocity of zero is treated as a "note off".
+            return { type: second > 0 ? "noteOn" : "noteOff", channel: channel, note: first, velocity: second };
+        case 0xa:
+            return { type: "aftertouch", channel: channel, note: first, pressure: second };
+        case 0xb:
+            return { type: "control", channel: channel, number: first, value: second };
+        default:
+            return { type: "pitchbend", channel: channel, value: (second << 7) | first };
+        }
+    };
+
+    guitarompler.midiFile.channelMessageTypes = ["noteOn", "noteOff", "aftertouch", "control", "program", "pitchbend"];
+
+    /*
+
+        Merge all tracks into a single list of channel messages, sorted by time:
+
+        [{ time: 0.5, track: 1, message: { type: "noteOn", channel: 0, note: 60, velocity: 100 } }]
+
+        `options` may contain a list of `tracks` and/or a list of `channels` to include.  By default, all tracks and
+        channels are included.
+
+    */
+    guitarompler.midiFile.toTimeline = function (midiFile, options) {
+        options = options || {};
+
+        var allEvents = [];
+        fluid.each(midiFile.tracks, function (track, trackIndex) {
+            fluid.each(track.events, function (event) {
+                allEvents.push({ tick: event.tick, track: trackIndex, order: allEvents.length, event: event });
+            });
+        });
+
+        // Sort by tick, preserving the order of events that happen on the same tick.
+        allEvents.sort(function (a, b) {
+            return (a.tick - b.tick) || (a.order - b.order);
+        });
+
+        var secondsPerTick = guitarompler.midiFile.secondsPerTick(midiFile.division, guitarompler.midiFile.defaultMicrosecondsPerQuarter);
+        var lastTick = 0;
+        var lastTime = 0;
+        var timeline = [];
+        fluid.each(allEvents, function (entry) {
+            var time = lastTime + ((entry.tick - lastTick) * secondsPerTick);
+            lastTick = entry.tick;
+            lastTime = time;
+
+            var event = entry.event;
+            if (event.type === "tempo") {
+                secondsPerTick = guitarompler.midiFile.secondsPerTick(midiFile.division, event.microsecondsPerQuarter);
+            }
+            else if (guitarompler.midiFile.channelMessageTypes.indexOf(event.type) !== -1 &&
+                (!options.tracks || options.tracks.indexOf(entry.track) !== -1) &&
+                (!options.channels || options.channels.indexOf(event.channel) !== -1)) {
+                timeline.push({ time: time, track: entry.track, message: fluid.censorKeys(event, ["tick"]) });
+            }
+        });
+
+        return timeline;
+    };
+
+    guitarompler.midiFile.secondsPerTick = function (division, microsecondsPerQuarter) {
+        // If the top bit is set, the division is expressed in SMPTE frames per second and ticks per frame.
+        if (division & 0x8000) {
+            var framesPerSecond = 256 - (division >> 8);
+            var ticksPerFrame = division & 0xff;
+            return 1 / (framesPerSecond * ticksPerFrame);
+        }
+        else {
+            return microsecondsPerQuarter / 1000000 / division;
+        }
+    };
+
+    // The time (in seconds) of the last message in a timeline.
+    guitarompler.midiFile.duration = function (timeline) {
+        return timeline.length ? timeline[timeline.length - 1].time : 0;
+    };
+
+    /*
+
+        Convert a timeline (see `toTimeline`) into a single-track (format 0) file, at a fixed tempo.  Each entry's
+        `time` (in seconds) is converted to the nearest tick.  `options` may contain the `division` (ticks per quarter
+        note), the tempo (`microsecondsPerQuarter`), and a `trackName`.
+
+    */
+    guitarompler.midiFile.fromTimeline = function (timeline, options) {
+        options = fluid.extend({
+            division: 480,
+            microsecondsPerQuarter: guitarompler.midiFile.defaultMicrosecondsPerQuarter,
+            trackName: ""
+        }, options);
+        var secondsPerTick = guitarompler.midiFile.secondsPerTick(options.division, options.microsecondsPerQuarter);
+
+        var events = [{ tick: 0, type: "tempo", microsecondsPerQuarter: options.microsecondsPerQuarter }];
+        if (options.trackName) {
+            events.unshift({ tick: 0, type: "trackName", text: options.trackName });
+        }
+
+        // Sort by time, preserving the order of messages that happen at the same time.
+        var entries = fluid.transform(timeline, function (entry, index) {
+            return { tick: Math.max(0, Math.round(entry.time / secondsPerTick)), order: index, message: entry.message };
+        }).sort(function (a, b) {
+            return (a.tick - b.tick) || (a.order - b.order);
+        });
+        fluid.each(entries, function (entry) {
+            events.push(fluid.extend({ tick: entry.tick }, entry.message));
+        });
+
+        var lastTick = entries.length ? fluid.peek(entries).tick : 0;
+        events.push({ tick: lastTick, type: "endOfTrack" });
+
+        return {
+            format: 0,
+            division: options.division,
+            tracks: [{ name: options.trackName, events: events }]
+        };
+    };
+
+    // Encode a file in the format returned by `parse`.  Returns a Uint8Array containing the encoded file.
+    guitarompler.midiFile.encode = function (midiFile) {
+        var bytes = [];
+        guitarompler.midiFile.writeChunkType(bytes, "MThd");
+        guitarompler.midiFile.writeUint(bytes, 6, 4);
+        guitarompler.midiFile.writeUint(bytes, fluid.isValue(midiFile.format) ? midiFile.format : 1, 2);
+        guitarompler.midiFile.writeUint(bytes, midiFile.tracks.length, 2);
+        guitarompler.midiFile.writeUint(bytes, midiFile.division, 2);
+
+        fluid.each(midiFile.tracks, function (track) {
+            var trackBytes = guitarompler.midiFile.encodeTrack(track);
+            guitarompler.midiFile.writeChunkType(bytes, "MTrk");
+            guitarompler.midiFile.writeUint(bytes, trackBytes.length, 4);
+            Array.prototype.push.apply(bytes, trackBytes);
+        });
+
+        return new Uint8Array(bytes);
+    };
+
+    guitarompler.midiFile.writeChunkType = function (bytes, chunkType) {
+        for (var a = 0; a < 4; a++) {
+            bytes.push(chunkType.charCodeAt(a));
+        }
+    };
+
+    guitarompler.midiFile.writeUint = function (bytes, value, byteCount) {
+        for (var a = byteCount - 1; a >= 0; a--) {
+            bytes.push(Math.floor(value / Math.pow(256, a)) & 0xff);
+        }
+    };
+
+    guitarompler.midiFile.writeVariableLength = function (bytes, value) {
+        var groups = [value & 0x7f];
+        value = Math.floor(value / 128);
+        while (value > 0) {
+            groups.unshift((value & 0x7f) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        Array.prototype.push.apply(bytes, groups);
+    };
+
+    // Encode the events of a track, which must be sorted by `tick`.  An "end of track" event is added if there isn't one.
+    guitarompler.midiFile.encodeTrack = function (track) {
+        var bytes = [];
+        var lastTick = 0;
+        var events = fluid.makeArray(track.events);
+        if (!events.length || fluid.peek(events).type !== "endOfTrack") {
+            events.push({ tick: events.length ? fluid.peek(events).tick : 0, type: "endOfTrack" });
+        }
+
+        fluid.each(events, function (event) {
+            var tick = Math.max(event.tick || 0, lastTick);
+            guitarompler.midiFile.writeVariableLength(bytes, tick - lastTick);
+            lastTick = tick;
+            guitarompler.midiFile.writeEvent(bytes, event);
+        });
+        return bytes;
+    };
+
+    guitarompler.midiFile.writeEvent = function (bytes, event) {
+        var writeMeta = function (metaType, data) {
+            bytes.push(0xff, metaType);
+            guitarompler.midiFile.writeVariableLength(bytes, data.length);
+            Array.prototype.push.apply(bytes, data);
+        };
+        var channel = (event.channel || 0) & 0xf;
+
+        switch (event.type) {
+        case "trackName":
+            writeMeta(0x03, fluid.transform(event.text.split(""), function (character) {
+                return character.charCodeAt(0) & 0xff;
+            }));
+            break;
+        case "endOfTrack":
+            writeMeta(0x2f, []);
+            break;
+        case "tempo":
+            var tempoBytes = [];
+            guitarompler.midiFile.writeUint(tempoBytes, event.microsecondsPerQuarter, 3);
+            writeMeta(0x51, tempoBytes);
+            break;
+        case "meta":
+            writeMeta(event.metaType, Array.prototype.slice.call(event.data));
+            break;
+        case "sysex":
+            bytes.push(0xf0);
+            guitarompler.midiFile.writeVariableLength(bytes, event.data.length);
+            Array.prototype.push.apply(bytes, Array.prototype.slice.call(event.data));
+            break;
+        case "noteOn":
+            bytes.push(0x90 | channel, event.note, event.velocity);
+            break;
+        case "noteOff":
+            bytes.push(0x80 | channel, event.note, event.velocity || 0);
+            break;
+        case "aftertouch":
+            // Polyphonic aftertouch has a note, channel aftertouch applies to the whole channel.
+            if (fluid.isValue(event.note)) {
+                bytes.push(0xa0 | channel, event.note, event.pressure);
+            }
+            else {
+                bytes.push(0xd0 | channel, event.pressure);
+            }
+            break;
+        case "control":
+            bytes.push(0xb0 | channel, event.number, event.value);
+            break;
+        case "program":
+            bytes.push(0xc0 | channel, event.program);
+            break;
+        case "pitchbend":
+            bytes.push(0xe0 | channel, event.value & 0x7f, (event.value >> 7) & 0x7f);
+            break;
+        default:
+            fluid.fail("Can't write an event of type '" + event.type + "'.");
+        }
+    };
+})(fluid);
@@ -0,0 +1,297 @@
+/*
+
+    A "transport" that plays a Standard MIDI File in real time.  Each message is passed to the `onMessage` event at the
+    time it should be played, so that (for example) the launcher can send it to `guitarompler.loom.handleNoteMessage`.
+
+    Playback is driven by a timer that "ticks" every few milliseconds, and sends every message that is due within the
+    next `scheduleAhead` seconds.  Each message is sent with a timestamp (in milliseconds, using the same clock as
+    `performance.now()`, see `guitarompler.loom.scheduleMessage`) that says exactly when it should be played, so that
+    the timing of the file does not depend on when each tick happens to run.  The position within the file is tracked
+    in seconds, and advances by the time since the last tick multiplied by the `tempoScale`, so that the tempo can be
+    changed while the file is playing.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.midiPlayer", {
+        gradeNames: ["fluid.component"],
+        tickInterval: 10, // How often (in milliseconds) to check for messages that are due.
+        scheduleAhead: 0.05, // How far ahead (in seconds) to send messages, which must be longer than the gap between ticks.
+        tempoScale: 1,
+        loop: false,
+        tracks: false, // A list of track numbers to play, or `false` to play all tracks.
+        channels: false, // A list of channels (0-15) to play, or `false` to play all channels.
+        members: {
+            midiFile: false,
+            timeline: [],
+            nextIndex: 0,
+            position: 0, // The position within the file, in seconds.
+            lastTickTime: 0,
+            timer: false,
+            isPlaying: false,
+            tempoScale: "{that}.options.tempoScale",
+            loop: "{that}.options.loop",
+            tracks: "{that}.options.tracks",
+            channels: "{that}.options.channels",
+            // The notes and sustain pedals currently held down by the file, so that we can release them when playback stops.
+            activeNotes: {},
+            sustainedChannels: {}
+        },
+        events: {
+            onFileLoaded: null,
+            onMessage: null,
+            onPlay: null,
+            onPause: null,
+            onStop: null,
+            onEnd: null
+        },
+        invokers: {
+            load: {
+                funcName: "guitarompler.midiPlayer.load",
+                args: ["{that}", "{arguments}.0"] // midiFileData
+            },
+            play: {
+                funcName: "guitarompler.midiPlayer.play",
+                args: ["{that}"]
+            },
+            pause: {
+                funcName: "guitarompler.midiPlayer.pause",
+                args: ["{that}"]
+            },
+            stop: {
+                funcName: "guitarompler.midiPlayer.stop",
+                args: ["{that}"]
+            },
+            seek: {
+                funcName: "guitarompler.midiPlayer.seek",
+                args: ["{that}", "{arguments}.0"] // position
+            },
+            setTempoScale: {
+                funcName: "guitarompler.midiPlayer.setTempoScale",
+                args: ["{that}", "{arguments}.0"] // tempoScale
+            },
+            setLoop: {
+                funcName: "guitarompler.midiPlayer.setLoop",
+                args: ["{that}", "{arguments}.0"] // loop
+            },
+            selectTracks: {
+                funcName: "guitarompler.midiPlayer.selectTracks",
+                args: ["{that}", "{arguments}.0"] // tracks
+            },
+            selectChannels: {
+                funcName: "guitarompler.midiPlayer.selectChannels",
+                args: ["{that}", "{arguments}.0"] // channels
+            },
+            duration: {
+                funcName: "guitarompler.midiPlayer.duration",
+                args: ["{that}"]
+            },
+            tick: {
+                funcName: "guitarompler.midiPlayer.tick",
+                args: ["{that}"]
+            },
+            now: {
+                funcName: "guitarompler.midiPlayer.now"
+            }
+        },
+        listeners: {
+            "onDestroy.stopTimer": {
+                funcName: "guitarompler.midiPlayer.stopTimer",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    // The current time in seconds, using the same clock as the timestamps of the messages we send.
+    guitarompler.midiPlayer.now = function () {
+        return guitarompler.timeStampNow() / 1000;
+    };
+
+    // Load the raw contents of a MIDI file, stopping anything that is already playing.  As each file has its own tracks
+    // and channels, the selected tracks and channels are reset to the defaults.
+    guitarompler.midiPlayer.load = function (that, midiFileData) {
+        that.stop();
+        that.midiFile = guitarompler.midiFile.parse(midiFileData);
+        that.tracks = that.options.tracks;
+        that.channels = that.options.channels;
+        guitarompler.midiPlayer.updateTimeline(that);
+        that.events.onFileLoaded.fire(that.midiFile, guitarompler.midiPlayer.describe(that.midiFile));
+    };
+
+    /*
+
+        Summarise the tracks and channels in a file that contain channel messages, so that the user can choose which to
+        play, i.e. `{ tracks: [{ index: 1, name: "Guitar" }], channels: [0, 9] }`.
+
+    */
+    guitarompler.midiPlayer.describe = function (midiFile) {
+        var description = { tracks: [], channels: [] };
+        fluid.each(midiFile.tracks, function (track, trackIndex) {
+            var hasMessages = false;
+            fluid.each(track.events, function (event) {
+                if (guitarompler.midiFile.channelMessageTypes.indexOf(event.type) !== -1) {
+                    hasMessages = true;
+                    if (description.channels.indexOf(event.channel) === -1) {
+                        description.channels.push(event.channel);
+                    }
+                }
+            });
+            if (hasMessages) {
+                description.tracks.push({ index: trackIndex, name: track.name || "Track " + (trackIndex + 1) });
+            }
+        });
+        description.channels.sort(function (a, b) { return a - b; });
+        return description;
+    };
+
+    guitarompler.midiPlayer.updateTimeline = function (that) {
+        if (!that.midiFile) {
+            return;
+        }
+
+        guitarompler.midiPlayer.releaseNotes(that);
+        that.timeline = guitarompler.midiFile.toTimeline(that.midiFile, {
+            tracks: that.tracks || undefined,
+            channels: that.channels || undefined
+        });
+        guitarompler.midiPlayer.seek(that, that.position);
+    };
+
+    guitarompler.midiPlayer.duration = function (that) {
+        return guitarompler.midiFile.duration(that.timeline);
+    };
+
+    guitarompler.midiPlayer.play = function (that) {
+        if (that.isPlaying || !that.midiFile) {
+            return;
+        }
+
+        // Start again from the beginning if we have already played the whole file.
+        if (that.nextIndex >= that.timeline.length) {
+            guitarompler.midiPlayer.seek(that, 0);
+        }
+
+        that.isPlaying = true;
+        that.lastTickTime = that.now();
+        that.timer = setInterval(that.tick, that.options.tickInterval);
+        that.events.onPlay.fire(that.position);
+    };
+
+    guitarompler.midiPlayer.pause = function (that) {
+        if (!that.isPlaying) {
+            return;
+        }
+
+        guitarompler.midiPlayer.stopTimer(that);
+        guitarompler.midiPlayer.releaseNotes(that);
+        that.events.onPause.fire(that.position);
+    };
+
+    guitarompler.midiPlayer.stop = function (that) {
+        guitarompler.midiPlayer.stopTimer(that);
+        guitarompler.midiPlayer.releaseNotes(that);
+        guitarompler.midiPlayer.seek(that, 0);
+        that.events.onStop.fire();
+    };
+
+    guitarompler.midiPlayer.stopTimer = function (that) {
+        if (that.timer) {
+            clearInterval(that.timer);
+            that.timer = false;
+        }
+        that.isPlaying = false;
+    };
+
+    // Move to a position (in seconds) within the file, without playing any of the messages before it.
+    guitarompler.midiPlayer.seek = function (that, position) {
+        guitarompler.midiPlayer.releaseNotes(that);
+        that.position = Math.max(0, position);
+        that.nextIndex = 0;
+        while (that.nextIndex < that.timeline.length && that.timeline[that.nextIndex].time < that.position) {
+            that.nextIndex++;
+        }
+    };
+
+    guitarompler.midiPlayer.setTempoScale = function (that, tempoScale) {
+        if (tempoScale > 0) {
+            that.tempoScale = tempoScale;
+        }
+        else {
+            fluid.log("Ignoring invalid tempo scale: ", tempoScale);
+        }
+    };
+
+    guitarompler.midiPlayer.setLoop = function (that, loop) {
+        that.loop = !!loop;
+    };
+
+    guitarompler.midiPlayer.selectTracks = function (that, tracks) {
+        that.tracks = tracks;
+        guitarompler.midiPlayer.updateTimeline(that);
+    };
+
+    guitarompler.midiPlayer.selectChannels = function (that, channels) {
+        that.channels = channels;
+        guitarompler.midiPlayer.updateTimeline(that);
+    };
+
+    guitarompler.midiPlayer.tick = function (that) {
+        if (!that.isPlaying) {
+            return;
+        }
+
+        var now = that.now();
+        that.position += (now - that.lastTickTime) * that.tempoScale;
+        that.lastTickTime = now;
+
+        var scheduleUntil = that.position + (that.options.scheduleAhead * that.tempoScale);
+        while (that.nextIndex < that.timeline.length && that.timeline[that.nextIndex].time <= scheduleUntil) {
+            var entry = that.timeline[that.nextIndex];
+            var timeStamp = (now + ((entry.time - that.position) / that.tempoScale)) * 1000;
+            guitarompler.midiPlayer.sendMessage(that, entry.message, timeStamp);
+            that.nextIndex++;
+        }
+
+        // Wait until the last messages have actually played before ending (or looping).
+        if (that.nextIndex >= that.timeline.length && that.position >= that.duration()) {
+            if (that.loop && that.timeline.length) {
+                guitarompler.midiPlayer.seek(that, 0);
+            }
+            else {
+                guitarompler.midiPlayer.stopTimer(that);
+                guitarompler.midiPlayer.releaseNotes(that);
+                that.events.onEnd.fire();
+            }
+        }
+    };
+
+    guitarompler.midiPlayer.sendMessage = function (that, midiMessage, timeStamp) {
+        var noteKey = midiMessage.channel + ":" + midiMessage.note;
+        if (midiMessage.type === "noteOn") {
+            that.activeNotes[noteKey] = { channel: midiMessage.channel, note: midiMessage.note };
+        }
+        else if (midiMessage.type === "noteOff") {
+            delete that.activeNotes[noteKey];
+        }
+        else if (midiMessage.type === "control" && midiMessage.number === 64) {
+            that.sustainedChannels[midiMessage.channel] = midiMessage.value >= 64;
+        }
+        that.events.onMessage.fire(midiMessage, timeStamp);
+    };
+
+    // Release any notes (and sustain pedals) left down by the file, for example, when playback is paused.
+    guitarompler.midiPlayer.releaseNotes = function (that) {
+        fluid.each(that.activeNotes, function (activeNote) {
+            that.events.onMessage.fire({ type: "noteOff", channel: activeNote.channel, note: activeNote.note, velocity: 0 });
+        });
+        fluid.each(that.sustainedChannels, function (isSustained, channel) {
+            if (isSustained) {
+                that.events.onMessage.fire({ type: "control", channel: Number(channel), number: 64, value: 0 });
+            }
+        });
+        that.activeNotes = {};
+        that.sustainedChannels = {};
+    };
+})(fluid);
@@ -0,0 +1,201 @@
+/*
+
+    A pure-JavaScript "mixer" that renders a timeline of MIDI messages (see `guitarompler.midiFile.toTimeline`) without
+    the Web Audio API, so that we can render audio in Node.  It uses the same sample mapping, velocity layers, pitch
+    scaling, gain and envelope as `guitarompler.note`, but is deliberately simpler than the real-time instrument:
+
+    1. Only "note on", "note off" and sustain pedal (CC64) messages are rendered.  Articulation keyswitches are ignored,
+       so every note is played as an ordinary pluck.  Notes near the boundary between two zones are not blended (see
+       `guitarompler.loom.blendZones`), and only play their own zone's samples.
+    2. Samples are resampled using linear interpolation.
+    3. The compressor and limiter on the output bus are replaced by a simple "soft clipper".
+
+    The `zones` passed to `guitarompler.mixer.render` are the zones from an instrument definition, where each sample
+    (or "layer") has a decoded `buffer` in the format used by `guitarompler.wav.decode`.
+
+*/
+/* global Float32Array */
+
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.registerNamespace("guitarompler.mixer");
+
+    guitarompler.mixer.defaultSettings = function () {
+        return {
+            sampleRate: 48000,
+            envelope: fluid.defaults("guitarompler.loom").envelope,
+            velocityCurve: fluid.defaults("guitarompler.loom").velocityCurve,
+            volume: fluid.defaults("guitarompler.outputBus").volume,
+            tuning: fluid.defaults("guitarompler.loom").tuning,
+            zones: []
+        };
+    };
+
+    // Render a timeline, and return the result as an object with a `sampleRate` and a list of (two) `channels`.
+    guitarompler.mixer.render = function (timeline, settings) {
+        var defaults = guitarompler.mixer.defaultSettings();
+        settings = fluid.extend({}, defaults, settings);
+        settings.envelope = fluid.extend({}, defaults.envelope, settings.envelope);
+
+        var voices = guitarompler.mixer.scheduleVoices(timeline, settings);
+
+        var duration = guitarompler.midiFile.duration(timeline);
+        fluid.each(voices, function (voice) {
+            duration = Math.max(duration, guitarompler.mixer.voiceEnd(voice));
+        });
+
+        var frameCount = Math.ceil(duration * settings.sampleRate);
+        var channels = [new Float32Array(frameCount), new Float32Array(frameCount)];
+        fluid.each(voices, function (voice) {
+            guitarompler.mixer.mixVoice(voice, channels, settings);
+        });
+
+        fluid.each(channels, function (channel) {
+            for (var frame = 0; frame < channel.length; frame++) {
+                channel[frame] = guitarompler.mixer.softClip(channel[frame]);
+            }
+        });
+
+        return { sampleRate: settings.sampleRate, channels: channels };
+    };
+
+    guitarompler.mixer.zoneForPitch = function (zones, pitch) {
+        return fluid.find(zones, function (zone) {
+            return pitch >= zone.minPitch && pitch <= zone.maxPitch ? zone : undefined;
+        });
+    };
+
+    /*
+
+        Work out when each "voice" (i.e. each time a note is played) starts and is released, in the same way that
+        `guitarompler.note` handles messages.  Each voice is an object like:
+
+        { start: 1.5, buffer: {}, speed: 1.5, gain: 0.75, envelope: {}, releaseTime: 2, releaseDuration: 0.25 }
+
+    */
+    guitarompler.mixer.scheduleVoices = function (timeline, settings) {
+        var voices = [];
+        var noteStates = {};
+        var sustain = false;
+        var frequencies = guitarompler.tuning.buildTable(settings.tuning);
+
+        var releaseVoice = function (noteState, time, releaseDuration) {
+            if (noteState.voice) {
+                noteState.voice.releaseTime = time;
+                noteState.voice.releaseDuration = releaseDuration;
+                noteState.voice = false;
+                noteState.isHeld = false;
+            }
+        };
+
+        fluid.each(timeline, function (entry) {
+            var message = entry.message;
+            var noteState = noteStates[message.note];
+
+            if (message.type === "noteOn" && message.velocity > 0) {
+                var zone = guitarompler.mixer.zoneForPitch(settings.zones, message.note);
+                // Skip notes we have no sample for, and notes that are not mapped in the current tuning.
+                if (!zone || frequencies[message.note] === null) {
+                    return;
+                }
+
+                // Track the round-robin position for each note, as `guitarompler.note.selectLayer` expects.
+                // Articulations are not supported here, so only ordinary (plucked) layers are played.
+                noteState = noteStates[message.note] = noteState || {
+                    options: { layers: guitarompler.note.layersForArticulation(zone.samples, "normal") },
+                    roundRobinPositions: {}
+                };
+
+                releaseVoice(noteState, entry.time, settings.envelope.crossfade);
+
+                var layer = guitarompler.note.selectLayer(noteState, message.velocity);
+                noteState.voice = {
+                    start: entry.time,
+                    buffer: layer.buffer,
+                    speed: frequencies[message.note] / guitarompler.tuning.standardFrequency(zone.rootPitch),
+                    gain: guitarompler.note.gainFromVelocity(message.velocity, settings.velocityCurve),
+                    envelope: settings.envelope
+                };
+                voices.push(noteState.voice);
+            }
+            else if ((message.type === "noteOff" || message.type === "noteOn") && noteState) {
+                if (sustain) {
+                    noteState.isHeld = !!noteState.voice;
+                }
+                else {
+                    releaseVoice(noteState, entry.time, settings.envelope.release);
+                }
+            }
+            else if (message.type === "control" && message.number === 64) {
+                sustain = message.value >= 64;
+                if (!sustain) {
+                    fluid.each(noteStates, function (heldNoteState) {
+                        if (heldNoteState.isHeld) {
+                            releaseVoice(heldNoteState, entry.time, settings.envelope.release);
+                        }
+                    });
+                }
+            }
+        });
+
+        return voices;
+    };
+
+    // The time at which a voice falls silent, either because it has been released, or because the sample has ended.
+    guitarompler.mixer.voiceEnd = function (voice) {
+        var sampleEnd = voice.start + (voice.buffer.channels[0].length / voice.buffer.sampleRate / voice.speed);
+        return fluid.isValue(voice.releaseTime) ? Math.min(sampleEnd, voice.releaseTime + voice.releaseDuration) : sampleEnd;
+    };
+
+    // The same release as `guitarompler.note.releaseVoice`.
+    guitarompler.mixer.voiceLevel = function (voice, time) {
+        if (fluid.isValue(voice.releaseTime) && time >= voice.releaseTime) {
+            var levelAtRelease = guitarompler.note.envelopeLevel(voice.envelope, voice.start, voice.releaseTime);
+            var releaseElapsed = time - voice.releaseTime;
+            return releaseElapsed >= voice.releaseDuration ? 0 : levelAtRelease * (1 - (releaseElapsed / voice.releaseDuration));
+        }
+
+        return guitarompler.note.envelopeLevel(voice.envelope, voice.start, time);
+    };
+
+    guitarompler.mixer.mixVoice = function (voice, channels, settings) {
+        var sourceChannels = voice.buffer.channels;
+        var sourceLength = sourceChannels[0].length;
+        var step = voice.speed * voice.buffer.sampleRate / settings.sampleRate;
+        var startFrame = Math.round(voice.start * settings.sampleRate);
+        var endFrame = Math.min(channels[0].length, Math.ceil(guitarompler.mixer.voiceEnd(voice) * settings.sampleRate));
+
+        for (var frame = startFrame; frame < endFrame; frame++) {
+            var position = (frame - startFrame) * step;
+            var index = Math.floor(position);
+            if (index >= sourceLength) {
+                break;
+            }
+
+            var fraction = position - index;
+            var level = voice.gain * settings.volume * guitarompler.mixer.voiceLevel(voice, frame / settings.sampleRate);
+
+            for (var channel = 0; channel < channels.length; channel++) {
+                // Mono samples are played in both channels.
+                var source = sourceChannels[Math.min(channel, sourceChannels.length - 1)];
+                var next = index + 1 < sourceLength ? source[index + 1] : 0;
+                channels[channel][frame] += level * (source[index] + ((next - source[index]) * fraction));
+            }
+        }
+    };
+
+    // Leave quiet signals alone, and smoothly "squash" anything louder than the threshold so that it never clips.
+    guitarompler.mixer.softClip = function (sample, threshold) {
+        threshold = threshold || 0.9;
+        var magnitude = Math.abs(sample);
+        if (magnitude <= threshold) {
+            return sample;
+        }
+
+        var headroom = 1 - threshold;
+        var squashed = threshold + (headroom * Math.tanh((magnitude - threshold) / headroom));
+        return sample < 0 ? -squashed : squashed;
+    };
+})(fluid);
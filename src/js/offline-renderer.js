@@ -0,0 +1,142 @@
+/*
+
+    Render a Standard MIDI File to a WAV file in the browser, faster than real time, using an OfflineAudioContext.  The
+    file is played by a `guitarompler.loom`, so the result sounds exactly as it would if it were played live.
+
+    Each group of messages is delivered to the loom by suspending the offline context at the time of the messages,
+    handling the messages, and then resuming the context.  Suspending the context is only accurate to the nearest
+    "render quantum" (128 samples, or around 3ms), which is close enough for our purposes.
+
+*/
+/* global OfflineAudioContext */
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    // A loom that plays through an OfflineAudioContext, which can neither be resumed before rendering nor closed.
+    fluid.defaults("guitarompler.offlineRenderer.loom", {
+        gradeNames: ["guitarompler.loom"],
+        context: false, // The `OfflineAudioContext` to render to.
+        invokers: {
+            createContext: {
+                funcName: "fluid.identity",
+                args: ["{that}.options.context"]
+            },
+            resume: "fluid.identity"
+        },
+        listeners: {
+            "onDestroy.closeContext": "fluid.identity"
+        }
+    });
+
+    fluid.defaults("guitarompler.offlineRenderer", {
+        gradeNames: ["fluid.component"],
+        sampleRate: 48000,
+        numberOfChannels: 2,
+        tail: 2, // How long (in seconds) to keep rendering after the last message, so that the last notes can ring out.
+        renderQuantum: 128,
+        members: {
+            timeline: [],
+            renderPromise: false
+        },
+        events: {
+            onContextReady: null,
+            onRenderComplete: null
+        },
+        components: {
+            loom: {
+                type: "guitarompler.offlineRenderer.loom",
+                createOnEvent: "onContextReady",
+                options: {
+                    context: "{arguments}.0",
+                    listeners: {
+                        "onReady.render": {
+                            funcName: "guitarompler.offlineRenderer.startRendering",
+                            args: ["{guitarompler.offlineRenderer}", "{that}"]
+                        },
+                        "onLoadError.fail": {
+                            funcName: "guitarompler.offlineRenderer.fail",
+                            args: ["{guitarompler.offlineRenderer}", "{arguments}.0"] // error
+                        }
+                    }
+                }
+            }
+        },
+        invokers: {
+            render: {
+                funcName: "guitarompler.offlineRenderer.render",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiFileData, timelineOptions
+            }
+        }
+    });
+
+    // Render the raw contents of a MIDI file.  Returns a promise that will be resolved with the encoded WAV file.
+    guitarompler.offlineRenderer.render = function (that, midiFileData, timelineOptions) {
+        that.renderPromise = fluid.promise();
+
+        try {
+            var midiFile = guitarompler.midiFile.parse(midiFileData);
+            that.timeline = guitarompler.midiFile.toTimeline(midiFile, timelineOptions);
+        }
+        catch (error) {
+            that.renderPromise.reject({ message: error.message });
+            return that.renderPromise;
+        }
+
+        var duration = guitarompler.midiFile.duration(that.timeline) + that.options.tail;
+        var context = new OfflineAudioContext(that.options.numberOfChannels, Math.ceil(duration * that.options.sampleRate), that.options.sampleRate);
+        that.events.onContextReady.fire(context);
+
+        return that.renderPromise;
+    };
+
+    // Group messages by the render quantum in which they occur, as we can only suspend the context once per quantum.
+    guitarompler.offlineRenderer.groupMessages = function (timeline, sampleRate, renderQuantum) {
+        var groups = [];
+        var lastGroup = false;
+        fluid.each(timeline, function (entry) {
+            var quantizedTime = Math.floor(entry.time * sampleRate / renderQuantum) * renderQuantum / sampleRate;
+            if (!lastGroup || lastGroup.time !== quantizedTime) {
+                lastGroup = { time: quantizedTime, messages: [] };
+                groups.push(lastGroup);
+            }
+            lastGroup.messages.push(entry.message);
+        });
+        return groups;
+    };
+
+    // A render can only fail once, even if (for example) several samples fail to load.
+    guitarompler.offlineRenderer.fail = function (that, error) {
+        if (!that.renderPromise.disposition) {
+            that.renderPromise.reject(error);
+        }
+    };
+
+    guitarompler.offlineRenderer.startRendering = function (that, loom) {
+        if (that.renderPromise.disposition) {
+            return;
+        }
+
+        var context = loom.context;
+        var groups = guitarompler.offlineRenderer.groupMessages(that.timeline, context.sampleRate, that.options.renderQuantum);
+        fluid.each(groups, function (group) {
+            context.suspend(group.time).then(function () {
+                fluid.each(group.messages, function (midiMessage) {
+                    loom.handleNoteMessage(midiMessage);
+                });
+                context.resume();
+            });
+        });
+
+        context.startRendering().then(function (renderedBuffer) {
+            var channels = fluid.generate(renderedBuffer.numberOfChannels, function (channel) {
+                return renderedBuffer.getChannelData(channel);
+            }, true);
+            var wavData = guitarompler.wav.encode(channels, renderedBuffer.sampleRate);
+            that.events.onRenderComplete.fire(wavData);
+            that.renderPromise.resolve(wavData);
+        }, function (error) {
+            guitarompler.offlineRenderer.fail(that, { message: error.message });
+        });
+    };
+})(fluid);
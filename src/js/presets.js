@@ -0,0 +1,367 @@
+/*
+
+    Save and recall the settings of the instrument as "presets".  The settings in a preset are:
+
+    - `envelope`: The amplitude envelope, see the `envelope` option of `guitarompler.loom`.
+    - `velocityCurve`: How velocity sets the volume of each note, see the `velocityCurve` option of `guitarompler.loom`.
+    - `volume` and `pan`: The master volume and pan, see `guitarompler.outputBus`.
+    - `effects`: The `bypass` and `wet` settings of each effect, and the `bands` of the EQ, see `effects.js`.
+    - `tuning`: The tuning, see `guitarompler.tuning` in `tuning.js`.
+    - `articulation` and `zoneOverlap`: See the options of the same name of `guitarompler.loom`.
+    - `strum`: Whether the strummer is `enabled`, and its `strumSpeed`, see `guitarompler.strummer`.
+    - `ccMappings`: The mappings from MIDI controls to parameters, see `guitarompler.ccMapper` in `cc-mapper.js`.
+
+    A preset only needs to include the settings it changes, for example:
+
+    {
+        envelope: { release: 0.5 },
+        effects: { chorus: { bypass: false } }
+    }
+
+    Anything a preset leaves out is set to its default (see `expand`), so that each preset sounds the same whichever
+    preset was used before it.  The defaults are those of the instrument itself, and can be changed using the
+    `defaultSettings` option.  The exception is `ccMappings`, which are only changed by presets that include them, so
+    that choosing a preset doesn't undo the mappings the user has learned.
+
+    The `factoryPresets` are always available.  Presets saved using `save` are kept in the browser's local storage (if a
+    `storageKey` is set).  A saved preset with the same name as a factory preset replaces it until it is removed.
+
+    Presets can also be exported as JSON (see `exportPreset`), or encoded into a URL (see `toUrl`), which can be shared
+    as a link.  Both use the format `{ "name": "My Preset", "preset": { "envelope": { ... }, ... } }`.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.presets", {
+        gradeNames: ["fluid.component"],
+        storageKey: false,
+        urlParameter: "preset", // The name used for the preset in the "hash" of a URL, i.e. `#preset=...`.
+        defaultSettings: {}, // Settings to use in place of the instrument's own defaults.
+        factoryPresets: {
+            "Bright Steel": {
+                envelope: { attack: 0.001, decay: 0.8, release: 0.35 },
+                velocityCurve: { exponent: 0.8, floor: 0.1 },
+                effects: {
+                    body: { wet: 0.35 },
+                    eq: { bands: [{ gain: -2 }, { gain: -1 }, { gain: 3 }, { gain: 5 }] },
+                    chorus: { bypass: false, wet: 0.2 },
+                    room: { wet: 0.2 }
+                },
+                strum: { strumSpeed: 10 }
+            },
+            "Mellow Nylon": {
+                envelope: { attack: 0.004, decay: 0.6, release: 0.4 },
+                velocityCurve: { exponent: 1.2 },
+                effects: {
+                    body: { wet: 0.65 },
+                    eq: { bands: [{ gain: 2 }, { gain: 1 }, { gain: -3 }, { gain: -8 }] },
+                    room: { wet: 0.25 }
+                },
+                strum: { strumSpeed: 18 }
+            },
+            "Muted Funk": {
+                articulation: "palmMute",
+                envelope: { decay: 0.2, sustain: 0.4, release: 0.08 },
+                velocityCurve: { exponent: 0.6, floor: 0.25 },
+                effects: {
+                    body: { wet: 0.3 },
+                    eq: { bands: [{ gain: -4 }, { gain: 2 }, { gain: 4 }, { gain: 0 }] },
+                    chorus: { bypass: false, wet: 0.3 },
+                    room: { wet: 0.05 }
+                },
+                strum: { strumSpeed: 4 }
+            }
+        },
+        members: {
+            defaultSettings: "@expand:guitarompler.presets.defaultSettings({that}.options.defaultSettings)",
+            userPresets: "@expand:guitarompler.presets.loadPresets({that}.options.storageKey)" // Saved presets, by name.
+        },
+        events: {
+            onPresetsChanged: null
+        },
+        invokers: {
+            list: {
+                funcName: "guitarompler.presets.list",
+                args: ["{that}"]
+            },
+            get: {
+                funcName: "guitarompler.presets.get",
+                args: ["{that}", "{arguments}.0"] // name
+            },
+            expand: {
+                funcName: "guitarompler.presets.expand",
+                args: ["{that}", "{arguments}.0"] // settings
+            },
+            save: {
+                funcName: "guitarompler.presets.save",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // name, settings
+            },
+            remove: {
+                funcName: "guitarompler.presets.remove",
+                args: ["{that}", "{arguments}.0"] // name
+            },
+            exportPreset: {
+                funcName: "guitarompler.presets.exportPreset",
+                args: ["{arguments}.0", "{arguments}.1"] // name, settings
+            },
+            importPreset: {
+                funcName: "guitarompler.presets.importPreset",
+                args: ["{that}", "{arguments}.0"] // json
+            },
+            toUrl: {
+                funcName: "guitarompler.presets.toUrl",
+                args: ["{that}", "{arguments}.0", "{arguments}.1", "{arguments}.2"] // url, name, settings
+            },
+            fromUrl: {
+                funcName: "guitarompler.presets.fromUrl",
+                args: ["{that}", "{arguments}.0"] // url
+            }
+        },
+        listeners: {
+            "onPresetsChanged.savePresets": {
+                funcName: "guitarompler.presets.savePresets",
+                args: ["{that}.options.storageKey", "{arguments}.0"] // userPresets
+            }
+        }
+    });
+
+    // The default value of every setting, taken from the defaults of the components that use each one.
+    guitarompler.presets.defaultSettings = function (overrides) {
+        var loomDefaults = fluid.defaults("guitarompler.loom");
+        var outputBusDefaults = fluid.defaults("guitarompler.outputBus");
+        var strummerDefaults = fluid.defaults("guitarompler.strummer");
+        var settings = {
+            envelope: loomDefaults.envelope,
+            velocityCurve: loomDefaults.velocityCurve,
+            volume: outputBusDefaults.volume,
+            pan: outputBusDefaults.pan,
+            effects: guitarompler.presets.effectDefaults(),
+            // The scale and keyboard mapping are included so that a preset without them clears any that are in use.
+            tuning: fluid.extend(fluid.filterKeys(fluid.defaults("guitarompler.tuning"), ["temperamentRoot", "scale", "keyboardMapping"]), loomDefaults.tuning),
+            articulation: loomDefaults.articulation,
+            zoneOverlap: loomDefaults.zoneOverlap,
+            strum: { enabled: strummerDefaults.enabled, strumSpeed: strummerDefaults.strumSpeed },
+            ccMappings: {}
+        };
+        return fluid.extend(true, {}, settings, overrides);
+    };
+
+    // The settings of each effect in the chain, whose grade is named after the effect, i.e. `guitarompler.effect.room`.
+    guitarompler.presets.effectDefaults = function () {
+        var effectDefaults = {};
+        fluid.each(fluid.defaults("guitarompler.effectsChain").order, function (effectName) {
+            effectDefaults[effectName] = fluid.filterKeys(fluid.defaults("guitarompler.effect." + effectName), ["bypass", "wet", "bands"]);
+        });
+        return effectDefaults;
+    };
+
+    guitarompler.presets.loadPresets = function (storageKey) {
+        var storage = storageKey && guitarompler.getStorage();
+        var savedPresets = storage && storage.getItem(storageKey);
+        if (savedPresets) {
+            try {
+                var parsed = JSON.parse(savedPresets);
+                if (fluid.isPlainObject(parsed) && fluid.isPlainObject(parsed.presets)) {
+                    return parsed.presets;
+                }
+            }
+            catch (error) {
+                fluid.log("Ignoring invalid saved presets: ", error.message);
+            }
+        }
+        return {};
+    };
+
+    guitarompler.presets.savePresets = function (storageKey, userPresets) {
+        var storage = storageKey && guitarompler.getStorage();
+        if (storage) {
+            storage.setItem(storageKey, JSON.stringify({ presets: userPresets }));
+        }
+    };
+
+    // The name of every preset, i.e. `{ name: "Bright Steel", isSaved: false }`.  Factory presets are listed first.
+    guitarompler.presets.list = function (that) {
+        var factoryNames = fluid.keys(that.options.factoryPresets);
+        var savedNames = fluid.keys(that.userPresets).filter(function (name) {
+            return factoryNames.indexOf(name) === -1;
+        }).sort();
+        return fluid.transform(factoryNames.concat(savedNames), function (name) {
+            return { name: name, isSaved: !!that.userPresets[name] };
+        });
+    };
+
+    // The complete settings of a preset (see `expand`), or `undefined` if there is no preset with that name.
+    guitarompler.presets.get = function (that, name) {
+        var settings = that.userPresets[name] || that.options.factoryPresets[name];
+        return settings ? that.expand(settings) : undefined;
+    };
+
+    // Fill in any settings a preset leaves out with their defaults, apart from the `ccMappings`.
+    guitarompler.presets.expand = function (that, settings) {
+        settings = fluid.filterKeys(settings || {}, fluid.keys(that.defaultSettings));
+        var expanded = fluid.extend(true, {}, that.defaultSettings, settings);
+        // The CC mappings of a preset replace the current mappings as a whole, rather than being merged with anything.
+        if (settings.ccMappings) {
+            expanded.ccMappings = fluid.copy(settings.ccMappings);
+        }
+        else {
+            delete expanded.ccMappings;
+        }
+        return expanded;
+    };
+
+    guitarompler.presets.save = function (that, name, settings) {
+        that.userPresets[name] = that.expand(settings);
+        that.events.onPresetsChanged.fire(that.userPresets, name);
+    };
+
+    // Remove a saved preset.  Factory presets can't be removed, but a saved preset that replaces one can.
+    guitarompler.presets.remove = function (that, name) {
+        if (that.userPresets[name]) {
+            delete that.userPresets[name];
+            that.events.onPresetsChanged.fire(that.userPresets, name);
+        }
+    };
+
+    guitarompler.presets.exportPreset = function (name, settings) {
+        return JSON.stringify({ name: name, preset: settings }, null, 4);
+    };
+
+    // Parse exported JSON, i.e. `{ "name": "My Preset", "preset": { ... } }`.  Throws an error if the JSON is invalid.
+    guitarompler.presets.parsePreset = function (json) {
+        var parsed = JSON.parse(json);
+        if (!fluid.isPlainObject(parsed) || !fluid.isPlainObject(parsed.preset)) {
+            throw new Error("Expected an object with a \"preset\" property.");
+        }
+        return { name: typeof parsed.name === "string" ? parsed.name : "", settings: parsed.preset };
+    };
+
+    /*
+
+        Parse and check an exported preset, and return its `name` and `settings`.  Settings we don't know about are
+        ignored, and an error is thrown if a setting is not the same kind of value as its default (see
+        `guitarompler.presets.checkSetting`).
+
+    */
+    guitarompler.presets.importPreset = function (that, json) {
+        var preset = guitarompler.presets.parsePreset(json);
+        return { name: preset.name, settings: guitarompler.presets.checkSetting(preset.settings, that.defaultSettings, "") };
+    };
+
+    /*
+
+        Check an imported `value` against its default, and return the parts of it that we know about.  Objects are
+        checked key by key (keys their default doesn't have, such as an unknown effect, are ignored), arrays can't have
+        more entries than their default (such as the EQ bands), numbers must be finite, and other values must be the
+        same kind of value as their default.  Settings whose default doesn't describe them (such as a Scala scale,
+        which is `false` by default) are checked using `guitarompler.presets.settingChecks` instead.  `path` is the
+        name of the setting, i.e. `"envelope.release"`, and an error naming it is thrown if the value is invalid.
+
+    */
+    guitarompler.presets.checkSetting = function (value, defaultValue, path) {
+        var invalid = function () {
+            return new Error("Invalid value for the setting '" + path + "'.");
+        };
+        var check = guitarompler.presets.settingChecks[path];
+        if (check) {
+            if (!check(value)) {
+                throw invalid();
+            }
+            return value;
+        }
+
+        if (fluid.isArrayable(defaultValue)) {
+            if (!fluid.isArrayable(value) || value.length > defaultValue.length) {
+                throw invalid();
+            }
+            return fluid.transform(value, function (entry, index) {
+                return guitarompler.presets.checkSetting(entry, defaultValue[index], path + "." + index);
+            });
+        }
+        else if (fluid.isPlainObject(defaultValue)) {
+            if (!fluid.isPlainObject(value, true)) {
+                throw invalid();
+            }
+            var checked = {};
+            fluid.each(value, function (entry, key) {
+                var entryPath = path ? path + "." + key : key;
+                if (defaultValue[key] === undefined) {
+                    fluid.log("Ignoring unknown preset setting: ", entryPath);
+                }
+                else {
+                    checked[key] = guitarompler.presets.checkSetting(entry, defaultValue[key], entryPath);
+                }
+            });
+            return checked;
+        }
+        else if (typeof value !== typeof defaultValue || (typeof value === "number" && !isFinite(value))) {
+            throw invalid();
+        }
+        return value;
+    };
+
+    guitarompler.presets.isNumber = function (value) {
+        return typeof value === "number" && isFinite(value);
+    };
+
+    // Whether `value` is an array of finite numbers, with `length` entries if a length is given.
+    guitarompler.presets.isNumberArray = function (value, length) {
+        return fluid.isArrayable(value) && (length === undefined || value.length === length) && value.every(guitarompler.presets.isNumber);
+    };
+
+    // Checks for the settings whose defaults don't describe the values they can have, keyed by the setting's path.
+    guitarompler.presets.settingChecks = {
+        // CC numbers (from 0 to 127) mapped to parameter names.  Unknown parameters are ignored by the CC mapper.
+        ccMappings: function (value) {
+            return fluid.isPlainObject(value, true) && fluid.keys(value).every(function (ccNumber) {
+                return /^\d+$/.test(ccNumber) && Number(ccNumber) <= 127 && typeof value[ccNumber] === "string";
+            });
+        },
+        // The name of a temperament, or the 12 cent values of one.
+        "tuning.temperament": function (value) {
+            return typeof value === "string" || guitarompler.presets.isNumberArray(value, 12);
+        },
+        // `false`, or a scale as returned by `guitarompler.tuning.parseScala`.
+        "tuning.scale": function (value) {
+            return value === false || (fluid.isPlainObject(value, true) && guitarompler.presets.isNumberArray(value.cents) && value.cents.length > 0);
+        },
+        // `false`, or a keyboard mapping as returned by `guitarompler.tuning.parseKeyboardMapping`.
+        "tuning.keyboardMapping": function (value) {
+            return value === false || (fluid.isPlainObject(value, true) && fluid.isArrayable(value.mapping) &&
+                ["mapSize", "firstNote", "lastNote", "middleNote", "referenceNote", "referenceFrequency", "octaveDegree"].every(function (key) {
+                    return guitarompler.presets.isNumber(value[key]);
+                }) &&
+                value.mapping.every(function (degree) {
+                    return degree === null || guitarompler.presets.isNumber(degree);
+                }));
+        }
+    };
+
+    // A copy of `url` with a preset encoded into its "hash".
+    guitarompler.presets.toUrl = function (that, url, name, settings) {
+        var presetJson = JSON.stringify({ name: name, preset: settings });
+        return url.split("#")[0] + "#" + that.options.urlParameter + "=" + encodeURIComponent(presetJson);
+    };
+
+    // The `name` and `settings` of the preset encoded in a URL, or `false` if it doesn't contain a (valid) preset.
+    guitarompler.presets.fromUrl = function (that, url) {
+        var prefix = that.options.urlParameter + "=";
+        var hashParts = (url.split("#")[1] || "").split("&");
+        var encodedPreset = fluid.find(hashParts, function (hashPart) {
+            return hashPart.indexOf(prefix) === 0 ? hashPart.substring(prefix.length) : undefined;
+        });
+        if (!encodedPreset) {
+            return false;
+        }
+
+        try {
+            return that.importPreset(decodeURIComponent(encodedPreset));
+        }
+        catch (error) {
+            fluid.log("Ignoring invalid preset in URL: ", error.message);
+            return false;
+        }
+    };
+})(fluid);
@@ -0,0 +1,218 @@
+/*
+
+    Records a performance, so that it can be saved as a Standard MIDI File and/or a WAV file.
+
+    While recording, each message passed to `record` is kept along with its timestamp (in milliseconds, using the same
+    clock as `performance.now()`, see `guitarompler.loom.scheduleMessage`).  Messages without a timestamp are recorded
+    at the time they arrive.  As the launcher records messages on their way to the loom, the recording includes the
+    timing of any strums (and any "humanized" timing and velocities), and the pedals, pitch bends and other controls.
+    When recording stops, a "note off" is added for any note that is still held, so that the file has no hanging
+    notes.  `exportMidi` returns the bytes of a file, which can be opened in a DAW.
+
+    If `start` is passed a loom, the loom's output (after all effects) is also recorded, using a
+    `ScriptProcessorNode`, and `exportAudio` returns the bytes of a WAV file.
+
+*/
+/* global Float32Array */
+
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.recorder", {
+        gradeNames: ["fluid.component"],
+        trackName: "Guitarompler",
+        bufferSize: 4096, // The number of frames captured at a time when recording audio.
+        channelCount: 2,
+        members: {
+            isRecording: false,
+            startTimeStamp: 0,
+            stopTimeStamp: 0,
+            messages: [], // Each recorded message, i.e. `{ timeStamp: 1234.5, message: { type: "noteOn", ... } }`.
+            activeNotes: {}, // The notes that are currently held down, keyed by channel and note.
+            audioCapture: false
+        },
+        events: {
+            onRecordingStarted: null,
+            onRecordingStopped: null // Fired with the duration of the recording, in seconds.
+        },
+        invokers: {
+            start: {
+                funcName: "guitarompler.recorder.start",
+                args: ["{that}", "{arguments}.0"] // loom
+            },
+            stop: {
+                funcName: "guitarompler.recorder.stop",
+                args: ["{that}"]
+            },
+            record: {
+                funcName: "guitarompler.recorder.record",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+            },
+            duration: {
+                funcName: "guitarompler.recorder.duration",
+                args: ["{that}"]
+            },
+            toTimeline: {
+                funcName: "guitarompler.recorder.toTimeline",
+                args: ["{that}"]
+            },
+            exportMidi: {
+                funcName: "guitarompler.recorder.exportMidi",
+                args: ["{that}"]
+            },
+            exportAudio: {
+                funcName: "guitarompler.recorder.exportAudio",
+                args: ["{that}"]
+            },
+            timeStampNow: "guitarompler.timeStampNow()"
+        },
+        listeners: {
+            "onDestroy.stopAudioCapture": {
+                funcName: "guitarompler.recorder.stopAudioCapture",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    // Start a new recording, discarding the previous one.
+    guitarompler.recorder.start = function (that, loom) {
+        if (that.isRecording) {
+            that.stop();
+        }
+        guitarompler.recorder.stopAudioCapture(that);
+
+        that.messages = [];
+        that.activeNotes = {};
+        that.startTimeStamp = that.timeStampNow();
+        that.stopTimeStamp = that.startTimeStamp;
+        that.audioCapture = loom ? guitarompler.recorder.captureAudio(loom.context, loom.outputBus.limiter, that.options) : false;
+        that.isRecording = true;
+        that.events.onRecordingStarted.fire();
+    };
+
+    guitarompler.recorder.stop = function (that) {
+        if (!that.isRecording) {
+            return;
+        }
+
+        that.stopTimeStamp = Math.max(that.timeStampNow(), guitarompler.recorder.lastTimeStamp(that));
+        fluid.each(that.activeNotes, function (activeNote) {
+            that.messages.push({ timeStamp: that.stopTimeStamp, message: { type: "noteOff", channel: activeNote.channel, note: activeNote.note, velocity: 0 } });
+        });
+        that.activeNotes = {};
+        that.isRecording = false;
+
+        if (that.audioCapture) {
+            that.audioCapture.processor.disconnect();
+            that.audioCapture.source.disconnect(that.audioCapture.processor);
+        }
+        that.events.onRecordingStopped.fire(that.duration());
+    };
+
+    guitarompler.recorder.record = function (that, midiMessage, timeStamp) {
+        if (!that.isRecording || guitarompler.midiFile.channelMessageTypes.indexOf(fluid.get(midiMessage, "type")) === -1) {
+            return;
+        }
+
+        var messageTimeStamp = typeof timeStamp === "number" && timeStamp > 0 ? timeStamp : that.timeStampNow();
+        that.messages.push({ timeStamp: messageTimeStamp, message: fluid.copy(midiMessage) });
+
+        var noteKey = midiMessage.channel + ":" + midiMessage.note;
+        if (midiMessage.type === "noteOn" && midiMessage.velocity > 0) {
+            that.activeNotes[noteKey] = { channel: midiMessage.channel, note: midiMessage.note };
+        }
+        else if (midiMessage.type === "noteOn" || midiMessage.type === "noteOff") {
+            delete that.activeNotes[noteKey];
+        }
+    };
+
+    // The timestamp of the latest message recorded, which may be in the future (for example, the last note of a strum).
+    guitarompler.recorder.lastTimeStamp = function (that) {
+        var lastTimeStamp = that.startTimeStamp;
+        fluid.each(that.messages, function (entry) {
+            lastTimeStamp = Math.max(lastTimeStamp, entry.timeStamp);
+        });
+        return lastTimeStamp;
+    };
+
+    // The length of the recording so far, in seconds.
+    guitarompler.recorder.duration = function (that) {
+        var endTimeStamp = that.isRecording ? that.timeStampNow() : that.stopTimeStamp;
+        return Math.max(0, endTimeStamp - that.startTimeStamp) / 1000;
+    };
+
+    // The recorded messages as a timeline (see `guitarompler.midiFile.toTimeline`), with times relative to the start.
+    guitarompler.recorder.toTimeline = function (that) {
+        var timeline = fluid.transform(that.messages, function (entry) {
+            return { time: Math.max(0, entry.timeStamp - that.startTimeStamp) / 1000, message: entry.message };
+        });
+        // Messages can be recorded out of order, as the notes of a strum are recorded before they are played.
+        return timeline.sort(function (a, b) {
+            return a.time - b.time;
+        });
+    };
+
+    guitarompler.recorder.exportMidi = function (that) {
+        return guitarompler.midiFile.encode(guitarompler.midiFile.fromTimeline(that.toTimeline(), { trackName: that.options.trackName }));
+    };
+
+    // Returns an ArrayBuffer containing a WAV file, or `false` if no audio was recorded.
+    guitarompler.recorder.exportAudio = function (that) {
+        var audioCapture = that.audioCapture;
+        if (!audioCapture) {
+            return false;
+        }
+
+        var frameCount = 0;
+        fluid.each(audioCapture.chunks[0], function (chunk) {
+            frameCount += chunk.length;
+        });
+        var channels = fluid.transform(audioCapture.chunks, function (channelChunks) {
+            var channel = new Float32Array(frameCount);
+            var offset = 0;
+            fluid.each(channelChunks, function (chunk) {
+                channel.set(chunk, offset);
+                offset += chunk.length;
+            });
+            return channel;
+        });
+        return guitarompler.wav.encode(channels, audioCapture.sampleRate);
+    };
+
+    /*
+
+        Copy the audio passing through `source` into a list of "chunks" for each channel.  A `ScriptProcessorNode` only
+        runs while it is connected to the context's destination, but as we never write to its output buffer, it only
+        adds silence.
+
+    */
+    guitarompler.recorder.captureAudio = function (context, source, options) {
+        var audioCapture = {
+            source: source,
+            processor: context.createScriptProcessor(options.bufferSize, options.channelCount, options.channelCount),
+            sampleRate: context.sampleRate,
+            chunks: fluid.generate(options.channelCount, function () {
+                return [];
+            }, true)
+        };
+        audioCapture.processor.onaudioprocess = function (event) {
+            var inputBuffer = event.inputBuffer;
+            fluid.each(audioCapture.chunks, function (channelChunks, channel) {
+                // Mono input is recorded in every channel.
+                var channelData = inputBuffer.getChannelData(Math.min(channel, inputBuffer.numberOfChannels - 1));
+                channelChunks.push(new Float32Array(channelData));
+            });
+        };
+        source.connect(audioCapture.processor);
+        audioCapture.processor.connect(context.destination);
+        return audioCapture;
+    };
+
+    guitarompler.recorder.stopAudioCapture = function (that) {
+        if (that.audioCapture) {
+            that.audioCapture.processor.onaudioprocess = null;
+            that.audioCapture.processor.disconnect();
+        }
+    };
+})(fluid);
@@ -0,0 +1,89 @@
+/*
+
+    Render a Standard MIDI File to a WAV file from the command line, without a browser, using `guitarompler.mixer`:
+
+    node src/js/render.js input.mid output.wav [instrument.json]
+
+    The sample URLs in the instrument definition are resolved relative to the root of this package, as they are when
+    `index.html` is loaded in a browser.
+
+*/
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+var fs = require("fs");
+var path = require("path");
+
+// These files expect the global `fluid` that is created when Infusion is loaded.
+require("./guitarompler.js");
+require("./tuning.js");
+require("./midi-file.js");
+require("./wav.js");
+require("./mixer.js");
+
+fluid.registerNamespace("guitarompler.cliRenderer");
+
+guitarompler.cliRenderer.loadInstrument = function (that) {
+    var resolvedBasePath = fluid.module.resolvePath(that.options.baseDir);
+    var instrumentPath = path.resolve(resolvedBasePath, that.options.instrumentPath);
+    var definition = JSON.parse(fs.readFileSync(instrumentPath, "utf8"));
+
+    return fluid.transform(definition.zones, function (zone) {
+        var samples = fluid.transform(zone.samples, function (sampleDef) {
+            var samplePath = path.resolve(resolvedBasePath, sampleDef.url);
+            return fluid.extend({}, sampleDef, { buffer: guitarompler.wav.decode(fs.readFileSync(samplePath)) });
+        });
+        return fluid.extend({}, zone, { samples: samples });
+    });
+};
+
+guitarompler.cliRenderer.render = function (that) {
+    if (!that.options.inputPath || !that.options.outputPath) {
+        fluid.fail("Usage: node src/js/render.js input.mid output.wav [instrument.json]");
+    }
+
+    var midiFile = guitarompler.midiFile.parse(fs.readFileSync(that.options.inputPath));
+    var timeline = guitarompler.midiFile.toTimeline(midiFile);
+    fluid.log("Rendering ", timeline.length, " messages from '", that.options.inputPath, "'...");
+
+    var rendered = guitarompler.mixer.render(timeline, {
+        sampleRate: that.options.sampleRate,
+        tuning: that.options.tuning,
+        zones: guitarompler.cliRenderer.loadInstrument(that)
+    });
+
+    fs.writeFileSync(that.options.outputPath, Buffer.from(guitarompler.wav.encode(rendered.channels, rendered.sampleRate)));
+    fluid.log("Finished, output saved to '", that.options.outputPath, "'...");
+};
+
+fluid.defaults("guitarompler.cliRenderer", {
+    gradeNames: ["fluid.component"],
+    baseDir: "%guitarompler",
+    instrumentPath: "./src/instruments/guitarlele.json",
+    sampleRate: 48000,
+    tuning: fluid.defaults("guitarompler.loom").tuning, // See `tuning.js`.
+    inputPath: false,
+    outputPath: false,
+    listeners: {
+        "onCreate.render": {
+            funcName: "guitarompler.cliRenderer.render",
+            args: ["{that}"]
+        }
+    }
+});
+
+fluid.setLogging(true);
+
+var cliOptions = {
+    inputPath: process.argv[2],
+    outputPath: process.argv[3]
+};
+
+if (process.argv[4]) {
+    cliOptions.instrumentPath = path.resolve(process.argv[4]);
+}
+
+guitarompler.cliRenderer(cliOptions);
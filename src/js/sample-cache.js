@@ -0,0 +1,313 @@
+/*
+
+    Loads and decodes the samples (and impulse responses) used by a `guitarompler.loom`, and keeps them so that each is
+    only fetched and decoded once.  The cache:
+
+    1. Negotiates the format of each sample.  Most samples are available in more than one format (for example,
+       `src/sounds/440.m4a` and `src/sounds/440.wav`), so the cache replaces the extension of each URL with each of the
+       `formats` the browser says it can play, in order of preference.  If a format is missing (i.e. the server responds
+       with an error) or cannot be decoded, the next format is tried, ending with the original URL.
+    2. Shares a single decoded buffer between everything that requests the same URL while the loom exists.
+    3. Saves the raw contents of each file it fetches to IndexedDB (if the browser supports it), so that later visits
+       can load samples without using the network, and can work offline.  Call `clear` to remove the saved files.
+       Each saved file is keyed by the cache's `version` as well as its URL, and files saved for earlier versions are
+       removed when the database is opened, so that changed samples are fetched again once the `version` is increased.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.sampleCache", {
+        gradeNames: ["fluid.component"],
+        // The formats to try, in order of preference.  Compressed formats come first, as they are much smaller.
+        formats: [
+            { extension: "m4a", mimeType: "audio/mp4; codecs=\"mp4a.40.2\"" },
+            { extension: "wav", mimeType: "audio/wav" }
+        ],
+        persistent: true, // Whether to save fetched files to IndexedDB.
+        databaseName: "guitarompler-samples",
+        databaseVersion: 1,
+        storeName: "samples",
+        version: 1, // The version of the samples, which must be increased whenever a sample changes.
+        members: {
+            context: "{guitarompler.loom}.context",
+            supportedFormats: "@expand:guitarompler.sampleCache.supportedFormats({that}.options.formats)",
+            // A promise for the IndexedDB database, which resolves to `false` if the database cannot be used.
+            database: "@expand:guitarompler.sampleCache.openDatabase({that}.options)",
+            // A promise for the decoded buffer for each URL that has been requested.
+            buffers: {}
+        },
+        invokers: {
+            load: {
+                funcName: "guitarompler.sampleCache.load",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // url, availableFormats
+            },
+            clear: {
+                funcName: "guitarompler.sampleCache.clear",
+                args: ["{that}"]
+            },
+            fetch: "guitarompler.sampleCache.fetch({arguments}.0)" // url
+        },
+        listeners: {
+            "onDestroy.closeDatabase": {
+                funcName: "guitarompler.sampleCache.closeDatabase",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    // The formats the browser says it can play.  Outside of a browser, we have no way to check, and try them all.
+    guitarompler.sampleCache.supportedFormats = function (formats) {
+        var audioElement = typeof document !== "undefined" && document.createElement && document.createElement("audio");
+        if (!audioElement || !audioElement.canPlayType) {
+            return formats;
+        }
+        return formats.filter(function (format) {
+            return audioElement.canPlayType(format.mimeType) !== "";
+        });
+    };
+
+    /*
+
+        The URLs to try for a sample, in order.  If the URL ends with the extension of one of the supported formats, it
+        is replaced with the extension of each supported format, optionally limited to the `availableFormats` (a list of
+        extensions) that exist for the sample.  The original URL is always tried last.
+
+    */
+    guitarompler.sampleCache.candidateUrls = function (url, supportedFormats, availableFormats) {
+        var match = /^(.*)\.([^.\/?#]+)([?#].*)?$/.exec(url);
+        var supportedExtensions = fluid.transform(supportedFormats, function (format) {
+            return format.extension;
+        });
+        if (!match || supportedExtensions.indexOf(match[2].toLowerCase()) === -1) {
+            return [url];
+        }
+
+        var candidates = [];
+        fluid.each(supportedExtensions, function (extension) {
+            if (!availableFormats || availableFormats.indexOf(extension) !== -1) {
+                candidates.push(match[1] + "." + extension + (match[3] || ""));
+            }
+        });
+        if (candidates.indexOf(url) === -1) {
+            candidates.push(url);
+        }
+        return candidates;
+    };
+
+    // Returns a promise that resolves with the decoded buffer for `url`.
+    guitarompler.sampleCache.load = function (that, url, availableFormats) {
+        var promise = that.buffers[url];
+        if (!promise) {
+            promise = that.buffers[url] = fluid.promise();
+            that.database.then(function (database) {
+                guitarompler.sampleCache.loadUncached(that, url, availableFormats, database, promise);
+            });
+            // Forget failures, so that the sample can be requested again.
+            promise.then(fluid.identity, function () {
+                if (that.buffers[url] === promise) {
+                    delete that.buffers[url];
+                }
+            });
+        }
+        // The promise may already have been forgotten, if the sample has already failed to load.
+        return promise;
+    };
+
+    guitarompler.sampleCache.loadUncached = function (that, url, availableFormats, database, promise) {
+        guitarompler.sampleCache.readEntry(database, that.options.storeName, guitarompler.sampleCache.entryKey(that.options, url)).then(function (entry) {
+            if (entry) {
+                guitarompler.sampleCache.decode(that.context, entry.data).then(promise.resolve, function () {
+                    fluid.log("Fetching a fresh copy of '", url, "', as the saved copy could not be decoded.");
+                    guitarompler.sampleCache.fetchAndDecode(that, url, availableFormats, database, promise);
+                });
+            }
+            else {
+                guitarompler.sampleCache.fetchAndDecode(that, url, availableFormats, database, promise);
+            }
+        });
+    };
+
+    // Try each candidate URL in turn, until one can be both fetched and decoded.
+    guitarompler.sampleCache.fetchAndDecode = function (that, url, availableFormats, database, promise) {
+        var candidates = guitarompler.sampleCache.candidateUrls(url, that.supportedFormats, availableFormats);
+        var errorMessages = [];
+
+        var tryCandidate = function (index) {
+            if (index >= candidates.length) {
+                promise.reject({ message: errorMessages.join(" ") });
+                return;
+            }
+
+            var candidateUrl = candidates[index];
+            var tryNext = function (error) {
+                errorMessages.push(candidates.length > 1 ? "'" + candidateUrl + "': " + error.message : error.message);
+                tryCandidate(index + 1);
+            };
+
+            that.fetch(candidateUrl).then(function (data) {
+                // Decoding "detaches" the data, so we keep a copy to save.
+                var dataToSave = database ? data.slice(0) : false;
+                guitarompler.sampleCache.decode(that.context, data).then(function (buffer) {
+                    if (dataToSave) {
+                        guitarompler.sampleCache.writeEntry(database, that.options.storeName, guitarompler.sampleCache.entryKey(that.options, url), { url: candidateUrl, data: dataToSave });
+                    }
+                    promise.resolve(buffer);
+                }, tryNext);
+            }, tryNext);
+        };
+
+        tryCandidate(0);
+    };
+
+    guitarompler.sampleCache.fetch = function (url) {
+        var promise = fluid.promise();
+        var request = new XMLHttpRequest();
+        request.open("GET", url, true);
+        request.responseType = "arraybuffer";
+        request.onload = function () {
+            if (request.status >= 400) {
+                promise.reject({ message: "The server responded with status " + request.status + "." });
+            }
+            else if (request.response) {
+                promise.resolve(request.response);
+            }
+            else {
+                promise.reject({ message: "The response was empty." });
+            }
+        };
+        request.onerror = function () {
+            promise.reject({ message: "The request failed." });
+        };
+        request.send();
+        return promise;
+    };
+
+    guitarompler.sampleCache.decode = function (context, data) {
+        var promise = fluid.promise();
+        var decodePromise = context.decodeAudioData(data, promise.resolve, function (error) {
+            promise.reject({ message: "The sample could not be decoded: " + fluid.get(error, "message") });
+        });
+
+        // Newer browsers also return a promise, which we handle to avoid reporting the same error twice.
+        if (decodePromise && decodePromise["catch"]) {
+            decodePromise["catch"](fluid.identity);
+        }
+        return promise;
+    };
+
+    guitarompler.sampleCache.getIndexedDB = function () {
+        try {
+            return typeof window !== "undefined" && window.indexedDB;
+        }
+        // Some browsers throw an error if storage is disabled, for example in private browsing.
+        catch (error) {
+            return false;
+        }
+    };
+
+    // Problems with the database are logged, but never stop samples from loading, as we can always use the network.
+    guitarompler.sampleCache.openDatabase = function (options) {
+        var promise = fluid.promise();
+        var indexedDB = options.persistent && guitarompler.sampleCache.getIndexedDB();
+        if (!indexedDB) {
+            promise.resolve(false);
+            return promise;
+        }
+
+        try {
+            var request = indexedDB.open(options.databaseName, options.databaseVersion);
+            request.onupgradeneeded = function () {
+                var database = request.result;
+                if (!database.objectStoreNames.contains(options.storeName)) {
+                    database.createObjectStore(options.storeName);
+                }
+            };
+            request.onsuccess = function () {
+                guitarompler.sampleCache.removeOldEntries(request.result, options);
+                promise.resolve(request.result);
+            };
+            request.onerror = function () {
+                fluid.log("Could not open the sample cache: ", fluid.get(request, "error.message"));
+                promise.resolve(false);
+            };
+        }
+        catch (error) {
+            fluid.log("Could not open the sample cache: ", error.message);
+            promise.resolve(false);
+        }
+        return promise;
+    };
+
+    // Run a request against the object store, and return a promise that resolves with its result, or `undefined`.
+    guitarompler.sampleCache.request = function (database, storeName, mode, createRequest) {
+        var promise = fluid.promise();
+        if (!database) {
+            promise.resolve(undefined);
+            return promise;
+        }
+
+        try {
+            var request = createRequest(database.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = function () {
+                promise.resolve(request.result);
+            };
+            request.onerror = function () {
+                fluid.log("Could not update the sample cache: ", fluid.get(request, "error.message"));
+                promise.resolve(undefined);
+            };
+        }
+        catch (error) {
+            fluid.log("Could not update the sample cache: ", error.message);
+            promise.resolve(undefined);
+        }
+        return promise;
+    };
+
+    // The key of the saved copy of `url`, i.e. `[1, "./src/sounds/440.wav"]` for version 1 of the samples.
+    guitarompler.sampleCache.entryKey = function (options, url) {
+        return [options.version, url];
+    };
+
+    guitarompler.sampleCache.readEntry = function (database, storeName, key) {
+        return guitarompler.sampleCache.request(database, storeName, "readonly", function (store) {
+            return store.get(key);
+        });
+    };
+
+    guitarompler.sampleCache.writeEntry = function (database, storeName, key, entry) {
+        return guitarompler.sampleCache.request(database, storeName, "readwrite", function (store) {
+            return store.put(entry, key);
+        });
+    };
+
+    // Remove the files saved for earlier versions of the samples.  IndexedDB sorts strings (the keys used before the
+    // samples had versions) before arrays, and arrays by their first entry, so every older key comes before
+    // `[version]`.
+    guitarompler.sampleCache.removeOldEntries = function (database, options) {
+        return guitarompler.sampleCache.request(database, options.storeName, "readwrite", function (store) {
+            return store["delete"](IDBKeyRange.upperBound([options.version], true));
+        });
+    };
+
+    // Forget all decoded buffers, and remove any saved files.  Returns a promise that resolves once the files are gone.
+    guitarompler.sampleCache.clear = function (that) {
+        that.buffers = {};
+        var promise = fluid.promise();
+        that.database.then(function (database) {
+            fluid.promise.follow(guitarompler.sampleCache.request(database, that.options.storeName, "readwrite", function (store) {
+                return store.clear();
+            }), promise);
+        });
+        return promise;
+    };
+
+    guitarompler.sampleCache.closeDatabase = function (that) {
+        that.database.then(function (database) {
+            if (database) {
+                database.close();
+            }
+        });
+    };
+})(fluid);
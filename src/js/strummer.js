@@ -0,0 +1,278 @@
+/*
+
+    A "strummer" that turns chords into strums.  When several notes arrive at (nearly) the same time, as they do when
+    a chord is played on a keyboard or pad, a real guitarist would not play every string at once, but would sweep
+    across the strings, either from the lowest string to the highest (a "down" strum) or from the highest to the lowest
+    (an "up" strum).
+
+    The strummer collects all the "note on" messages that are played within a short `window` (in milliseconds), sorts
+    them by pitch, and passes them to the `onMessage` event, each with a timestamp `strumSpeed` milliseconds after the
+    last.
+    To make the result sound less mechanical, each note's start time and velocity are also varied slightly at random
+    ("humanized").
+
+    Timestamps are times in milliseconds, using the same clock as `performance.now()` and Web MIDI (see
+    `guitarompler.loom.scheduleMessage`).  Notes with timestamps are grouped into chords using their timestamps rather
+    than the time they arrive, so a note that is played more than `window` milliseconds after the first note of a chord
+    starts a new chord, even if it arrives straight away.  Each message is passed on with its timestamp (if it has one),
+    and a strum starts `window` milliseconds after the timestamp of the first note in the chord (i.e. once the chord is
+    complete), so that the loom can play each note at exactly the right time.
+
+    The direction of each strum can be chosen in two ways, depending on the `directionMode` option:
+
+    1. "keyswitch": Pressing the `downKeyswitch` or `upKeyswitch` note selects the direction for the strums that follow.
+    2. "velocity": Chords played at or above the `velocityThreshold` are strummed down, quieter chords are strummed up.
+
+    All other messages (including "note off" messages for notes that have already started) are passed on immediately,
+    as are notes below `minPitch`, so that the loom's articulation keyswitches take effect before the strum that follows.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.strummer", {
+        gradeNames: ["fluid.component"],
+        enabled: true,
+        window: 20, // How long (in milliseconds) to wait for the other notes in a chord.
+        strumSpeed: 12, // The time (in milliseconds) between each string in a strum.
+        directionMode: "keyswitch", // "keyswitch" or "velocity".
+        direction: "down", // The initial direction, "down" (low to high) or "up" (high to low).
+        downKeyswitch: 34, // A#1, below the range of the default instrument.
+        upKeyswitch: 35, // B1
+        velocityThreshold: 96,
+        minPitch: 36, // The lowest note to strum.  Lower notes, such as the articulation keyswitches, are passed on.
+        humanize: {
+            timing: 4, // The largest amount (in milliseconds) by which to vary each note's start time.
+            velocity: 6 // The largest amount by which to vary each note's velocity.
+        },
+        members: {
+            enabled: "{that}.options.enabled",
+            direction: "{that}.options.direction",
+            strumSpeed: "{that}.options.strumSpeed",
+            pendingNotes: [],
+            chordTimeStamp: undefined, // When the waiting chord ends (and its strum starts), if it has timestamps.
+            windowTimer: false,
+            // Notes that are waiting to be strummed, by pitch, so that we can delay their "note off" messages as well.
+            delayedNotes: {},
+            timers: []
+        },
+        events: {
+            onMessage: null,
+            onStrum: null
+        },
+        invokers: {
+            handleNoteMessage: {
+                funcName: "guitarompler.strummer.handleNoteMessage",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+            },
+            strum: {
+                funcName: "guitarompler.strummer.strum",
+                args: ["{that}", "{arguments}.0", "{arguments}.1", "{arguments}.2"] // noteMessages, direction, timeStamp
+            },
+            setEnabled: {
+                funcName: "guitarompler.strummer.setEnabled",
+                args: ["{that}", "{arguments}.0"] // enabled
+            },
+            setDirection: {
+                funcName: "guitarompler.strummer.setDirection",
+                args: ["{that}", "{arguments}.0"] // direction
+            },
+            setStrumSpeed: {
+                funcName: "guitarompler.strummer.setStrumSpeed",
+                args: ["{that}", "{arguments}.0"] // strumSpeed
+            },
+            schedule: {
+                funcName: "guitarompler.strummer.schedule",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // callback, delay
+            },
+            cancel: {
+                funcName: "guitarompler.strummer.cancel",
+                args: ["{that}", "{arguments}.0"] // timer
+            },
+            now: "guitarompler.timeStampNow()",
+            random: "Math.random"
+        },
+        listeners: {
+            "onDestroy.clearTimers": {
+                funcName: "guitarompler.strummer.clearTimers",
+                args: ["{that}"]
+            }
+        }
+    });
+
+    guitarompler.strummer.handleNoteMessage = function (that, midiMessage, timeStamp) {
+        var messageType = fluid.get(midiMessage, "type");
+        var isNoteOn = messageType === "noteOn" && midiMessage.velocity > 0;
+        var isNoteOff = messageType === "noteOff" || (messageType === "noteOn" && !isNoteOn);
+
+        if (that.options.directionMode === "keyswitch" && (isNoteOn || isNoteOff) &&
+            (midiMessage.note === that.options.downKeyswitch || midiMessage.note === that.options.upKeyswitch)) {
+            if (isNoteOn) {
+                that.setDirection(midiMessage.note === that.options.downKeyswitch ? "down" : "up");
+            }
+        }
+        else if (!that.enabled || midiMessage.note < that.options.minPitch) {
+            that.events.onMessage.fire(midiMessage, timeStamp);
+        }
+        else if (isNoteOn) {
+            // A note played after the end of the waiting chord starts a new chord.
+            if (that.windowTimer && typeof timeStamp === "number" && typeof that.chordTimeStamp === "number" && timeStamp > that.chordTimeStamp) {
+                that.cancel(that.windowTimer);
+                guitarompler.strummer.strumPendingNotes(that);
+            }
+
+            that.pendingNotes.push(midiMessage);
+            that.delayedNotes[midiMessage.note] = { message: midiMessage, noteOff: false };
+            if (!that.windowTimer) {
+                // The strum starts once we have waited for the rest of the chord.
+                var hasTimeStamp = typeof timeStamp === "number";
+                that.chordTimeStamp = hasTimeStamp ? timeStamp + that.options.window : undefined;
+                that.windowTimer = that.schedule(function () {
+                    guitarompler.strummer.strumPendingNotes(that);
+                }, hasTimeStamp ? Math.max(0, that.chordTimeStamp - that.now()) : that.options.window);
+            }
+        }
+        else if (isNoteOff && that.delayedNotes[midiMessage.note]) {
+            // The note has not started yet, so release it once it has.
+            that.delayedNotes[midiMessage.note].noteOff = { message: midiMessage, timeStamp: timeStamp };
+        }
+        else {
+            that.events.onMessage.fire(midiMessage, timeStamp);
+        }
+    };
+
+    guitarompler.strummer.strumPendingNotes = function (that) {
+        var noteMessages = that.pendingNotes;
+        that.pendingNotes = [];
+        that.windowTimer = false;
+
+        var direction = that.direction;
+        if (that.options.directionMode === "velocity") {
+            var maxVelocity = Math.max.apply(null, fluid.transform(noteMessages, function (noteMessage) {
+                return noteMessage.velocity;
+            }));
+            direction = maxVelocity >= that.options.velocityThreshold ? "down" : "up";
+        }
+
+        that.strum(noteMessages, direction, that.chordTimeStamp);
+    };
+
+    /*
+
+        Strum a list of "note on" messages in the given direction ("down" or "up"), for example:
+
+        strummer.strum([{ type: "noteOn", channel: 0, note: 40, velocity: 100 }, ...], "down");
+
+        Can be called directly to strum chords from code.  The strum starts at `timeStamp`, or right away.  Returns the
+        list of messages, in the order they will be played, with the delay (in milliseconds) between the start of the
+        strum and each message.
+
+    */
+    guitarompler.strummer.strum = function (that, noteMessages, direction, timeStamp) {
+        direction = direction || that.direction;
+        var strumTimeStamp = typeof timeStamp === "number" ? timeStamp : that.now();
+
+        var sortedMessages = fluid.makeArray(noteMessages).sort(function (a, b) {
+            return direction === "up" ? b.note - a.note : a.note - b.note;
+        });
+
+        var strummedMessages = fluid.transform(sortedMessages, function (noteMessage, index) {
+            var humanizedMessage = fluid.extend({}, noteMessage, {
+                velocity: guitarompler.strummer.humanizeVelocity(that, noteMessage.velocity)
+            });
+            var delay = Math.max(0, (index * that.strumSpeed) + guitarompler.strummer.jitter(that, that.options.humanize.timing));
+            return { delay: delay, message: humanizedMessage, originalMessage: noteMessage };
+        });
+
+        fluid.each(strummedMessages, function (strummedMessage) {
+            var noteTimeStamp = strumTimeStamp + strummedMessage.delay;
+            that.events.onMessage.fire(strummedMessage.message, noteTimeStamp);
+
+            // Notes collected by `handleNoteMessage` may already have been released while we waited for the chord, in
+            // which case they are released as soon as they start, rather than before.
+            var note = strummedMessage.message.note;
+            var delayedNote = that.delayedNotes[note];
+            if (delayedNote && delayedNote.message === strummedMessage.originalMessage) {
+                delete that.delayedNotes[note];
+                if (delayedNote.noteOff) {
+                    var noteOffTimeStamp = delayedNote.noteOff.timeStamp;
+                    that.events.onMessage.fire(delayedNote.noteOff.message, typeof noteOffTimeStamp === "number" ? Math.max(noteTimeStamp, noteOffTimeStamp) : noteTimeStamp);
+                }
+            }
+        });
+
+        strummedMessages = fluid.transform(strummedMessages, function (strummedMessage) {
+            return fluid.censorKeys(strummedMessage, ["originalMessage"]);
+        });
+        that.events.onStrum.fire(strummedMessages, direction);
+        return strummedMessages;
+    };
+
+    // A random value between -range and range.
+    guitarompler.strummer.jitter = function (that, range) {
+        return range ? ((that.random() * 2) - 1) * range : 0;
+    };
+
+    guitarompler.strummer.humanizeVelocity = function (that, velocity) {
+        var humanizedVelocity = Math.round(velocity + guitarompler.strummer.jitter(that, that.options.humanize.velocity));
+        return Math.min(127, Math.max(1, humanizedVelocity));
+    };
+
+    // Call a function after a delay (in milliseconds), and keep track of the timer so that it can be cleared.
+    guitarompler.strummer.schedule = function (that, callback, delay) {
+        var timer = setTimeout(function () {
+            that.timers.splice(that.timers.indexOf(timer), 1);
+            callback();
+        }, delay);
+        that.timers.push(timer);
+        return timer;
+    };
+
+    guitarompler.strummer.cancel = function (that, timer) {
+        clearTimeout(timer);
+        var timerIndex = that.timers.indexOf(timer);
+        if (timerIndex !== -1) {
+            that.timers.splice(timerIndex, 1);
+        }
+    };
+
+    guitarompler.strummer.clearTimers = function (that) {
+        fluid.each(that.timers, function (timer) {
+            clearTimeout(timer);
+        });
+        that.timers = [];
+    };
+
+    // When the strummer is disabled, any notes that are waiting to be strummed are played immediately.
+    guitarompler.strummer.setEnabled = function (that, enabled) {
+        that.enabled = !!enabled;
+        if (!that.enabled && that.pendingNotes.length) {
+            that.cancel(that.windowTimer);
+            var pendingNotes = that.pendingNotes;
+            that.pendingNotes = [];
+            that.windowTimer = false;
+            fluid.each(pendingNotes, function (noteMessage) {
+                var delayedNote = that.delayedNotes[noteMessage.note];
+                delete that.delayedNotes[noteMessage.note];
+                that.events.onMessage.fire(noteMessage);
+                if (delayedNote && delayedNote.noteOff) {
+                    that.events.onMessage.fire(delayedNote.noteOff.message);
+                }
+            });
+        }
+    };
+
+    guitarompler.strummer.setDirection = function (that, direction) {
+        if (direction === "down" || direction === "up") {
+            that.direction = direction;
+        }
+        else {
+            fluid.log("Ignoring invalid strum direction: ", direction);
+        }
+    };
+
+    guitarompler.strummer.setStrumSpeed = function (that, strumSpeed) {
+        that.strumSpeed = Math.max(0, strumSpeed);
+    };
+})(fluid);
@@ -0,0 +1,291 @@
+/*
+
+    Tuning tables, which control the frequency played for each of the 128 MIDI notes.  By default, notes are tuned in
+    12-tone equal temperament, with A4 (MIDI note 69) at 440 Hz.  The `guitarompler.tuning` grade supports:
+
+    1. A different reference frequency for A4 (or any other `referenceNote`), such as 415 Hz for "Baroque pitch", or
+       432 Hz.
+    2. A set of built-in historical temperaments (see `guitarompler.tuning.temperaments` below), which can be based on
+       any key (the `temperamentRoot`, 0 for C, 1 for C#, and so on).
+    3. Scales imported from Scala (`.scl`) files, optionally with a Scala keyboard mapping (`.kbm`) file, which controls
+       which scale degree each MIDI note plays.  See https://www.huygens-fokker.org/scala/scl_format.html and
+       https://www.huygens-fokker.org/scala/help.htm#mappings for the file formats.
+
+    Each note plays a sample recorded at a known (equal-tempered) pitch, so the playback rate for a note is the ratio
+    between the note's frequency in the tuning table and the frequency at which the sample was recorded.
+
+    Invalid files and settings (which may have been chosen by the user) are reported by throwing an `Error`, so that
+    the caller can catch it and explain the problem.
+
+*/
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.registerNamespace("guitarompler.tuning");
+
+    // The pitch of each note in the octave (C, C#, D ... B) in cents above C.
+    guitarompler.tuning.temperaments = {
+        equal: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100],
+        pythagorean: [0, 90.22, 203.91, 294.13, 407.82, 498.04, 611.73, 701.96, 792.18, 905.87, 996.09, 1109.78],
+        quarterCommaMeantone: [0, 76.05, 193.16, 310.26, 386.31, 503.42, 579.47, 696.58, 772.63, 889.74, 1006.84, 1082.89],
+        werckmeisterIII: [0, 90.22, 192.18, 294.13, 390.22, 498.04, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18],
+        kirnbergerIII: [0, 90.22, 193.16, 294.13, 386.31, 498.04, 590.22, 696.58, 792.18, 889.74, 996.09, 1088.27],
+        vallotti: [0, 94.13, 196.09, 298.04, 392.18, 501.96, 592.18, 698.04, 796.09, 894.13, 1000, 1090.22],
+        just: [0, 111.73, 203.91, 315.64, 386.31, 498.04, 590.22, 701.96, 813.69, 884.36, 1017.6, 1088.27]
+    };
+
+    // The frequency at which a note is played in standard tuning, i.e. 12-tone equal temperament with A4 at 440 Hz.
+    guitarompler.tuning.standardFrequency = function (note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    };
+
+    // Python-style modulo, which is never negative for a positive divisor.
+    guitarompler.tuning.mod = function (value, divisor) {
+        return ((value % divisor) + divisor) % divisor;
+    };
+
+    guitarompler.tuning.ratioToCents = function (ratio) {
+        return 1200 * Math.log(ratio) / Math.LN2;
+    };
+
+    /*
+
+        Build a table of 128 frequencies (one per MIDI note) from tuning settings like the options of the
+        `guitarompler.tuning` grade.  Notes that are not mapped to a scale degree by a keyboard mapping have a frequency
+        of `null`, and are not played.
+
+    */
+    guitarompler.tuning.buildTable = function (settings) {
+        settings = fluid.extend({}, fluid.defaults("guitarompler.tuning"), settings);
+        var centsForNote = settings.scale ?
+            guitarompler.tuning.scaleCents(settings.scale, settings.keyboardMapping || guitarompler.tuning.linearMapping(settings.scale, settings)) :
+            guitarompler.tuning.temperamentCents(settings);
+
+        var referenceNote = settings.keyboardMapping ? settings.keyboardMapping.referenceNote : settings.referenceNote;
+        var referenceFrequency = settings.keyboardMapping ? settings.keyboardMapping.referenceFrequency : settings.referenceFrequency;
+        var referenceCents = centsForNote(referenceNote);
+        if (referenceCents === null) {
+            throw new Error("The reference note (" + referenceNote + ") is not mapped to a scale degree.");
+        }
+
+        return fluid.generate(128, function (note) {
+            var cents = centsForNote(note);
+            return cents === null ? null : referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200);
+        }, true);
+    };
+
+    // Returns a function that gives the pitch of a note (in cents, relative to an arbitrary starting point).
+    guitarompler.tuning.temperamentCents = function (settings) {
+        var temperament = typeof settings.temperament === "string" ? guitarompler.tuning.temperaments[settings.temperament] : settings.temperament;
+        if (!temperament || temperament.length !== 12) {
+            throw new Error("Unknown temperament: " + settings.temperament);
+        }
+
+        return function (note) {
+            var stepsFromRoot = note - settings.temperamentRoot;
+            var degree = guitarompler.tuning.mod(stepsFromRoot, 12);
+            return ((stepsFromRoot - degree) * 100) + temperament[degree];
+        };
+    };
+
+    // The keyboard mapping used when a scale is loaded without one, i.e. consecutive notes play consecutive degrees.
+    guitarompler.tuning.linearMapping = function (scale, settings) {
+        return {
+            mapSize: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: settings.middleNote,
+            referenceNote: settings.referenceNote,
+            referenceFrequency: settings.referenceFrequency,
+            octaveDegree: scale.cents.length,
+            mapping: []
+        };
+    };
+
+    guitarompler.tuning.scaleCents = function (scale, keyboardMapping) {
+        var degreeCount = scale.cents.length;
+        var mapSize = keyboardMapping.mapSize || degreeCount;
+        var octaveDegree = keyboardMapping.octaveDegree || degreeCount;
+        var degreeCents = function (degree) {
+            return degree === 0 ? 0 : scale.cents[degree - 1];
+        };
+        var octaveCents = degreeCents(octaveDegree);
+
+        return function (note) {
+            if (note < keyboardMapping.firstNote || note > keyboardMapping.lastNote) {
+                return null;
+            }
+
+            var stepsFromMiddle = note - keyboardMapping.middleNote;
+            var mapIndex = guitarompler.tuning.mod(stepsFromMiddle, mapSize);
+            var octave = (stepsFromMiddle - mapIndex) / mapSize;
+            var degree = keyboardMapping.mapSize ? keyboardMapping.mapping[mapIndex] : mapIndex;
+            if (degree === null || degree === undefined || degree > degreeCount) {
+                return null;
+            }
+
+            return (octave * octaveCents) + degreeCents(degree);
+        };
+    };
+
+    // The lines of a Scala file, without comments (lines starting with "!"), and without leading/trailing whitespace.
+    guitarompler.tuning.scalaLines = function (text) {
+        return fluid.transform(text.split(/\r?\n/), function (line) {
+            return line.trim();
+        }).filter(function (line) {
+            // The description in a scale file may be blank, so blank lines are left for the caller to deal with.
+            return line.charAt(0) !== "!";
+        });
+    };
+
+    /*
+
+        Parse the contents of a Scala scale (`.scl`) file, and return an object like:
+
+        { description: "Pythagorean", cents: [90.22, ..., 1200] }
+
+        The `cents` are the pitch of each degree above the first (which is always 0 cents), and the last entry is the
+        "period" of the scale, which is usually an octave.
+
+    */
+    guitarompler.tuning.parseScala = function (text) {
+        var lines = guitarompler.tuning.scalaLines(text);
+        var description = lines.shift() || "";
+        var nonBlankLines = lines.filter(function (line) { return line.length; });
+        var noteCount = parseInt(nonBlankLines.shift(), 10);
+        if (!(noteCount > 0)) {
+            throw new Error("A Scala file must contain the number of notes in the scale.");
+        }
+        if (nonBlankLines.length < noteCount) {
+            throw new Error("The Scala file should contain " + noteCount + " notes, but only contains " + nonBlankLines.length + ".");
+        }
+
+        var cents = fluid.transform(nonBlankLines.slice(0, noteCount), guitarompler.tuning.parseScalaPitch);
+        return { description: description, cents: cents };
+    };
+
+    // A pitch is either a value in cents (which always contains a period), or a ratio like "3/2" or "2".
+    guitarompler.tuning.parseScalaPitch = function (line) {
+        var value = line.split(/\s+/)[0];
+        if (value.indexOf(".") !== -1) {
+            var cents = parseFloat(value);
+            if (isNaN(cents)) {
+                throw new Error("Invalid pitch in Scala file: " + line);
+            }
+            return cents;
+        }
+
+        var ratioParts = value.split("/");
+        var numerator = parseInt(ratioParts[0], 10);
+        var denominator = ratioParts.length > 1 ? parseInt(ratioParts[1], 10) : 1;
+        if (!(numerator > 0) || !(denominator > 0)) {
+            throw new Error("Invalid pitch in Scala file: " + line);
+        }
+        return guitarompler.tuning.ratioToCents(numerator / denominator);
+    };
+
+    // Parse the contents of a Scala keyboard mapping (`.kbm`) file.  Unmapped keys ("x") are represented by `null`.
+    guitarompler.tuning.parseKeyboardMapping = function (text) {
+        var lines = guitarompler.tuning.scalaLines(text).filter(function (line) { return line.length; });
+        var values = fluid.transform(lines, function (line) {
+            return line.split(/\s+/)[0];
+        });
+        if (values.length < 7) {
+            throw new Error("A keyboard mapping file must contain at least seven settings.");
+        }
+
+        var keyboardMapping = {
+            mapSize: parseInt(values[0], 10),
+            firstNote: parseInt(values[1], 10),
+            lastNote: parseInt(values[2], 10),
+            middleNote: parseInt(values[3], 10),
+            referenceNote: parseInt(values[4], 10),
+            referenceFrequency: parseFloat(values[5]),
+            octaveDegree: parseInt(values[6], 10),
+            mapping: fluid.transform(values.slice(7, 7 + parseInt(values[0], 10)), function (value) {
+                return value === "x" ? null : parseInt(value, 10);
+            })
+        };
+
+        fluid.each(["mapSize", "firstNote", "lastNote", "middleNote", "referenceNote", "referenceFrequency", "octaveDegree"], function (key) {
+            if (isNaN(keyboardMapping[key])) {
+                throw new Error("Invalid keyboard mapping setting: " + key);
+            }
+        });
+
+        // Any keys not listed in the mapping are unmapped.
+        while (keyboardMapping.mapping.length < keyboardMapping.mapSize) {
+            keyboardMapping.mapping.push(null);
+        }
+
+        return keyboardMapping;
+    };
+
+    fluid.defaults("guitarompler.tuning", {
+        gradeNames: ["fluid.component"],
+        referenceNote: 69, // A4
+        referenceFrequency: 440,
+        temperament: "equal", // The name of one of `guitarompler.tuning.temperaments`, or an array of 12 cent values.
+        temperamentRoot: 0, // The key the temperament is based on, 0 for C, 1 for C#, and so on.
+        scale: false, // A scale, as returned by `guitarompler.tuning.parseScala`.
+        keyboardMapping: false, // A keyboard mapping, as returned by `guitarompler.tuning.parseKeyboardMapping`.
+        middleNote: 60, // When a scale is used without a keyboard mapping, the note that plays the first degree.
+        members: {
+            settings: "@expand:guitarompler.tuning.settingsFromOptions({that}.options)",
+            frequencies: "@expand:guitarompler.tuning.buildTable({that}.settings)"
+        },
+        events: {
+            onTuningChanged: null
+        },
+        invokers: {
+            setTuning: {
+                funcName: "guitarompler.tuning.setTuning",
+                args: ["{that}", "{arguments}.0"] // settings
+            },
+            loadScala: {
+                funcName: "guitarompler.tuning.loadScala",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // scalaText, keyboardMappingText
+            },
+            frequencyOf: {
+                funcName: "guitarompler.tuning.frequencyOf",
+                args: ["{that}", "{arguments}.0"] // note
+            },
+            speedFor: {
+                funcName: "guitarompler.tuning.speedFor",
+                args: ["{that}", "{arguments}.0", "{arguments}.1"] // note, samplePitch
+            }
+        }
+    });
+
+    guitarompler.tuning.settingsFromOptions = function (options) {
+        return fluid.filterKeys(options, ["referenceNote", "referenceFrequency", "temperament", "temperamentRoot", "scale", "keyboardMapping", "middleNote"]);
+    };
+
+    // Change one or more tuning settings, for example `tuning.setTuning({ referenceFrequency: 415 })`.  Only notes that
+    // start after the change are affected.
+    guitarompler.tuning.setTuning = function (that, settings) {
+        var newSettings = fluid.extend({}, that.settings, settings);
+        that.frequencies = guitarompler.tuning.buildTable(newSettings);
+        that.settings = newSettings;
+        that.events.onTuningChanged.fire(that.settings, that.frequencies);
+    };
+
+    // Use a scale (and optionally a keyboard mapping) from the contents of Scala files.
+    guitarompler.tuning.loadScala = function (that, scalaText, keyboardMappingText) {
+        that.setTuning({
+            scale: guitarompler.tuning.parseScala(scalaText),
+            keyboardMapping: keyboardMappingText ? guitarompler.tuning.parseKeyboardMapping(keyboardMappingText) : false
+        });
+    };
+
+    guitarompler.tuning.frequencyOf = function (that, note) {
+        return that.frequencies[note];
+    };
+
+    // The playback rate needed to play `note` using a sample recorded at `samplePitch`, or `null` if the note is unmapped.
+    guitarompler.tuning.speedFor = function (that, note, samplePitch) {
+        var frequency = that.frequencies[note];
+        return fluid.isValue(frequency) ? frequency / guitarompler.tuning.standardFrequency(samplePitch) : null;
+    };
+})(fluid);
@@ -0,0 +1,280 @@
+/*
+
+    A live display of what the instrument is doing, so that you can tell whether messages are arriving even when nothing
+    can be heard.  The visualiser shows:
+
+    1. A piano strip and a fretboard, on which each sounding note is highlighted.  The height of the bar on each key
+       (and the brightness of each fret) shows the note's current gain, i.e. its velocity multiplied by its envelope.
+    2. A list of the sounding notes and their gains.
+    3. An output level meter, which shows the peak and average ("RMS") level of the instrument's output, after all
+       effects, using an `AnalyserNode`.
+    4. The last message sent to the instrument, from any source.
+    5. An optional log of every message received from a MIDI device.  The log itself is a `flock.midi.messageMonitorView`,
+       which is owned by the launcher (see below), as it can only find MIDI connections that are its "cousins".  The
+       visualiser only provides its container, and shows or hides it.
+
+    The display only runs while it is attached to a loom (see `attach`), and is redrawn once per animation frame.
+
+*/
+/* global Float32Array */
+
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.defaults("guitarompler.visualiser", {
+        gradeNames: ["fluid.viewComponent"],
+        minNote: 24, // C1, the first of the articulation keyswitches.
+        maxNote: 96, // C7.
+        tuning: [40, 45, 50, 55, 59, 64], // The open pitch of each string, lowest first, as in `guitarompler.fretboard`.
+        frets: 12,
+        meterFloor: -60, // The quietest level (in dB) shown by the meter.
+        fftSize: 2048,
+        showMessageLog: false,
+        noteNames: ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"],
+        markup: {
+            key: "<div class='visualiser-key'><div class='visualiser-key-level'></div></div>",
+            string: "<div class='visualiser-string'></div>",
+            fret: "<div class='visualiser-fret'></div>"
+        },
+        selectors: {
+            piano: ".visualiser-piano",
+            fretboard: ".visualiser-fretboard",
+            activeNotes: ".visualiser-active-notes",
+            meterPeak: ".visualiser-meter-peak",
+            meterRms: ".visualiser-meter-rms",
+            meterText: ".visualiser-meter-text",
+            lastMessage: ".visualiser-last-message",
+            messageLogToggle: ".visualiser-message-log-toggle",
+            messageLog: ".visualiser-message-log"
+        },
+        styles: {
+            blackKey: "visualiser-key-black",
+            sounding: "visualiser-sounding"
+        },
+        strings: {
+            activeNote: "%noteName (%gain)",
+            noActiveNotes: "No notes are sounding.",
+            meter: "Peak %peak dB, RMS %rms dB",
+            lastMessage: "Last message: %message",
+            noMessages: "No messages yet."
+        },
+        members: {
+            loom: false,
+            analyser: false,
+            samples: false,
+            animationFrame: false,
+            keyElements: {}, // The element for each key on the piano strip, by note.
+            fretElements: {} // The elements for each note on the fretboard, by note.
+        },
+        events: {
+            onMessageLogShown: null
+        },
+        invokers: {
+            attach: {
+                funcName: "guitarompler.visualiser.attach",
+                args: ["{that}", "{arguments}.0"] // loom
+            },
+            detach: {
+                funcName: "guitarompler.visualiser.detach",
+                args: ["{that}"]
+            },
+            update: {
+                funcName: "guitarompler.visualiser.update",
+                args: ["{that}"]
+            },
+            showMessage: {
+                funcName: "guitarompler.visualiser.showMessage",
+                args: ["{that}", "{arguments}.0"] // midiMessage
+            },
+            setMessageLogShown: {
+                funcName: "guitarompler.visualiser.setMessageLogShown",
+                args: ["{that}", "{arguments}.0"] // isShown
+            }
+        },
+        listeners: {
+            "onCreate.render": {
+                funcName: "guitarompler.visualiser.render",
+                args: ["{that}"]
+            },
+            "onCreate.bindMessageLogToggle": {
+                funcName: "guitarompler.visualiser.bindMessageLogToggle",
+                args: ["{that}"]
+            },
+            "onDestroy.detach": {
+                func: "{that}.detach"
+            }
+        }
+    });
+
+    guitarompler.visualiser.noteName = function (noteNames, note) {
+        return noteNames[note % 12] + (Math.floor(note / 12) - 1);
+    };
+
+    guitarompler.visualiser.isBlackKey = function (note) {
+        return [1, 3, 6, 8, 10].indexOf(note % 12) !== -1;
+    };
+
+    guitarompler.visualiser.render = function (that) {
+        var piano = that.locate("piano").empty();
+        that.keyElements = {};
+        for (var note = that.options.minNote; note <= that.options.maxNote; note++) {
+            var keyElement = fluid.jQuery(that.options.markup.key).attr("title", guitarompler.visualiser.noteName(that.options.noteNames, note));
+            keyElement.toggleClass(that.options.styles.blackKey, guitarompler.visualiser.isBlackKey(note));
+            piano.append(keyElement);
+            that.keyElements[note] = keyElement;
+        }
+
+        // Display the highest string first, as in `guitarompler.fretboard`.
+        var fretboard = that.locate("fretboard").empty();
+        that.fretElements = {};
+        for (var stringIndex = that.options.tuning.length - 1; stringIndex >= 0; stringIndex--) {
+            var stringElement = fluid.jQuery(that.options.markup.string);
+            for (var fret = 0; fret <= that.options.frets; fret++) {
+                var fretNote = that.options.tuning[stringIndex] + fret;
+                var fretElement = fluid.jQuery(that.options.markup.fret).text(guitarompler.visualiser.noteName(that.options.noteNames, fretNote));
+                stringElement.append(fretElement);
+                that.fretElements[fretNote] = (that.fretElements[fretNote] || []).concat([fretElement]);
+            }
+            fretboard.append(stringElement);
+        }
+
+        that.locate("activeNotes").text(that.options.strings.noActiveNotes);
+        that.locate("lastMessage").text(that.options.strings.noMessages);
+        guitarompler.visualiser.setMessageLogShown(that, that.options.showMessageLog);
+    };
+
+    guitarompler.visualiser.bindMessageLogToggle = function (that) {
+        that.locate("messageLogToggle").prop("checked", that.options.showMessageLog).change(function (event) {
+            that.setMessageLogShown(event.target.checked);
+        });
+    };
+
+    guitarompler.visualiser.setMessageLogShown = function (that, isShown) {
+        that.locate("messageLog").toggle(!!isShown);
+        if (isShown) {
+            that.events.onMessageLogShown.fire();
+        }
+    };
+
+    // Start displaying the notes and output of a loom.
+    guitarompler.visualiser.attach = function (that, loom) {
+        that.detach();
+        that.loom = loom;
+        that.analyser = loom.context.createAnalyser();
+        that.analyser.fftSize = that.options.fftSize;
+        that.samples = new Float32Array(that.analyser.fftSize);
+        loom.outputBus.limiter.connect(that.analyser);
+        guitarompler.visualiser.scheduleUpdate(that);
+    };
+
+    guitarompler.visualiser.detach = function (that) {
+        if (that.animationFrame) {
+            window.cancelAnimationFrame(that.animationFrame);
+            that.animationFrame = false;
+        }
+        if (that.analyser && !fluid.isDestroyed(that.loom)) {
+            that.loom.outputBus.limiter.disconnect(that.analyser);
+        }
+        that.loom = false;
+        that.analyser = false;
+    };
+
+    guitarompler.visualiser.scheduleUpdate = function (that) {
+        that.animationFrame = window.requestAnimationFrame(function () {
+            that.update();
+            if (that.loom) {
+                guitarompler.visualiser.scheduleUpdate(that);
+            }
+        });
+    };
+
+    // The notes between `minNote` and `maxNote` that are sounding, and the current gain of each.
+    guitarompler.visualiser.activeNotes = function (loom, minNote, maxNote) {
+        var activeNotes = [];
+        for (var note = minNote; note <= maxNote; note++) {
+            if (loom.isSounding(note)) {
+                activeNotes.push({ note: note, gain: loom.gainOf(note) });
+            }
+        }
+        return activeNotes;
+    };
+
+    // The peak and RMS levels of a block of samples, each between 0 and 1.
+    guitarompler.visualiser.measureLevels = function (samples) {
+        var peak = 0;
+        var sumOfSquares = 0;
+        for (var a = 0; a < samples.length; a++) {
+            peak = Math.max(peak, Math.abs(samples[a]));
+            sumOfSquares += samples[a] * samples[a];
+        }
+        return { peak: peak, rms: samples.length ? Math.sqrt(sumOfSquares / samples.length) : 0 };
+    };
+
+    // Convert a level (between 0 and 1) to decibels, where silence (or anything quieter than `floor`) is `floor`.
+    guitarompler.visualiser.toDecibels = function (level, floor) {
+        return level > 0 ? Math.max(floor, 20 * Math.log10(level)) : floor;
+    };
+
+    // The position of a level (in dB) on the meter, from 0 (at the `floor`) to 1 (at 0 dB).
+    guitarompler.visualiser.meterPosition = function (decibels, floor) {
+        return Math.min(1, Math.max(0, (decibels - floor) / -floor));
+    };
+
+    guitarompler.visualiser.update = function (that) {
+        if (fluid.isDestroyed(that.loom)) {
+            that.detach();
+        }
+        if (!that.loom) {
+            return;
+        }
+
+        var activeNotes = guitarompler.visualiser.activeNotes(that.loom, that.options.minNote, that.options.maxNote);
+        var gainsByNote = {};
+        fluid.each(activeNotes, function (activeNote) {
+            gainsByNote[activeNote.note] = activeNote.gain;
+        });
+
+        var soundingStyle = that.options.styles.sounding;
+        fluid.each(that.keyElements, function (keyElement, note) {
+            var gain = gainsByNote[note];
+            keyElement.toggleClass(soundingStyle, fluid.isValue(gain));
+            keyElement.children().css("height", ((gain || 0) * 100) + "%");
+        });
+        fluid.each(that.fretElements, function (fretElements, note) {
+            var gain = gainsByNote[note];
+            fluid.each(fretElements, function (fretElement) {
+                fretElement.toggleClass(soundingStyle, fluid.isValue(gain));
+                // Quiet notes are still shown, but fade as their gain drops.
+                fretElement.css("opacity", fluid.isValue(gain) ? 0.4 + (0.6 * Math.min(1, gain)) : "");
+            });
+        });
+
+        var strings = that.options.strings;
+        that.locate("activeNotes").text(activeNotes.length ? fluid.transform(activeNotes, function (activeNote) {
+            return fluid.stringTemplate(strings.activeNote, {
+                noteName: guitarompler.visualiser.noteName(that.options.noteNames, activeNote.note),
+                gain: activeNote.gain.toFixed(2)
+            });
+        }).join(", ") : strings.noActiveNotes);
+
+        guitarompler.visualiser.updateMeter(that);
+    };
+
+    guitarompler.visualiser.updateMeter = function (that) {
+        var floor = that.options.meterFloor;
+        that.analyser.getFloatTimeDomainData(that.samples);
+        var levels = guitarompler.visualiser.measureLevels(that.samples);
+        var peak = guitarompler.visualiser.toDecibels(levels.peak, floor);
+        var rms = guitarompler.visualiser.toDecibels(levels.rms, floor);
+
+        that.locate("meterPeak").css("width", (guitarompler.visualiser.meterPosition(peak, floor) * 100) + "%");
+        that.locate("meterRms").css("width", (guitarompler.visualiser.meterPosition(rms, floor) * 100) + "%");
+        that.locate("meterText").text(fluid.stringTemplate(that.options.strings.meter, { peak: peak.toFixed(1), rms: rms.toFixed(1) }));
+    };
+
+    // Messages are shown as JSON, as in flocking-midi's message log.
+    guitarompler.visualiser.showMessage = function (that, midiMessage) {
+        that.locate("lastMessage").text(fluid.stringTemplate(that.options.strings.lastMessage, { message: JSON.stringify(midiMessage) }));
+    };
+})(fluid);
@@ -0,0 +1,165 @@
+/*
+
+    Functions to encode and decode WAV files, which work both in the browser and in Node.  Audio is represented as an
+    object with a `sampleRate`, and an array of `channels`, each of which is a Float32Array of samples between -1 and 1.
+
+    See http://soundfile.sapp.org/doc/WaveFormat/ for a description of the file format.
+
+*/
+/* global ArrayBuffer, DataView, Float32Array */
+
+(function (fluid) {
+    "use strict";
+    var guitarompler = fluid.registerNamespace("guitarompler");
+
+    fluid.registerNamespace("guitarompler.wav");
+
+    guitarompler.wav.formats = {
+        pcm: 1,
+        ieeeFloat: 3,
+        extensible: 0xfffe
+    };
+
+    // Encode audio as a 16-bit PCM WAV file.  Returns an ArrayBuffer containing the encoded file.
+    guitarompler.wav.encode = function (channels, sampleRate) {
+        var channelCount = channels.length;
+        var frameCount = channelCount ? channels[0].length : 0;
+        var bytesPerSample = 2;
+        var dataLength = frameCount * channelCount * bytesPerSample;
+        var buffer = new ArrayBuffer(44 + dataLength);
+        var view = new DataView(buffer);
+
+        guitarompler.wav.writeString(view, 0, "RIFF");
+        view.setUint32(4, 36 + dataLength, true);
+        guitarompler.wav.writeString(view, 8, "WAVE");
+
+        guitarompler.wav.writeString(view, 12, "fmt ");
+        view.setUint32(16, 16, true);
+        view.setUint16(20, guitarompler.wav.formats.pcm, true);
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channelCount * bytesPerSample, true);
+        view.setUint16(32, channelCount * bytesPerSample, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+
+        guitarompler.wav.writeString(view, 36, "data");
+        view.setUint32(40, dataLength, true);
+
+        var offset = 44;
+        for (var frame = 0; frame < frameCount; frame++) {
+            for (var channel = 0; channel < channelCount; channel++) {
+                var sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    };
+
+    guitarompler.wav.writeString = function (view, offset, string) {
+        for (var a = 0; a < string.length; a++) {
+            view.setUint8(offset + a, string.charCodeAt(a));
+        }
+    };
+
+    guitarompler.wav.readString = function (view, offset, length) {
+        var string = "";
+        for (var a = 0; a < length; a++) {
+            string += String.fromCharCode(view.getUint8(offset + a));
+        }
+        return string;
+    };
+
+    // Decode a WAV file (an ArrayBuffer or Uint8Array) containing 8, 16, 24 or 32-bit integer samples, or 32 or
+    // 64-bit floating point samples.  Throws an error if the file can't be decoded.
+    guitarompler.wav.decode = function (data) {
+        var view = data instanceof ArrayBuffer ? new DataView(data) : new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        if (guitarompler.wav.readString(view, 0, 4) !== "RIFF" || guitarompler.wav.readString(view, 8, 4) !== "WAVE") {
+            throw new Error("Not a WAV file.");
+        }
+
+        var format = false;
+        var offset = 12;
+        while (offset + 8 <= view.byteLength) {
+            var chunkId = guitarompler.wav.readString(view, offset, 4);
+            var chunkLength = view.getUint32(offset + 4, true);
+            var chunkStart = offset + 8;
+
+            if (chunkId === "fmt ") {
+                format = {
+                    audioFormat: view.getUint16(chunkStart, true),
+                    channelCount: view.getUint16(chunkStart + 2, true),
+                    sampleRate: view.getUint32(chunkStart + 4, true),
+                    bitsPerSample: view.getUint16(chunkStart + 14, true)
+                };
+                // The real format of an "extensible" file is the first two bytes of its "sub-format".
+                if (format.audioFormat === guitarompler.wav.formats.extensible) {
+                    format.audioFormat = view.getUint16(chunkStart + 24, true);
+                }
+            }
+            else if (chunkId === "data") {
+                if (!format) {
+                    throw new Error("The WAV file's data appears before its format.");
+                }
+                var dataLength = Math.min(chunkLength, view.byteLength - chunkStart);
+                return {
+                    sampleRate: format.sampleRate,
+                    channels: guitarompler.wav.decodeSamples(view, chunkStart, dataLength, format)
+                };
+            }
+
+            // Chunks are padded to an even number of bytes.
+            offset = chunkStart + chunkLength + (chunkLength % 2);
+        }
+
+        throw new Error("The WAV file does not contain any audio data.");
+    };
+
+    guitarompler.wav.decodeSamples = function (view, dataStart, dataLength, format) {
+        var bytesPerSample = format.bitsPerSample / 8;
+        var frameCount = Math.floor(dataLength / (bytesPerSample * format.channelCount));
+        var readSample = guitarompler.wav.sampleReader(view, format);
+
+        var channels = fluid.generate(format.channelCount, function () {
+            return new Float32Array(frameCount);
+        }, true);
+
+        var offset = dataStart;
+        for (var frame = 0; frame < frameCount; frame++) {
+            for (var channel = 0; channel < format.channelCount; channel++) {
+                channels[channel][frame] = readSample(offset);
+                offset += bytesPerSample;
+            }
+        }
+
+        return channels;
+    };
+
+    // Returns a function that reads a single sample at a given offset, and scales it to a value between -1 and 1.
+    guitarompler.wav.sampleReader = function (view, format) {
+        if (format.audioFormat === guitarompler.wav.formats.ieeeFloat) {
+            return format.bitsPerSample === 64 ?
+                function (offset) { return view.getFloat64(offset, true); } :
+                function (offset) { return view.getFloat32(offset, true); };
+        }
+
+        switch (format.bitsPerSample) {
+        case 8:
+            // 8-bit samples are unsigned.
+            return function (offset) { return (view.getUint8(offset) - 128) / 128; };
+        case 16:
+            return function (offset) { return view.getInt16(offset, true) / 32768; };
+        case 24:
+            return function (offset) {
+                var value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                return value / 8388608;
+            };
+        case 32:
+            return function (offset) { return view.getInt32(offset, true) / 2147483648; };
+        default:
+            throw new Error("Unsupported WAV bit depth: " + format.bitsPerSample);
+        }
+    };
+})(fluid);
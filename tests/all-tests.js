@@ -0,0 +1,46 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+fluid.setLogging(false);
+
+// Register the package, so that paths like `%guitarompler/src` can be resolved.
+require("../index.js");
+
+// The instrument's own files (and the MIDI receiver grade) expect the global `fluid` that is created when Infusion is
+// loaded.
+require("flocking-midi/src/receiver.js");
+require("../src/js/guitarompler.js");
+require("../src/js/tuning.js");
+require("../src/js/sample-cache.js");
+require("../src/js/effects.js");
+require("../src/js/strummer.js");
+require("../src/js/keyboard-input.js");
+require("../src/js/fretboard.js");
+require("../src/js/cc-mapper.js");
+require("../src/js/midi-file.js");
+require("../src/js/midi-player.js");
+require("../src/js/wav.js");
+require("../src/js/recorder.js");
+require("../src/js/visualiser.js");
+require("../src/js/presets.js");
+
+require("./js/fake-web-audio.js");
+require("./js/test-utils.js");
+require("./js/loom-tests.js");
+require("./js/articulation-tests.js");
+require("./js/scheduling-tests.js");
+require("./js/strummer-tests.js");
+require("./js/keyboard-input-tests.js");
+require("./js/fretboard-tests.js");
+require("./js/zone-blend-tests.js");
+require("./js/effects-tests.js");
+require("./js/channel-tests.js");
+require("./js/tuning-tests.js");
+require("./js/sample-cache-tests.js");
+require("./js/cc-mapper-tests.js");
+require("./js/midi-file-tests.js");
+require("./js/midi-player-tests.js");
+require("./js/wav-tests.js");
+require("./js/recorder-tests.js");
+require("./js/visualiser-tests.js");
+require("./js/preset-tests.js");
@@ -0,0 +1,150 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.articulations");
+
+jqUnit.module("Articulation tests");
+
+// The default instrument, with an extra sample recorded as a harmonic in the zone around middle C.
+guitarompler.tests.articulations.instrumentWithHarmonics = function () {
+    var instrument = fluid.copy(fluid.defaults("guitarompler.tests.loom").instrument);
+    instrument.zones[0].samples.push({ url: "./src/sounds/220-harmonic.wav", articulation: "harmonic" });
+    return instrument;
+};
+
+guitarompler.tests.loom.withLoom("Keyswitches select an articulation instead of playing.", {}, function (loom) {
+    var changes = [];
+    loom.events.onArticulationChanged.addListener(function (articulation) {
+        changes.push(articulation);
+    });
+
+    jqUnit.assertEquals("Notes should start out plucked.", "normal", loom.controllers.articulation);
+    guitarompler.tests.loom.noteOn(loom, 25);
+    jqUnit.assertEquals("The palm mute keyswitch should select palm muting.", "palmMute", loom.controllers.articulation);
+    guitarompler.tests.loom.noteOff(loom, 25);
+    guitarompler.tests.loom.noteOn(loom, 26, 0);
+    jqUnit.assertEquals("Releasing a keyswitch should not change the articulation.", "palmMute", loom.controllers.articulation);
+    jqUnit.assertEquals("Keyswitches should not play anything.", 0, loom.context.bufferSources.length);
+
+    loom.setArticulation("harmonic");
+    loom.setArticulation("tapping");
+    jqUnit.assertEquals("An unknown articulation should be ignored.", "harmonic", loom.controllers.articulation);
+    jqUnit.assertDeepEq("Each change should be announced.", ["palmMute", "harmonic"], changes);
+
+    guitarompler.tests.loom.noteOn(loom, 24);
+    jqUnit.assertEquals("The first keyswitch should return to ordinary plucked notes.", "normal", loom.controllers.articulation);
+});
+
+guitarompler.tests.loom.withLoom("Palm muted notes are short and muffled.", { articulation: "palmMute" }, function (loom) {
+    var palmMute = loom.options.articulations.palmMute.emulation;
+    var noteComponent = loom.destinationByNote[60];
+    loom.context.currentTime = 1;
+    guitarompler.tests.loom.noteOn(loom, 60);
+
+    var filter = guitarompler.tests.articulations.filterOf(noteComponent);
+    jqUnit.assertEquals("The voice should be low-pass filtered.", "lowpass", filter.type);
+    jqUnit.assertEquals("The filter should use the articulation's frequency.", palmMute.filter.frequency, filter.frequency.value);
+    jqUnit.assertEquals("The filter should feed the voice's envelope.", noteComponent.envelopeNode, filter.connections[0]);
+    jqUnit.assertDeepEq("The note should decay to silence.", {
+        type: "linearRampToValueAtTime",
+        value: 0,
+        time: 1 + loom.envelope.attack + palmMute.envelope.decay,
+        timeConstant: undefined
+    }, fluid.peek(noteComponent.envelopeNode.gain.events));
+
+    var source = noteComponent.source;
+    guitarompler.tests.loom.noteOff(loom, 60);
+    guitarompler.tests.assertClose("The note should use the articulation's release time.", 1 + palmMute.envelope.release, source.stopTimes[0]);
+
+    loom.setArticulation("normal");
+    guitarompler.tests.loom.noteOn(loom, 60);
+    jqUnit.assertFalse("Plucked notes should not be filtered.", guitarompler.tests.articulations.filterOf(noteComponent));
+});
+
+guitarompler.tests.loom.withLoom("Harmonics are emulated an octave up.", { articulation: "harmonic" }, function (loom) {
+    guitarompler.tests.loom.noteOn(loom, 69);
+    var noteComponent = loom.destinationByNote[69];
+    guitarompler.tests.assertClose("The note should play an octave up.", 2, noteComponent.source.playbackRate.value);
+    jqUnit.assertEquals("The attack should be filtered.", "highpass", guitarompler.tests.articulations.filterOf(noteComponent).type);
+    guitarompler.tests.assertClose("The attack should be softer.", loom.options.articulations.harmonic.emulation.envelope.attack,
+        noteComponent.envelopeNode.gain.events[2].time);
+});
+
+guitarompler.tests.loom.withLoom("Dedicated samples are used when an instrument has them.", {
+    instrument: guitarompler.tests.articulations.instrumentWithHarmonics()
+}, function (loom) {
+    var noteComponent = loom.destinationByNote[57];
+    guitarompler.tests.loom.noteOn(loom, 57);
+    guitarompler.tests.loom.noteOn(loom, 57);
+    jqUnit.assertEquals("Plucked notes should never use the harmonic sample.", "./src/sounds/220.wav", noteComponent.source.buffer.url);
+
+    loom.setArticulation("harmonic");
+    guitarompler.tests.loom.noteOn(loom, 57);
+    jqUnit.assertEquals("Harmonics should use the harmonic sample.", "./src/sounds/220-harmonic.wav", noteComponent.source.buffer.url);
+    jqUnit.assertEquals("The harmonic sample should be played as it is.", 1, noteComponent.source.playbackRate.value);
+    jqUnit.assertFalse("The harmonic sample should not be filtered.", guitarompler.tests.articulations.filterOf(noteComponent));
+
+    loom.setArticulation("palmMute");
+    guitarompler.tests.loom.noteOn(loom, 57);
+    jqUnit.assertEquals("Articulations without samples should use the plucked sample.", "./src/sounds/220.wav", noteComponent.source.buffer.url);
+    jqUnit.assertEquals("The plucked sample should be muted.", "lowpass", guitarompler.tests.articulations.filterOf(noteComponent).type);
+});
+
+guitarompler.tests.loom.withLoom("Slides glide from the previous note.", { articulation: "slide" }, function (loom) {
+    var slide = loom.options.articulations.slide;
+    loom.context.currentTime = 1;
+    guitarompler.tests.loom.noteOn(loom, 60);
+    var firstSource = loom.destinationByNote[60].source;
+    jqUnit.assertDeepEq("A note with nothing to slide from should be plucked.", [0], firstSource.startOffsets);
+    jqUnit.assertDeepEq("A note with nothing to slide from should not glide.", [], firstSource.playbackRate.events);
+
+    loom.context.currentTime = 2;
+    guitarompler.tests.loom.noteOn(loom, 62);
+    var noteComponent = loom.destinationByNote[62];
+    var events = noteComponent.source.playbackRate.events;
+    guitarompler.tests.assertClose("The glide should start at the pitch of the previous note.", Math.pow(2, 3 / 12), events[0].value);
+    jqUnit.assertEquals("The glide should ramp to the new pitch.", "exponentialRampToValueAtTime", events[1].type);
+    guitarompler.tests.assertClose("The glide should end at the new pitch.", Math.pow(2, 5 / 12), events[1].value);
+    guitarompler.tests.assertClose("The glide should take the articulation's glide time.", 2 + slide.glideTime, events[1].time);
+    jqUnit.assertDeepEq("The sample should start after its pluck.", [slide.sampleOffset], noteComponent.source.startOffsets);
+    jqUnit.assertFalse("The previous note should stop.", loom.isSounding(60));
+    jqUnit.assertDeepEq("The previous note should fade out as the new note fades in.", [2 + loom.envelope.crossfade], firstSource.stopTimes);
+
+    guitarompler.tests.loom.noteOff(loom, 62);
+    guitarompler.tests.loom.noteOn(loom, 64);
+    jqUnit.assertDeepEq("There should be no slide from a released note.", [0], loom.destinationByNote[64].source.startOffsets);
+});
+
+guitarompler.tests.loom.withLoom("Hammer-ons and pull-offs are played without a fresh pluck.", { articulation: "legato" }, function (loom) {
+    guitarompler.tests.loom.noteOn(loom, 60);
+    guitarompler.tests.loom.noteOn(loom, 62);
+    var noteComponent = loom.destinationByNote[62];
+    jqUnit.assertDeepEq("The sample should start after its pluck.", [loom.options.articulations.legato.sampleOffset], noteComponent.source.startOffsets);
+    guitarompler.tests.assertClose("The note should fade in over the crossfade time.", loom.envelope.crossfade, noteComponent.envelopeNode.gain.events[2].time);
+    jqUnit.assertDeepEq("The pitch should not glide.", [], noteComponent.source.playbackRate.events);
+    jqUnit.assertFalse("The previous note should stop.", loom.isSounding(60));
+
+    guitarompler.tests.loom.noteOn(loom, 60);
+    jqUnit.assertFalse("A pull-off should stop the hammered-on note.", loom.isSounding(62));
+    jqUnit.assertTrue("A pull-off should play the lower note.", loom.isSounding(60));
+});
+
+jqUnit.test("The strummer passes keyswitches on right away.", function () {
+    var messages = [];
+    var strummer = guitarompler.strummer({
+        listeners: {
+            "onMessage.collect": function (midiMessage) {
+                messages.push(midiMessage);
+            }
+        }
+    });
+    var keyswitchMessage = { type: "noteOn", channel: 0, note: 25, velocity: 100 };
+    strummer.handleNoteMessage(keyswitchMessage);
+    jqUnit.assertDeepEq("The keyswitch should be passed on without waiting for a chord.", [keyswitchMessage], messages);
+    strummer.destroy();
+});
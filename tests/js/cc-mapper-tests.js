@@ -0,0 +1,79 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+jqUnit.module("CC mapper tests");
+
+jqUnit.test("Controls can be learned and mapped to parameters.", function () {
+    var ccMapper = guitarompler.tests.ccMapper();
+    var changes = [];
+    ccMapper.events.onParameterChanged.addListener(function (parameterName, value) {
+        changes.push([parameterName, value]);
+    });
+
+    jqUnit.assertTrue("A mapped control should be consumed.", ccMapper.handleControlMessage({ type: "control", channel: 0, number: 7, value: 127 }));
+    jqUnit.assertFalse("An unmapped control should be passed on.", ccMapper.handleControlMessage({ type: "control", channel: 0, number: 1, value: 64 }));
+
+    ccMapper.learn("pan");
+    jqUnit.assertTrue("The control used to learn a mapping should be consumed.", ccMapper.handleControlMessage({ type: "control", channel: 0, number: 20, value: 5 }));
+    ccMapper.handleControlMessage({ type: "control", channel: 0, number: 20, value: 0 });
+    jqUnit.assertDeepEq("The learned control should be mapped.", { 7: "masterVolume", 20: "pan" }, ccMapper.mappings);
+    jqUnit.assertDeepEq("Values should be scaled to each parameter's range.", [["masterVolume", 1], ["pan", -1]], changes);
+    ccMapper.destroy();
+});
+
+jqUnit.test("Mappings can be exported and imported.", function () {
+    var ccMapper = guitarompler.tests.ccMapper();
+    ccMapper.map(10, "pan");
+    var exported = ccMapper.exportMappings();
+
+    ccMapper.importMappings(JSON.stringify({ mappings: { 11: "pan", 12: "notAParameter" } }));
+    jqUnit.assertDeepEq("Imported mappings should replace the current ones, ignoring unknown parameters.", { 11: "pan" }, ccMapper.mappings);
+    ccMapper.importMappings(exported);
+    jqUnit.assertDeepEq("Exported mappings should be imported unchanged.", { 7: "masterVolume", 10: "pan" }, ccMapper.mappings);
+
+    guitarompler.tests.assertThrows("JSON without mappings should be rejected.", function () {
+        ccMapper.importMappings(JSON.stringify({ preset: {} }));
+    }, "\"mappings\" property");
+    guitarompler.tests.assertThrows("A mapping from something other than a CC number should be rejected.", function () {
+        ccMapper.importMappings(JSON.stringify({ mappings: { 128: "pan" } }));
+    }, "Invalid mapping from '128' to 'pan'");
+    jqUnit.assertDeepEq("The mappings should not change when an import is rejected.", { 7: "masterVolume", 10: "pan" }, ccMapper.mappings);
+    ccMapper.destroy();
+});
+
+guitarompler.tests.loom.withLoom("Channel volume and pan reach the parts of a multitimbral loom.", { multitimbral: true }, function (loom) {
+    var ccMapper = guitarompler.tests.ccMapper({ mappings: { 10: "pan" } });
+    var changes = [];
+    ccMapper.events.onParameterChanged.addListener(function (parameterName) {
+        changes.push(parameterName);
+    });
+    // The parts of the launcher that handle incoming messages, with the strummer passing messages straight to the loom.
+    var launcher = {
+        multitimbral: true,
+        ccMapper: ccMapper,
+        recorder: { record: fluid.identity },
+        strummer: { handleNoteMessage: loom.handleNoteMessage }
+    };
+
+    guitarompler.launcher.handleNoteMessage(launcher, { type: "control", channel: 2, number: 7, value: 0 });
+    guitarompler.launcher.handleNoteMessage(launcher, { type: "control", channel: 2, number: 10, value: 0 });
+    jqUnit.assertDeepEq("The part for the channel should be changed.", [0, -1], [loom.parts[2].volume, loom.parts[2].pan]);
+    jqUnit.assertDeepEq("The mapped parameters should not be changed.", [], changes);
+
+    ccMapper.learn("pan");
+    guitarompler.launcher.handleNoteMessage(launcher, { type: "control", channel: 2, number: 7, value: 127 });
+    jqUnit.assertEquals("Channel volume should still be able to learn a mapping.", "pan", ccMapper.mappings[7]);
+    jqUnit.assertEquals("The control used to learn a mapping should not reach the part.", 0, loom.parts[2].volume);
+
+    launcher.multitimbral = false;
+    loom.setMultitimbral(false);
+    guitarompler.launcher.handleNoteMessage(launcher, { type: "control", channel: 2, number: 7, value: 127 });
+    jqUnit.assertDeepEq("Mapped controls should change their parameters when the loom is not multitimbral.", ["pan"], changes);
+    jqUnit.assertEquals("The part should not be changed.", 0, loom.parts[2].volume);
+    ccMapper.destroy();
+});
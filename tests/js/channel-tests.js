@@ -0,0 +1,209 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.channels");
+
+jqUnit.module("Channel tests");
+
+guitarompler.tests.channels.send = function (loom, type, channel, note, velocity) {
+    loom.handleNoteMessage({ type: type, channel: channel, note: note, velocity: fluid.isValue(velocity) ? velocity : (type === "noteOn" ? 100 : 0) });
+};
+
+// The node that the current voice of a note is routed to.
+guitarompler.tests.channels.outputOf = function (noteComponent) {
+    return noteComponent.gainNode.connections[0];
+};
+
+guitarompler.tests.loom.withLoom("The loom responds to every channel by default.", {}, function (loom) {
+    fluid.each([0, 5, 15], function (channel, index) {
+        guitarompler.tests.channels.send(loom, "noteOn", channel, 60 + index);
+    });
+    jqUnit.assertEquals("A note should be played for each channel.", 3, loom.context.bufferSources.length);
+    jqUnit.assertEquals("Notes should be routed straight to the output bus.", loom.outputBus.input, guitarompler.tests.channels.outputOf(loom.destinationByNote[60]));
+});
+
+guitarompler.tests.loom.withLoom("Messages on other channels are ignored.", { channels: [1, 2] }, function (loom) {
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 60);
+    jqUnit.assertFalse("A note on another channel should not be played.", loom.isSounding(60));
+    guitarompler.tests.channels.send(loom, "noteOn", 2, 62);
+    jqUnit.assertTrue("A note on one of the chosen channels should be played.", loom.isSounding(62));
+    loom.handleNoteMessage({ type: "control", channel: 0, number: 64, value: 127 });
+    jqUnit.assertFalse("A pedal on another channel should be ignored.", loom.controllers.sustain);
+
+    loom.noteOn(64);
+    jqUnit.assertTrue("Notes played from code should use the first chosen channel.", loom.isSounding(64));
+
+    loom.setChannels("omni");
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 65);
+    jqUnit.assertTrue("Every channel should be played once the loom is omni again.", loom.isSounding(65));
+    loom.setChannels(3);
+    guitarompler.tests.channels.send(loom, "noteOn", 2, 67);
+    jqUnit.assertFalse("A single channel can also be chosen.", loom.isSounding(67));
+});
+
+guitarompler.tests.loom.withLoom("Each channel has its own part when the loom is multitimbral.", {
+    multitimbral: true,
+    parts: {
+        1: { volume: 0.5, pan: -1, transpose: 12 }
+    }
+}, function (loom) {
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 60);
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 52);
+
+    var rhythmPart = loom.parts[0];
+    var leadPart = loom.parts[1];
+    jqUnit.assertDeepEq("A part should use the default settings.", [1, 0, 0], [rhythmPart.volume, rhythmPart.pan, rhythmPart.transpose]);
+    jqUnit.assertDeepEq("A part should use its own settings.", [0.5, -1, 12], [leadPart.volume, leadPart.pan, leadPart.transpose]);
+    jqUnit.assertEquals("The part's volume should be applied.", 0.5, leadPart.gainNode.gain.value);
+    jqUnit.assertEquals("The part's pan should be applied.", -1, leadPart.panner.pan.value);
+    jqUnit.assertEquals("Each part should feed the output bus.", loom.outputBus.input, leadPart.panner.connections[0]);
+
+    jqUnit.assertEquals("A note should be routed to its part.", rhythmPart.input, guitarompler.tests.channels.outputOf(rhythmPart.destinationByNote[60]));
+    jqUnit.assertFalse("A transposed note should not play its original pitch.", loom.isSounding(52));
+    jqUnit.assertTrue("A transposed note should play the transposed pitch.", loom.isSounding(64));
+    jqUnit.assertEquals("A transposed note should be routed to its part.", leadPart.input, guitarompler.tests.channels.outputOf(leadPart.destinationByNote[64]));
+
+    loom.setPart(1, { transpose: -12, volume: 0.25 });
+    jqUnit.assertEquals("The part's volume should change.", 0.25, leadPart.gainNode.gain.value);
+    guitarompler.tests.channels.send(loom, "noteOff", 1, 52);
+    jqUnit.assertFalse("A note should be released at the pitch it started at.", loom.isSounding(64));
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 52);
+    jqUnit.assertTrue("New notes should use the new transposition.", loom.isSounding(40));
+});
+
+guitarompler.tests.loom.withLoom("Each part has its own articulation.", { multitimbral: true }, function (loom) {
+    var changes = [];
+    loom.events.onArticulationChanged.addListener(function (articulation, channel) {
+        changes.push([articulation, channel]);
+    });
+
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 25);
+    jqUnit.assertEquals("A keyswitch should change the articulation of its channel's part.", "palmMute", loom.parts[1].controllers.articulation);
+    jqUnit.assertEquals("The loom's own articulation should not change.", "normal", loom.controllers.articulation);
+
+    loom.setArticulation("harmonic", 2);
+    loom.setPart(3, { articulation: "slide" });
+    jqUnit.assertDeepEq("Each change should be announced with its channel.", [["palmMute", 1], ["harmonic", 2]], changes);
+
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 60);
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 62);
+    guitarompler.tests.channels.send(loom, "noteOn", 3, 64);
+    guitarompler.tests.channels.send(loom, "noteOn", 3, 65);
+    jqUnit.assertFalse("A note on a plucked part should not be filtered.", guitarompler.tests.articulations.filterOf(loom.parts[0].destinationByNote[60]));
+    jqUnit.assertEquals("A note on a palm muted part should be filtered.", "lowpass", guitarompler.tests.articulations.filterOf(loom.parts[1].destinationByNote[62]).type);
+    jqUnit.assertFalse("A note should slide from the last note of its own part.", loom.isSounding(64));
+    jqUnit.assertTrue("The note should slide to the new note.", loom.isSounding(65));
+});
+
+guitarompler.tests.loom.withLoom("Channel volume and pan change a part.", { multitimbral: true }, function (loom) {
+    loom.handleNoteMessage({ type: "control", channel: 4, number: 7, value: 127 });
+    loom.handleNoteMessage({ type: "control", channel: 4, number: 10, value: 127 });
+    jqUnit.assertDeepEq("The part for the channel should be changed.", [1, 1], [loom.parts[4].volume, loom.parts[4].pan]);
+
+    loom.handleNoteMessage({ type: "control", channel: 4, number: 7, value: 0 });
+    loom.handleNoteMessage({ type: "control", channel: 4, number: 10, value: 0 });
+    jqUnit.assertDeepEq("The part should be silenced and panned all the way left.", [0, -1], [loom.parts[4].volume, loom.parts[4].pan]);
+
+    loom.setMultitimbral(false);
+    guitarompler.tests.channels.send(loom, "noteOn", 4, 60);
+    jqUnit.assertEquals("Notes should go straight to the output bus when the loom is no longer multitimbral.", loom.outputBus.input, guitarompler.tests.channels.outputOf(loom.destinationByNote[60]));
+});
+
+guitarompler.tests.loom.withLoom("Parts play the same pitch as separate notes.", { multitimbral: true }, function (loom) {
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 60);
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 60);
+
+    var firstNote = loom.parts[0].destinationByNote[60];
+    var secondNote = loom.parts[1].destinationByNote[60];
+    jqUnit.assertNotEquals("Each part should have its own note for the pitch.", firstNote, secondNote);
+    jqUnit.assertEquals("A voice should be started for each part.", 2, loom.context.bufferSources.length);
+    jqUnit.assertDeepEq("The unison should not retrigger either note.", [[], []], [firstNote.source.stopTimes, secondNote.source.stopTimes]);
+    jqUnit.assertEquals("The first note should be routed to its own part.", loom.parts[0].input, guitarompler.tests.channels.outputOf(firstNote));
+    jqUnit.assertEquals("The second note should be routed to its own part.", loom.parts[1].input, guitarompler.tests.channels.outputOf(secondNote));
+    jqUnit.assertFalse("The loom's own note should not be played.", loom.destinationByNote[60].isPlaying);
+
+    guitarompler.tests.channels.send(loom, "noteOff", 1, 60);
+    jqUnit.assertFalse("A note off should release the note of its own part.", guitarompler.note.isSounding(secondNote));
+    jqUnit.assertTrue("The same pitch on another part should keep sounding.", guitarompler.note.isSounding(firstNote));
+    jqUnit.assertTrue("The pitch should still be sounding.", loom.isSounding(60));
+
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 62);
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 62);
+    guitarompler.tests.channels.send(loom, "noteOff", 0, 62);
+    jqUnit.assertTrue("A note played by a part should not be released by another part.", guitarompler.player.isSounding(loom.parts[1], 62));
+});
+
+guitarompler.tests.loom.withLoom("Each part has its own controllers.", { multitimbral: true }, function (loom) {
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 60);
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 64);
+    loom.handleNoteMessage({ type: "pitchbend", channel: 1, value: 16383 });
+
+    var bend = (16383 - 8192) / 8192 * 200;
+    guitarompler.tests.assertClose("The bend should be kept for its channel's part.", bend, loom.parts[1].controllers.bend);
+    jqUnit.assertEquals("Other parts should not be bent.", 0, loom.parts[0].controllers.bend);
+    jqUnit.assertEquals("The loom's own bend should not change.", 0, loom.controllers.bend);
+    guitarompler.tests.assertClose("The notes of the part should be bent.", bend, loom.parts[1].destinationByNote[64].source.detune.value);
+    jqUnit.assertEquals("The notes of other parts should not be bent.", 0, loom.parts[0].destinationByNote[60].source.detune.value);
+
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 67);
+    guitarompler.tests.assertClose("New notes on the part should start bent.", bend, loom.parts[1].destinationByNote[67].source.detune.value);
+    guitarompler.tests.channels.send(loom, "noteOn", 0, 67);
+    jqUnit.assertEquals("New notes on other parts should not be bent.", 0, loom.parts[0].destinationByNote[67].source.detune.value);
+
+    loom.handleNoteMessage({ type: "control", channel: 0, number: 64, value: 127 });
+    loom.handleNoteMessage({ type: "control", channel: 1, number: 1, value: 127 });
+    jqUnit.assertDeepEq("The pedal should only be held down on its channel.", [true, false], [loom.parts[0].controllers.sustain, loom.parts[1].controllers.sustain]);
+    jqUnit.assertDeepEq("The modulation should only be changed on its channel.", [0, 127], [loom.parts[0].controllers.modulation, loom.parts[1].controllers.modulation]);
+    jqUnit.assertEquals("The vibrato of the part should be deepened.", 50, loom.parts[1].vibrato.output.gain.value);
+    jqUnit.assertEquals("The vibrato of other parts should not change.", 0, loom.parts[0].vibrato.output.gain.value);
+
+    guitarompler.tests.channels.send(loom, "noteOff", 0, 60);
+    guitarompler.tests.channels.send(loom, "noteOff", 1, 64);
+    jqUnit.assertTrue("A note on the pedalled channel should be held.", guitarompler.player.isSounding(loom.parts[0], 60));
+    jqUnit.assertFalse("A note on another channel should be released.", guitarompler.player.isSounding(loom.parts[1], 64));
+
+    loom.handleNoteMessage({ type: "control", channel: 1, number: 123, value: 0 });
+    jqUnit.assertTrue("All notes off should only release the notes of its channel.", guitarompler.player.isSounding(loom.parts[0], 67));
+    jqUnit.assertFalse("The notes of the channel should be released.", guitarompler.player.isSounding(loom.parts[1], 67));
+
+    loom.setMultitimbral(false);
+    jqUnit.assertFalse("Turning multitimbral mode off should release the notes of every part.", loom.isSounding(60));
+});
+
+guitarompler.tests.loom.withLoom("Each part limits its own voices.", {
+    multitimbral: true,
+    components: {
+        voiceAllocator: {
+            options: { maxPolyphony: 2 }
+        }
+    }
+}, function (loom) {
+    fluid.each([60, 62, 64], function (note) {
+        guitarompler.tests.channels.send(loom, "noteOn", 0, note);
+    });
+    guitarompler.tests.channels.send(loom, "noteOn", 1, 65);
+    jqUnit.assertEquals("The part should use the loom's voice settings.", 2, loom.parts[0].voiceAllocator.options.maxPolyphony);
+    jqUnit.assertFalse("The oldest note of the full part should be stolen.", loom.isSounding(60));
+    jqUnit.assertTrue("The newest notes of the full part should sound.", loom.isSounding(62) && loom.isSounding(64));
+    jqUnit.assertTrue("A note on another part should not steal a voice from it.", loom.isSounding(65));
+});
+
+guitarompler.tests.loom.withLoom("A part created before the samples have loaded is given notes.", {
+    multitimbral: true,
+    listeners: {
+        "onCreate.chooseArticulation": {
+            func: "{that}.setArticulation",
+            args: ["harmonic", 2],
+            priority: "before:loadInstrument"
+        }
+    }
+}, function (loom) {
+    jqUnit.assertEquals("The part should keep its articulation.", "harmonic", loom.parts[2].controllers.articulation);
+    guitarompler.tests.channels.send(loom, "noteOn", 2, 60);
+    jqUnit.assertTrue("The part should be able to play notes.", guitarompler.player.isSounding(loom.parts[2], 60));
+});
@@ -0,0 +1,91 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.effects");
+
+jqUnit.module("Effects tests");
+
+// The current gain of an effect's dry and wet signals.
+guitarompler.tests.effects.levels = function (effect) {
+    return { dry: effect.dryGain.gain.value, wet: effect.wetGain.gain.value };
+};
+
+jqUnit.test("The wet level is limited, and silenced when an effect is bypassed.", function () {
+    jqUnit.assertDeepEq("A wet effect should be mixed with the rest of the dry signal.", { dry: 0.75, wet: 0.25 }, guitarompler.effect.mixLevels(false, 0.25));
+    jqUnit.assertDeepEq("A bypassed effect should only pass the dry signal.", { dry: 1, wet: 0 }, guitarompler.effect.mixLevels(true, 0.25));
+    jqUnit.assertDeepEq("The wet level can't be above 1.", { dry: 0, wet: 1 }, guitarompler.effect.mixLevels(false, 2));
+    jqUnit.assertDeepEq("The wet level can't be below 0.", { dry: 1, wet: 0 }, guitarompler.effect.mixLevels(false, -1));
+});
+
+guitarompler.tests.loom.withLoom("Each effect starts with the levels in its options.", {
+    effects: {
+        room: { wet: 0.25 },
+        widener: { bypass: false, wet: 0.5 }
+    }
+}, function (loom) {
+    var effects = loom.outputBus.effects;
+    var levels = guitarompler.tests.effects.levels;
+    jqUnit.assertDeepEq("The body should use its default level.", { dry: 0.5, wet: 0.5 }, levels(effects.body));
+    jqUnit.assertDeepEq("The room should use the level it was given.", { dry: 0.75, wet: 0.25 }, levels(effects.room));
+    jqUnit.assertDeepEq("The chorus should be bypassed by default.", { dry: 1, wet: 0 }, levels(effects.chorus));
+    jqUnit.assertDeepEq("The widener should be turned on.", { dry: 0.5, wet: 0.5 }, levels(effects.widener));
+
+    var order = fluid.transform(effects.options.order, function (effectName) {
+        return effects[effectName];
+    });
+    jqUnit.assertEquals("The chain's input should lead to the first effect.", order[0].input, effects.input.connections[0]);
+    fluid.each(order.slice(1), function (effect, index) {
+        jqUnit.assertEquals("Each effect should lead to the next.", effect.input, order[index].output.connections[0]);
+    });
+    jqUnit.assertEquals("The last effect should lead to the chain's output.", effects.output, fluid.peek(order).output.connections[0]);
+});
+
+guitarompler.tests.loom.withLoom("Effects can be bypassed and their wet level changed while playing.", {}, function (loom) {
+    var chorus = loom.outputBus.effects.chorus;
+    var levels = guitarompler.tests.effects.levels;
+    loom.context.currentTime = 3;
+
+    chorus.setBypass(false);
+    jqUnit.assertDeepEq("Turning the effect on should mix in its wet signal.", { dry: 0.6, wet: 0.4 }, levels(chorus));
+    jqUnit.assertDeepEq("The change should be ramped, to avoid clicks.", { type: "setTargetAtTime", value: 0.4, time: 3, timeConstant: chorus.options.rampTime },
+        fluid.peek(chorus.wetGain.gain.events));
+
+    chorus.setWet(0.75);
+    jqUnit.assertDeepEq("The wet level should be changed.", { dry: 0.25, wet: 0.75 }, levels(chorus));
+    chorus.setBypass(true);
+    jqUnit.assertDeepEq("Bypassing the effect should silence its wet signal.", { dry: 1, wet: 0 }, levels(chorus));
+    chorus.setBypass(false);
+    jqUnit.assertDeepEq("The wet level should be kept while the effect is bypassed.", { dry: 0.25, wet: 0.75 }, levels(chorus));
+});
+
+guitarompler.tests.loom.withLoom("The bands of the EQ can be changed.", {
+    effects: {
+        eq: {
+            bands: [{ gain: -3 }]
+        }
+    }
+}, function (loom) {
+    var eq = loom.outputBus.effects.eq;
+    var bandSettings = function (filter) {
+        return [filter.type, filter.frequency.value, filter.gain.value, filter.Q.value];
+    };
+    jqUnit.assertEquals("There should be a filter for each band.", 4, eq.filters.length);
+    jqUnit.assertDeepEq("Each filter should use the settings of its band.", ["lowshelf", 120, -3, 1], bandSettings(eq.filters[0]));
+    jqUnit.assertDeepEq("The other bands should be flat.", ["peaking", 400, 0, 1], bandSettings(eq.filters[1]));
+    jqUnit.assertTrue("The filters should be connected in series.", eq.filters[0].connections[0] === eq.filters[1]);
+    jqUnit.assertTrue("The last filter should be the output of the effect.", eq.effectOutput === fluid.peek(eq.filters));
+
+    loom.context.currentTime = 2;
+    eq.setBand(1, { type: "highshelf", gain: 6 });
+    jqUnit.assertDeepEq("The settings given should be changed, and the rest kept.", ["highshelf", 400, 6, 1], bandSettings(eq.filters[1]));
+    jqUnit.assertDeepEq("The gain should be ramped.", { type: "setTargetAtTime", value: 6, time: 2, timeConstant: eq.options.rampTime },
+        fluid.peek(eq.filters[1].gain.events));
+
+    eq.setBand(5, { gain: 6 });
+    jqUnit.assertEquals("A band that doesn't exist should be ignored.", 4, eq.filters.length);
+});
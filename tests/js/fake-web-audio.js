@@ -0,0 +1,203 @@
+/*
+
+    A minimal fake of the parts of the Web Audio API used by the instrument, so that it can be tested in Node.  Nothing
+    is actually rendered.  Instead, each fake node records how it was connected, each fake `AudioParam` records the
+    changes scheduled for it, and each fake `AudioBufferSourceNode` records when (and from what offset) it was started,
+    and when it was stopped.  Time only moves forward when a test changes the context's `currentTime`.
+
+    Also provides `guitarompler.tests.loom`, a loom that uses a fake context and a stubbed sample cache, which resolves
+    each request with a fake buffer instead of fetching and decoding anything.
+
+*/
+/* eslint-env node */
+/* global Promise */
+"use strict";
+var fluid = require("infusion");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+fluid.registerNamespace("guitarompler.tests.fakeWebAudio");
+
+// An AudioParam whose value jumps straight to the last value scheduled, and which keeps a list of `events`.
+guitarompler.tests.fakeWebAudio.createParam = function (value) {
+    var param = {
+        value: value,
+        events: [],
+        connections: []
+    };
+    var schedule = function (type) {
+        return function (eventValue, time, timeConstant) {
+            param.events.push({ type: type, value: eventValue, time: time, timeConstant: timeConstant });
+            param.value = eventValue;
+        };
+    };
+    param.setValueAtTime = schedule("setValueAtTime");
+    param.linearRampToValueAtTime = schedule("linearRampToValueAtTime");
+    param.exponentialRampToValueAtTime = schedule("exponentialRampToValueAtTime");
+    param.setTargetAtTime = schedule("setTargetAtTime");
+    param.cancelScheduledValues = function (time) {
+        param.events.push({ type: "cancelScheduledValues", time: time });
+    };
+    return param;
+};
+
+// `nodeType` is not part of the Web Audio API, but lets tests tell the fake nodes apart.
+guitarompler.tests.fakeWebAudio.createNode = function (context, nodeType, paramDefaults) {
+    var node = {
+        context: context,
+        nodeType: nodeType,
+        connections: []
+    };
+    fluid.each(paramDefaults, function (value, paramName) {
+        node[paramName] = guitarompler.tests.fakeWebAudio.createParam(value);
+    });
+    node.connect = function (destination) {
+        node.connections.push(destination);
+        return destination;
+    };
+    node.disconnect = function (destination) {
+        node.connections = destination === undefined ? [] : node.connections.filter(function (connection) {
+            return connection !== destination;
+        });
+    };
+    return node;
+};
+
+guitarompler.tests.fakeWebAudio.createScheduledSource = function (context, nodeType, paramDefaults) {
+    var source = guitarompler.tests.fakeWebAudio.createNode(context, nodeType, paramDefaults);
+    source.startTimes = [];
+    source.startOffsets = [];
+    source.stopTimes = [];
+    source.onended = null;
+    source.start = function (when, offset) {
+        source.startTimes.push(when);
+        source.startOffsets.push(offset || 0);
+    };
+    source.stop = function (when) {
+        source.stopTimes.push(when);
+    };
+    // Not part of the Web Audio API, used by tests to simulate the source finishing.
+    source.end = function () {
+        if (source.onended) {
+            source.onended();
+        }
+    };
+    return source;
+};
+
+guitarompler.tests.fakeWebAudio.createBuffer = function (options) {
+    return fluid.extend({ numberOfChannels: 2, sampleRate: 44100, duration: 2 }, options);
+};
+
+guitarompler.tests.fakeWebAudio.createContext = function () {
+    var context = {
+        currentTime: 0,
+        sampleRate: 44100,
+        state: "running",
+        // Every buffer source created, in order, so that tests can find the voices that were played.
+        bufferSources: []
+    };
+    var fakeWebAudio = guitarompler.tests.fakeWebAudio;
+    context.destination = fakeWebAudio.createNode(context, "destination");
+
+    context.createGain = function () {
+        return fakeWebAudio.createNode(context, "gain", { gain: 1 });
+    };
+    context.createBufferSource = function () {
+        var source = fakeWebAudio.createScheduledSource(context, "bufferSource", { playbackRate: 1, detune: 0 });
+        source.buffer = null;
+        context.bufferSources.push(source);
+        return source;
+    };
+    context.createOscillator = function () {
+        return fakeWebAudio.createScheduledSource(context, "oscillator", { frequency: 440, detune: 0 });
+    };
+    context.createBiquadFilter = function () {
+        var filter = fakeWebAudio.createNode(context, "biquadFilter", { frequency: 350, Q: 1, gain: 0, detune: 0 });
+        filter.type = "lowpass";
+        return filter;
+    };
+    context.createConvolver = function () {
+        var convolver = fakeWebAudio.createNode(context, "convolver");
+        convolver.buffer = null;
+        convolver.normalize = true;
+        return convolver;
+    };
+    context.createDelay = function () {
+        return fakeWebAudio.createNode(context, "delay", { delayTime: 0 });
+    };
+    context.createStereoPanner = function () {
+        return fakeWebAudio.createNode(context, "stereoPanner", { pan: 0 });
+    };
+    context.createDynamicsCompressor = function () {
+        return fakeWebAudio.createNode(context, "dynamicsCompressor", { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 });
+    };
+    context.createChannelSplitter = function () {
+        return fakeWebAudio.createNode(context, "channelSplitter");
+    };
+    context.createChannelMerger = function () {
+        return fakeWebAudio.createNode(context, "channelMerger");
+    };
+    // Tests simulate audio passing through a processor by calling its `onaudioprocess` handler themselves.
+    context.createScriptProcessor = function (bufferSize, inputChannelCount, outputChannelCount) {
+        var processor = fakeWebAudio.createNode(context, "scriptProcessor");
+        processor.bufferSize = bufferSize;
+        processor.inputChannelCount = inputChannelCount;
+        processor.outputChannelCount = outputChannelCount;
+        processor.onaudioprocess = null;
+        return processor;
+    };
+    // Data marked as `corrupt` can't be decoded, as with a format the browser can't play.  Data with a `url` is decoded
+    // into a buffer that remembers it.
+    context.decodeAudioData = function (data, onSuccess, onError) {
+        if (data && data.corrupt) {
+            var error = new Error("Unsupported format.");
+            onError(error);
+            return Promise.reject(error);
+        }
+        var buffer = fakeWebAudio.createBuffer(data && data.url ? { url: data.url } : undefined);
+        onSuccess(buffer);
+        return Promise.resolve(buffer);
+    };
+    context.resume = function () {
+        context.state = "running";
+        return Promise.resolve();
+    };
+    context.close = function () {
+        context.state = "closed";
+        return Promise.resolve();
+    };
+    return context;
+};
+
+// A sample cache that "loads" a fake buffer for any URL immediately, and remembers the URLs requested.
+fluid.defaults("guitarompler.tests.sampleCache", {
+    gradeNames: ["fluid.component"],
+    members: {
+        requestedUrls: []
+    },
+    invokers: {
+        load: {
+            funcName: "guitarompler.tests.sampleCache.load",
+            args: ["{that}", "{arguments}.0"] // url
+        },
+        clear: "fluid.toPromise()"
+    }
+});
+
+guitarompler.tests.sampleCache.load = function (that, url) {
+    that.requestedUrls.push(url);
+    return fluid.toPromise(guitarompler.tests.fakeWebAudio.createBuffer({ url: url }));
+};
+
+fluid.defaults("guitarompler.tests.loom", {
+    gradeNames: ["guitarompler.loom"],
+    instrument: fluid.require("%guitarompler/src/instruments/guitarlele.json"),
+    invokers: {
+        createContext: "guitarompler.tests.fakeWebAudio.createContext()"
+    },
+    components: {
+        sampleCache: {
+            type: "guitarompler.tests.sampleCache"
+        }
+    }
+});
@@ -0,0 +1,57 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+fluid.registerNamespace("guitarompler.tests.fretboard");
+
+jqUnit.module("Fretboard tests");
+
+// The parts of a fretboard that don't need the DOM, which isn't available in Node.
+guitarompler.tests.fretboard.create = function () {
+    var fretboard = {
+        options: fluid.defaults("guitarompler.fretboard"),
+        velocity: 96,
+        activePointers: {},
+        events: {
+            onMessage: fluid.makeEventFirer()
+        },
+        sent: []
+    };
+    fretboard.press = function (pointerId, note, fretElement) {
+        guitarompler.fretboard.press(fretboard, pointerId, note, fretElement);
+    };
+    fretboard.release = function (pointerId) {
+        guitarompler.fretboard.release(fretboard, pointerId);
+    };
+    fretboard.events.onMessage.addListener(function (midiMessage) {
+        fretboard.sent.push(midiMessage.type + " " + midiMessage.note);
+    });
+    return fretboard;
+};
+
+jqUnit.test("Frets are named after the notes they play.", function () {
+    var fretboard = guitarompler.tests.fretboard.create();
+    jqUnit.assertEquals("The lowest string should be E2.", "E2", guitarompler.fretboard.noteName(fretboard, 40));
+    jqUnit.assertEquals("Middle C should be C4.", "C4", guitarompler.fretboard.noteName(fretboard, 60));
+    jqUnit.assertEquals("Sharps should be named.", "F#4", guitarompler.fretboard.noteName(fretboard, 66));
+});
+
+jqUnit.test("Each pointer plays one note at a time.", function () {
+    var fretboard = guitarompler.tests.fretboard.create();
+    fretboard.press(1, 40);
+    fretboard.press(2, 45);
+    fretboard.press(1, 42);
+    jqUnit.assertDeepEq("Sliding onto another fret should release the note the pointer was playing.", [
+        "noteOn 40", "noteOn 45", "noteOff 40", "noteOn 42"
+    ], fretboard.sent);
+
+    fretboard.sent = [];
+    fretboard.release(3);
+    guitarompler.fretboard.releaseAll(fretboard);
+    jqUnit.assertDeepEq("Releasing every pointer should release their notes.", ["noteOff 42", "noteOff 45"], fretboard.sent);
+
+    guitarompler.fretboard.setVelocity(fretboard, 200);
+    jqUnit.assertEquals("The velocity can't be above 127.", 127, fretboard.velocity);
+});
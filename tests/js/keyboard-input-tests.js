@@ -0,0 +1,118 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+fluid.registerNamespace("guitarompler.tests.keyboardInput");
+
+jqUnit.module("Keyboard input tests");
+
+// Outside of a browser, the keyboard input doesn't listen to the document, and each test sends its own key events.
+fluid.defaults("guitarompler.tests.keyboardInput", {
+    gradeNames: ["guitarompler.keyboardInput"],
+    members: {
+        sent: []
+    },
+    invokers: {
+        press: "guitarompler.tests.keyboardInput.press({that}, {arguments}.0, {arguments}.1)", // code, eventOptions
+        release: "{that}.handleKeyUp({arguments}.0)" // KeyboardEvent
+    },
+    listeners: {
+        "onMessage.record": {
+            funcName: "guitarompler.tests.keyboardInput.record",
+            args: ["{that}", "{arguments}.0"] // midiMessage
+        }
+    }
+});
+
+guitarompler.tests.keyboardInput.press = function (that, code, eventOptions) {
+    var event = fluid.extend({ code: code, defaultPrevented: false }, eventOptions);
+    event.preventDefault = function () {
+        event.defaultPrevented = true;
+    };
+    that.handleKeyDown(event);
+    return event;
+};
+
+// Record a short description of each message, i.e. "noteOn 48 96".
+guitarompler.tests.keyboardInput.record = function (that, midiMessage) {
+    that.sent.push(midiMessage.type + " " + midiMessage.note + " " + midiMessage.velocity);
+};
+
+// Return (and forget) the messages sent since the last call.
+guitarompler.tests.keyboardInput.takeSent = function (keyboardInput) {
+    var sent = keyboardInput.sent;
+    keyboardInput.sent = [];
+    return sent;
+};
+
+jqUnit.test("Each key plays a note, laid out like a piano keyboard.", function () {
+    var keyboardInput = guitarompler.tests.keyboardInput();
+    var takeSent = guitarompler.tests.keyboardInput.takeSent;
+
+    var event = keyboardInput.press("KeyA");
+    jqUnit.assertDeepEq("The \"A\" key should play C3.", ["noteOn 48 96"], takeSent(keyboardInput));
+    jqUnit.assertTrue("The browser should not also handle the key.", event.defaultPrevented);
+    keyboardInput.press("KeyA");
+    jqUnit.assertDeepEq("A repeated \"key down\" should be ignored.", [], takeSent(keyboardInput));
+    keyboardInput.release({ code: "KeyA" });
+    jqUnit.assertDeepEq("Releasing the key should release the note.", ["noteOff 48 0"], takeSent(keyboardInput));
+
+    fluid.each(["KeyW", "KeyS", "KeyJ", "Semicolon"], function (code) {
+        keyboardInput.press(code);
+        keyboardInput.release({ code: code });
+    });
+    jqUnit.assertDeepEq("The other keys should play the notes above.", [
+        "noteOn 49 96", "noteOff 49 0", "noteOn 50 96", "noteOff 50 0", "noteOn 59 96", "noteOff 59 0", "noteOn 64 96", "noteOff 64 0"
+    ], takeSent(keyboardInput));
+
+    event = keyboardInput.press("KeyQ");
+    keyboardInput.press("KeyA", { ctrlKey: true });
+    keyboardInput.press("KeyA", { target: { tagName: "INPUT" } });
+    jqUnit.assertDeepEq("Other keys, shortcuts and typing in form fields should be ignored.", [], takeSent(keyboardInput));
+    jqUnit.assertFalse("The browser should handle the keys that are ignored.", event.defaultPrevented);
+    keyboardInput.destroy();
+});
+
+jqUnit.test("The keyboard can be shifted up and down by octaves.", function () {
+    var keyboardInput = guitarompler.tests.keyboardInput();
+    var takeSent = guitarompler.tests.keyboardInput.takeSent;
+    var settings = [];
+    keyboardInput.events.onSettingsChanged.addListener(function (newSettings) {
+        settings.push(newSettings.octaveShift);
+    });
+
+    keyboardInput.press("KeyA");
+    keyboardInput.press("KeyX");
+    keyboardInput.release({ code: "KeyA" });
+    jqUnit.assertDeepEq("A note should be released at the pitch it was played at.", ["noteOn 48 96", "noteOff 48 0"], takeSent(keyboardInput));
+    keyboardInput.press("KeyA");
+    jqUnit.assertDeepEq("The \"X\" key should shift the keyboard up an octave.", ["noteOn 60 96"], takeSent(keyboardInput));
+
+    fluid.each(["KeyZ", "KeyZ", "KeyZ", "KeyZ"], keyboardInput.press);
+    jqUnit.assertEquals("The keyboard can't be shifted below the lowest octave.", keyboardInput.options.minOctaveShift, keyboardInput.octaveShift);
+    keyboardInput.shiftOctave(10);
+    jqUnit.assertEquals("The keyboard can't be shifted above the highest octave.", keyboardInput.options.maxOctaveShift, keyboardInput.octaveShift);
+    jqUnit.assertDeepEq("Each change should be announced.", [1, 0, -1, -2, -2, 5], settings);
+    keyboardInput.destroy();
+});
+
+jqUnit.test("The velocity can be changed, and the keyboard turned off.", function () {
+    var keyboardInput = guitarompler.tests.keyboardInput();
+    var takeSent = guitarompler.tests.keyboardInput.takeSent;
+
+    keyboardInput.press("KeyV");
+    keyboardInput.press("KeyA");
+    jqUnit.assertDeepEq("The \"V\" key should make notes louder.", ["noteOn 48 112"], takeSent(keyboardInput));
+    keyboardInput.press("KeyV");
+    jqUnit.assertEquals("The velocity can't be above 127.", 127, keyboardInput.velocity);
+    keyboardInput.changeVelocity(-200);
+    jqUnit.assertEquals("The velocity can't be below 1.", 1, keyboardInput.velocity);
+
+    keyboardInput.setEnabled(false);
+    jqUnit.assertDeepEq("Turning the keyboard off should release the held notes.", ["noteOff 48 0"], takeSent(keyboardInput));
+    keyboardInput.press("KeyS");
+    jqUnit.assertDeepEq("Keys should be ignored while the keyboard is off.", [], takeSent(keyboardInput));
+    keyboardInput.destroy();
+});
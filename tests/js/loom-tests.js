@@ -0,0 +1,181 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+jqUnit.module("Loom tests");
+
+jqUnit.test("Note sources cover each family's range.", function () {
+    var noteSources = guitarompler.noteHolder.generateNoteSources(57, 36, 62);
+    jqUnit.assertEquals("There should be one note for each pitch in the range.", 27, noteSources.length);
+    jqUnit.assertDeepEq("The first note should be offset below the base pitch.", { offset: -21 }, noteSources[0]);
+    jqUnit.assertDeepEq("The last note should be offset above the base pitch.", { offset: 5 }, noteSources[26]);
+});
+
+guitarompler.tests.loom.withLoom("Each MIDI note is routed to the note component for its pitch.", {}, function (loom) {
+    for (var silentPitch = 0; silentPitch < 36; silentPitch++) {
+        jqUnit.assertFalse("There should be no note component for pitch " + silentPitch + ".", loom.destinationByNote[silentPitch]);
+    }
+
+    for (var pitch = 36; pitch <= 127; pitch++) {
+        var zone = guitarompler.tests.loom.zoneForPitch(pitch);
+        var noteComponent = loom.destinationByNote[pitch];
+        jqUnit.assertEquals("Pitch " + pitch + " should be played by the right note.", pitch, noteComponent.options.pitch);
+        jqUnit.assertEquals("Pitch " + pitch + " should use the sample from the right family.", zone.rootPitch, noteComponent.options.basePitch);
+        jqUnit.assertEquals("Pitch " + pitch + " should use the right sample.", zone.samples[0].url, noteComponent.options.layers[0].buffer.url);
+
+        guitarompler.tests.loom.noteOn(loom, pitch);
+        jqUnit.assertTrue("Pitch " + pitch + " should be playing.", noteComponent.isPlaying);
+        guitarompler.tests.loom.noteOff(loom, pitch);
+        jqUnit.assertFalse("Pitch " + pitch + " should have stopped.", noteComponent.isPlaying);
+    }
+
+    var otherNote = loom.destinationByNote[60];
+    otherNote.handleNoteMessage({ type: "noteOn", channel: 0, note: 61, velocity: 100 });
+    jqUnit.assertFalse("A note component should ignore messages for other notes.", otherNote.isPlaying);
+
+    guitarompler.tests.loom.noteOn(loom, 20);
+    jqUnit.assertEquals("Notes outside of the instrument's range should be ignored.", 92, loom.context.bufferSources.length);
+});
+
+guitarompler.tests.loom.withLoom("Each note plays its sample at the right speed.", {}, function (loom) {
+    for (var pitch = 36; pitch <= 127; pitch++) {
+        var zone = guitarompler.tests.loom.zoneForPitch(pitch);
+        guitarompler.tests.loom.noteOn(loom, pitch);
+        var expectedRate = Math.pow(2, (pitch - zone.rootPitch) / 12);
+        guitarompler.tests.assertClose("Pitch " + pitch + " should have the right playback rate.", expectedRate, loom.destinationByNote[pitch].source.playbackRate.value);
+    }
+});
+
+guitarompler.tests.loom.withLoom("The playback rate follows the reference pitch.", { tuning: { referenceFrequency: 415 } }, function (loom) {
+    guitarompler.tests.loom.noteOn(loom, 69);
+    guitarompler.tests.assertClose("A4 should be played a little slower.", 415 / 440, loom.destinationByNote[69].source.playbackRate.value);
+});
+
+guitarompler.tests.loom.withLoom("The gain of each note follows its velocity and aftertouch.", {}, function (loom) {
+    fluid.each([1, 32, 64, 100, 127], function (velocity) {
+        guitarompler.tests.loom.noteOn(loom, 64, velocity);
+        guitarompler.tests.assertClose("Velocity " + velocity + " should set the right gain.", velocity / 128, loom.destinationByNote[64].gainNode.gain.value);
+    });
+
+    var noteComponent = loom.destinationByNote[64];
+    var source = noteComponent.source;
+    loom.handleNoteMessage({ type: "aftertouch", channel: 0, note: 64, pressure: 20 });
+    guitarompler.tests.assertClose("Aftertouch should change the gain.", 20 / 128, noteComponent.gainNode.gain.value);
+    jqUnit.assertEquals("The gain should change smoothly.", "setTargetAtTime", fluid.peek(noteComponent.gainNode.gain.events).type);
+    jqUnit.assertEquals("Aftertouch should not start a new voice.", source, noteComponent.source);
+});
+
+guitarompler.tests.loom.withLoom("Notes start and stop.", {}, function (loom) {
+    var envelope = loom.envelope;
+    var noteComponent = loom.destinationByNote[60];
+
+    loom.context.currentTime = 1;
+    guitarompler.tests.loom.noteOn(loom, 60);
+    var firstSource = noteComponent.source;
+    jqUnit.assertDeepEq("The voice should start immediately.", [1], firstSource.startTimes);
+    jqUnit.assertDeepEq("The voice should not be stopped yet.", [], firstSource.stopTimes);
+    jqUnit.assertEquals("The voice should be connected to its envelope.", noteComponent.envelopeNode, firstSource.connections[0]);
+    jqUnit.assertDeepEq("The envelope should start with the attack.", { type: "linearRampToValueAtTime", value: 1, time: 1 + envelope.attack, timeConstant: undefined }, noteComponent.envelopeNode.gain.events[2]);
+
+    loom.context.currentTime = 2;
+    guitarompler.tests.loom.noteOn(loom, 60);
+    var secondSource = noteComponent.source;
+    jqUnit.assertNotEquals("Playing the note again should start a new voice.", firstSource, secondSource);
+    jqUnit.assertDeepEq("The previous voice should be crossfaded out.", [2 + envelope.crossfade], firstSource.stopTimes);
+
+    loom.context.currentTime = 3;
+    guitarompler.tests.loom.noteOn(loom, 60, 0);
+    jqUnit.assertFalse("A note on with a velocity of zero should stop the note.", noteComponent.isPlaying);
+    jqUnit.assertDeepEq("The voice should stop once it has been released.", [3 + envelope.release], secondSource.stopTimes);
+    jqUnit.assertEquals("The envelope should ramp down to silence.", 0, fluid.peek(noteComponent.envelopeNode.gain.events).value);
+
+    guitarompler.tests.loom.noteOff(loom, 60);
+    jqUnit.assertDeepEq("Stopping a silent note should do nothing.", [3 + envelope.release], secondSource.stopTimes);
+
+    guitarompler.tests.loom.noteOn(loom, 62);
+    loom.handleNoteMessage({ type: "control", channel: 0, number: 64, value: 127 });
+    guitarompler.tests.loom.noteOff(loom, 62);
+    jqUnit.assertTrue("A note released while the sustain pedal is down should keep playing.", loom.destinationByNote[62].isPlaying);
+    loom.handleNoteMessage({ type: "control", channel: 0, number: 64, value: 0 });
+    jqUnit.assertFalse("The note should stop when the pedal is released.", loom.destinationByNote[62].isPlaying);
+
+    guitarompler.tests.loom.noteOn(loom, 64);
+    var endedSource = loom.destinationByNote[64].source;
+    endedSource.end();
+    jqUnit.assertFalse("A note should stop playing when its sample ends.", loom.destinationByNote[64].isPlaying);
+});
+
+guitarompler.tests.loom.withLoom("The loom responds to the events of a MIDI receiver.", {}, function (loom) {
+    loom.events.note.fire({ type: "noteOn", channel: 0, note: 60, velocity: 100 });
+    jqUnit.assertTrue("A note event should start the note.", loom.destinationByNote[60].isPlaying);
+
+    loom.events.control.fire({ type: "control", channel: 0, number: 64, value: 127 });
+    jqUnit.assertTrue("A control event should change the pedal.", loom.controllers.sustain);
+
+    loom.events.pitchbend.fire({ type: "pitchbend", channel: 0, value: 16383 });
+    guitarompler.tests.assertClose("A pitch bend event should bend the notes.", 16383 / 8192 * 200 - 200, loom.controllers.bend);
+
+    loom.events.aftertouch.fire({ type: "aftertouch", channel: 0, note: 60, pressure: 10 });
+    guitarompler.tests.assertClose("An aftertouch event should change the gain.", 10 / 128, loom.destinationByNote[60].gainNode.gain.value);
+
+    loom.events.note.fire({ type: "noteOff", channel: 0, note: 60, velocity: 0 });
+    jqUnit.assertTrue("The released note should be held by the pedal.", loom.destinationByNote[60].isHeld);
+});
+
+guitarompler.tests.loom.withLoom("Notes can be played from code, now or later.", {}, function (loom) {
+    var envelope = loom.envelope;
+    var noteComponent = loom.destinationByNote[60];
+
+    loom.context.currentTime = 1;
+    loom.noteOn(60);
+    jqUnit.assertDeepEq("A note with no time should start right away.", [1], noteComponent.source.startTimes);
+    guitarompler.tests.assertClose("A note with no velocity should use the default.", 100 / 128, noteComponent.gainNode.gain.value);
+
+    loom.noteOn(60, 64, 2);
+    var scheduledSource = noteComponent.source;
+    jqUnit.assertDeepEq("A note with a time should start at that time.", [2], scheduledSource.startTimes);
+    jqUnit.assertDeepEq("The envelope should start at that time.", { type: "setValueAtTime", value: 0, time: 2, timeConstant: undefined }, noteComponent.envelopeNode.gain.events[1]);
+    guitarompler.tests.assertClose("The note should use the velocity.", 64 / 128, noteComponent.gainNode.gain.value);
+
+    var stopTime = 2 + envelope.attack + envelope.decay + 1;
+    loom.noteOff(60, stopTime);
+    jqUnit.assertDeepEq("The note should stop at the time it is released.", [stopTime + envelope.release], scheduledSource.stopTimes);
+    jqUnit.assertDeepEq("The release should start from the sustain level.", { type: "setValueAtTime", value: envelope.sustain, time: stopTime, timeConstant: undefined }, noteComponent.envelopeNode.gain.events[5]);
+
+    loom.noteOn(62, 100, 0.5);
+    jqUnit.assertDeepEq("A note with a time in the past should start right away.", [1], loom.destinationByNote[62].source.startTimes);
+});
+
+guitarompler.tests.loom.withLoom("Chords can be played from code.", {}, function (loom) {
+    loom.playChord([64, 60, 67], { when: 1, spread: 0.01, duration: 0.5, velocity: 80 });
+    fluid.each([60, 64, 67], function (note, index) {
+        var noteComponent = loom.destinationByNote[note];
+        var noteStart = 1 + (index * 0.01);
+        guitarompler.tests.assertClose("A downstroke should play note " + note + " in order.", noteStart, noteComponent.source.startTimes[0]);
+        guitarompler.tests.assertClose("Note " + note + " should be held for the duration.", noteStart + 0.5 + loom.envelope.release, noteComponent.source.stopTimes[0]);
+        guitarompler.tests.assertClose("Note " + note + " should use the velocity.", 80 / 128, noteComponent.gainNode.gain.value);
+    });
+
+    loom.playChord([48, 52, 55], { spread: 0.02, direction: "up" });
+    guitarompler.tests.assertClose("An upstroke should play the highest note first.", 0, loom.destinationByNote[55].source.startTimes[0]);
+    guitarompler.tests.assertClose("An upstroke should play the lowest note last.", 0.04, loom.destinationByNote[48].source.startTimes[0]);
+    jqUnit.assertDeepEq("A chord with no duration should keep playing.", [], loom.destinationByNote[48].source.stopTimes);
+});
+
+guitarompler.tests.loom.withLoom("All notes can be stopped at once.", {}, function (loom) {
+    loom.handleNoteMessage({ type: "control", channel: 0, number: 64, value: 127 });
+    loom.playChord([60, 64, 67]);
+    loom.noteOff(64);
+    loom.allNotesOff();
+    fluid.each([60, 64, 67], function (note) {
+        jqUnit.assertFalse("Note " + note + " should have stopped, even though the pedal is down.", loom.destinationByNote[note].isPlaying);
+    });
+
+    loom.playChord([60, 64, 67]);
+    loom.handleNoteMessage({ type: "control", channel: 0, number: 123, value: 0 });
+    jqUnit.assertFalse("The \"all notes off\" control change should stop all notes.", loom.destinationByNote[64].isPlaying);
+});
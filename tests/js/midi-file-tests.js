@@ -0,0 +1,126 @@
+/* eslint-env node */
+/* global Uint8Array */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+jqUnit.module("MIDI file tests");
+
+jqUnit.test("Variable-length quantities use seven bits per byte.", function () {
+    fluid.each([
+        { value: 0, bytes: [0x00] },
+        { value: 127, bytes: [0x7f] },
+        { value: 128, bytes: [0x81, 0x00] },
+        { value: 16383, bytes: [0xff, 0x7f] },
+        { value: 2097152, bytes: [0x81, 0x80, 0x80, 0x00] }
+    ], function (testCase) {
+        var bytes = [];
+        guitarompler.midiFile.writeVariableLength(bytes, testCase.value);
+        jqUnit.assertDeepEq("The value " + testCase.value + " should be encoded correctly.", testCase.bytes, bytes);
+        jqUnit.assertEquals("The value " + testCase.value + " should be read back.", testCase.value, guitarompler.midiFile.readVariableLength({ bytes: bytes, position: 0 }));
+    });
+});
+
+jqUnit.test("Running status and zero velocity notes are read.", function () {
+    var midiFile = guitarompler.midiFile.parse(guitarompler.tests.midiFile.fileBytes(96, [
+        0x00, 0x90, 0x3c, 0x64,
+        0x60, 0x3e, 0x50, // Another "note on", without a status byte.
+        0x00, 0x3c, 0x00, // A "note on" with no velocity.
+        0x00, 0xff, 0x2f, 0x00
+    ], [{ type: "XFIH", bytes: [1, 2, 3] }]));
+
+    jqUnit.assertEquals("Chunks other than tracks should be skipped.", 1, midiFile.tracks.length);
+    jqUnit.assertDeepEq("The events should be read with their ticks.", [
+        { tick: 0, type: "noteOn", channel: 0, note: 60, velocity: 100 },
+        { tick: 96, type: "noteOn", channel: 0, note: 62, velocity: 80 },
+        { tick: 96, type: "noteOff", channel: 0, note: 60, velocity: 0 },
+        { tick: 96, type: "endOfTrack" }
+    ], midiFile.tracks[0].events);
+});
+
+jqUnit.test("Meta events and system exclusive messages are preserved.", function () {
+    var midiFile = {
+        format: 0,
+        division: 480,
+        tracks: [{
+            name: "",
+            events: [
+                { tick: 0, type: "meta", metaType: 0x01, data: [0x68, 0x69] },
+                { tick: 10, type: "sysex", data: [0x7e, 0x7f, 0x09, 0x01, 0xf7] },
+                { tick: 200, type: "endOfTrack" }
+            ]
+        }]
+    };
+
+    var events = guitarompler.midiFile.parse(guitarompler.midiFile.encode(midiFile)).tracks[0].events;
+    jqUnit.assertDeepEq("The events should be read back in order.", [[0, "meta"], [10, "sysex"], [200, "endOfTrack"]], fluid.transform(events, function (event) {
+        return [event.tick, event.type];
+    }));
+    jqUnit.assertEquals("The meta event's type should be preserved.", 0x01, events[0].metaType);
+    jqUnit.assertDeepEq("The meta event's data should be preserved.", [0x68, 0x69], Array.prototype.slice.call(events[0].data));
+    jqUnit.assertDeepEq("The system exclusive data should be preserved.", [0x7e, 0x7f, 0x09, 0x01, 0xf7], Array.prototype.slice.call(events[1].data));
+});
+
+jqUnit.test("Every channel message survives a round trip.", function () {
+    var messages = [
+        { type: "noteOn", channel: 15, note: 127, velocity: 1 },
+        { type: "noteOff", channel: 3, note: 0, velocity: 127 },
+        { type: "aftertouch", channel: 1, note: 64, pressure: 90 },
+        { type: "aftertouch", channel: 1, pressure: 20 },
+        { type: "control", channel: 9, number: 74, value: 33 },
+        { type: "program", channel: 0, program: 127 },
+        { type: "pitchbend", channel: 2, value: 0 },
+        { type: "pitchbend", channel: 2, value: 16383 }
+    ];
+    var midiFile = guitarompler.midiFile.fromTimeline(fluid.transform(messages, function (message, index) {
+        return { time: index / 10, message: message };
+    }));
+
+    var timeline = guitarompler.midiFile.toTimeline(guitarompler.midiFile.parse(guitarompler.midiFile.encode(midiFile)));
+    jqUnit.assertDeepEq("The messages should be read back unchanged.", messages, fluid.transform(timeline, function (entry) {
+        return entry.message;
+    }));
+});
+
+jqUnit.test("The timeline follows tempo changes.", function () {
+    var midiFile = {
+        division: 96,
+        tracks: [{
+            name: "",
+            events: [
+                { tick: 96, type: "noteOn", channel: 0, note: 60, velocity: 100 },
+                { tick: 96, type: "tempo", microsecondsPerQuarter: 1000000 },
+                { tick: 192, type: "noteOff", channel: 0, note: 60, velocity: 0 }
+            ]
+        }, {
+            name: "",
+            events: [
+                { tick: 144, type: "noteOn", channel: 1, note: 40, velocity: 100 }
+            ]
+        }]
+    };
+
+    var timeline = guitarompler.midiFile.toTimeline(guitarompler.midiFile.parse(guitarompler.midiFile.encode(midiFile)));
+    jqUnit.assertDeepEq("Each message should be timed using the tempo in effect before it.", [[0.5, 0], [1, 1], [1.5, 0]], fluid.transform(timeline, function (entry) {
+        return [entry.time, entry.track];
+    }));
+    jqUnit.assertEquals("The duration should be the time of the last message.", 1.5, guitarompler.midiFile.duration(timeline));
+    jqUnit.assertDeepEq("Tracks can be left out.", [40], fluid.transform(guitarompler.midiFile.toTimeline(midiFile, { tracks: [1] }), function (entry) {
+        return entry.message.note;
+    }));
+});
+
+jqUnit.test("Files that aren't MIDI files are rejected.", function () {
+    guitarompler.tests.assertThrows("A file without a MIDI header should be rejected.", function () {
+        guitarompler.midiFile.parse(new Uint8Array([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0]));
+    }, "Not a Standard MIDI File");
+});
+
+jqUnit.test("Timecode divisions are read as frames and ticks per frame.", function () {
+    // -25 frames per second (stored as two's complement in the top byte), with 40 ticks per frame.
+    var division = ((256 - 25) << 8) | 40;
+    jqUnit.assertEquals("Each tick should be a millisecond.", 0.001, guitarompler.midiFile.secondsPerTick(division, 500000));
+});
@@ -0,0 +1,264 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.midiPlayer");
+
+jqUnit.module("MIDI player tests");
+
+/*
+
+    A player with a fake clock, which only moves when a test calls `advance`.  The timer is set to tick so rarely that
+    it never does during a test, and each test calls `tick` itself.  The times used below are all exact binary fractions,
+    so that the positions and timestamps can be compared exactly.
+
+*/
+fluid.defaults("guitarompler.tests.midiPlayer", {
+    gradeNames: ["guitarompler.midiPlayer"],
+    tickInterval: 3600000,
+    scheduleAhead: 0.125,
+    members: {
+        clockTime: 8, // In seconds.
+        sent: []
+    },
+    invokers: {
+        now: "guitarompler.tests.midiPlayer.now({that})",
+        advance: "guitarompler.tests.midiPlayer.advance({that}, {arguments}.0)" // seconds
+    },
+    listeners: {
+        "onMessage.record": {
+            funcName: "guitarompler.tests.midiPlayer.record",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+        }
+    }
+});
+
+guitarompler.tests.midiPlayer.now = function (that) {
+    return that.clockTime;
+};
+
+guitarompler.tests.midiPlayer.advance = function (that, seconds) {
+    that.clockTime += seconds;
+    that.tick();
+};
+
+// Record a short description of each message, i.e. "noteOn 0:60@8000", or "noteOff 0:60" if it has no timestamp.
+guitarompler.tests.midiPlayer.record = function (that, midiMessage, timeStamp) {
+    var description = midiMessage.type + " " + midiMessage.channel + ":" + (midiMessage.type === "control" ? "cc" + midiMessage.number + "=" + midiMessage.value : midiMessage.note);
+    that.sent.push(timeStamp === undefined ? description : description + "@" + timeStamp);
+};
+
+// Return (and forget) the messages sent since the last call.
+guitarompler.tests.midiPlayer.takeSent = function (player) {
+    var sent = player.sent;
+    player.sent = [];
+    return sent;
+};
+
+/*
+
+    A file that lasts a second, at 120 BPM with 128 ticks per beat (so that each beat lasts exactly half a second):
+
+    0.0: sustain on (channel 0), C4 on (channel 0), E4 on (channel 1)
+    0.5: C4 off, E4 off, D4 on
+    1.0: D4 off, sustain off
+
+*/
+guitarompler.tests.midiPlayer.load = function (player) {
+    player.load(guitarompler.tests.midiFile.fileBytes(128, [
+        0x00, 0xb0, 0x40, 0x7f,
+        0x00, 0x90, 0x3c, 0x64,
+        0x00, 0x91, 0x40, 0x50,
+        0x81, 0x00, 0x80, 0x3c, 0x00,
+        0x00, 0x81, 0x40, 0x00,
+        0x00, 0x90, 0x3e, 0x64,
+        0x81, 0x00, 0x80, 0x3e, 0x00,
+        0x00, 0xb0, 0x40, 0x00,
+        0x00, 0xff, 0x2f, 0x00
+    ]));
+    guitarompler.tests.midiPlayer.takeSent(player);
+};
+
+jqUnit.test("Messages are sent ahead of time, with the time they should be played.", function () {
+    var player = guitarompler.tests.midiPlayer();
+    guitarompler.tests.midiPlayer.load(player);
+    jqUnit.assertEquals("The duration should be the time of the last message.", 1, player.duration());
+
+    player.play();
+    player.tick();
+    jqUnit.assertDeepEq("The messages at the start should be sent straight away.", [
+        "control 0:cc64=127@8000", "noteOn 0:60@8000", "noteOn 1:64@8000"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.advance(0.25);
+    jqUnit.assertEquals("The position should follow the clock.", 0.25, player.position);
+    jqUnit.assertDeepEq("Messages more than `scheduleAhead` away should not be sent yet.", [], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.advance(0.1875);
+    jqUnit.assertDeepEq("Messages within `scheduleAhead` should be sent with the time they are due.", [
+        "noteOff 0:60@8500", "noteOff 1:64@8500", "noteOn 0:62@8500"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.advance(0.5);
+    jqUnit.assertDeepEq("The last messages should be sent.", ["noteOff 0:62@9000", "control 0:cc64=0@9000"], guitarompler.tests.midiPlayer.takeSent(player));
+    jqUnit.assertTrue("The player should keep playing until the last messages are due.", player.isPlaying);
+
+    var ended = 0;
+    player.events.onEnd.addListener(function () {
+        ended++;
+    });
+    player.advance(0.125);
+    jqUnit.assertFalse("The player should stop at the end of the file.", player.isPlaying);
+    jqUnit.assertEquals("The end should be announced.", 1, ended);
+    jqUnit.assertDeepEq("Nothing should be left to release.", [], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.play();
+    player.tick();
+    jqUnit.assertEquals("Playing again should start from the beginning.", 3, guitarompler.tests.midiPlayer.takeSent(player).length);
+    player.destroy();
+});
+
+jqUnit.test("The tempo can be changed while playing.", function () {
+    var player = guitarompler.tests.midiPlayer();
+    guitarompler.tests.midiPlayer.load(player);
+    player.play();
+    player.tick();
+    guitarompler.tests.midiPlayer.takeSent(player);
+
+    player.setTempoScale(2);
+    player.advance(0.1875);
+    jqUnit.assertEquals("The position should move twice as fast.", 0.375, player.position);
+    jqUnit.assertDeepEq("Messages should be due in half the time.", [
+        "noteOff 0:60@8250", "noteOff 1:64@8250", "noteOn 0:62@8250"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.setTempoScale(0);
+    jqUnit.assertEquals("An invalid tempo scale should be ignored.", 2, player.tempoScale);
+    player.destroy();
+});
+
+jqUnit.test("Seeking skips the messages before the new position, and releases held notes.", function () {
+    var player = guitarompler.tests.midiPlayer();
+    guitarompler.tests.midiPlayer.load(player);
+    player.play();
+    player.tick();
+    guitarompler.tests.midiPlayer.takeSent(player);
+
+    player.seek(0.75);
+    jqUnit.assertDeepEq("The held notes and sustain pedal should be released straight away.", [
+        "noteOff 0:60", "noteOff 1:64", "control 0:cc64=0"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+    jqUnit.assertEquals("The position should be changed.", 0.75, player.position);
+
+    player.advance(0.125);
+    jqUnit.assertDeepEq("Playback should continue from the new position.", ["noteOff 0:62@8250", "control 0:cc64=0@8250"], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.seek(-1);
+    jqUnit.assertEquals("The position can't be before the start.", 0, player.position);
+    player.destroy();
+});
+
+jqUnit.test("A looping file starts again when it ends.", function () {
+    var player = guitarompler.tests.midiPlayer({ loop: true });
+    guitarompler.tests.midiPlayer.load(player);
+    player.play();
+    player.advance(1);
+    jqUnit.assertEquals("The whole file should be sent.", 8, guitarompler.tests.midiPlayer.takeSent(player).length);
+    jqUnit.assertTrue("The player should keep playing.", player.isPlaying);
+    jqUnit.assertEquals("The position should wrap around to the start.", 0, player.position);
+
+    player.advance(0.0625);
+    jqUnit.assertDeepEq("The start of the file should be played again.", [
+        "control 0:cc64=127@9000", "noteOn 0:60@9000", "noteOn 1:64@9000"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.setLoop(false);
+    player.advance(1);
+    jqUnit.assertFalse("The player should stop at the end once looping is turned off.", player.isPlaying);
+    player.destroy();
+});
+
+jqUnit.test("Pausing and stopping release the notes held by the file.", function () {
+    var player = guitarompler.tests.midiPlayer();
+    var pausedAt = [];
+    player.events.onPause.addListener(function (position) {
+        pausedAt.push(position);
+    });
+    guitarompler.tests.midiPlayer.load(player);
+    player.play();
+    player.advance(0.25);
+    guitarompler.tests.midiPlayer.takeSent(player);
+
+    player.pause();
+    jqUnit.assertDeepEq("Pausing should release the held notes and sustain pedal.", [
+        "noteOff 0:60", "noteOff 1:64", "control 0:cc64=0"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+    jqUnit.assertDeepEq("The pause should be announced with the position.", [0.25], pausedAt);
+
+    player.clockTime += 5;
+    player.play();
+    player.advance(0.25);
+    jqUnit.assertEquals("The clock should not move the position while paused.", 0.5, player.position);
+    jqUnit.assertDeepEq("Playback should resume where it was paused.", [
+        "noteOff 0:60@13500", "noteOff 1:64@13500", "noteOn 0:62@13500"
+    ], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.stop();
+    jqUnit.assertDeepEq("Stopping should release the held notes.", ["noteOff 0:62"], guitarompler.tests.midiPlayer.takeSent(player));
+    jqUnit.assertFalse("The player should stop.", player.isPlaying);
+    jqUnit.assertEquals("Stopping should return to the start.", 0, player.position);
+    player.destroy();
+});
+
+jqUnit.test("Tracks and channels can be selected.", function () {
+    var player = guitarompler.tests.midiPlayer();
+    guitarompler.tests.midiPlayer.load(player);
+    player.selectChannels([1]);
+    player.play();
+    player.advance(1);
+    jqUnit.assertDeepEq("Only the selected channel should be played.", ["noteOn 1:64@8000", "noteOff 1:64@8500"], guitarompler.tests.midiPlayer.takeSent(player));
+
+    player.stop();
+    guitarompler.tests.midiPlayer.takeSent(player);
+    player.selectTracks([1]);
+    jqUnit.assertEquals("A track that doesn't exist should have no messages.", 0, player.timeline.length);
+    player.selectTracks(false);
+    player.selectChannels(false);
+    jqUnit.assertEquals("Every message should be played again.", 8, player.timeline.length);
+    player.destroy();
+});
+
+jqUnit.test("The launcher plays the player's messages without strumming them.", function () {
+    var scheduled = [];
+    // The parts of the launcher that handle the player's messages, with a strummer that should never be used.
+    var launcher = {
+        multitimbral: false,
+        ccMapper: {
+            learning: false,
+            handleControlMessage: function (midiMessage) {
+                return midiMessage.type === "control" && midiMessage.number === 7;
+            }
+        },
+        strummer: {
+            handleNoteMessage: function () {
+                jqUnit.fail("The player's messages should not be strummed.");
+            }
+        },
+        recorder: { record: fluid.identity },
+        visualiser: { showMessage: fluid.identity },
+        loom: {
+            scheduleMessage: function (midiMessage, timeStamp) {
+                scheduled.push([midiMessage.note, timeStamp]);
+            }
+        }
+    };
+
+    guitarompler.launcher.handlePlayerMessage(launcher, { type: "noteOn", channel: 0, note: 64, velocity: 100 }, 1000);
+    guitarompler.launcher.handlePlayerMessage(launcher, { type: "noteOn", channel: 0, note: 60, velocity: 100 }, 1000);
+    guitarompler.launcher.handlePlayerMessage(launcher, { type: "control", channel: 0, number: 7, value: 0 }, 1000);
+    jqUnit.assertDeepEq("The notes should reach the loom in order, at their own times.", [[64, 1000], [60, 1000]], scheduled);
+});
@@ -0,0 +1,232 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.presets");
+
+jqUnit.module("Preset tests");
+
+fluid.defaults("guitarompler.tests.presets", {
+    gradeNames: ["guitarompler.presets"],
+    defaultSettings: {
+        zoneOverlap: 4
+    }
+});
+
+guitarompler.tests.presets.names = function (presets) {
+    return fluid.transform(presets.list(), function (preset) {
+        return preset.name;
+    });
+};
+
+jqUnit.test("The velocity curve shapes the gain of each note.", function () {
+    jqUnit.assertEquals("Without a curve, the gain should be proportional to the velocity.", 0.5, guitarompler.note.gainFromVelocity(64));
+    jqUnit.assertEquals("The default curve should be a straight line.", 0.5, guitarompler.note.gainFromVelocity(64, fluid.defaults("guitarompler.loom").velocityCurve));
+    jqUnit.assertEquals("A higher exponent should make soft notes quieter.", 0.25, guitarompler.note.gainFromVelocity(64, { exponent: 2 }));
+    guitarompler.tests.assertClose("A lower exponent should make soft notes louder.", Math.sqrt(0.5), guitarompler.note.gainFromVelocity(64, { exponent: 0.5 }));
+    jqUnit.assertEquals("The floor should be the gain of the softest note.", 0.2, guitarompler.note.gainFromVelocity(0, { floor: 0.2 }));
+    guitarompler.tests.assertClose("The floor should raise the gain of other notes in proportion.", 0.6, guitarompler.note.gainFromVelocity(64, { floor: 0.2 }));
+});
+
+guitarompler.tests.loom.withLoom("The loom's velocity curve can be changed.", { velocityCurve: { exponent: 2 } }, function (loom) {
+    guitarompler.tests.loom.noteOn(loom, 64, 64);
+    jqUnit.assertEquals("Notes should use the loom's velocity curve.", 0.25, loom.destinationByNote[64].gainNode.gain.value);
+
+    loom.setVelocityCurve({ floor: 0.5 });
+    guitarompler.tests.loom.noteOn(loom, 65, 64);
+    jqUnit.assertEquals("The changed curve should apply to the next note.", 0.625, loom.destinationByNote[65].gainNode.gain.value);
+    jqUnit.assertEquals("Playing notes should not change.", 0.25, loom.destinationByNote[64].gainNode.gain.value);
+});
+
+jqUnit.test("Presets are completed using the defaults.", function () {
+    var presets = guitarompler.tests.presets();
+    var loomDefaults = fluid.defaults("guitarompler.loom");
+
+    var defaults = presets.expand();
+    jqUnit.assertDeepEq("The envelope should default to the loom's.", loomDefaults.envelope, defaults.envelope);
+    jqUnit.assertEquals("The master volume should default to the output bus's.", fluid.defaults("guitarompler.outputBus").volume, defaults.volume);
+    jqUnit.assertDeepEq("Each effect should use its own defaults.", { bypass: true, wet: 0.4 }, defaults.effects.chorus);
+    jqUnit.assertEquals("The EQ bands should be included.", 4, defaults.effects.eq.bands.length);
+    jqUnit.assertFalse("There should be no scale by default.", defaults.tuning.scale);
+    jqUnit.assertEquals("The defaults can be changed.", 4, defaults.zoneOverlap);
+    jqUnit.assertFalse("There should be no CC mappings unless a preset includes them.", "ccMappings" in defaults);
+
+    var expanded = presets.expand({
+        envelope: { release: 1 },
+        effects: { eq: { bands: [{ gain: 6 }] } },
+        ccMappings: { 20: "masterVolume" },
+        notASetting: true
+    });
+    jqUnit.assertDeepEq("Settings should be merged with the defaults.", fluid.extend({}, loomDefaults.envelope, { release: 1 }), expanded.envelope);
+    jqUnit.assertDeepEq("EQ bands should be merged with the default bands.", { type: "lowshelf", frequency: 120, gain: 6, Q: 1 }, expanded.effects.eq.bands[0]);
+    jqUnit.assertDeepEq("A preset's CC mappings should be included.", { 20: "masterVolume" }, expanded.ccMappings);
+    jqUnit.assertFalse("Unknown settings should be ignored.", "notASetting" in expanded);
+    jqUnit.assertEquals("The defaults should not be changed.", loomDefaults.envelope.release, presets.expand().envelope.release);
+});
+
+jqUnit.test("Factory presets are always available.", function () {
+    var presets = guitarompler.tests.presets();
+    jqUnit.assertDeepEq("The factory presets should be listed.", ["Bright Steel", "Mellow Nylon", "Muted Funk"], guitarompler.tests.presets.names(presets));
+
+    var mutedFunk = presets.get("Muted Funk");
+    jqUnit.assertEquals("A factory preset should include its own settings.", "palmMute", mutedFunk.articulation);
+    jqUnit.assertEquals("A factory preset should be completed using the defaults.", 440, mutedFunk.tuning.referenceFrequency);
+    jqUnit.assertUndefined("There should be no preset with an unknown name.", presets.get("Banjo"));
+
+    fluid.each(presets.options.factoryPresets, function (settings, name) {
+        jqUnit.assertDeepEq("The factory preset '" + name + "' should only use known settings.", fluid.keys(settings), fluid.keys(fluid.filterKeys(settings, fluid.keys(presets.defaultSettings))));
+    });
+});
+
+jqUnit.test("Presets can be saved and removed.", function () {
+    var presets = guitarompler.tests.presets();
+    var changes = [];
+    presets.events.onPresetsChanged.addListener(function (userPresets, name) {
+        changes.push(name);
+    });
+
+    presets.save("Zither", { zoneOverlap: 0 });
+    presets.save("Bright Steel", { pan: -0.5 });
+    jqUnit.assertDeepEq("Saved presets should be listed after the factory presets.", ["Bright Steel", "Mellow Nylon", "Muted Funk", "Zither"], guitarompler.tests.presets.names(presets));
+    jqUnit.assertDeepEq("Saved presets should be marked.", [true, false, false, true], fluid.transform(presets.list(), function (preset) {
+        return preset.isSaved;
+    }));
+    jqUnit.assertEquals("A saved preset should be kept complete.", 0.8, presets.userPresets.Zither.volume);
+    jqUnit.assertEquals("A saved preset should replace a factory preset with the same name.", -0.5, presets.get("Bright Steel").pan);
+
+    presets.remove("Bright Steel");
+    presets.remove("Mellow Nylon");
+    jqUnit.assertEquals("Removing the saved preset should restore the factory preset.", 0, presets.get("Bright Steel").pan);
+    jqUnit.assertTrue("Factory presets can't be removed.", !!presets.get("Mellow Nylon"));
+    jqUnit.assertDeepEq("Each change should be announced.", ["Zither", "Bright Steel", "Bright Steel"], changes);
+});
+
+jqUnit.test("Presets can be exported and imported.", function () {
+    var presets = guitarompler.tests.presets();
+    var settings = presets.get("Mellow Nylon");
+    var imported = presets.importPreset(presets.exportPreset("Nylon", settings));
+    jqUnit.assertEquals("The name should be imported.", "Nylon", imported.name);
+    jqUnit.assertDeepEq("The settings should be imported.", settings, imported.settings);
+
+    imported = presets.importPreset(JSON.stringify({ preset: { pan: 1, notASetting: 2 } }));
+    jqUnit.assertDeepEq("Unknown settings should be ignored.", { name: "", settings: { pan: 1 } }, imported);
+
+    guitarompler.tests.assertThrows("A setting with the wrong kind of value should be rejected.", function () {
+        presets.importPreset(JSON.stringify({ preset: { envelope: 1 } }));
+    }, "Invalid value for the setting 'envelope'");
+    guitarompler.tests.assertThrows("JSON without a preset should be rejected.", function () {
+        presets.importPreset(JSON.stringify({ mappings: {} }));
+    }, "\"preset\" property");
+});
+
+jqUnit.test("The nested settings of an imported preset are checked.", function () {
+    var presets = guitarompler.tests.presets();
+    var importSettings = function (settings) {
+        return presets.importPreset(JSON.stringify({ preset: settings })).settings;
+    };
+
+    jqUnit.assertDeepEq("Valid nested settings should be imported.", {
+        envelope: { release: 2 },
+        effects: { eq: { bands: [{}, { gain: 4 }] } },
+        tuning: { temperament: "werckmeisterIII", scale: { description: "Five", cents: [240, 480, 720, 960, 1200] } }
+    }, importSettings({
+        envelope: { release: 2 },
+        effects: { eq: { bands: [{}, { gain: 4 }] } },
+        tuning: { temperament: "werckmeisterIII", scale: { description: "Five", cents: [240, 480, 720, 960, 1200] } }
+    }));
+    jqUnit.assertDeepEq("Unknown effects and nested settings should be ignored.", { effects: { room: { wet: 0.5 } } },
+        importSettings({ effects: { foo: {}, room: { wet: 0.5, size: 3 } } }));
+
+    guitarompler.tests.assertThrows("An effect with the wrong kind of value should be rejected.", function () {
+        importSettings({ effects: { room: 5 } });
+    }, "Invalid value for the setting 'effects.room'");
+    guitarompler.tests.assertThrows("An envelope field with the wrong kind of value should be rejected.", function () {
+        importSettings({ envelope: { release: "slow" } });
+    }, "Invalid value for the setting 'envelope.release'");
+    guitarompler.tests.assertThrows("A tuning field with the wrong kind of value should be rejected.", function () {
+        importSettings({ tuning: { referenceFrequency: "x" } });
+    }, "Invalid value for the setting 'tuning.referenceFrequency'");
+    guitarompler.tests.assertThrows("Extra EQ bands should be rejected.", function () {
+        importSettings({ effects: { eq: { bands: [{}, {}, {}, {}, {}] } } });
+    }, "Invalid value for the setting 'effects.eq.bands'");
+    guitarompler.tests.assertThrows("A scale without cents should be rejected.", function () {
+        importSettings({ tuning: { scale: { description: "Empty" } } });
+    }, "Invalid value for the setting 'tuning.scale'");
+    guitarompler.tests.assertThrows("CC mappings with an invalid CC number should be rejected.", function () {
+        importSettings({ ccMappings: { 200: "pan" } });
+    }, "Invalid value for the setting 'ccMappings'");
+    jqUnit.assertFalse("A shared link with an invalid nested setting should be ignored.",
+        presets.fromUrl(presets.toUrl("https://example.com/guitarompler/", "Broken", { envelope: { release: "slow" } })));
+});
+
+jqUnit.test("Presets can be shared as links.", function () {
+    var presets = guitarompler.tests.presets();
+    var settings = presets.get("Bright Steel");
+    var url = presets.toUrl("https://example.com/guitarompler/#old-hash", "Steel & Strings", settings);
+    jqUnit.assertEquals("The preset should replace the URL's hash.", 0, url.indexOf("https://example.com/guitarompler/#preset="));
+    jqUnit.assertDeepEq("The preset should be read back from the link.", { name: "Steel & Strings", settings: settings }, presets.fromUrl(url));
+
+    jqUnit.assertFalse("A URL without a hash should not contain a preset.", presets.fromUrl("https://example.com/guitarompler/"));
+    jqUnit.assertFalse("A URL with another hash should not contain a preset.", presets.fromUrl("https://example.com/guitarompler/#top"));
+    jqUnit.assertFalse("An invalid preset should be ignored.", presets.fromUrl("https://example.com/guitarompler/#preset=%7Bnot-json"));
+});
+
+guitarompler.tests.loom.withLoom("A preset can be applied to a playing loom.", {}, function (loom) {
+    var presets = guitarompler.tests.presets();
+    var preset = presets.expand({
+        envelope: { release: 2 },
+        velocityCurve: { exponent: 3 },
+        effects: {
+            chorus: { bypass: false, wet: 0.75 },
+            eq: { bands: [{}, {}, { gain: 4 }] },
+            // Effects the loom doesn't have are skipped.
+            flanger: { bypass: false }
+        },
+        tuning: { referenceFrequency: 432 },
+        articulation: "harmonic",
+        zoneOverlap: 6
+    });
+    guitarompler.launcher.applyPresetToLoom(loom, preset);
+
+    jqUnit.assertEquals("The envelope should be changed.", 2, loom.envelope.release);
+    jqUnit.assertEquals("The velocity curve should be changed.", 3, loom.velocityCurve.exponent);
+    var chorus = loom.outputBus.effects.chorus;
+    jqUnit.assertDeepEq("The effects should be changed.", [false, 0.75], [chorus.bypass, chorus.wet]);
+    jqUnit.assertEquals("The EQ bands should be changed.", 4, loom.outputBus.effects.eq.filters[2].gain.value);
+    guitarompler.tests.assertClose("The tuning should be changed.", 432, loom.tuning.frequencyOf(69));
+    jqUnit.assertEquals("The articulation should be changed.", "harmonic", loom.controllers.articulation);
+    jqUnit.assertEquals("The zone overlap should be changed.", 6, loom.zoneOverlap);
+});
+
+jqUnit.test("Applying a preset only changes the CC mappings if it includes them.", function () {
+    var ccMapper = guitarompler.tests.ccMapper();
+    var mappingChanges = 0;
+    ccMapper.events.onMappingsChanged.addListener(function () {
+        mappingChanges++;
+    });
+    // The parts of the launcher that a preset changes, before the loom has been created.
+    var launcher = {
+        presets: guitarompler.tests.presets(),
+        strummer: guitarompler.strummer(),
+        ccMapper: ccMapper,
+        loom: undefined
+    };
+
+    ccMapper.learn("pan");
+    ccMapper.handleControlMessage({ type: "control", channel: 0, number: 20, value: 64 });
+    guitarompler.launcher.applyPresetSettings(launcher, launcher.presets.get("Bright Steel"));
+    jqUnit.assertEquals("The preset should be applied.", 10, launcher.strummer.strumSpeed);
+    jqUnit.assertDeepEq("The learned mapping should be kept.", { 7: "masterVolume", 20: "pan" }, ccMapper.mappings);
+    jqUnit.assertEquals("The mappings should not be changed (or saved) again.", 1, mappingChanges);
+
+    launcher.presets.save("Mapped", { ccMappings: { 21: "masterVolume" } });
+    guitarompler.launcher.applyPresetSettings(launcher, launcher.presets.get("Mapped"));
+    jqUnit.assertDeepEq("A preset with CC mappings should replace the mappings.", { 21: "masterVolume" }, ccMapper.mappings);
+
+    launcher.strummer.destroy();
+    ccMapper.destroy();
+});
@@ -0,0 +1,168 @@
+/* eslint-env node */
+/* global Float32Array */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.recorder");
+
+jqUnit.module("Recorder tests");
+
+guitarompler.tests.recorder.timeStamp = 1000;
+
+guitarompler.tests.recorder.timeStampNow = function () {
+    return guitarompler.tests.recorder.timeStamp;
+};
+
+fluid.defaults("guitarompler.tests.recorder", {
+    gradeNames: ["guitarompler.recorder"],
+    bufferSize: 4,
+    invokers: {
+        timeStampNow: "guitarompler.tests.recorder.timeStampNow()"
+    }
+});
+
+// The channel messages in the first track of a parsed file.
+guitarompler.tests.recorder.channelEvents = function (midiFile) {
+    return midiFile.tracks[0].events.filter(function (event) {
+        return guitarompler.midiFile.channelMessageTypes.indexOf(event.type) !== -1;
+    });
+};
+
+jqUnit.test("MIDI files can be written and read back.", function () {
+    var midiFile = {
+        format: 1,
+        division: 96,
+        tracks: [
+            {
+                name: "Guitar",
+                events: [
+                    { tick: 0, type: "trackName", text: "Guitar" },
+                    { tick: 0, type: "tempo", microsecondsPerQuarter: 600000 },
+                    { tick: 0, type: "program", channel: 2, program: 25 },
+                    { tick: 0, type: "noteOn", channel: 2, note: 60, velocity: 100 },
+                    { tick: 20000, type: "control", channel: 2, number: 64, value: 127 },
+                    { tick: 20000, type: "pitchbend", channel: 2, value: 12345 },
+                    { tick: 20010, type: "aftertouch", channel: 2, note: 60, pressure: 30 },
+                    { tick: 20020, type: "aftertouch", channel: 2, pressure: 40 },
+                    { tick: 20030, type: "noteOff", channel: 2, note: 60, velocity: 64 },
+                    { tick: 20030, type: "endOfTrack" }
+                ]
+            },
+            {
+                name: "",
+                events: [
+                    { tick: 5, type: "noteOn", channel: 9, note: 36, velocity: 127 }
+                ]
+            }
+        ]
+    };
+
+    var parsed = guitarompler.midiFile.parse(guitarompler.midiFile.encode(midiFile));
+    jqUnit.assertDeepEq("The header should be preserved.", [1, 2, 96], [parsed.format, parsed.trackCount, parsed.division]);
+    jqUnit.assertDeepEq("The events of the first track should be preserved.", midiFile.tracks[0], parsed.tracks[0]);
+    jqUnit.assertDeepEq("An end of track event should be added when it is missing.", [
+        { tick: 5, type: "noteOn", channel: 9, note: 36, velocity: 127 },
+        { tick: 5, type: "endOfTrack" }
+    ], parsed.tracks[1].events);
+});
+
+jqUnit.test("A timeline is converted to ticks at a fixed tempo.", function () {
+    var midiFile = guitarompler.midiFile.fromTimeline([
+        { time: 0.5, message: { type: "noteOff", channel: 0, note: 60, velocity: 0 } },
+        { time: 0, message: { type: "noteOn", channel: 0, note: 60, velocity: 90 } },
+        { time: 0.25, message: { type: "control", channel: 0, number: 64, value: 0 } }
+    ], { trackName: "Take 1" });
+
+    jqUnit.assertDeepEq("The messages should be sorted, and timed at 120 beats per minute.", [
+        { tick: 0, type: "trackName", text: "Take 1" },
+        { tick: 0, type: "tempo", microsecondsPerQuarter: 500000 },
+        { tick: 0, type: "noteOn", channel: 0, note: 60, velocity: 90 },
+        { tick: 240, type: "control", channel: 0, number: 64, value: 0 },
+        { tick: 480, type: "noteOff", channel: 0, note: 60, velocity: 0 },
+        { tick: 480, type: "endOfTrack" }
+    ], midiFile.tracks[0].events);
+    var timeline = guitarompler.midiFile.toTimeline(guitarompler.midiFile.parse(guitarompler.midiFile.encode(midiFile)));
+    jqUnit.assertDeepEq("The file should play back with the original timing.", [0, 0.25, 0.5], fluid.transform(timeline, function (entry) {
+        return entry.time;
+    }));
+});
+
+jqUnit.test("Messages are recorded with their timing.", function () {
+    var recorder = guitarompler.tests.recorder();
+    guitarompler.tests.recorder.timeStamp = 1000;
+    recorder.record({ type: "noteOn", channel: 0, note: 40, velocity: 100 });
+    jqUnit.assertEquals("Nothing should be recorded before recording starts.", 0, recorder.messages.length);
+
+    recorder.start();
+    guitarompler.tests.recorder.timeStamp = 1500;
+    // The notes of a strum are sent ahead of time, each with its own timestamp.
+    recorder.record({ type: "noteOn", channel: 0, note: 45, velocity: 90 }, 1520);
+    recorder.record({ type: "noteOn", channel: 0, note: 40, velocity: 80 }, 1510);
+    recorder.record({ type: "control", channel: 0, number: 64, value: 127 });
+    recorder.record({ type: "pitchbend", channel: 0, value: 9000 }, 1600);
+    recorder.record({ type: "noteOff", channel: 0, note: 45, velocity: 0 }, 1750);
+    recorder.record({ type: "tempo", microsecondsPerQuarter: 500000 });
+
+    guitarompler.tests.recorder.timeStamp = 2000;
+    recorder.stop();
+    recorder.record({ type: "noteOn", channel: 0, note: 50, velocity: 100 }, 2100);
+
+    jqUnit.assertEquals("The recording should last until it was stopped.", 1, recorder.duration());
+    jqUnit.assertDeepEq("The recorded messages should be in order, with a note off for the note that was still held.", [
+        { time: 0.5, message: { type: "control", channel: 0, number: 64, value: 127 } },
+        { time: 0.51, message: { type: "noteOn", channel: 0, note: 40, velocity: 80 } },
+        { time: 0.52, message: { type: "noteOn", channel: 0, note: 45, velocity: 90 } },
+        { time: 0.6, message: { type: "pitchbend", channel: 0, value: 9000 } },
+        { time: 0.75, message: { type: "noteOff", channel: 0, note: 45, velocity: 0 } },
+        { time: 1, message: { type: "noteOff", channel: 0, note: 40, velocity: 0 } }
+    ], fluid.transform(recorder.toTimeline(), function (entry) {
+        return { time: Math.round(entry.time * 1000) / 1000, message: entry.message };
+    }));
+
+    var exported = guitarompler.midiFile.parse(recorder.exportMidi());
+    jqUnit.assertEquals("The file should be named.", "Guitarompler", exported.tracks[0].name);
+    jqUnit.assertDeepEq("The file should contain the recorded messages.", ["control", "noteOn", "noteOn", "pitchbend", "noteOff", "noteOff"], fluid.transform(guitarompler.tests.recorder.channelEvents(exported), function (event) {
+        return event.type;
+    }));
+    jqUnit.assertFalse("There should be no audio without a loom.", recorder.exportAudio());
+
+    recorder.start();
+    jqUnit.assertDeepEq("Starting again should discard the previous recording.", [], recorder.messages);
+    recorder.destroy();
+});
+
+guitarompler.tests.recorder.processAudio = function (processor, left, right) {
+    processor.onaudioprocess({
+        inputBuffer: {
+            numberOfChannels: 2,
+            getChannelData: function (channel) {
+                return new Float32Array(channel ? right : left);
+            }
+        }
+    });
+};
+
+guitarompler.tests.loom.withLoom("The loom's output can be recorded.", {}, function (loom) {
+    var recorder = guitarompler.tests.recorder();
+    recorder.start(loom);
+    var processor = recorder.audioCapture.processor;
+    jqUnit.assertEquals("The recording should be taken from the end of the output bus.", processor, fluid.peek(loom.outputBus.limiter.connections));
+
+    guitarompler.tests.recorder.processAudio(processor, [0, 0.5, 1, 0.5], [0, -0.5, -1, -0.5]);
+    guitarompler.tests.recorder.processAudio(processor, [0.25, 0, 0, 0], [-0.25, 0, 0, 0]);
+    recorder.stop();
+    jqUnit.assertEquals("The output bus should no longer be recorded.", -1, loom.outputBus.limiter.connections.indexOf(processor));
+
+    var audio = guitarompler.wav.decode(recorder.exportAudio());
+    jqUnit.assertEquals("The audio should be recorded at the context's sample rate.", loom.context.sampleRate, audio.sampleRate);
+    jqUnit.assertEquals("Both channels should be recorded.", 2, audio.channels.length);
+    jqUnit.assertEquals("Every frame should be recorded.", 8, audio.channels[0].length);
+    // The WAV file uses 16-bit samples, so the recorded samples are only accurate to within 1/32768.
+    jqUnit.assertTrue("The left channel should be recorded.", Math.abs(audio.channels[0][2] - 1) < 0.001);
+    jqUnit.assertTrue("The right channel should be recorded.", Math.abs(audio.channels[1][2] + 1) < 0.001);
+    recorder.destroy();
+});
@@ -0,0 +1,130 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.fetchingSampleCache");
+
+jqUnit.module("Sample cache tests");
+
+/*
+
+    A real sample cache, which "fetches" the `files` in its options instead of using the network.  Each file is either
+    "valid" or "corrupt" (i.e. cannot be decoded, see `guitarompler.tests.fakeWebAudio.createContext`), and any other
+    URL is missing.  Outside of a browser, every format is supported and nothing is saved to IndexedDB.  As the cache
+    uses the loom's context, it is created as an extra part of a test loom (which has its own stubbed cache).
+
+*/
+fluid.defaults("guitarompler.tests.fetchingSampleCache", {
+    gradeNames: ["guitarompler.sampleCache"],
+    files: {},
+    members: {
+        files: "{that}.options.files",
+        fetchedUrls: []
+    },
+    invokers: {
+        fetch: "guitarompler.tests.fetchingSampleCache.fetch({that}, {arguments}.0)" // url
+    }
+});
+
+guitarompler.tests.fetchingSampleCache.fetch = function (that, url) {
+    that.fetchedUrls.push(url);
+    var promise = fluid.promise();
+    var contents = that.files[url];
+    if (contents) {
+        promise.resolve({ url: url, corrupt: contents === "corrupt" });
+    }
+    else {
+        promise.reject({ message: "The server responded with status 404." });
+    }
+    return promise;
+};
+
+// Run a test with a loom that has a fetching sample cache with the given `files`.
+guitarompler.tests.fetchingSampleCache.withCache = function (message, files, testFn) {
+    guitarompler.tests.loom.withLoom(message, {
+        components: {
+            fetchingSampleCache: {
+                type: "guitarompler.tests.fetchingSampleCache",
+                options: { files: files }
+            }
+        }
+    }, function (loom) {
+        testFn(loom.fetchingSampleCache);
+    });
+};
+
+// The outcome of loading a sample, which is known straight away as the fake files are "fetched" synchronously.
+guitarompler.tests.fetchingSampleCache.loadNow = function (sampleCache, url, availableFormats) {
+    var outcome = {};
+    sampleCache.load(url, availableFormats).then(function (buffer) {
+        outcome.buffer = buffer;
+    }, function (error) {
+        outcome.error = error.message;
+    });
+    return outcome;
+};
+
+jqUnit.test("Each format that is supported and available is tried in turn.", function () {
+    var formats = fluid.defaults("guitarompler.sampleCache").formats;
+    jqUnit.assertDeepEq("The preferred format should be tried first.", ["./sounds/440.m4a", "./sounds/440.wav"],
+        guitarompler.sampleCache.candidateUrls("./sounds/440.wav", formats));
+    jqUnit.assertDeepEq("Only the available formats should be tried.", ["./sounds/220.wav"],
+        guitarompler.sampleCache.candidateUrls("./sounds/220.wav", formats, ["wav"]));
+    jqUnit.assertDeepEq("Only the supported formats should be tried.", ["./sounds/440.wav"],
+        guitarompler.sampleCache.candidateUrls("./sounds/440.wav", formats.slice(1)));
+    jqUnit.assertDeepEq("The query of a URL should be kept.", ["./sounds/440.m4a?v=2", "./sounds/440.wav?v=2"],
+        guitarompler.sampleCache.candidateUrls("./sounds/440.wav?v=2", formats));
+    jqUnit.assertDeepEq("A URL with another extension should be used as it is.", ["./sounds/440.ogg"],
+        guitarompler.sampleCache.candidateUrls("./sounds/440.ogg", formats));
+});
+
+guitarompler.tests.fetchingSampleCache.withCache("Missing files and files that can't be decoded fall back to the next format.", {
+    "./sounds/440.m4a": "corrupt",
+    "./sounds/440.wav": "valid",
+    "./sounds/880.wav": "valid",
+    "./sounds/220.wav": "valid",
+    "./sounds/7040.wav": "corrupt"
+}, function (sampleCache) {
+    var loadNow = guitarompler.tests.fetchingSampleCache.loadNow;
+
+    jqUnit.assertEquals("A file that can't be decoded should be replaced with the next format.", "./sounds/440.wav", loadNow(sampleCache, "./sounds/440.wav").buffer.url);
+    jqUnit.assertEquals("A missing file should be replaced with the next format.", "./sounds/880.wav", loadNow(sampleCache, "./sounds/880.wav").buffer.url);
+    jqUnit.assertDeepEq("Both formats should have been tried.", ["./sounds/440.m4a", "./sounds/440.wav", "./sounds/880.m4a", "./sounds/880.wav"], sampleCache.fetchedUrls);
+
+    sampleCache.fetchedUrls = [];
+    jqUnit.assertEquals("A sample with only one format should be loaded.", "./sounds/220.wav", loadNow(sampleCache, "./sounds/220.wav", ["wav"]).buffer.url);
+    jqUnit.assertDeepEq("A sample that can't be loaded should be rejected with every error.", {
+        error: "'./sounds/7040.m4a': The server responded with status 404. './sounds/7040.wav': The sample could not be decoded: Unsupported format."
+    }, loadNow(sampleCache, "./sounds/7040.wav"));
+    jqUnit.assertDeepEq("The formats that a sample isn't available in should not be requested.", ["./sounds/220.wav", "./sounds/7040.m4a", "./sounds/7040.wav"], sampleCache.fetchedUrls);
+});
+
+guitarompler.tests.fetchingSampleCache.withCache("Everything that requests the same sample shares one decoded buffer.", {
+    "./sounds/440.m4a": "valid"
+}, function (sampleCache) {
+    var loadNow = guitarompler.tests.fetchingSampleCache.loadNow;
+
+    var first = loadNow(sampleCache, "./sounds/440.wav");
+    var second = loadNow(sampleCache, "./sounds/440.wav");
+    jqUnit.assertTrue("The sample should be loaded.", !!first.buffer);
+    jqUnit.assertEquals("The same buffer should be shared.", first.buffer, second.buffer);
+    jqUnit.assertDeepEq("The sample should only be fetched once.", ["./sounds/440.m4a"], sampleCache.fetchedUrls);
+
+    sampleCache.fetchedUrls = [];
+    jqUnit.assertTrue("A missing sample should be rejected.", !!loadNow(sampleCache, "./sounds/880.wav").error);
+    sampleCache.files = { "./sounds/440.m4a": "valid", "./sounds/880.wav": "valid" };
+    jqUnit.assertEquals("A sample that failed to load should be requested again.", "./sounds/880.wav", loadNow(sampleCache, "./sounds/880.wav").buffer.url);
+    jqUnit.assertDeepEq("Both requests should have been fetched.", ["./sounds/880.m4a", "./sounds/880.wav", "./sounds/880.m4a", "./sounds/880.wav"], sampleCache.fetchedUrls);
+
+    sampleCache.clear();
+    loadNow(sampleCache, "./sounds/440.wav");
+    jqUnit.assertEquals("Clearing the cache should forget the decoded buffers.", "./sounds/440.m4a", fluid.peek(sampleCache.fetchedUrls));
+});
+
+jqUnit.test("Saved files are keyed by the version of the samples.", function () {
+    jqUnit.assertDeepEq("The key should include the version.", [3, "./sounds/440.wav"], guitarompler.sampleCache.entryKey({ version: 3 }, "./sounds/440.wav"));
+});
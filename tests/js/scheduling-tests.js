@@ -0,0 +1,206 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.scheduling");
+
+jqUnit.module("Scheduling tests");
+
+// A clock for timestamps (in milliseconds), which only moves when a test changes it.
+guitarompler.tests.scheduling.timeStamp = 5000;
+
+guitarompler.tests.scheduling.timeStampNow = function () {
+    return guitarompler.tests.scheduling.timeStamp;
+};
+
+guitarompler.tests.scheduling.loomOptions = {
+    invokers: {
+        timeStampNow: "guitarompler.tests.scheduling.timeStampNow()"
+    }
+};
+
+guitarompler.tests.scheduling.noteOn = function (note) {
+    return { type: "noteOn", channel: 0, note: note, velocity: 100 };
+};
+
+guitarompler.tests.scheduling.noteOff = function (note) {
+    return { type: "noteOff", channel: 0, note: note, velocity: 0 };
+};
+
+// Collect the messages (and timestamps) fired by a component's `onMessage` event.
+guitarompler.tests.scheduling.collectMessages = function (component) {
+    var messages = [];
+    component.events.onMessage.addListener(function (midiMessage, timeStamp) {
+        messages.push({ note: midiMessage.note, type: midiMessage.type, timeStamp: timeStamp });
+    });
+    return messages;
+};
+
+guitarompler.tests.loom.withLoom("Messages with timestamps are scheduled on the audio clock.", guitarompler.tests.scheduling.loomOptions, function (loom) {
+    var scheduling = guitarompler.tests.scheduling;
+    var lookAhead = loom.options.lookAhead;
+    scheduling.timeStamp = 5000;
+    loom.context.currentTime = 1;
+
+    loom.scheduleMessage(scheduling.noteOn(60), 5000);
+    guitarompler.tests.assertClose("A message sent now should play after the look-ahead.", 1 + lookAhead, loom.destinationByNote[60].source.startTimes[0]);
+
+    loom.scheduleMessage(scheduling.noteOn(62), 5100);
+    guitarompler.tests.assertClose("A later message should play as much later.", 1.1 + lookAhead, loom.destinationByNote[62].source.startTimes[0]);
+
+    loom.scheduleMessage(scheduling.noteOn(64), 4000);
+    jqUnit.assertDeepEq("A message that arrives too late should play right away.", [1], loom.destinationByNote[64].source.startTimes);
+
+    loom.scheduleMessage(scheduling.noteOn(65));
+    jqUnit.assertDeepEq("A message without a timestamp should play right away.", [1], loom.destinationByNote[65].source.startTimes);
+
+    loom.events.note.fire(scheduling.noteOn(67), { timeStamp: 5050 });
+    guitarompler.tests.assertClose("MIDI events should be scheduled using their timestamps.", 1.05 + lookAhead, loom.destinationByNote[67].source.startTimes[0]);
+
+    loom.events.pitchbend.fire({ type: "pitchbend", channel: 0, value: 0 }, { timeStamp: 5050 });
+    guitarompler.tests.assertClose("Pitch bends should be scheduled.", 1.05 + lookAhead, fluid.peek(loom.destinationByNote[67].source.detune.events).time);
+
+    loom.handleNoteMessage(scheduling.noteOff(62));
+    guitarompler.tests.assertClose("A note released before it starts should be released as it starts.", 1.1 + lookAhead + loom.envelope.release,
+        loom.destinationByNote[62].source.stopTimes[0]);
+});
+
+guitarompler.tests.loom.withLoom("Pedal releases are scheduled.", guitarompler.tests.scheduling.loomOptions, function (loom) {
+    var scheduling = guitarompler.tests.scheduling;
+    var lookAhead = loom.options.lookAhead;
+    scheduling.timeStamp = 5000;
+    loom.context.currentTime = 1;
+
+    loom.scheduleMessage({ type: "control", channel: 0, number: 64, value: 127 }, 5000);
+    loom.scheduleMessage(scheduling.noteOn(60), 5000);
+    loom.scheduleMessage(scheduling.noteOff(60), 5010);
+    jqUnit.assertTrue("The note should be held by the pedal.", loom.destinationByNote[60].isHeld);
+
+    loom.scheduleMessage({ type: "control", channel: 0, number: 64, value: 0 }, 5200);
+    guitarompler.tests.assertClose("The note should be released when the pedal is released.", 1.2 + lookAhead + loom.envelope.release,
+        loom.destinationByNote[60].source.stopTimes[0]);
+});
+
+jqUnit.test("The strummer times each strum using the timestamps of its notes.", function () {
+    var scheduling = guitarompler.tests.scheduling;
+    var windowCallback = false;
+    var strummer = guitarompler.strummer({
+        humanize: { timing: 0, velocity: 0 },
+        invokers: {
+            now: "guitarompler.tests.scheduling.timeStampNow()",
+            schedule: function (callback) {
+                windowCallback = callback;
+                return "windowTimer";
+            }
+        }
+    });
+    var messages = scheduling.collectMessages(strummer);
+
+    strummer.handleNoteMessage(scheduling.noteOn(64), 1000);
+    strummer.handleNoteMessage(scheduling.noteOn(60), 1005);
+    strummer.handleNoteMessage(scheduling.noteOn(67), 1003);
+    strummer.handleNoteMessage(scheduling.noteOff(67), 1010);
+    jqUnit.assertDeepEq("The notes should wait for the rest of the chord.", [], messages);
+
+    windowCallback();
+    var chordWindow = strummer.options.window;
+    var strumSpeed = strummer.options.strumSpeed;
+    jqUnit.assertDeepEq("The strum should start once the chord is complete, and play each note in turn.", [
+        { note: 60, type: "noteOn", timeStamp: 1000 + chordWindow },
+        { note: 64, type: "noteOn", timeStamp: 1000 + chordWindow + strumSpeed },
+        { note: 67, type: "noteOn", timeStamp: 1000 + chordWindow + (2 * strumSpeed) },
+        // The note was released before its turn in the strum, so it is released as soon as it starts.
+        { note: 67, type: "noteOff", timeStamp: 1000 + chordWindow + (2 * strumSpeed) }
+    ], messages);
+
+    scheduling.timeStamp = 2000;
+    strummer.strum([scheduling.noteOn(48), scheduling.noteOn(52)], "up");
+    jqUnit.assertDeepEq("A strum without a timestamp should start right away.", [
+        { note: 52, type: "noteOn", timeStamp: 2000 },
+        { note: 48, type: "noteOn", timeStamp: 2000 + strumSpeed }
+    ], messages.slice(4));
+
+    strummer.handleNoteMessage(scheduling.noteOff(60), 1100);
+    jqUnit.assertDeepEq("Other messages should keep their timestamps.", { note: 60, type: "noteOff", timeStamp: 1100 }, fluid.peek(messages));
+    strummer.destroy();
+});
+
+jqUnit.test("The MIDI player sends each message ahead of time, with a timestamp.", function () {
+    guitarompler.tests.scheduling.playerTime = 10;
+    var player = guitarompler.midiPlayer({
+        invokers: {
+            now: function () {
+                return guitarompler.tests.scheduling.playerTime;
+            }
+        }
+    });
+    var messages = guitarompler.tests.scheduling.collectMessages(player);
+    var ended = false;
+    player.events.onEnd.addListener(function () {
+        ended = true;
+    });
+
+    // Play a timeline directly, rather than loading a file and starting the timer.
+    player.midiFile = { tracks: [] };
+    player.timeline = [
+        { time: 0, message: guitarompler.tests.scheduling.noteOn(60) },
+        { time: 0.03, message: guitarompler.tests.scheduling.noteOff(60) },
+        { time: 0.2, message: guitarompler.tests.scheduling.noteOn(62) }
+    ];
+    player.isPlaying = true;
+    player.lastTickTime = 10;
+
+    guitarompler.tests.scheduling.playerTime = 10.01;
+    player.tick();
+    jqUnit.assertEquals("The messages due soon should be sent.", 2, messages.length);
+    guitarompler.tests.assertClose("A message that is already due should be timed for when it was due.", 10000, messages[0].timeStamp);
+    guitarompler.tests.assertClose("A message that is not due yet should be timed for when it will be due.", 10030, messages[1].timeStamp);
+
+    player.setTempoScale(2);
+    guitarompler.tests.scheduling.playerTime = 10.1;
+    player.tick();
+    guitarompler.tests.assertClose("The timestamps should follow the tempo.", 10100 + ((0.2 - 0.19) / 2 * 1000), messages[2].timeStamp);
+    jqUnit.assertFalse("The file should not end before the last message has played.", ended);
+
+    guitarompler.tests.scheduling.playerTime = 10.11;
+    player.tick();
+    jqUnit.assertTrue("The file should end once the last message has played.", ended);
+    player.destroy();
+});
+
+guitarompler.tests.loom.withLoom("A note that is due to be released keeps sounding until then.", {
+    components: {
+        voiceAllocator: {
+            options: { maxPolyphony: 2 }
+        }
+    }
+}, function (loom) {
+    loom.context.currentTime = 1;
+    var release = loom.envelope.release;
+    loom.playChord([60, 64], { duration: 0.5 });
+    jqUnit.assertDeepEq("The notes should sound until they are released.", [true, true], [loom.isSounding(60), loom.isSounding(64)]);
+    jqUnit.assertDeepEq("The release should be scheduled.", [1.5 + release], loom.destinationByNote[64].source.stopTimes);
+
+    loom.noteOff(64, 2);
+    jqUnit.assertDeepEq("A later release should not delay the earlier one.", [1.5 + release], loom.destinationByNote[64].source.stopTimes);
+
+    loom.noteOn(67);
+    jqUnit.assertFalse("A note that is due to be released should still count towards the polyphony limit.", loom.isSounding(60));
+    guitarompler.tests.assertClose("The oldest note should be stolen right away.", 1 + loom.envelope.crossfade, fluid.peek(loom.destinationByNote[60].source.stopTimes));
+    jqUnit.assertDeepEq("The visualiser should show the notes that are still sounding.", [64, 67], fluid.transform(guitarompler.visualiser.activeNotes(loom, 60, 67), function (activeNote) {
+        return activeNote.note;
+    }));
+
+    loom.context.currentTime = 1.5;
+    jqUnit.assertFalse("The note should stop sounding once it is released.", loom.isSounding(64));
+    jqUnit.assertEquals("A released note should have no gain.", 0, loom.gainOf(64));
+
+    loom.playChord([72], { duration: 0.2 });
+    var releasedSource = loom.destinationByNote[72].source;
+    loom.noteOn(72, 100, 1.9);
+    jqUnit.assertDeepEq("Retriggering a note after its release should not change the release.", [1.7 + release], releasedSource.stopTimes);
+});
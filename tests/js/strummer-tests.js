@@ -0,0 +1,201 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+fluid.registerNamespace("guitarompler.tests.strummer");
+
+jqUnit.module("Strummer tests");
+
+/*
+
+    A strummer with a fake clock (in milliseconds), whose timers only fire when a test calls `advance`.  Nothing is
+    humanized, so that the timing and velocity of each note can be checked exactly.
+
+*/
+fluid.defaults("guitarompler.tests.strummer", {
+    gradeNames: ["guitarompler.strummer"],
+    humanize: { timing: 0, velocity: 0 },
+    members: {
+        clockTime: 1000,
+        fakeTimers: [],
+        sent: []
+    },
+    invokers: {
+        now: "guitarompler.tests.strummer.now({that})",
+        schedule: "guitarompler.tests.strummer.schedule({that}, {arguments}.0, {arguments}.1)", // callback, delay
+        cancel: "guitarompler.tests.strummer.cancel({that}, {arguments}.0)", // timer
+        advance: "guitarompler.tests.strummer.advance({that}, {arguments}.0)" // milliseconds
+    },
+    listeners: {
+        "onMessage.record": {
+            funcName: "guitarompler.tests.strummer.record",
+            args: ["{that}", "{arguments}.0", "{arguments}.1"] // midiMessage, timeStamp
+        }
+    }
+});
+
+guitarompler.tests.strummer.now = function (that) {
+    return that.clockTime;
+};
+
+guitarompler.tests.strummer.schedule = function (that, callback, delay) {
+    var timer = { time: that.clockTime + delay, callback: callback };
+    that.fakeTimers.push(timer);
+    return timer;
+};
+
+guitarompler.tests.strummer.cancel = function (that, timer) {
+    that.fakeTimers = that.fakeTimers.filter(function (fakeTimer) {
+        return fakeTimer !== timer;
+    });
+};
+
+guitarompler.tests.strummer.advance = function (that, milliseconds) {
+    that.clockTime += milliseconds;
+    var dueTimers = that.fakeTimers.filter(function (timer) {
+        return timer.time <= that.clockTime;
+    });
+    that.fakeTimers = that.fakeTimers.filter(function (timer) {
+        return timer.time > that.clockTime;
+    });
+    fluid.each(dueTimers, function (timer) {
+        timer.callback();
+    });
+};
+
+// Record a short description of each message, i.e. "noteOn 60@1020", or "noteOff 60" if it has no timestamp.
+guitarompler.tests.strummer.record = function (that, midiMessage, timeStamp) {
+    var description = midiMessage.type + " " + midiMessage.note;
+    that.sent.push(timeStamp === undefined ? description : description + "@" + timeStamp);
+};
+
+// Return (and forget) the messages sent since the last call.
+guitarompler.tests.strummer.takeSent = function (strummer) {
+    var sent = strummer.sent;
+    strummer.sent = [];
+    return sent;
+};
+
+guitarompler.tests.strummer.noteOn = function (note, velocity) {
+    return { type: "noteOn", channel: 0, note: note, velocity: velocity || 100 };
+};
+
+guitarompler.tests.strummer.noteOff = function (note) {
+    return { type: "noteOff", channel: 0, note: note, velocity: 0 };
+};
+
+// Play a chord, with every note at the same time.
+guitarompler.tests.strummer.playChord = function (strummer, notes, velocity, timeStamp) {
+    fluid.each(notes, function (note) {
+        strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(note, velocity), timeStamp);
+    });
+};
+
+jqUnit.test("Chords are grouped using the timestamps of their notes.", function () {
+    var strummer = guitarompler.tests.strummer();
+    var takeSent = guitarompler.tests.strummer.takeSent;
+
+    // The notes arrive together, but were played 30 milliseconds apart.
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(64), 1000);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(60), 1010);
+    jqUnit.assertDeepEq("The notes of a chord should wait for the rest of the chord.", [], takeSent(strummer));
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(67), 1030);
+    jqUnit.assertDeepEq("A note played after the chord's window should strum the chord straight away.", [
+        "noteOn 60@1020", "noteOn 64@1032"
+    ], takeSent(strummer));
+
+    strummer.advance(49);
+    jqUnit.assertDeepEq("The next chord should wait until its window has passed.", [], takeSent(strummer));
+    strummer.advance(1);
+    jqUnit.assertDeepEq("The next chord should be strummed once its window has passed.", ["noteOn 67@1050"], takeSent(strummer));
+
+    // Notes without timestamps are grouped by the time they arrive.
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(62));
+    strummer.advance(10);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(57));
+    strummer.advance(10);
+    jqUnit.assertDeepEq("Notes without timestamps should be strummed once the window has passed.", [
+        "noteOn 57@1070", "noteOn 62@1082"
+    ], takeSent(strummer));
+    jqUnit.assertDeepEq("No timers should be left.", [], strummer.fakeTimers);
+    strummer.destroy();
+});
+
+jqUnit.test("The direction of each strum can be chosen using keyswitches.", function () {
+    var strummer = guitarompler.tests.strummer();
+    var takeSent = guitarompler.tests.strummer.takeSent;
+
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(strummer.options.upKeyswitch));
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOff(strummer.options.upKeyswitch));
+    jqUnit.assertEquals("The up keyswitch should select up strums.", "up", strummer.direction);
+    jqUnit.assertDeepEq("The keyswitch should not be passed on.", [], takeSent(strummer));
+
+    guitarompler.tests.strummer.playChord(strummer, [60, 64, 67]);
+    strummer.advance(strummer.options.window);
+    jqUnit.assertDeepEq("The chord should be strummed from the highest note.", ["noteOn 67@1020", "noteOn 64@1032", "noteOn 60@1044"], takeSent(strummer));
+
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(strummer.options.downKeyswitch));
+    guitarompler.tests.strummer.playChord(strummer, [67, 60, 64]);
+    strummer.advance(strummer.options.window);
+    jqUnit.assertDeepEq("The down keyswitch should select down strums.", ["noteOn 60@1040", "noteOn 64@1052", "noteOn 67@1064"], takeSent(strummer));
+    strummer.destroy();
+});
+
+jqUnit.test("The direction of each strum can be chosen using its velocity.", function () {
+    var strummer = guitarompler.tests.strummer({ directionMode: "velocity" });
+    var takeSent = guitarompler.tests.strummer.takeSent;
+
+    guitarompler.tests.strummer.playChord(strummer, [60, 64], strummer.options.velocityThreshold, 1000);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(67, 20), 1000);
+    strummer.advance(strummer.options.window);
+    jqUnit.assertDeepEq("A loud chord should be strummed down.", ["noteOn 60@1020", "noteOn 64@1032", "noteOn 67@1044"], takeSent(strummer));
+
+    guitarompler.tests.strummer.playChord(strummer, [60, 64], strummer.options.velocityThreshold - 1, 1100);
+    strummer.advance(100);
+    jqUnit.assertDeepEq("A quiet chord should be strummed up.", ["noteOn 64@1120", "noteOn 60@1132"], takeSent(strummer));
+
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(strummer.options.upKeyswitch), 1200);
+    jqUnit.assertDeepEq("The keyswitches should be passed on as ordinary notes.", ["noteOn 35@1200"], takeSent(strummer));
+    jqUnit.assertEquals("The keyswitches should not change the direction.", "down", strummer.direction);
+    strummer.destroy();
+});
+
+jqUnit.test("Notes below `minPitch` are passed on right away.", function () {
+    var strummer = guitarompler.tests.strummer();
+    var takeSent = guitarompler.tests.strummer.takeSent;
+
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(60), 1000);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(30), 1002);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOff(30), 1004);
+    jqUnit.assertDeepEq("The low note should not wait for the chord.", ["noteOn 30@1002", "noteOff 30@1004"], takeSent(strummer));
+
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOn(strummer.options.minPitch), 1006);
+    strummer.advance(strummer.options.window);
+    jqUnit.assertDeepEq("Notes from `minPitch` up should be strummed.", ["noteOn 36@1020", "noteOn 60@1032"], takeSent(strummer));
+    strummer.destroy();
+});
+
+jqUnit.test("Notes released before they are strummed are released once they start.", function () {
+    var strummer = guitarompler.tests.strummer();
+    var takeSent = guitarompler.tests.strummer.takeSent;
+
+    guitarompler.tests.strummer.playChord(strummer, [60, 64], 100, 1000);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOff(64), 1005);
+    jqUnit.assertDeepEq("The release should wait for the strum.", [], takeSent(strummer));
+    strummer.advance(strummer.options.window);
+    jqUnit.assertDeepEq("The note should be released as soon as it starts.", ["noteOn 60@1020", "noteOn 64@1032", "noteOff 64@1032"], takeSent(strummer));
+
+    guitarompler.tests.strummer.playChord(strummer, [60, 64], 100, 1100);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOff(60), 1200);
+    strummer.advance(100);
+    jqUnit.assertDeepEq("A release after the note has started should keep its timestamp.", ["noteOn 60@1120", "noteOff 60@1200", "noteOn 64@1132"], takeSent(strummer));
+
+    guitarompler.tests.strummer.playChord(strummer, [67]);
+    strummer.handleNoteMessage(guitarompler.tests.strummer.noteOff(67));
+    strummer.setEnabled(false);
+    jqUnit.assertDeepEq("Disabling the strummer should play the waiting notes and their releases in order.", ["noteOn 67", "noteOff 67"], takeSent(strummer));
+    jqUnit.assertDeepEq("The chord's timer should be cancelled.", [], strummer.fakeTimers);
+    strummer.destroy();
+});
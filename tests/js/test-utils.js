@@ -0,0 +1,103 @@
+/*
+
+    Helpers and fixtures shared by the test suites.  Each suite that uses them requires this file itself, so that it
+    doesn't depend on the suites that happen to run before it.  Requiring this file also loads the fake web audio
+    context, and the `guitarompler.tests.loom` grade that the loom helpers below create.
+
+*/
+/* eslint-env node */
+/* global Uint8Array */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./fake-web-audio.js");
+
+fluid.registerNamespace("guitarompler.tests.loom");
+fluid.registerNamespace("guitarompler.tests.articulations");
+fluid.registerNamespace("guitarompler.tests.midiFile");
+
+guitarompler.tests.assertClose = function (message, expected, actual) {
+    jqUnit.assertTrue(message + " (expected " + expected + ", got " + actual + ")", Math.abs(expected - actual) < 1e-9);
+};
+
+// Check that calling `toInvoke` throws an error whose message contains `errorText`.
+guitarompler.tests.assertThrows = function (message, toInvoke, errorText) {
+    try {
+        toInvoke();
+    }
+    catch (error) {
+        jqUnit.assertTrue(message + " (got \"" + error.message + "\")", error.message.indexOf(errorText) !== -1);
+        return;
+    }
+    jqUnit.fail(message + " (no error was thrown)");
+};
+
+// Create a test loom, and call `testFn` with it once all notes are ready to play.
+guitarompler.tests.loom.withLoom = function (message, options, testFn) {
+    jqUnit.asyncTest(message, function () {
+        guitarompler.tests.loom(fluid.extend(true, {}, options, {
+            listeners: {
+                "onReady.runTest": function (loom) {
+                    testFn(loom);
+                    loom.destroy();
+                    jqUnit.start();
+                },
+                "onLoadError.fail": function (error) {
+                    jqUnit.fail("There should be no loading errors: " + error.message);
+                    jqUnit.start();
+                }
+            }
+        }));
+    });
+};
+
+guitarompler.tests.loom.zoneForPitch = function (pitch) {
+    return fluid.find(fluid.defaults("guitarompler.tests.loom").instrument.zones, function (zone) {
+        return pitch >= zone.minPitch && pitch <= zone.maxPitch ? zone : undefined;
+    });
+};
+
+guitarompler.tests.loom.noteOn = function (loom, note, velocity) {
+    loom.handleNoteMessage({ type: "noteOn", channel: 0, note: note, velocity: velocity === undefined ? 100 : velocity });
+};
+
+guitarompler.tests.loom.noteOff = function (loom, note) {
+    loom.handleNoteMessage({ type: "noteOff", channel: 0, note: note, velocity: 0 });
+};
+
+// The filter in front of a note's gain, or `false` if its source is connected straight to the gain.
+guitarompler.tests.articulations.filterOf = function (noteComponent) {
+    var firstNode = noteComponent.source.connections[0];
+    return firstNode.nodeType === "biquadFilter" ? firstNode : false;
+};
+
+// The bytes of a file with a single track, and any number of other chunks after it.
+guitarompler.tests.midiFile.fileBytes = function (division, trackBytes, extraChunks) {
+    var bytes = [];
+    guitarompler.midiFile.writeChunkType(bytes, "MThd");
+    guitarompler.midiFile.writeUint(bytes, 6, 4);
+    guitarompler.midiFile.writeUint(bytes, 0, 2);
+    guitarompler.midiFile.writeUint(bytes, 1, 2);
+    guitarompler.midiFile.writeUint(bytes, division, 2);
+    fluid.each(extraChunks, function (chunk) {
+        guitarompler.midiFile.writeChunkType(bytes, chunk.type);
+        guitarompler.midiFile.writeUint(bytes, chunk.bytes.length, 4);
+        Array.prototype.push.apply(bytes, chunk.bytes);
+    });
+    guitarompler.midiFile.writeChunkType(bytes, "MTrk");
+    guitarompler.midiFile.writeUint(bytes, trackBytes.length, 4);
+    Array.prototype.push.apply(bytes, trackBytes);
+    return new Uint8Array(bytes);
+};
+
+// A CC mapper with two parameters, and the channel volume control mapped to the first.
+fluid.defaults("guitarompler.tests.ccMapper", {
+    gradeNames: ["guitarompler.ccMapper"],
+    parameters: {
+        masterVolume: { label: "Master volume", min: 0, max: 1 },
+        pan: { label: "Pan", min: -1, max: 1 }
+    },
+    mappings: { 7: "masterVolume" }
+});
@@ -0,0 +1,197 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.tuning");
+
+jqUnit.module("Tuning tests");
+
+guitarompler.tests.tuning.lines = function (lines) {
+    return lines.join("\n");
+};
+
+// A keyboard mapping that repeats every four keys from middle C: C plays the first degree, D plays degree 4 (a major
+// third in 12-tone equal temperament), and C# and D# are not mapped.  G#4 plays 432 Hz.
+guitarompler.tests.tuning.keyboardMapping = guitarompler.tests.tuning.lines([
+    "! sparse.kbm",
+    "!",
+    "4 ! Map size",
+    "48 ! First note",
+    "72 ! Last note",
+    "60 ! Middle note",
+    "68 ! Reference note",
+    "432.0 ! Reference frequency",
+    "12 ! Octave degree",
+    "! Mapping",
+    "0",
+    "x",
+    "4"
+]);
+
+guitarompler.tests.tuning.equalScale = guitarompler.tests.tuning.lines([
+    "! 12-tet.scl",
+    "12-tone equal temperament",
+    "12",
+    "!",
+    "100.0", "200.0", "300.0", "400.0", "500.0", "600.0", "700.0", "800.0", "900.0", "1000.0", "1100.0", "2/1"
+]);
+
+guitarompler.tests.tuning.assertRatio = function (message, expectedCents, table, fromNote, toNote) {
+    guitarompler.tests.assertClose(message, expectedCents, guitarompler.tuning.ratioToCents(table[toNote] / table[fromNote]));
+};
+
+jqUnit.test("Scala files are read as cents and ratios.", function () {
+    var scale = guitarompler.tuning.parseScala(guitarompler.tests.tuning.lines([
+        "! example.scl",
+        "!",
+        "An example scale",
+        " 4",
+        "!",
+        " 100.0 cents",
+        " 3/2",
+        "",
+        " 701.955",
+        " 2"
+    ]));
+    jqUnit.assertEquals("The description should be read.", "An example scale", scale.description);
+    jqUnit.assertEquals("There should be one pitch for each degree.", 4, scale.cents.length);
+    jqUnit.assertEquals("Values containing a period should be read as cents, ignoring any text after them.", 100, scale.cents[0]);
+    guitarompler.tests.assertClose("Ratios should be converted to cents.", 1200 * Math.log(1.5) / Math.LN2, scale.cents[1]);
+    jqUnit.assertEquals("Blank lines should be skipped.", 701.955, scale.cents[2]);
+    jqUnit.assertEquals("A whole number should be read as a ratio.", 1200, scale.cents[3]);
+
+    var untitled = guitarompler.tuning.parseScala("!\n\n2\n3/2\n2/1\n");
+    jqUnit.assertDeepEq("The description can be blank.", ["", 2], [untitled.description, untitled.cents.length]);
+});
+
+jqUnit.test("Invalid Scala files are rejected.", function () {
+    fluid.each([
+        { text: "Bad ratio\n2\n3/0\n2", error: "Invalid pitch in Scala file: 3/0" },
+        { text: "Bad ratio\n2\n-3/2\n2", error: "Invalid pitch in Scala file: -3/2" },
+        { text: "Not a number\n2\nfifth\n2", error: "Invalid pitch in Scala file: fifth" },
+        { text: "Bad cents\n1\nabc.def", error: "Invalid pitch in Scala file: abc.def" },
+        { text: "Too short\n3\n3/2\n2", error: "should contain 3 notes, but only contains 2" },
+        { text: "No count\nmany", error: "the number of notes" },
+        { text: "", error: "the number of notes" }
+    ], function (testCase) {
+        guitarompler.tests.assertThrows("The file '" + testCase.text + "' should be rejected.", function () {
+            guitarompler.tuning.parseScala(testCase.text);
+        }, testCase.error);
+    });
+});
+
+jqUnit.test("Keyboard mappings are read, including unmapped keys.", function () {
+    jqUnit.assertDeepEq("Each setting should be read, ignoring comments.", {
+        mapSize: 4,
+        firstNote: 48,
+        lastNote: 72,
+        middleNote: 60,
+        referenceNote: 68,
+        referenceFrequency: 432,
+        octaveDegree: 12,
+        mapping: [0, null, 4, null] // Keys missing from the end of the mapping are unmapped.
+    }, guitarompler.tuning.parseKeyboardMapping(guitarompler.tests.tuning.keyboardMapping));
+
+    guitarompler.tests.assertThrows("A mapping without all of its settings should be rejected.", function () {
+        guitarompler.tuning.parseKeyboardMapping("4\n48\n72\n60\n68\n432.0");
+    }, "at least seven settings");
+    guitarompler.tests.assertThrows("A setting that isn't a number should be rejected.", function () {
+        guitarompler.tuning.parseKeyboardMapping("4\n48\n72\nmiddle\n68\n432.0\n12");
+    }, "middleNote");
+});
+
+jqUnit.test("Equal temperament is tuned to the reference frequency.", function () {
+    var standard = guitarompler.tuning.buildTable({});
+    jqUnit.assertEquals("There should be a frequency for every MIDI note.", 128, standard.length);
+    for (var note = 0; note < 128; note++) {
+        guitarompler.tests.assertClose("Note " + note + " should be at its standard pitch.", guitarompler.tuning.standardFrequency(note), standard[note]);
+    }
+
+    var baroque = guitarompler.tuning.buildTable({ referenceFrequency: 415 });
+    jqUnit.assertEquals("The reference note should be at the reference frequency.", 415, baroque[69]);
+    guitarompler.tests.assertClose("Other notes should move with it.", 830, baroque[81]);
+
+    var middleC = guitarompler.tuning.buildTable({ referenceNote: 60, referenceFrequency: 256 });
+    jqUnit.assertEquals("Any note can be the reference.", 256, middleC[60]);
+    guitarompler.tests.assertClose("A4 should be tuned relative to the reference note.", 256 * Math.pow(2, 9 / 12), middleC[69]);
+});
+
+jqUnit.test("Temperaments are based on the chosen key.", function () {
+    var pythagoreanC = guitarompler.tuning.buildTable({ temperament: "pythagorean" });
+    jqUnit.assertEquals("The reference note should not move.", 440, pythagoreanC[69]);
+    guitarompler.tests.tuning.assertRatio("The fifth above C should be pure.", 701.96, pythagoreanC, 60, 67);
+    guitarompler.tests.tuning.assertRatio("Octaves should be pure.", 1200, pythagoreanC, 48, 60);
+    guitarompler.tests.tuning.assertRatio("The major third above C should be wide.", 407.82, pythagoreanC, 60, 64);
+
+    var pythagoreanD = guitarompler.tuning.buildTable({ temperament: "pythagorean", temperamentRoot: 2 });
+    jqUnit.assertEquals("The reference note should not move when the root changes.", 440, pythagoreanD[69]);
+    guitarompler.tests.tuning.assertRatio("The fifth above D should be pure.", 701.96, pythagoreanD, 62, 69);
+    guitarompler.tests.tuning.assertRatio("Intervals below the root should wrap around the octave.", 1200 - 611.73, pythagoreanD, 56, 62);
+
+    var custom = guitarompler.tuning.buildTable({ temperament: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1150] });
+    guitarompler.tests.tuning.assertRatio("A temperament can be an array of cents.", 150, custom, 70, 71);
+
+    guitarompler.tests.assertThrows("An unknown temperament should be rejected.", function () {
+        guitarompler.tuning.buildTable({ temperament: "wonky" });
+    }, "Unknown temperament: wonky");
+    guitarompler.tests.assertThrows("A temperament without 12 notes should be rejected.", function () {
+        guitarompler.tuning.buildTable({ temperament: [0, 100] });
+    }, "Unknown temperament");
+});
+
+jqUnit.test("A scale without a keyboard mapping plays consecutive degrees.", function () {
+    var scale = guitarompler.tuning.parseScala("Fifths\n2\n3/2\n2/1");
+    var table = guitarompler.tuning.buildTable({ scale: scale });
+    jqUnit.assertEquals("The reference note should be at the reference frequency.", 440, table[69]);
+    guitarompler.tests.tuning.assertRatio("The middle note should play the first degree.", 1200 * Math.log(1.5) / Math.LN2, table, 60, 61);
+    guitarompler.tests.tuning.assertRatio("The scale should repeat at its period.", 1200, table, 60, 62);
+    guitarompler.tests.tuning.assertRatio("Notes below the middle note should play lower periods.", 1200, table, 58, 60);
+});
+
+jqUnit.test("A keyboard mapping controls which degree each key plays.", function () {
+    var table = guitarompler.tuning.buildTable({
+        scale: guitarompler.tuning.parseScala(guitarompler.tests.tuning.equalScale),
+        keyboardMapping: guitarompler.tuning.parseKeyboardMapping(guitarompler.tests.tuning.keyboardMapping)
+    });
+
+    jqUnit.assertEquals("The mapping's reference note should be at its reference frequency.", 432, table[68]);
+    guitarompler.tests.assertClose("The middle note should be two periods below the reference note.", 108, table[60]);
+    guitarompler.tests.assertClose("A mapped key should play its degree.", 108 * Math.pow(2, 4 / 12), table[62]);
+    guitarompler.tests.assertClose("The mapping should repeat at the octave degree.", 216, table[64]);
+    guitarompler.tests.assertClose("The mapping should also repeat below the middle note.", 54, table[56]);
+    jqUnit.assertDeepEq("Unmapped keys should not be played.", [null, null], [table[61], table[63]]);
+    jqUnit.assertDeepEq("Keys outside the mapping's range should not be played.", [null, null], [table[47], table[73]]);
+
+    guitarompler.tests.assertThrows("A reference note that is not mapped should be rejected.", function () {
+        guitarompler.tuning.buildTable({
+            scale: guitarompler.tuning.parseScala(guitarompler.tests.tuning.equalScale),
+            keyboardMapping: guitarompler.tuning.parseKeyboardMapping(guitarompler.tests.tuning.keyboardMapping.replace("68 !", "69 !"))
+        });
+    }, "The reference note (69) is not mapped");
+});
+
+jqUnit.test("The tuning component can load Scala files.", function () {
+    var tuning = guitarompler.tuning();
+    var changes = [];
+    tuning.events.onTuningChanged.addListener(function (settings, frequencies) {
+        changes.push(frequencies[68]);
+    });
+
+    tuning.setTuning({ referenceNote: 68, referenceFrequency: 400 });
+    jqUnit.assertEquals("A setting can be changed.", 400, tuning.frequencyOf(68));
+    tuning.loadScala(guitarompler.tests.tuning.equalScale, guitarompler.tests.tuning.keyboardMapping);
+    jqUnit.assertEquals("The keyboard mapping should choose the reference frequency.", 432, tuning.frequencyOf(68));
+    jqUnit.assertNull("Unmapped keys should have no playback rate.", tuning.speedFor(61, 60));
+    guitarompler.tests.assertClose("The playback rate should take the sample from its pitch to the note's frequency.", 108 / guitarompler.tuning.standardFrequency(60), tuning.speedFor(60, 60));
+    jqUnit.assertDeepEq("Each change should be announced.", [400, 432], changes);
+
+    guitarompler.tests.assertThrows("An invalid scale should be rejected.", function () {
+        tuning.loadScala("Broken\n1\nfoo");
+    }, "Invalid pitch");
+    jqUnit.assertEquals("The tuning should not change when a scale is rejected.", 432, tuning.frequencyOf(68));
+    tuning.destroy();
+});
@@ -0,0 +1,54 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+jqUnit.module("Visualiser tests");
+
+jqUnit.test("Notes are named and coloured as on a piano.", function () {
+    var noteNames = fluid.defaults("guitarompler.visualiser").noteNames;
+    jqUnit.assertEquals("Middle C should be C4.", "C4", guitarompler.visualiser.noteName(noteNames, 60));
+    jqUnit.assertEquals("The lowest string of a guitar should be E2.", "E2", guitarompler.visualiser.noteName(noteNames, 40));
+    jqUnit.assertDeepEq("Only sharps should be black keys.", [false, true, false, true, false, false, true], fluid.transform([60, 61, 62, 63, 64, 65, 66], guitarompler.visualiser.isBlackKey));
+});
+
+jqUnit.test("The output level is measured from a block of samples.", function () {
+    jqUnit.assertDeepEq("Silence should have no level.", { peak: 0, rms: 0 }, guitarompler.visualiser.measureLevels([0, 0, 0, 0]));
+    jqUnit.assertDeepEq("An empty block should have no level.", { peak: 0, rms: 0 }, guitarompler.visualiser.measureLevels([]));
+
+    var levels = guitarompler.visualiser.measureLevels([0.5, -1, 0.5, -1]);
+    jqUnit.assertEquals("The peak should be the largest sample, whatever its sign.", 1, levels.peak);
+    guitarompler.tests.assertClose("The RMS level should be the square root of the mean of the squares.", Math.sqrt(0.625), levels.rms);
+});
+
+jqUnit.test("Levels are shown in decibels.", function () {
+    jqUnit.assertEquals("Full scale should be 0 dB.", 0, guitarompler.visualiser.toDecibels(1, -60));
+    guitarompler.tests.assertClose("Half of full scale should be about -6 dB.", 20 * Math.log10(0.5), guitarompler.visualiser.toDecibels(0.5, -60));
+    jqUnit.assertEquals("Silence should be shown at the bottom of the meter.", -60, guitarompler.visualiser.toDecibels(0, -60));
+    jqUnit.assertEquals("Very quiet levels should be shown at the bottom of the meter.", -60, guitarompler.visualiser.toDecibels(0.00001, -60));
+
+    jqUnit.assertDeepEq("The meter should run from the floor to 0 dB.", [0, 0.5, 1, 1], fluid.transform([-60, -30, 0, 3], function (decibels) {
+        return guitarompler.visualiser.meterPosition(decibels, -60);
+    }));
+});
+
+guitarompler.tests.loom.withLoom("The sounding notes are listed with their gains.", {}, function (loom) {
+    jqUnit.assertDeepEq("Nothing should be listed before a note is played.", [], guitarompler.visualiser.activeNotes(loom, 24, 96));
+
+    guitarompler.tests.loom.noteOn(loom, 64, 127);
+    guitarompler.tests.loom.noteOn(loom, 60, 127);
+    guitarompler.tests.loom.noteOn(loom, 100, 127);
+    var activeNotes = guitarompler.visualiser.activeNotes(loom, 24, 96);
+    jqUnit.assertDeepEq("The notes in range should be listed from lowest to highest.", [60, 64], fluid.transform(activeNotes, function (activeNote) {
+        return activeNote.note;
+    }));
+    jqUnit.assertEquals("Each note should have its current gain.", loom.gainOf(60), activeNotes[0].gain);
+
+    guitarompler.tests.loom.noteOff(loom, 60);
+    jqUnit.assertDeepEq("A released note should no longer be listed.", [64], fluid.transform(guitarompler.visualiser.activeNotes(loom, 24, 96), function (activeNote) {
+        return activeNote.note;
+    }));
+});
@@ -0,0 +1,92 @@
+/* eslint-env node */
+/* global ArrayBuffer, DataView, Float32Array, Uint8Array */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.wav");
+
+jqUnit.module("WAV tests");
+
+// The 16-bit samples of an encoded file, in the order they are stored.
+guitarompler.tests.wav.samplesOf = function (view) {
+    var samples = [];
+    for (var offset = 44; offset < view.byteLength; offset += 2) {
+        samples.push(view.getInt16(offset, true));
+    }
+    return samples;
+};
+
+jqUnit.test("Audio is encoded with a 16-bit PCM header.", function () {
+    var view = new DataView(guitarompler.wav.encode([new Float32Array([0, 1, -1, 0.5, 2])], 8000));
+    jqUnit.assertEquals("The file should be the length of the header plus the samples.", 54, view.byteLength);
+    jqUnit.assertDeepEq("The chunk names should be written.", ["RIFF", "WAVE", "fmt ", "data"], fluid.transform([0, 8, 12, 36], function (offset) {
+        return guitarompler.wav.readString(view, offset, 4);
+    }));
+    jqUnit.assertEquals("The RIFF chunk should contain the rest of the file.", 46, view.getUint32(4, true));
+    jqUnit.assertDeepEq("The format chunk should describe 16-bit mono PCM audio at 8 kHz.", [16, 1, 1, 8000, 16000, 2, 16], [
+        view.getUint32(16, true), view.getUint16(20, true), view.getUint16(22, true), view.getUint32(24, true),
+        view.getUint32(28, true), view.getUint16(32, true), view.getUint16(34, true)
+    ]);
+    jqUnit.assertEquals("The data chunk should contain every sample.", 10, view.getUint32(40, true));
+    jqUnit.assertDeepEq("Samples should be scaled to 16 bits, and clipped.", [0, 32767, -32768, 16383, 32767], guitarompler.tests.wav.samplesOf(view));
+});
+
+jqUnit.test("Channels are interleaved.", function () {
+    var view = new DataView(guitarompler.wav.encode([new Float32Array([0.25, 0]), new Float32Array([-0.25, 1])], 44100));
+    jqUnit.assertDeepEq("Each frame should hold a sample for each channel.", [8191, -8192, 0, 32767], guitarompler.tests.wav.samplesOf(view));
+    jqUnit.assertEquals("Each frame should be four bytes.", 4, view.getUint16(32, true));
+
+    var decoded = guitarompler.wav.decode(view.buffer);
+    jqUnit.assertEquals("The sample rate should be read back.", 44100, decoded.sampleRate);
+    jqUnit.assertDeepEq("The channels should be read back.", [[8191 / 32768, 0], [-0.25, 32767 / 32768]], fluid.transform(decoded.channels, function (channel) {
+        return Array.prototype.slice.call(channel);
+    }));
+});
+
+jqUnit.test("Floating point files with other chunks are decoded.", function () {
+    // A "LIST" chunk with an odd length, which is followed by a padding byte, then a stereo 32-bit float "data" chunk.
+    var buffer = new ArrayBuffer(12 + 24 + 10 + 24);
+    var view = new DataView(buffer);
+    guitarompler.wav.writeString(view, 0, "RIFF");
+    view.setUint32(4, buffer.byteLength - 8, true);
+    guitarompler.wav.writeString(view, 8, "WAVE");
+    guitarompler.wav.writeString(view, 12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, guitarompler.wav.formats.ieeeFloat, true);
+    view.setUint16(22, 2, true);
+    view.setUint32(24, 48000, true);
+    view.setUint16(34, 32, true);
+    guitarompler.wav.writeString(view, 36, "LIST");
+    view.setUint32(40, 1, true);
+    guitarompler.wav.writeString(view, 46, "data");
+    view.setUint32(50, 16, true);
+    fluid.each([0.5, -0.5, 0.125, -1], function (sample, index) {
+        view.setFloat32(54 + (index * 4), sample, true);
+    });
+
+    var decoded = guitarompler.wav.decode(buffer);
+    jqUnit.assertEquals("The sample rate should be read.", 48000, decoded.sampleRate);
+    jqUnit.assertDeepEq("The samples should be read as they are.", [[0.5, 0.125], [-0.5, -1]], fluid.transform(decoded.channels, function (channel) {
+        return Array.prototype.slice.call(channel);
+    }));
+});
+
+jqUnit.test("Files that can't be decoded are rejected.", function () {
+    var encoded = guitarompler.wav.encode([new Float32Array([0.5])], 8000);
+    guitarompler.tests.assertThrows("A file that isn't a WAV file should be rejected.", function () {
+        guitarompler.wav.decode(new Uint8Array(guitarompler.midiFile.encode({ division: 96, tracks: [] })));
+    }, "Not a WAV file");
+    guitarompler.tests.assertThrows("A file without any audio should be rejected.", function () {
+        guitarompler.wav.decode(encoded.slice(0, 36));
+    }, "does not contain any audio data");
+
+    var view = new DataView(encoded);
+    view.setUint16(34, 12, true);
+    guitarompler.tests.assertThrows("An unsupported bit depth should be rejected.", function () {
+        guitarompler.wav.decode(encoded);
+    }, "Unsupported WAV bit depth: 12");
+});
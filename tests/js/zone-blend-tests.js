@@ -0,0 +1,101 @@
+/* eslint-env node */
+"use strict";
+var fluid = require("infusion");
+var jqUnit = fluid.require("node-jqunit");
+var guitarompler = fluid.registerNamespace("guitarompler");
+
+require("./test-utils.js");
+
+fluid.registerNamespace("guitarompler.tests.zoneBlend");
+
+jqUnit.module("Zone blending tests");
+
+// The gain node between a source and the voice's envelope, if the source is blended with another.
+guitarompler.tests.zoneBlend.blendGainOf = function (source) {
+    var firstNode = source.connections[0];
+    return firstNode.nodeType === "gain" && firstNode.connections[0].nodeType === "gain" ? firstNode : false;
+};
+
+jqUnit.test("Blended samples keep an even level.", function () {
+    jqUnit.assertDeepEq("A note with none of its neighbour should only play its own sample.", [1, 0], guitarompler.note.blendGains(0));
+    fluid.each([0.125, 0.375, 0.5, 0.875], function (weight) {
+        var gains = guitarompler.note.blendGains(weight);
+        guitarompler.tests.assertClose("The total power should be constant for a weight of " + weight + ".", 1, (gains[0] * gains[0]) + (gains[1] * gains[1]));
+    });
+    var boundaryGains = guitarompler.note.blendGains(0.5);
+    guitarompler.tests.assertClose("Both samples should be equally loud at the boundary.", boundaryGains[0], boundaryGains[1]);
+});
+
+guitarompler.tests.loom.withLoom("Zones are not blended by default.", {}, function (loom) {
+    guitarompler.tests.loom.noteOn(loom, 62);
+    jqUnit.assertEquals("Only one sample should be played.", 1, loom.context.bufferSources.length);
+    jqUnit.assertEquals("The sample should not be blended.", false, loom.destinationByNote[62].zoneBlend);
+});
+
+guitarompler.tests.loom.withLoom("Notes near a boundary are weighted by their distance from each zone.", { zoneOverlap: 4 }, function (loom) {
+    // The boundary between the 220 and 440 families lies between D4 (62) and D#4 (63).
+    var blendedWeights = {};
+    fluid.each([59, 60, 61, 62, 63, 64, 65, 66], function (pitch) {
+        blendedWeights[pitch] = fluid.get(loom.destinationByNote[pitch], "zoneBlend.weight");
+    });
+    jqUnit.assertDeepEq("Only the two notes on either side of the boundary should be blended.", {
+        59: undefined,
+        60: undefined,
+        61: 0.125,
+        62: 0.375,
+        63: 0.375,
+        64: 0.125,
+        65: undefined,
+        66: undefined
+    }, blendedWeights);
+    jqUnit.assertEquals("Notes below the boundary should blend with the family above.", 69, loom.destinationByNote[62].zoneBlend.basePitch);
+    jqUnit.assertEquals("Notes above the boundary should blend with the family below.", 57, loom.destinationByNote[63].zoneBlend.basePitch);
+});
+
+guitarompler.tests.loom.withLoom("A blended note plays both samples.", { zoneOverlap: 4 }, function (loom) {
+    var noteComponent = loom.destinationByNote[62];
+    loom.context.currentTime = 1;
+    guitarompler.tests.loom.noteOn(loom, 62);
+
+    jqUnit.assertEquals("Two samples should be played.", 2, noteComponent.sources.length);
+    var ownSource = noteComponent.sources[0];
+    var neighbourSource = noteComponent.sources[1];
+    jqUnit.assertEquals("The note's own sample should be used first.", "./src/sounds/220.wav", ownSource.buffer.url);
+    jqUnit.assertEquals("The neighbouring zone's sample should also be used.", "./src/sounds/440.wav", neighbourSource.buffer.url);
+    guitarompler.tests.assertClose("The own sample should be sped up from its root.", Math.pow(2, 5 / 12), ownSource.playbackRate.value);
+    guitarompler.tests.assertClose("The neighbouring sample should be slowed down from its root.", Math.pow(2, -7 / 12), neighbourSource.playbackRate.value);
+
+    var expectedGains = guitarompler.note.blendGains(0.375);
+    var ownGain = guitarompler.tests.zoneBlend.blendGainOf(ownSource);
+    var neighbourGain = guitarompler.tests.zoneBlend.blendGainOf(neighbourSource);
+    jqUnit.assertEquals("The own sample should be weighted.", expectedGains[0], ownGain.gain.value);
+    jqUnit.assertEquals("The neighbouring sample should be weighted.", expectedGains[1], neighbourGain.gain.value);
+    jqUnit.assertEquals("Both samples should share the voice's envelope.", noteComponent.envelopeNode, ownGain.connections[0]);
+    jqUnit.assertEquals("Both samples should share the voice's envelope.", noteComponent.envelopeNode, neighbourGain.connections[0]);
+    jqUnit.assertDeepEq("Both samples should start together.", [[1], [1]], [ownSource.startTimes, neighbourSource.startTimes]);
+
+    loom.events.pitchbend.fire({ type: "pitchbend", channel: 0, value: 16383 });
+    jqUnit.assertEquals("A pitch bend should apply to both samples.", ownSource.detune.value, neighbourSource.detune.value);
+    jqUnit.assertTrue("The pitch should have been bent.", ownSource.detune.value > 0);
+
+    loom.context.currentTime = 2;
+    guitarompler.tests.loom.noteOff(loom, 62);
+    jqUnit.assertEquals("The own sample should be stopped.", 1, ownSource.stopTimes.length);
+    jqUnit.assertEquals("The neighbouring sample should be stopped.", 1, neighbourSource.stopTimes.length);
+
+    var envelopeNode = noteComponent.envelopeNode;
+    ownSource.end();
+    jqUnit.assertEquals("The voice should stay connected until both samples have finished.", 1, envelopeNode.connections.length);
+    neighbourSource.end();
+    jqUnit.assertEquals("The voice should be disconnected once both samples have finished.", 0, envelopeNode.connections.length);
+});
+
+guitarompler.tests.loom.withLoom("The overlap can be changed while playing.", {}, function (loom) {
+    loom.setZoneOverlap(8);
+    jqUnit.assertEquals("A wider overlap should blend notes further from the boundary.", 0.0625, loom.destinationByNote[59].zoneBlend.weight);
+    guitarompler.tests.loom.noteOn(loom, 59);
+    jqUnit.assertEquals("The new overlap should apply to the next note.", 2, loom.context.bufferSources.length);
+
+    loom.setZoneOverlap(0);
+    jqUnit.assertEquals("An overlap of 0 should turn blending off.", false, loom.destinationByNote[62].zoneBlend);
+});